@@ -13,7 +13,7 @@ const authenticateToken = async (req, res, next) => {
   if (!token) {
     return res.status(401).json({
       success: false,
-      message: 'Token d\'accès requis'
+      message: req.t('auth.tokenRequired')
     });
   }
 
@@ -24,7 +24,7 @@ const authenticateToken = async (req, res, next) => {
     if (error || !user) {
       return res.status(403).json({
         success: false,
-        message: 'Token invalide ou expiré'
+        message: req.t('auth.tokenInvalidOrExpired')
       });
     }
 
@@ -34,9 +34,64 @@ const authenticateToken = async (req, res, next) => {
   } catch (err) {
     return res.status(403).json({
       success: false,
-      message: 'Erreur de vérification du token'
+      message: req.t('auth.tokenVerificationFailed')
     });
   }
 };
 
-module.exports = { authenticateToken };
\ No newline at end of file
+// Authentification facultative : les routes publiques peuvent enrichir leur
+// réponse pour un utilisateur connecté. Un token absent ou invalide laisse la
+// requête anonyme au lieu de la rejeter.
+const optionalAuthenticateToken = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const { data: { user }, error } = await supabase.auth.getUser(token);
+
+    if (!error && user) {
+      req.user = { userId: user.id, email: user.email };
+    }
+  } catch (err) {
+    console.warn('Token facultatif ignoré:', err.message);
+  }
+
+  next();
+};
+
+// Restreint une route à certains rôles (user_profiles.role).
+// À utiliser après authenticateToken.
+const requireRole = (...roles) => async (req, res, next) => {
+  try {
+    const { data: profile, error } = await supabase
+      .from('user_profiles')
+      .select('role')
+      .eq('id', req.user.userId)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!profile || !roles.includes(profile.role)) {
+      return res.status(403).json({
+        success: false,
+        message: req.t('auth.editorsOnly')
+      });
+    }
+
+    req.user.role = profile.role;
+    next();
+
+  } catch (err) {
+    console.error('Erreur vérification du rôle:', err);
+    return res.status(500).json({
+      success: false,
+      message: req.t('auth.roleCheckFailed')
+    });
+  }
+};
+
+module.exports = { authenticateToken, optionalAuthenticateToken, requireRole };
\ No newline at end of file
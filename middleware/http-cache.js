@@ -0,0 +1,48 @@
+/**
+ * @fileoverview En-têtes de cache HTTP des routes publiques du catalogue
+ * @module middleware/http-cache
+ *
+ * Les ETag (forts) et les réponses 304 sont gérés par Express
+ * (`app.set('etag', 'strong')`) ; ce middleware ajoute Cache-Control pour le
+ * navigateur et le CDN de Vercel (s-maxage, stale-while-revalidate).
+ *
+ * Les écritures de l'administration ne vident que les caches en mémoire : la
+ * durée de fraîcheur côté CDN reste courte pour qu'une modification du
+ * catalogue y apparaisse en quelques secondes.
+ */
+
+// Fraîcheur maximale d'une réponse dans le CDN, en secondes
+const MAX_SHARED_AGE = 10;
+
+/**
+ * Cache-Control public sur les réponses 2xx, `no-store` sur les erreurs
+ *
+ * @param {Object} options
+ * @param {number} options.maxAge - Durée de fraîcheur dans le navigateur en
+ *   secondes (plafonnée à MAX_SHARED_AGE dans le CDN)
+ * @param {number} [options.staleWhileRevalidate=0] - Durée pendant laquelle une
+ *   réponse périmée peut être servie pendant sa revalidation, en secondes
+ * @returns {Function} Middleware Express
+ *
+ * @example
+ * app.get('/api/categories', publicCache({ maxAge: 300, staleWhileRevalidate: 3600 }), handler);
+ */
+function publicCache({ maxAge, staleWhileRevalidate = 0 }) {
+  const directives = ['public', `max-age=${maxAge}`, `s-maxage=${Math.min(maxAge, MAX_SHARED_AGE)}`];
+  if (staleWhileRevalidate > 0) directives.push(`stale-while-revalidate=${staleWhileRevalidate}`);
+  const value = directives.join(', ');
+
+  return (req, res, next) => {
+    const json = res.json.bind(res);
+
+    // Le statut n'est connu qu'à l'envoi : une erreur ne doit pas être mise en cache
+    res.json = body => {
+      res.set('Cache-Control', res.statusCode >= 200 && res.statusCode < 300 ? value : 'no-store');
+      return json(body);
+    };
+
+    next();
+  };
+}
+
+module.exports = { publicCache };
@@ -0,0 +1,22 @@
+/**
+ * @fileoverview Sélection de la langue de la réponse
+ * @module middleware/i18n
+ */
+
+const { resolveLanguage, getTranslator } = require('../utils/i18n');
+
+/**
+ * Expose `req.lang` et `req.t(key, params)` aux routes, et annonce la langue
+ * de la réponse (Content-Language) ainsi que sa dépendance à Accept-Language.
+ */
+function localize(req, res, next) {
+  req.lang = resolveLanguage(req);
+  req.t = getTranslator(req.lang);
+
+  res.set('Content-Language', req.lang);
+  res.vary('Accept-Language');
+
+  next();
+}
+
+module.exports = { localize };
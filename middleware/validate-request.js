@@ -0,0 +1,248 @@
+/**
+ * @fileoverview Validation des requêtes à partir du document OpenAPI
+ * @module middleware/validate-request
+ *
+ * Chaque opération du document (utils/openapi) est compilée avec Ajv : les
+ * paramètres de chemin et de query string (convertis depuis leur forme texte)
+ * et les corps JSON sont validés avant d'atteindre la route. Les corps
+ * multipart sont laissés à multer.
+ *
+ * Les opérations publiques sont validées avant les routeurs. Les opérations
+ * authentifiées (security non vide) le sont après l'authentification : un
+ * appel sans token reçoit 401, sans le détail du contrat de la route.
+ */
+
+const Ajv2020 = require('ajv/dist/2020');
+const { openapiDocument } = require('../utils/openapi');
+
+const FORMATS = {
+  date: /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/,
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  binary: /.*/
+};
+
+const TYPE_MESSAGES = {
+  string: 'validation.string',
+  number: 'validation.number',
+  integer: 'validation.integer',
+  boolean: 'validation.boolean'
+};
+
+function createAjv(options) {
+  const ajv = new Ajv2020({
+    allErrors: true,
+    allowUnionTypes: true,
+    ...options
+  });
+  Object.entries(FORMATS).forEach(([name, pattern]) => ajv.addFormat(name, pattern));
+  return ajv;
+}
+
+/**
+ * Convertit une erreur Ajv en message traduit
+ *
+ * @param {Object} error - Erreur Ajv
+ * @param {Function} t - Fonction de traduction (req.t)
+ * @returns {string} Message nommant le paramètre ou le champ ("customActivity.title")
+ */
+function describeError(error, t) {
+  const segments = error.instancePath.split('/').filter(Boolean);
+  const name = segments.join('.');
+  const { params } = error;
+
+  switch (error.keyword) {
+    case 'required':
+      return t('validation.required', { name: [...segments, params.missingProperty].join('.') });
+    case 'additionalProperties':
+      return t('validation.unknownField', { name: params.additionalProperty });
+    case 'minProperties':
+      return t('validation.nothingToUpdate');
+    case 'type': {
+      const expected = String(params.type).split(',')[0];
+      if (expected === 'object' && !name) return t('validation.jsonBody');
+      return t(TYPE_MESSAGES[expected] || 'validation.invalid', { name });
+    }
+    case 'enum':
+      return t('validation.invalidChoice', {
+        name,
+        values: params.allowedValues.filter(value => value !== null).join(', ')
+      });
+    case 'minimum':
+      return t('validation.min', { name, min: params.limit });
+    case 'maximum':
+      return t('validation.max', { name, max: params.limit });
+    case 'minLength':
+      return params.limit === 1 ? t('validation.notEmpty', { name }) : t('validation.minLength', { name, min: params.limit });
+    case 'maxLength':
+      return t('validation.maxLength', { name, max: params.limit });
+    case 'format':
+      return params.format === 'date' ? t('validation.date', { name }) : t('validation.invalid', { name });
+    case 'minItems':
+      return params.limit === 1 ? t('validation.notEmpty', { name }) : t('validation.minItems', { name, min: params.limit });
+    case 'maxItems':
+      return t('validation.maxItems', { name, max: params.limit });
+    case 'uniqueItems':
+      return t('validation.duplicates', { name });
+    default:
+      return t('validation.invalid', { name });
+  }
+}
+
+/**
+ * Messages uniques et traduits pour une liste d'erreurs Ajv
+ */
+function describeErrors(errors, t) {
+  return [...new Set(errors.map(error => describeError(error, t)))];
+}
+
+/**
+ * Transforme un chemin OpenAPI ("/api/activities/{id}") en expression régulière
+ *
+ * @returns {{ regexp: RegExp, names: string[], staticSegments: number }}
+ */
+function compilePath(path) {
+  const names = [];
+  const pattern = path.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{(\w+)\}/g, (match, name) => {
+    names.push(name);
+    return '([^/]+)';
+  });
+
+  return {
+    regexp: new RegExp(`^${pattern}/?$`),
+    names,
+    staticSegments: path.split('/').filter(segment => segment && !segment.startsWith('{')).length
+  };
+}
+
+/**
+ * Opération réservée aux utilisateurs connectés (un schéma vide `{}` rend l'authentification facultative)
+ */
+function requiresAuthentication(operation) {
+  const security = operation.security || [];
+  return security.length > 0 && !security.some(requirement => Object.keys(requirement).length === 0);
+}
+
+/**
+ * Compile les validateurs de toutes les opérations d'un document
+ */
+function compileOperations(document) {
+  const paramsAjv = createAjv({ coerceTypes: true });
+  const bodyAjv = createAjv();
+
+  const routes = Object.entries(document.paths).map(([path, operations]) => {
+    const compiledOperations = {};
+
+    Object.entries(operations).forEach(([method, operation]) => {
+      const parameters = operation.parameters || [];
+      const bodySchema = operation.requestBody?.content?.['application/json']?.schema;
+
+      const objectSchema = location => {
+        const locationParams = parameters.filter(param => param.in === location);
+        return {
+          type: 'object',
+          properties: Object.fromEntries(locationParams.map(param => [param.name, param.schema])),
+          required: locationParams.filter(param => param.required).map(param => param.name)
+        };
+      };
+
+      compiledOperations[method.toUpperCase()] = {
+        path: paramsAjv.compile(objectSchema('path')),
+        query: paramsAjv.compile(objectSchema('query')),
+        body: bodySchema ? bodyAjv.compile(bodySchema) : null,
+        bodyRequired: Boolean(operation.requestBody?.required),
+        authenticated: requiresAuthentication(operation)
+      };
+    });
+
+    return { ...compilePath(path), operations: compiledOperations };
+  });
+
+  // Les chemins les plus spécifiques d'abord (/api/activities/trending avant /api/activities/{id})
+  return routes.sort((a, b) => b.staticSegments - a.staticSegments || a.names.length - b.names.length);
+}
+
+// Opérations compilées une seule fois par document (middleware global et routeurs)
+const compiledDocuments = new WeakMap();
+
+/**
+ * Middleware de validation des requêtes décrites par le document OpenAPI.
+ * Les requêtes sans opération correspondante passent sans contrôle (404, OPTIONS...),
+ * de même que celles de l'autre catégorie (publique / authentifiée).
+ *
+ * @param {Object} document - Document OpenAPI (utils/openapi)
+ * @param {Object} [options]
+ * @param {boolean} [options.authenticated=false] - true : valide les opérations
+ *   authentifiées (middleware placé après l'authentification)
+ * @returns {Function} Middleware Express
+ *
+ * @example
+ * app.use(validateRequest(openapiDocument));
+ * router.use(authenticateToken, validateRequest(openapiDocument, { authenticated: true }));
+ */
+function validateRequest(document, { authenticated = false } = {}) {
+  if (!compiledDocuments.has(document)) compiledDocuments.set(document, compileOperations(document));
+  const routes = compiledDocuments.get(document);
+
+  return (req, res, next) => {
+    const method = req.method === 'HEAD' ? 'GET' : req.method;
+    // Chemin complet, y compris depuis un routeur monté (/api/admin + /activities)
+    const path = `${req.baseUrl}${req.path}`;
+    let operation = null;
+    let match = null;
+
+    for (const route of routes) {
+      match = route.regexp.exec(path);
+      if (match && route.operations[method]) {
+        operation = { ...route.operations[method], names: route.names };
+        break;
+      }
+    }
+
+    if (!operation || operation.authenticated !== authenticated) return next();
+
+    let pathParams;
+    try {
+      pathParams = Object.fromEntries(
+        operation.names.map((name, index) => [name, decodeURIComponent(match[index + 1])])
+      );
+    } catch (error) {
+      // Encodage invalide : laissé au routeur Express
+      return next();
+    }
+
+    // Copies : la conversion de types d'Ajv ne doit pas modifier req.query
+    const parameterErrors = [];
+    if (!operation.path({ ...pathParams })) parameterErrors.push(...operation.path.errors);
+    if (!operation.query({ ...req.query })) parameterErrors.push(...operation.query.errors);
+
+    if (parameterErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: req.t('errors.invalidParameters'),
+        details: describeErrors(parameterErrors, req.t)
+      });
+    }
+
+    if (operation.body && req.is('application/json') !== false) {
+      const body = req.body === undefined && !operation.bodyRequired ? {} : req.body;
+
+      if (!operation.body(body)) {
+        return res.status(400).json({
+          success: false,
+          error: req.t('errors.invalidData'),
+          details: describeErrors(operation.body.errors, req.t)
+        });
+      }
+    }
+
+    next();
+  };
+}
+
+/**
+ * Validation des opérations authentifiées de l'API, à placer après
+ * l'authentification (et le contrôle du rôle) des routeurs
+ */
+const validateAuthenticatedRequest = validateRequest(openapiDocument, { authenticated: true });
+
+module.exports = { validateRequest, validateAuthenticatedRequest };
@@ -0,0 +1,429 @@
+/**
+ * @fileoverview Routes d'administration du catalogue (activités, catégories, continents)
+ * @module routes/admin-catalog
+ *
+ * Réservées aux rôles editor et admin (user_profiles.role). Aucune ligne n'est
+ * supprimée : DELETE désactive via is_active. Chaque écriture est tracée dans
+ * catalog_audit_log avec l'auteur et les champs modifiés.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { supabaseService: supabase } = require('../config/supabase-service');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { validateAuthenticatedRequest } = require('../middleware/validate-request');
+const {
+  slugify,
+  validateCatalogPayload,
+  validateTranslationPayload,
+  diffRows
+} = require('../utils/catalog-validation');
+const { DEFAULT_LANGUAGE, normalizeLanguage } = require('../utils/i18n');
+const { TRANSLATABLE } = require('../utils/catalog-translations');
+const { recordCatalogChange } = require('../utils/catalog-audit');
+const { invalidateCatalogCaches } = require('../utils/catalog-cache');
+const adminImageRoutes = require('./admin-images');
+const adminCurrencyRoutes = require('./admin-currency');
+
+// Messages par table : `${table}.notFound`, `admin.labels.${table}` (locales/*.json)
+const CATALOG_TABLES = {
+  activities: { featurable: true },
+  categories: { featurable: false },
+  continents: { featurable: false }
+};
+
+router.use(authenticateToken, requireRole('editor', 'admin'), validateAuthenticatedRequest);
+
+// Galeries d'images des activités, taux de change
+router.use(adminImageRoutes);
+router.use(adminCurrencyRoutes);
+
+/**
+ * Traduit une erreur Postgres d'écriture en réponse HTTP
+ */
+function sendWriteError(req, res, error, table) {
+  if (error.code === '23505') {
+    return res.status(409).json({
+      success: false,
+      error: req.t('admin.duplicateEntry'),
+      details: error.details
+    });
+  }
+
+  if (error.code === '23503') {
+    return res.status(400).json({
+      success: false,
+      error: req.t('admin.invalidReference'),
+      details: error.details
+    });
+  }
+
+  console.error(`❌ [ADMIN] Erreur écriture ${table}:`, error);
+  return res.status(500).json({
+    success: false,
+    error: req.t('admin.saveFailed', { label: req.t(`admin.labels.${table}`) })
+  });
+}
+
+/**
+ * Récupère une ligne du catalogue par id
+ *
+ * @returns {Promise<Object|null>} Ligne, ou null si introuvable
+ */
+async function findCatalogRow(table, id) {
+  const { data, error } = await supabase
+    .from(table)
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Met à jour une ligne et journalise les champs modifiés
+ */
+async function updateCatalogRow(req, res, { table, current, values, action }) {
+  const { data: updated, error } = await supabase
+    .from(table)
+    .update(values)
+    .eq('id', current.id)
+    .select()
+    .single();
+
+  if (error) return sendWriteError(req, res, error, table);
+
+  invalidateCatalogCaches(table);
+
+  await recordCatalogChange({
+    table,
+    recordId: current.id,
+    action,
+    userId: req.user.userId,
+    changes: diffRows(current, updated)
+  });
+
+  res.json({ success: true, data: updated });
+}
+
+Object.entries(CATALOG_TABLES).forEach(([table, { featurable }]) => {
+
+  /**
+   * GET /api/admin/:table
+   * Liste complète, lignes désactivées comprises
+   */
+  router.get(`/${table}`, async (req, res) => {
+    try {
+      let query = supabase
+        .from(table)
+        .select('*')
+        .order(table === 'activities' ? 'title' : 'name');
+
+      if (req.query.is_active === 'true') query = query.eq('is_active', true);
+      if (req.query.is_active === 'false') query = query.eq('is_active', false);
+
+      const { data, error } = await query;
+      if (error) throw error;
+
+      res.json({ success: true, data, meta: { count: data.length } });
+    } catch (error) {
+      console.error(`❌ [ADMIN] Erreur liste ${table}:`, error);
+      res.status(500).json({ success: false, error: req.t('admin.listFailed') });
+    }
+  });
+
+  /**
+   * POST /api/admin/:table
+   * Création
+   */
+  router.post(`/${table}`, async (req, res) => {
+    try {
+      const { values, errors } = validateCatalogPayload(table, req.body, { t: req.t });
+
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: req.t('errors.invalidData'), details: errors });
+      }
+
+      // Les slugs d'activités sont générés par trigger, ceux des catégories ici
+      if (table === 'categories' && !values.slug) {
+        values.slug = slugify(values.name);
+      }
+
+      const { data: created, error } = await supabase
+        .from(table)
+        .insert([values])
+        .select()
+        .single();
+
+      if (error) return sendWriteError(req, res, error, table);
+
+      invalidateCatalogCaches(table);
+
+      await recordCatalogChange({
+        table,
+        recordId: created.id,
+        action: 'create',
+        userId: req.user.userId,
+        changes: diffRows(null, created)
+      });
+
+      res.status(201).json({ success: true, data: created });
+    } catch (error) {
+      console.error(`❌ [ADMIN] Erreur création ${table}:`, error);
+      res.status(500).json({ success: false, error: req.t('admin.createFailed') });
+    }
+  });
+
+  /**
+   * PUT /api/admin/:table/:id (tous les champs requis doivent être fournis)
+   * PATCH /api/admin/:table/:id (mise à jour partielle)
+   */
+  ['put', 'patch'].forEach(method => {
+    router[method](`/${table}/:id`, async (req, res) => {
+      try {
+        const current = await findCatalogRow(table, req.params.id);
+
+        if (!current) {
+          return res.status(404).json({ success: false, error: req.t(`${table}.notFound`) });
+        }
+
+        const { values, errors } = validateCatalogPayload(table, req.body, {
+          partial: method === 'patch',
+          current,
+          t: req.t
+        });
+
+        if (errors.length > 0) {
+          return res.status(400).json({ success: false, error: req.t('errors.invalidData'), details: errors });
+        }
+
+        await updateCatalogRow(req, res, { table, current, values, action: 'update' });
+      } catch (error) {
+        console.error(`❌ [ADMIN] Erreur mise à jour ${table}:`, error);
+        res.status(500).json({ success: false, error: req.t('admin.updateFailed') });
+      }
+    });
+  });
+
+  /**
+   * DELETE /api/admin/:table/:id
+   * Désactivation douce (is_active = false) : les bucket lists existantes restent intactes
+   */
+  router.delete(`/${table}/:id`, async (req, res) => {
+    try {
+      const current = await findCatalogRow(table, req.params.id);
+
+      if (!current) {
+        return res.status(404).json({ success: false, error: req.t(`${table}.notFound`) });
+      }
+
+      if (current.is_active === false) {
+        return res.json({ success: true, data: current, message: req.t('admin.alreadyInactive') });
+      }
+
+      await updateCatalogRow(req, res, {
+        table,
+        current,
+        values: { is_active: false },
+        action: 'deactivate'
+      });
+    } catch (error) {
+      console.error(`❌ [ADMIN] Erreur désactivation ${table}:`, error);
+      res.status(500).json({ success: false, error: req.t('admin.deactivateFailed') });
+    }
+  });
+
+  /**
+   * GET /api/admin/:table/:id/translations
+   * Traductions existantes (la version française est la ligne elle-même)
+   */
+  router.get(`/${table}/:id/translations`, async (req, res) => {
+    try {
+      const current = await findCatalogRow(table, req.params.id);
+
+      if (!current) {
+        return res.status(404).json({ success: false, error: req.t(`${table}.notFound`) });
+      }
+
+      const { table: translationTable, foreignKey } = TRANSLATABLE[table];
+      const { data, error } = await supabase
+        .from(translationTable)
+        .select('*')
+        .eq(foreignKey, current.id)
+        .order('lang');
+
+      if (error) throw error;
+
+      res.json({ success: true, data, meta: { default_language: DEFAULT_LANGUAGE } });
+    } catch (error) {
+      console.error(`❌ [ADMIN] Erreur traductions ${table}:`, error);
+      res.status(500).json({ success: false, error: req.t('admin.translationsFailed') });
+    }
+  });
+
+  /**
+   * PUT /api/admin/:table/:id/translations/:lang
+   * Crée ou remplace une traduction. Un champ absent retombe sur la version française.
+   */
+  router.put(`/${table}/:id/translations/:lang`, async (req, res) => {
+    try {
+      const lang = normalizeLanguage(req.params.lang);
+
+      if (!lang || lang === DEFAULT_LANGUAGE || lang !== req.params.lang) {
+        return res.status(400).json({ success: false, error: req.t('admin.invalidTranslationLanguage') });
+      }
+
+      const current = await findCatalogRow(table, req.params.id);
+
+      if (!current) {
+        return res.status(404).json({ success: false, error: req.t(`${table}.notFound`) });
+      }
+
+      const { table: translationTable, foreignKey, fields } = TRANSLATABLE[table];
+      const { values, errors } = validateTranslationPayload(table, req.body, fields, { t: req.t });
+
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: req.t('errors.invalidData'), details: errors });
+      }
+
+      // PUT remplace la traduction : les champs non envoyés sont remis à NULL
+      const row = {
+        ...Object.fromEntries(fields.map(field => [field, null])),
+        ...values,
+        [foreignKey]: current.id,
+        lang,
+        updated_at: new Date().toISOString()
+      };
+
+      const { data: saved, error } = await supabase
+        .from(translationTable)
+        .upsert(row, { onConflict: `${foreignKey},lang` })
+        .select()
+        .single();
+
+      if (error) return sendWriteError(req, res, error, table);
+
+      invalidateCatalogCaches(table);
+
+      await recordCatalogChange({
+        table,
+        recordId: current.id,
+        action: 'translation.upsert',
+        userId: req.user.userId,
+        changes: { lang, ...values }
+      });
+
+      res.json({ success: true, data: saved });
+    } catch (error) {
+      console.error(`❌ [ADMIN] Erreur enregistrement traduction ${table}:`, error);
+      res.status(500).json({ success: false, error: req.t('admin.updateFailed') });
+    }
+  });
+
+  /**
+   * DELETE /api/admin/:table/:id/translations/:lang
+   */
+  router.delete(`/${table}/:id/translations/:lang`, async (req, res) => {
+    try {
+      const { table: translationTable, foreignKey } = TRANSLATABLE[table];
+
+      const { data: deleted, error } = await supabase
+        .from(translationTable)
+        .delete()
+        .eq(foreignKey, req.params.id)
+        .eq('lang', String(req.params.lang))
+        .select();
+
+      if (error) throw error;
+
+      if (deleted.length === 0) {
+        return res.status(404).json({ success: false, error: req.t('admin.translationNotFound') });
+      }
+
+      invalidateCatalogCaches(table);
+
+      await recordCatalogChange({
+        table,
+        recordId: req.params.id,
+        action: 'translation.delete',
+        userId: req.user.userId,
+        changes: { lang: req.params.lang }
+      });
+
+      res.json({ success: true, message: req.t('admin.translationDeleted') });
+    } catch (error) {
+      console.error(`❌ [ADMIN] Erreur suppression traduction ${table}:`, error);
+      res.status(500).json({ success: false, error: req.t('admin.deleteFailed') });
+    }
+  });
+
+  if (!featurable) return;
+
+  /**
+   * PATCH /api/admin/activities/:id/featured
+   * Met en avant / retire une activité. Sans `is_featured` dans le corps, inverse l'état actuel.
+   */
+  router.patch(`/${table}/:id/featured`, async (req, res) => {
+    try {
+      const current = await findCatalogRow(table, req.params.id);
+
+      if (!current) {
+        return res.status(404).json({ success: false, error: req.t(`${table}.notFound`) });
+      }
+
+      const requested = req.body?.is_featured;
+      if (requested !== undefined && typeof requested !== 'boolean') {
+        return res.status(400).json({ success: false, error: req.t('validation.boolean', { name: 'is_featured' }) });
+      }
+
+      const isFeatured = requested === undefined ? !current.is_featured : requested;
+
+      await updateCatalogRow(req, res, {
+        table,
+        current,
+        values: { is_featured: isFeatured },
+        action: isFeatured ? 'feature' : 'unfeature'
+      });
+    } catch (error) {
+      console.error(`❌ [ADMIN] Erreur mise en avant ${table}:`, error);
+      res.status(500).json({ success: false, error: req.t('admin.featureFailed') });
+    }
+  });
+});
+
+/**
+ * GET /api/admin/audit-log
+ * Historique des modifications (?table=activities&record_id=42)
+ */
+router.get('/audit-log', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    let query = supabase
+      .from('catalog_audit_log')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (req.query.table) {
+      if (!CATALOG_TABLES[req.query.table] && req.query.table !== 'currency_rates') {
+        return res.status(400).json({ success: false, error: req.t('admin.unknownTable') });
+      }
+      query = query.eq('table_name', req.query.table);
+    }
+    if (req.query.record_id) query = query.eq('record_id', String(req.query.record_id));
+    if (req.query.changed_by) query = query.eq('changed_by', String(req.query.changed_by));
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    res.json({ success: true, data, meta: { count: data.length } });
+  } catch (error) {
+    console.error('❌ [ADMIN] Erreur journal d\'audit:', error);
+    res.status(500).json({ success: false, error: req.t('admin.auditLogFailed') });
+  }
+});
+
+module.exports = router;
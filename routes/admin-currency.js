@@ -0,0 +1,154 @@
+/**
+ * @fileoverview Routes d'administration des taux de change
+ * @module routes/admin-currency
+ *
+ * Montées par routes/admin-catalog. Les taux sont saisis manuellement (pas de
+ * fournisseur externe) : 1 unité de devise = rate_to_eur euros. Lecture pour
+ * l'équipe éditoriale, écriture réservée aux administrateurs.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { supabaseService: supabase } = require('../config/supabase-service');
+const { requireRole } = require('../middleware/auth');
+const { recordCatalogChange } = require('../utils/catalog-audit');
+const { invalidateCatalogCaches } = require('../utils/catalog-cache');
+const { BASE_CURRENCY, normalizeCurrency } = require('../utils/currency');
+
+/**
+ * GET /api/admin/currency-rates
+ */
+router.get('/currency-rates', async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('currency_rates')
+      .select('*')
+      .order('currency');
+
+    if (error) throw error;
+
+    res.json({ success: true, data, meta: { base_currency: BASE_CURRENCY, count: data.length } });
+  } catch (error) {
+    console.error('❌ [ADMIN] Erreur taux de change:', error);
+    res.status(500).json({ success: false, error: req.t('currency.fetchFailed') });
+  }
+});
+
+/**
+ * PUT /api/admin/currency-rates
+ * Corps : { rates: { USD: 0.92, GBP: 1.17 } } (valeur en euros d'une unité).
+ * Les devises absentes du corps sont conservées.
+ */
+router.put('/currency-rates', requireRole('admin'), async (req, res) => {
+  try {
+    const rates = req.body?.rates;
+
+    if (!rates || typeof rates !== 'object' || Array.isArray(rates) || Object.keys(rates).length === 0) {
+      return res.status(400).json({ success: false, error: req.t('currency.ratesRequired') });
+    }
+
+    const errors = [];
+    const rows = [];
+
+    Object.entries(rates).forEach(([code, value]) => {
+      const currency = normalizeCurrency(code);
+      const rate = Number(value);
+
+      if (!currency || currency !== code) {
+        errors.push(req.t('currency.invalid', { name: code }));
+      } else if (currency === BASE_CURRENCY && rate !== 1) {
+        errors.push(req.t('currency.baseRate', { currency: BASE_CURRENCY }));
+      } else if (typeof value !== 'number' || !Number.isFinite(rate) || rate <= 0) {
+        errors.push(req.t('currency.invalidRate', { currency: code }));
+      } else {
+        rows.push({
+          currency,
+          rate_to_eur: rate,
+          updated_at: new Date().toISOString(),
+          updated_by: req.user.userId
+        });
+      }
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: req.t('errors.invalidData'), details: errors });
+    }
+
+    const { data: previous, error: previousError } = await supabase
+      .from('currency_rates')
+      .select('currency, rate_to_eur')
+      .in('currency', rows.map(row => row.currency));
+
+    if (previousError) throw previousError;
+
+    const { data: saved, error } = await supabase
+      .from('currency_rates')
+      .upsert(rows, { onConflict: 'currency' })
+      .select();
+
+    if (error) throw error;
+
+    invalidateCatalogCaches('currency_rates');
+
+    const before = new Map(previous.map(row => [row.currency, Number(row.rate_to_eur)]));
+    await recordCatalogChange({
+      table: 'currency_rates',
+      recordId: rows.map(row => row.currency).join(','),
+      action: 'update',
+      userId: req.user.userId,
+      changes: Object.fromEntries(rows.map(row => [
+        row.currency,
+        { from: before.get(row.currency) ?? null, to: row.rate_to_eur }
+      ]))
+    });
+
+    res.json({ success: true, data: saved });
+  } catch (error) {
+    console.error('❌ [ADMIN] Erreur mise à jour taux de change:', error);
+    res.status(500).json({ success: false, error: req.t('admin.updateFailed') });
+  }
+});
+
+/**
+ * DELETE /api/admin/currency-rates/:currency
+ * Les montants dans cette devise s'affichent ensuite sans conversion
+ */
+router.delete('/currency-rates/:currency', requireRole('admin'), async (req, res) => {
+  try {
+    const currency = normalizeCurrency(req.params.currency);
+
+    if (!currency || currency === BASE_CURRENCY) {
+      return res.status(400).json({ success: false, error: req.t('currency.invalid', { name: req.params.currency }) });
+    }
+
+    const { data: deleted, error } = await supabase
+      .from('currency_rates')
+      .delete()
+      .eq('currency', currency)
+      .select();
+
+    if (error) throw error;
+
+    if (deleted.length === 0) {
+      return res.status(404).json({ success: false, error: req.t('currency.rateNotFound') });
+    }
+
+    invalidateCatalogCaches('currency_rates');
+
+    await recordCatalogChange({
+      table: 'currency_rates',
+      recordId: currency,
+      action: 'delete',
+      userId: req.user.userId,
+      changes: { [currency]: { from: Number(deleted[0].rate_to_eur), to: null } }
+    });
+
+    res.json({ success: true, data: deleted[0] });
+  } catch (error) {
+    console.error('❌ [ADMIN] Erreur suppression taux de change:', error);
+    res.status(500).json({ success: false, error: req.t('admin.deleteFailed') });
+  }
+});
+
+module.exports = router;
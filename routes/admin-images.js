@@ -0,0 +1,420 @@
+/**
+ * @fileoverview Routes d'administration des galeries d'images des activités
+ * @module routes/admin-images
+ *
+ * Montées par routes/admin-catalog (mêmes contrôles d'accès editor/admin).
+ * Les fichiers sont envoyés sur Cloudinary ; activity_images ne stocke que le
+ * public_id et les métadonnées (légende, texte alternatif, ordre, hero).
+ */
+
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+
+const { supabaseService: supabase } = require('../config/supabase-service');
+const { recordCatalogChange } = require('../utils/catalog-audit');
+const {
+  CATALOG_FOLDER,
+  uploadImageBuffer,
+  destroyImage,
+  buildResponsiveImage,
+  buildGallery
+} = require('../utils/cloudinary-images');
+
+const MAX_FILES_PER_UPLOAD = 10;
+const MAX_CAPTION_LENGTH = 300;
+
+// Configuration Multer pour upload fichiers (mémoire)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB max
+    files: MAX_FILES_PER_UPLOAD
+  },
+  fileFilter: (req, file, cb) => {
+    // Accepter seulement les images
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Seuls les fichiers image sont autorisés'), false);
+    }
+  }
+});
+
+/**
+ * Valide légende et texte alternatif
+ *
+ * @param {Object} body
+ * @param {Function} t - Fonction de traduction des messages (req.t)
+ * @returns {{ values: Object, errors: string[] }}
+ */
+function validateImageMetadata(body, t) {
+  const values = {};
+  const errors = [];
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { values, errors: [t('images.invalidMetadataEntry')] };
+  }
+
+  ['caption', 'alt_text'].forEach(field => {
+    const raw = body[field];
+    if (raw === undefined) return;
+    if (raw === null) {
+      values[field] = null;
+      return;
+    }
+    if (typeof raw !== 'string') {
+      errors.push(t('validation.string', { name: field }));
+      return;
+    }
+    const value = raw.trim();
+    if (value.length > MAX_CAPTION_LENGTH) {
+      errors.push(t('validation.maxLength', { name: field, max: MAX_CAPTION_LENGTH }));
+      return;
+    }
+    values[field] = value || null;
+  });
+
+  return { values, errors };
+}
+
+/**
+ * Images d'une activité, dans l'ordre de la galerie
+ */
+async function findActivityImages(activityId) {
+  const { data, error } = await supabase
+    .from('activity_images')
+    .select('*')
+    .eq('activity_id', activityId)
+    .order('position', { ascending: true })
+    .order('id', { ascending: true });
+
+  if (error) throw error;
+  return data;
+}
+
+async function findActivity(activityId) {
+  const { data, error } = await supabase
+    .from('activities')
+    .select('id, title')
+    .eq('id', activityId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+async function findImage(imageId) {
+  const { data, error } = await supabase
+    .from('activity_images')
+    .select('*')
+    .eq('id', imageId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * GET /api/admin/activities/:id/images
+ * Galerie complète (hero en premier) avec URLs responsives
+ */
+router.get('/activities/:id/images', async (req, res) => {
+  try {
+    const activity = await findActivity(req.params.id);
+
+    if (!activity) {
+      return res.status(404).json({ success: false, error: req.t('activities.notFound') });
+    }
+
+    const images = await findActivityImages(activity.id);
+
+    res.json({ success: true, data: buildGallery(images), meta: { count: images.length } });
+  } catch (error) {
+    console.error('❌ [ADMIN] Erreur galerie:', error);
+    res.status(500).json({ success: false, error: req.t('images.fetchFailed') });
+  }
+});
+
+/**
+ * POST /api/admin/activities/:id/images
+ * Upload multipart : champ `images` (10 fichiers max, 10MB chacun) et champ
+ * optionnel `metadata`, tableau JSON [{ caption, alt_text }] dans l'ordre des fichiers.
+ * La première image devient hero si l'activité n'en a pas encore.
+ */
+router.post('/activities/:id/images', upload.array('images', MAX_FILES_PER_UPLOAD), async (req, res) => {
+  try {
+    const activity = await findActivity(req.params.id);
+
+    if (!activity) {
+      return res.status(404).json({ success: false, error: req.t('activities.notFound') });
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ success: false, error: req.t('images.noFiles', { field: 'images' }) });
+    }
+
+    let metadata = [];
+    if (req.body.metadata) {
+      try {
+        metadata = JSON.parse(req.body.metadata);
+      } catch (parseError) {
+        metadata = null;
+      }
+      if (!Array.isArray(metadata)) {
+        return res.status(400).json({ success: false, error: req.t('images.invalidMetadata') });
+      }
+    }
+
+    const details = [];
+    const metadataValues = req.files.map((file, index) => {
+      const { values, errors } = validateImageMetadata(metadata[index] || {}, req.t);
+      errors.forEach(error => details.push(`Image ${index + 1}: ${error}`));
+      return values;
+    });
+
+    if (details.length > 0) {
+      return res.status(400).json({ success: false, error: req.t('errors.invalidData'), details });
+    }
+
+    const existing = await findActivityImages(activity.id);
+    const hasHero = existing.some(image => image.image_type === 'hero');
+    const nextPosition = existing.reduce((max, image) => Math.max(max, (image.position ?? 0) + 1), 0);
+
+    // Uploads séquentiels : un échec Cloudinary n'enregistre aucune ligne
+    const uploaded = [];
+    try {
+      for (const file of req.files) {
+        uploaded.push(await uploadImageBuffer(file.buffer, { folder: `${CATALOG_FOLDER}/${activity.id}` }));
+      }
+    } catch (uploadError) {
+      await Promise.all(uploaded.map(result => destroyImage(result.public_id)));
+      console.error('❌ [ADMIN] Erreur upload Cloudinary:', uploadError);
+      return res.status(502).json({ success: false, error: req.t('images.uploadFailed') });
+    }
+
+    const rows = uploaded.map((result, index) => ({
+      activity_id: activity.id,
+      cloudinary_public_id: result.public_id,
+      image_type: !hasHero && index === 0 ? 'hero' : 'gallery',
+      position: nextPosition + index,
+      width: result.width,
+      height: result.height,
+      uploaded_by: req.user.userId,
+      caption: null,
+      alt_text: null,
+      ...metadataValues[index]
+    }));
+
+    const { data: created, error } = await supabase
+      .from('activity_images')
+      .insert(rows)
+      .select();
+
+    if (error) {
+      await Promise.all(uploaded.map(result => destroyImage(result.public_id)));
+      throw error;
+    }
+
+    await recordCatalogChange({
+      table: 'activities',
+      recordId: activity.id,
+      action: 'images.upload',
+      userId: req.user.userId,
+      changes: { images: created.map(image => ({ id: image.id, cloudinary_public_id: image.cloudinary_public_id })) }
+    });
+
+    res.status(201).json({ success: true, data: created.map(buildResponsiveImage) });
+  } catch (error) {
+    console.error('❌ [ADMIN] Erreur ajout images:', error);
+    res.status(500).json({ success: false, error: req.t('images.addFailed') });
+  }
+});
+
+/**
+ * PUT /api/admin/activities/:id/images/order
+ * Corps : { ids: [...] } contenant toutes les images de l'activité dans le nouvel ordre
+ */
+router.put('/activities/:id/images/order', async (req, res) => {
+  try {
+    const ids = req.body?.ids;
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ success: false, error: req.t('images.idsRequired') });
+    }
+
+    const activity = await findActivity(req.params.id);
+
+    if (!activity) {
+      return res.status(404).json({ success: false, error: req.t('activities.notFound') });
+    }
+
+    const { error } = await supabase.rpc('reorder_activity_images', {
+      target_activity: activity.id,
+      image_ids: ids
+    });
+
+    if (error && ['22023', '22P02'].includes(error.code)) {
+      return res.status(400).json({
+        success: false,
+        error: req.t('images.idsIncomplete')
+      });
+    }
+    if (error) throw error;
+
+    await recordCatalogChange({
+      table: 'activities',
+      recordId: activity.id,
+      action: 'images.reorder',
+      userId: req.user.userId,
+      changes: { order: ids }
+    });
+
+    const images = await findActivityImages(activity.id);
+
+    res.json({ success: true, data: buildGallery(images) });
+  } catch (error) {
+    console.error('❌ [ADMIN] Erreur ordre galerie:', error);
+    res.status(500).json({ success: false, error: req.t('images.reorderFailed') });
+  }
+});
+
+/**
+ * PATCH /api/admin/images/:imageId
+ * Légende et texte alternatif
+ */
+router.patch('/images/:imageId', async (req, res) => {
+  try {
+    const current = await findImage(req.params.imageId);
+
+    if (!current) {
+      return res.status(404).json({ success: false, error: req.t('images.notFound') });
+    }
+
+    const { values, errors } = validateImageMetadata(req.body, req.t);
+
+    if (errors.length === 0 && Object.keys(values).length === 0) {
+      errors.push(req.t('validation.nothingToUpdateFields', { fields: 'caption, alt_text' }));
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: req.t('errors.invalidData'), details: errors });
+    }
+
+    const { data: updated, error } = await supabase
+      .from('activity_images')
+      .update(values)
+      .eq('id', current.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await recordCatalogChange({
+      table: 'activities',
+      recordId: current.activity_id,
+      action: 'images.update',
+      userId: req.user.userId,
+      changes: {
+        image_id: current.id,
+        ...Object.fromEntries(Object.keys(values).map(field => [
+          field,
+          { from: current[field] ?? null, to: updated[field] ?? null }
+        ]))
+      }
+    });
+
+    res.json({ success: true, data: buildResponsiveImage(updated) });
+  } catch (error) {
+    console.error('❌ [ADMIN] Erreur mise à jour image:', error);
+    res.status(500).json({ success: false, error: req.t('images.updateFailed') });
+  }
+});
+
+/**
+ * POST /api/admin/images/:imageId/hero
+ * Promeut l'image en hero (l'ancienne hero rejoint la galerie)
+ */
+router.post('/images/:imageId/hero', async (req, res) => {
+  try {
+    const current = await findImage(req.params.imageId);
+
+    if (!current) {
+      return res.status(404).json({ success: false, error: req.t('images.notFound') });
+    }
+
+    if (current.image_type !== 'hero') {
+      const { error } = await supabase.rpc('set_activity_hero_image', {
+        target_activity: current.activity_id,
+        target_image: current.id
+      });
+
+      if (error) throw error;
+
+      await recordCatalogChange({
+        table: 'activities',
+        recordId: current.activity_id,
+        action: 'images.hero',
+        userId: req.user.userId,
+        changes: { image_id: current.id }
+      });
+    }
+
+    const images = await findActivityImages(current.activity_id);
+
+    res.json({ success: true, data: buildGallery(images) });
+  } catch (error) {
+    console.error('❌ [ADMIN] Erreur image hero:', error);
+    res.status(500).json({ success: false, error: req.t('images.heroFailed') });
+  }
+});
+
+/**
+ * DELETE /api/admin/images/:imageId
+ * Supprime l'image (base et Cloudinary). Si c'était la hero, la première image
+ * restante de la galerie la remplace.
+ */
+router.delete('/images/:imageId', async (req, res) => {
+  try {
+    const current = await findImage(req.params.imageId);
+
+    if (!current) {
+      return res.status(404).json({ success: false, error: req.t('images.notFound') });
+    }
+
+    const { error } = await supabase
+      .from('activity_images')
+      .delete()
+      .eq('id', current.id);
+
+    if (error) throw error;
+
+    await destroyImage(current.cloudinary_public_id);
+
+    let remaining = await findActivityImages(current.activity_id);
+
+    if (current.image_type === 'hero' && remaining.length > 0) {
+      const { error: heroError } = await supabase.rpc('set_activity_hero_image', {
+        target_activity: current.activity_id,
+        target_image: remaining[0].id
+      });
+
+      if (heroError) throw heroError;
+      remaining = await findActivityImages(current.activity_id);
+    }
+
+    await recordCatalogChange({
+      table: 'activities',
+      recordId: current.activity_id,
+      action: 'images.delete',
+      userId: req.user.userId,
+      changes: { image_id: current.id, cloudinary_public_id: current.cloudinary_public_id }
+    });
+
+    res.json({ success: true, data: buildGallery(remaining) });
+  } catch (error) {
+    console.error('❌ [ADMIN] Erreur suppression image:', error);
+    res.status(500).json({ success: false, error: req.t('images.deleteFailed') });
+  }
+});
+
+module.exports = router;
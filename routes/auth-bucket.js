@@ -2,10 +2,49 @@
 // Endpoints pour auth, bucket list et partage social avec Cloudinary
 
 const express = require('express');
+const multer = require('multer');
+const { once } = require('events');
 const { createClient } = require('@supabase/supabase-js');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { generateShareLinkData } = require('../utils/shareTokenGenerator');
+const { parsePagination, applyCursor, buildPage } = require('../utils/pagination');
+const { buildUserProfile, recommendActivities } = require('../utils/recommendations');
+const { localizeActivities } = require('../utils/catalog-translations');
+const { CUSTOM_ACTIVITY_SELECT, CUSTOM_ACTIVITY_SCHEMA, withResolvedActivity } = require('../utils/custom-activities');
+const { findCollectionItemIds } = require('../utils/collections');
+const { validateAuthenticatedRequest } = require('../middleware/validate-request');
+const { EXPORT_FORMATS, flattenItem, createExporter } = require('../utils/bucket-list-export');
+const {
+  IMPORT_FORMATS,
+  MAX_IMPORT_ROWS,
+  detectFormat,
+  parseImportFile,
+  readImportRow,
+  importedItemRow,
+  getActivityMatchIndex
+} = require('../utils/bucket-list-import');
+const { normalizeText, findBestMatch } = require('../utils/activity-matching');
+const { validatePayload } = require('../utils/catalog-validation');
+const {
+  MAX_BULK_ITEMS,
+  BUCKET_LIST_STATUSES,
+  BUCKET_LIST_PRIORITIES,
+  BUCKET_ITEM_SCHEMA,
+  BUCKET_LIST_SORTS,
+  applyStatusRules,
+  completionFieldsWithoutCompletion,
+  findExistingSources,
+  newBucketItemRow,
+  isUuid
+} = require('../utils/bucket-list-items');
+const {
+  normalizeCurrency,
+  getRates,
+  convertAmount,
+  createMoneyFormatter,
+  resolveDisplayPreferences
+} = require('../utils/currency');
 
 // ✨ NOUVEAU : Import du helper Cloudinary
 const { 
@@ -33,22 +72,23 @@ const authenticateToken = async (req, res, next) => {
     const token = authHeader && authHeader.split(' ')[1];
 
     if (!token) {
-      return res.status(401).json({ error: 'Token d\'accès requis' });
+      return res.status(401).json({ error: req.t('auth.tokenRequired') });
     }
 
     // Utiliser Supabase pour vérifier le token
     const { data: user, error } = await supabase.auth.getUser(token);
     
     if (error || !user) {
-      return res.status(403).json({ error: 'Token invalide' });
+      return res.status(403).json({ error: req.t('auth.tokenInvalid') });
     }
 
     req.user = user.user;
     req.userId = user.user.id;
-    next();
+    // Paramètres et corps validés une fois l'utilisateur authentifié
+    validateAuthenticatedRequest(req, res, next);
   } catch (error) {
     console.error('Erreur authentification:', error);
-    res.status(403).json({ error: 'Token invalide' });
+    res.status(403).json({ error: req.t('auth.tokenInvalid') });
   }
 };
 
@@ -63,13 +103,13 @@ router.post('/auth/register', async (req, res) => {
 
     if (!email || !password || !firstName || !lastName) {
       return res.status(400).json({ 
-        error: 'Email, mot de passe, prénom et nom sont requis' 
+        error: req.t('auth.registerFieldsRequired') 
       });
     }
 
     if (password.length < 6) {
       return res.status(400).json({ 
-        error: 'Le mot de passe doit contenir au moins 6 caractères' 
+        error: req.t('auth.passwordTooShort') 
       });
     }
 
@@ -88,7 +128,7 @@ router.post('/auth/register', async (req, res) => {
 
     if (authError) {
       return res.status(400).json({ 
-        error: 'Erreur lors de l\'inscription', 
+        error: req.t('auth.registerFailed'), 
         details: authError.message 
       });
     }
@@ -110,7 +150,7 @@ router.post('/auth/register', async (req, res) => {
       .single();
 
     res.status(201).json({
-      message: 'Inscription réussie',
+      message: req.t('auth.registerSuccess'),
       user: {
         id: authData.user.id,
         email: authData.user.email,
@@ -123,7 +163,7 @@ router.post('/auth/register', async (req, res) => {
 
   } catch (error) {
     console.error('Erreur inscription:', error);
-    res.status(500).json({ error: 'Erreur serveur lors de l\'inscription' });
+    res.status(500).json({ error: req.t('auth.registerServerError') });
   }
 });
 
@@ -134,7 +174,7 @@ router.post('/auth/login', async (req, res) => {
 
     if (!email || !password) {
       return res.status(400).json({ 
-        error: 'Email et mot de passe requis' 
+        error: req.t('auth.loginFieldsRequired') 
       });
     }
 
@@ -146,7 +186,7 @@ router.post('/auth/login', async (req, res) => {
 
     if (authError) {
       return res.status(401).json({ 
-        error: 'Email ou mot de passe incorrect',
+        error: req.t('auth.invalidCredentials'),
         details: authError.message 
       });
     }
@@ -159,7 +199,7 @@ router.post('/auth/login', async (req, res) => {
       .single();
 
     res.json({
-      message: 'Connexion réussie',
+      message: req.t('auth.loginSuccess'),
       user: {
         id: authData.user.id,
         email: authData.user.email,
@@ -171,7 +211,7 @@ router.post('/auth/login', async (req, res) => {
 
   } catch (error) {
     console.error('Erreur connexion:', error);
-    res.status(500).json({ error: 'Erreur serveur lors de la connexion' });
+    res.status(500).json({ error: req.t('auth.loginServerError') });
   }
 });
 
@@ -191,7 +231,7 @@ router.get('/auth/me', authenticateToken, async (req, res) => {
 
   } catch (error) {
     console.error('Erreur récupération profil:', error);
-    res.status(500).json({ error: 'Erreur lors de la récupération du profil' });
+    res.status(500).json({ error: req.t('profile.fetchFailed') });
   }
 });
 
@@ -199,10 +239,172 @@ router.get('/auth/me', authenticateToken, async (req, res) => {
 // ENDPOINTS BUCKET LIST
 // ==========================================
 
-// GET /api/user/bucket-list - SANS slug
+/**
+ * Formateur de montants de l'utilisateur connecté (devise et locale préférées)
+ */
+async function loadMoneyFormatter(req) {
+  const [{ data: profile }, rates] = await Promise.all([
+    supabase
+      .from('user_profiles')
+      .select('preferred_currency, locale')
+      .eq('id', req.userId)
+      .maybeSingle(),
+    getRates()
+  ]);
+
+  return createMoneyFormatter({ ...resolveDisplayPreferences(req, profile), rates, t: req.t });
+}
+
+// Élément renvoyé après une écriture (ajout, statut, modification)
+const BUCKET_ITEM_SELECT = `
+  *,
+  activity:activities (
+    id,
+    slug,
+    title,
+    description,
+    location,
+    image_path,
+    difficulty_level,
+    rating,
+    category:categories(name)
+  ),
+  custom_activity:custom_activities (${CUSTOM_ACTIVITY_SELECT})
+`;
+
+// GET /api/user/bucket-list/export?format=csv|json|ics
+// Fichier envoyé au fil de la lecture, par pages (filtres ?status= et ?collection= acceptés)
+const EXPORT_PAGE_SIZE = 500;
+
+router.get('/user/bucket-list/export', authenticateToken, async (req, res) => {
+  const format = req.query.format ? String(req.query.format) : 'csv';
+  const { status, collection } = req.query;
+
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({
+      error: req.t('validation.invalidChoice', { name: 'format', values: Object.keys(EXPORT_FORMATS).join(', ') })
+    });
+  }
+
+  let headersSent = false;
+
+  try {
+    let itemIds = null;
+    if (collection) {
+      itemIds = await findCollectionItemIds(String(collection), req.userId);
+
+      if (!itemIds) {
+        return res.status(404).json({ error: req.t('collections.notFound') });
+      }
+    }
+
+    const loadPage = async from => {
+      let query = supabase
+        .from('user_bucket_lists')
+        .select(`
+          *,
+          activity:activities (
+            id,
+            title,
+            location,
+            estimated_budget_min,
+            estimated_budget_max,
+            budget_currency,
+            category_id,
+            category:categories(name)
+          ),
+          custom_activity:custom_activities (${CUSTOM_ACTIVITY_SELECT})
+        `)
+        .eq('user_id', req.userId)
+        .order('created_at', { ascending: true })
+        .order('id', { ascending: true })
+        .range(from, from + EXPORT_PAGE_SIZE - 1);
+
+      if (status) query = query.eq('status', status);
+      if (itemIds) query = query.in('id', itemIds);
+
+      const { data, error } = await query;
+      if (error) throw error;
+
+      // Titres du catalogue dans la langue de l'utilisateur
+      const items = data.map(withResolvedActivity);
+      const localized = await localizeActivities(
+        supabase,
+        items.filter(item => item.activity && !item.activity.is_custom).map(item => item.activity),
+        req.lang
+      );
+      const byId = new Map(localized.map(activity => [activity.id, activity]));
+
+      return {
+        rows: items.map(item => flattenItem(
+          item.activity && !item.activity.is_custom ? { ...item, activity: byId.get(item.activity.id) } : item
+        )),
+        hasMore: data.length === EXPORT_PAGE_SIZE
+      };
+    };
+
+    // Première page lue avant d'envoyer les en-têtes : une erreur donne encore une réponse JSON
+    let page = await loadPage(0);
+    const exporter = createExporter(format, { t: req.t });
+    const { contentType, extension } = EXPORT_FORMATS[format];
+
+    res.attachment(`ma-bucket-liste-${new Date().toISOString().slice(0, 10)}.${extension}`);
+    res.set({ 'Content-Type': contentType, 'Cache-Control': 'no-store' });
+    headersSent = true;
+
+    // Client parti : 'drain' n'arrivera plus, on arrête de lire les pages
+    let disconnected = false;
+    const closed = new Promise(resolve => res.once('close', () => {
+      disconnected = true;
+      resolve();
+    }));
+
+    const write = async chunk => {
+      if (chunk && !res.write(chunk)) await Promise.race([once(res, 'drain'), closed]);
+    };
+
+    await write(exporter.begin(page.rows[0]));
+
+    for (let from = 0; ; from += EXPORT_PAGE_SIZE) {
+      for (const row of page.rows) {
+        if (disconnected) return;
+        await write(exporter.row(row));
+      }
+      if (!page.hasMore || disconnected) break;
+      page = await loadPage(from + EXPORT_PAGE_SIZE);
+    }
+
+    if (disconnected) return;
+
+    res.end(exporter.end());
+
+  } catch (error) {
+    console.error('Erreur export bucket list:', error);
+
+    // Fichier déjà commencé : on coupe la connexion plutôt que d'envoyer un fichier tronqué valide
+    if (headersSent) return res.destroy(error);
+    res.status(500).json({ error: req.t('export.failed') });
+  }
+});
+
+// GET /api/user/bucket-list
 router.get('/user/bucket-list', authenticateToken, async (req, res) => {
   try {
-    const { status } = req.query;
+    const { status, collection } = req.query;
+    const { pagination, errors } = parsePagination(req.query, {
+      sorts: BUCKET_LIST_SORTS,
+      defaultSort: 'newest',
+      defaultLimit: 50,
+      t: req.t
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: req.t('errors.invalidParameters'),
+        details: errors
+      });
+    }
 
     // 1️⃣ Récupérer la bucket list (SANS les images d'abord)
     let query = supabase
@@ -211,6 +413,7 @@ router.get('/user/bucket-list', authenticateToken, async (req, res) => {
         *,
         activity:activities (
           id,
+          slug,
           title,
           subtitle,
           description,
@@ -223,6 +426,7 @@ router.get('/user/bucket-list', authenticateToken, async (req, res) => {
           popularity_score,
           estimated_budget_min,
           estimated_budget_max,
+          budget_currency,
           duration_days,
           difficulty_level,
           best_season,
@@ -235,35 +439,78 @@ router.get('/user/bucket-list', authenticateToken, async (req, res) => {
             icon,
             color
           )
-        )
+        ),
+        custom_activity:custom_activities (${CUSTOM_ACTIVITY_SELECT}),
+        collections:bucket_list_collection_items (collection_id)
       `)
       .eq('user_id', req.userId);
 
+    let countQuery = supabase
+      .from('user_bucket_lists')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', req.userId);
+
     if (status) {
       query = query.eq('status', status);
+      countQuery = countQuery.eq('status', status);
     }
 
-    const { data: bucketListRaw, error } = await query.order('created_at', { ascending: false });
+    if (collection) {
+      const itemIds = await findCollectionItemIds(String(collection), req.userId);
+
+      if (!itemIds) {
+        return res.status(404).json({ success: false, error: req.t('collections.notFound') });
+      }
+
+      query = query.in('id', itemIds);
+      countQuery = countQuery.in('id', itemIds);
+    }
+
+    const [
+      { data: bucketListRows, error },
+      { count: total }
+    ] = await Promise.all([applyCursor(query, pagination), countQuery]);
 
     if (error) {
       console.error('Erreur récupération bucket list:', error);
       return res.status(500).json({ 
         success: false,
-        error: 'Erreur lors de la récupération de la bucket list',
+        error: req.t('bucketList.fetchFailed'),
         details: error.message
       });
     }
 
+    const { rows: bucketListPage, meta } = buildPage(bucketListRows, pagination);
+    const formatter = await loadMoneyFormatter(req);
+
+    // Contenu des activités du catalogue dans la langue de la réponse
+    // (les activités personnelles restent telles que l'utilisateur les a saisies)
+    const localizedActivities = await localizeActivities(
+      supabase,
+      bucketListPage.map(item => item.activity).filter(Boolean),
+      req.lang
+    );
+    const localizedById = new Map(localizedActivities.map(activity => [activity.id, activity]));
+    const bucketListRaw = bucketListPage
+      .map(item => ({
+        ...item,
+        activity: item.activity && localizedById.get(item.activity.id)
+      }))
+      .map(withResolvedActivity)
+      .filter(item => item.activity);
+
     // 2️⃣ ✅ CORRECTION : Récupérer les images Cloudinary en une seule requête
     let imagesMap = {};
     
-    if (bucketListRaw && bucketListRaw.length > 0) {
-      const activityIds = bucketListRaw.map(item => item.activity.id);
-      
+    const catalogActivityIds = bucketListRaw
+      .filter(item => !item.activity.is_custom)
+      .map(item => item.activity.id);
+
+    if (catalogActivityIds.length > 0) {
       const { data: images, error: imagesError } = await supabase
         .from('activity_images')
         .select('activity_id, cloudinary_public_id, image_type')
-        .in('activity_id', activityIds)
+        .in('activity_id', catalogActivityIds)
         .eq('image_type', 'hero');
 
       if (imagesError) {
@@ -282,19 +529,14 @@ router.get('/user/bucket-list', authenticateToken, async (req, res) => {
 
     // 3️⃣ Formater les données avec cloudinary_public_id
     const bucketList = bucketListRaw?.map(item => {
-      let estimatedBudget = 'Prix sur demande';
-      if (item.activity.estimated_budget_min && item.activity.estimated_budget_max) {
-        estimatedBudget = `${item.activity.estimated_budget_min}-${item.activity.estimated_budget_max}€`;
-      } else if (item.activity.estimated_budget_min) {
-        estimatedBudget = `À partir de ${item.activity.estimated_budget_min}€`;
-      } else if (item.activity.estimated_budget_max) {
-        estimatedBudget = `Jusqu'à ${item.activity.estimated_budget_max}€`;
-      }
+      const budgetCurrency = item.activity.budget_currency || 'EUR';
 
       return {
         id: item.id,
         user_id: item.user_id,
         activity_id: item.activity_id,
+        custom_activity_id: item.custom_activity_id,
+        is_custom: Boolean(item.activity.is_custom),
         status: item.status,
         date_added: item.date_added,
         planned_date: item.planned_date,
@@ -305,14 +547,21 @@ router.get('/user/bucket-list', authenticateToken, async (req, res) => {
         is_shared: item.is_shared,
         share_token: item.share_token,
         personal_budget: item.personal_budget,
+        personal_budget_currency: item.personal_budget_currency,
+        personal_budget_display: formatter.money(item.personal_budget, item.personal_budget_currency),
         actual_cost: item.actual_cost,
+        actual_cost_currency: item.actual_cost_currency,
+        actual_cost_display: formatter.money(item.actual_cost, item.actual_cost_currency),
         created_at: item.created_at,
         updated_at: item.updated_at,
         notes: item.notes,
         target_date: item.target_date,
         priority: item.priority,
+        position: item.position,
+        collection_ids: (item.collections || []).map(entry => entry.collection_id),
         activity: {
           id: item.activity.id,
+          slug: item.activity.slug,
           title: item.activity.title,
           subtitle: item.activity.subtitle,
           description: item.activity.description,
@@ -323,16 +572,28 @@ router.get('/user/bucket-list', authenticateToken, async (req, res) => {
           rating: item.activity.rating,
           rating_count: item.activity.rating_count,
           popularity_score: item.activity.popularity_score,
-          estimated_budget: estimatedBudget,
+          estimated_budget: formatter.range(
+            item.activity.estimated_budget_min,
+            item.activity.estimated_budget_max,
+            budgetCurrency
+          ),
           estimated_budget_min: item.activity.estimated_budget_min,
           estimated_budget_max: item.activity.estimated_budget_max,
+          budget_currency: budgetCurrency,
+          estimated_budget_display: {
+            min: formatter.money(item.activity.estimated_budget_min, budgetCurrency),
+            max: formatter.money(item.activity.estimated_budget_max, budgetCurrency)
+          },
           duration_days: item.activity.duration_days,
           difficulty_level: item.activity.difficulty_level,
           best_season: item.activity.best_season,
           is_active: item.activity.is_active,
           is_featured: item.activity.is_featured,
-          // ✅ AJOUT CRUCIAL : cloudinary_public_id depuis le map
-          cloudinary_public_id: imagesMap[item.activity.id] || null,
+          is_custom: Boolean(item.activity.is_custom),
+          // ✅ AJOUT CRUCIAL : cloudinary_public_id depuis le map (ou l'image de l'activité personnelle)
+          cloudinary_public_id: item.activity.is_custom
+            ? item.activity.cloudinary_public_id || null
+            : imagesMap[item.activity.id] || null,
           category: {
             id: item.activity.category?.id,
             name: item.activity.category?.name,
@@ -351,165 +612,903 @@ router.get('/user/bucket-list', authenticateToken, async (req, res) => {
     res.json({ 
       success: true,
       bucketList: bucketList,
-      total: bucketList.length
+      total: total ?? bucketList.length,
+      meta: {
+        ...meta,
+        currency: formatter.currency,
+        locale: formatter.locale,
+        ...(collection && { collection })
+      }
     });
 
   } catch (error) {
     console.error('Erreur serveur bucket list:', error);
     res.status(500).json({ 
       success: false,
-      error: 'Erreur serveur lors de la récupération de la bucket list' 
+      error: req.t('bucketList.fetchServerError') 
     });
   }
 });
 
-// POST /api/user/bucket-list/add - SANS slug
+// POST /api/user/bucket-list/add
+// Source : activityId (catalogue), customActivityId (activité personnelle existante)
+// ou customActivity (nouvelle activité personnelle créée à la volée)
 router.post('/user/bucket-list/add', authenticateToken, async (req, res) => {
   try {
-    const { activityId, notes, priority, target_date } = req.body;
+    const {
+      activityId,
+      customActivityId,
+      customActivity,
+      notes,
+      priority,
+      target_date,
+      personal_budget,
+      personal_budget_currency
+    } = req.body;
+
+    const sources = [activityId, customActivityId, customActivity]
+      .filter(value => value !== undefined && value !== null && value !== '');
+
+    if (sources.length !== 1) {
+      return res.status(400).json({ error: req.t('bucketList.activityIdRequired') });
+    }
 
-    if (!activityId) {
-      return res.status(400).json({ error: 'ID de l\'activité requis' });
+    const budget = personal_budget === undefined || personal_budget === null || personal_budget === ''
+      ? null
+      : Number(personal_budget);
+    if (budget !== null && (!Number.isFinite(budget) || budget < 0)) {
+      return res.status(400).json({ error: req.t('validation.positiveNumber', { name: 'personal_budget' }) });
     }
 
-    const { data: activity, error: activityError } = await supabase
-      .from('activities')
-      .select('id, title')
-      .eq('id', activityId)
-      .single();
+    // Sans devise explicite, le budget est exprimé dans la devise préférée de l'utilisateur
+    let budgetCurrency = normalizeCurrency(personal_budget_currency);
+    if (personal_budget_currency === undefined) {
+      const { data: profile } = await supabase
+        .from('user_profiles')
+        .select('preferred_currency')
+        .eq('id', req.userId)
+        .maybeSingle();
+      budgetCurrency = normalizeCurrency(profile?.preferred_currency) || 'EUR';
+    }
+    if (!budgetCurrency) {
+      return res.status(400).json({ error: req.t('currency.invalid', { name: 'personal_budget_currency' }) });
+    }
+
+    let source;
+
+    if (activityId) {
+      const { data: activity, error: activityError } = await supabase
+        .from('activities')
+        .select('id, slug, title')
+        .eq('id', activityId)
+        .not('is_active', 'is', false)
+        .single();
+
+      if (activityError || !activity) {
+        return res.status(404).json({ error: req.t('activities.notFound') });
+      }
+
+      source = { activity_id: activity.id };
+    } else if (customActivityId) {
+      // Uniquement les activités personnelles de l'utilisateur connecté
+      const { data: custom, error: customError } = await supabase
+        .from('custom_activities')
+        .select('id')
+        .eq('id', customActivityId)
+        .eq('user_id', req.userId)
+        .maybeSingle();
+
+      if (customError || !custom) {
+        return res.status(404).json({ error: req.t('customActivities.notFound') });
+      }
+
+      source = { custom_activity_id: custom.id };
+    } else {
+      const { values, errors } = validatePayload(CUSTOM_ACTIVITY_SCHEMA, customActivity, { t: req.t });
 
-    if (activityError || !activity) {
-      return res.status(404).json({ error: 'Activité non trouvée' });
+      if (errors.length > 0) {
+        return res.status(400).json({ error: req.t('errors.invalidData'), details: errors });
+      }
+
+      const { data: custom, error: customError } = await supabase
+        .from('custom_activities')
+        .insert([{ ...values, user_id: req.userId }])
+        .select('id')
+        .single();
+
+      if (customError && customError.code === '23503') {
+        return res.status(400).json({ error: req.t('admin.invalidReference') });
+      }
+      if (customError) throw customError;
+
+      source = { custom_activity_id: custom.id, created: true };
     }
 
-    const { data: existing } = await supabase
-      .from('user_bucket_lists')
-      .select('id')
-      .eq('user_id', req.userId)
-      .eq('activity_id', activityId)
-      .single();
+    const [sourceColumn, sourceId] = source.activity_id
+      ? ['activity_id', source.activity_id]
+      : ['custom_activity_id', source.custom_activity_id];
+
+    const existing = await findExistingSources(req.userId, sourceColumn, [sourceId]);
 
-    if (existing) {
-      return res.status(409).json({ error: 'Cette activité est déjà dans votre bucket list' });
+    if (existing.has(String(sourceId))) {
+      return res.status(409).json({ error: req.t('bucketList.alreadyAdded') });
     }
 
     const { data: bucketItem, error } = await supabase
       .from('user_bucket_lists')
       .insert([
-        {
-          user_id: req.userId,
-          activity_id: activityId,
-          status: 'planned',
-          notes: notes || null,
-          priority: priority || 'medium',
-          target_date: target_date || null,
-          created_at: new Date().toISOString()
-        }
+        newBucketItemRow(req.userId, { [sourceColumn]: sourceId }, {
+          notes,
+          priority,
+          target_date,
+          personal_budget: budget,
+          personal_budget_currency: budgetCurrency
+        })
       ])
-      .select(`
-        *,
-        activity:activities (
-          id,
-          title,
-          description,
-          location,
-          image_path,
-          difficulty_level,
-          rating,
-          category:categories(name)
-        )
-      `)
+      .select(BUCKET_ITEM_SELECT)
       .single();
 
     if (error) {
+      // Ne pas laisser d'activité personnelle orpheline
+      if (source.created) {
+        await supabase.from('custom_activities').delete().eq('id', source.custom_activity_id);
+      }
       throw error;
     }
 
     res.status(201).json({
       success: true,
-      message: 'Activité ajoutée à votre bucket list',
-      bucketItem
+      message: req.t('bucketList.added'),
+      bucketItem: withResolvedActivity(bucketItem)
     });
 
   } catch (error) {
     console.error('Erreur ajout bucket list:', error);
-    res.status(500).json({ error: 'Erreur lors de l\'ajout à la bucket list' });
+    res.status(500).json({ error: req.t('bucketList.addFailed') });
   }
 });
 
-// PUT /api/user/bucket-list/:id/status - SANS slug
-router.put('/user/bucket-list/:id/status', authenticateToken, async (req, res) => {
+// POST /api/user/bucket-list/bulk
+// Une action sur plusieurs éléments, avec un résultat par élément (200/201, 400, 404, 409)
+// plutôt qu'un échec global :
+// - add : { activityIds } (+ priority, notes, target_date communs)
+// - status : { ids, status, status_note? } (mêmes règles que PUT /:id/status)
+// - priority : { ids, priority }
+// - delete : { ids }
+const BULK_ACTIONS = ['add', 'status', 'priority', 'delete'];
+
+router.post('/user/bucket-list/bulk', authenticateToken, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { status, notes, completed_date, rating } = req.body; // ✅ CORRECTION : completed_date (pas completion_date)
+    const { action, ids, activityIds, status, priority, status_note, notes, target_date } = req.body;
 
-    const validStatuses = ['planned', 'in_progress', 'completed'];
-    if (!status || !validStatuses.includes(status)) {
-      return res.status(400).json({ 
-        error: 'Statut invalide. Statuts acceptés: planned, in_progress, completed' 
+    if (!BULK_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        error: req.t('validation.invalidChoice', { name: 'action', values: BULK_ACTIONS.join(', ') })
       });
     }
 
-    const updateData = {
-      status,
-      updated_at: new Date().toISOString()
-    };
+    const listName = action === 'add' ? 'activityIds' : 'ids';
+    const list = action === 'add' ? activityIds : ids;
 
-    if (notes) updateData.notes = notes;
-    
-    if (status === 'completed') {
-      // ✅ CORRECTION : completed_date existe dans Supabase
-      updateData.completed_date = completed_date || new Date().toISOString().split('T')[0]; // Format YYYY-MM-DD
-      
-      // ✅ CORRECTION : rating (pas user_rating) existe dans Supabase
-      if (rating && rating >= 1 && rating <= 5) {
-        updateData.rating = rating;
+    if (!Array.isArray(list) || list.length === 0) {
+      return res.status(400).json({ error: req.t('validation.required', { name: listName }) });
+    }
+    if (list.length > MAX_BULK_ITEMS) {
+      return res.status(400).json({ error: req.t('validation.maxItems', { name: listName, max: MAX_BULK_ITEMS }) });
+    }
+    if (action === 'status' && !BUCKET_LIST_STATUSES.includes(status)) {
+      return res.status(400).json({ error: req.t('bucketList.invalidStatus') });
+    }
+    if (action === 'priority' && !BUCKET_LIST_PRIORITIES.includes(priority)) {
+      return res.status(400).json({
+        error: req.t('validation.invalidChoice', { name: 'priority', values: BUCKET_LIST_PRIORITIES.join(', ') })
+      });
+    }
+
+    // Doublons de la requête : un seul résultat par id. Un id mal formé ferait
+    // échouer toute requête (22P02) : il a son propre résultat et n'est pas envoyé à la base.
+    const requested = [...new Set(list.map(String))];
+    const wellFormed = requested.filter(isUuid);
+    const idKey = action === 'add' ? 'activityId' : 'id';
+
+    let processed = [];
+    if (wellFormed.length > 0) {
+      processed = action === 'add'
+        ? await bulkAdd(req.userId, wellFormed, { priority, notes, target_date })
+        : await bulkUpdate(req.userId, action, wellFormed, { status, priority, status_note });
+    }
+
+    const byId = new Map(processed.map(result => [result[idKey], result]));
+    const results = requested.map(id => byId.get(id)
+      || { [idKey]: id, success: false, status: 400, error: 'bucketList.invalidId' });
+
+    const succeeded = results.filter(result => result.success).length;
+
+    res.json({
+      success: true,
+      action,
+      message: req.t('bucketList.bulkDone', { succeeded, total: results.length }),
+      results: results.map(result => ({
+        ...result,
+        ...(result.error && { error: req.t(result.error) })
+      })),
+      meta: {
+        requested: results.length,
+        succeeded,
+        failed: results.length - succeeded
       }
-    } else if (status === 'planned') {
-      // Réinitialiser la date si on repasse en "à faire"
-      updateData.completed_date = null;
+    });
+
+  } catch (error) {
+    console.error('Erreur opération groupée bucket list:', error);
+    res.status(500).json({ error: req.t('bucketList.bulkFailed') });
+  }
+});
+
+/**
+ * Ajout groupé d'activités du catalogue : 404 si l'activité n'existe pas (ou est désactivée),
+ * 409 si elle est déjà dans la bucket list (ids déjà contrôlés par isUuid)
+ *
+ * @returns {Promise<Object[]>} Un résultat par activité, dans l'ordre demandé
+ */
+async function bulkAdd(userId, activityIds, fields) {
+  const [{ data: activities, error }, existing, { data: profile }] = await Promise.all([
+    supabase.from('activities').select('id').in('id', activityIds).not('is_active', 'is', false),
+    findExistingSources(userId, 'activity_id', activityIds),
+    supabase.from('user_profiles').select('preferred_currency').eq('id', userId).maybeSingle()
+  ]);
+
+  if (error) throw error;
+
+  const known = new Set(activities.map(activity => String(activity.id)));
+  const toInsert = activityIds.filter(id => known.has(id) && !existing.has(id));
+  const inserted = new Map();
+
+  if (toInsert.length > 0) {
+    const currency = normalizeCurrency(profile?.preferred_currency) || 'EUR';
+    const { data: rows, error: insertError } = await supabase
+      .from('user_bucket_lists')
+      .insert(toInsert.map(activityId => newBucketItemRow(userId, { activity_id: activityId }, {
+        ...fields,
+        personal_budget_currency: currency
+      })))
+      .select('id, activity_id');
+
+    if (insertError) throw insertError;
+    rows.forEach(row => inserted.set(String(row.activity_id), row.id));
+  }
+
+  return activityIds.map(activityId => {
+    if (!known.has(activityId)) {
+      return { activityId, success: false, status: 404, error: 'activities.notFound' };
     }
+    if (existing.has(activityId)) {
+      return { activityId, success: false, status: 409, error: 'bucketList.alreadyAdded' };
+    }
+    return { activityId, success: true, status: 201, id: inserted.get(activityId) };
+  });
+}
 
-    const { data: bucketItem, error } = await supabase
+/**
+ * Changement de statut, de priorité ou suppression d'éléments de l'utilisateur :
+ * 404 pour un élément introuvable ou d'un autre utilisateur (ids déjà contrôlés par isUuid)
+ *
+ * @returns {Promise<Object[]>} Un résultat par élément, dans l'ordre demandé
+ */
+async function bulkUpdate(userId, action, itemIds, { status, priority, status_note }) {
+  const { data: items, error } = await supabase
+    .from('user_bucket_lists')
+    .select('id, status, completed_date')
+    .eq('user_id', userId)
+    .in('id', itemIds);
+
+  if (error) throw error;
+
+  const found = new Map(items.map(item => [String(item.id), item]));
+  const foundIds = [...found.keys()];
+
+  if (foundIds.length > 0) {
+    if (action === 'delete') {
+      const { error: deleteError } = await supabase
+        .from('user_bucket_lists')
+        .delete()
+        .eq('user_id', userId)
+        .in('id', foundIds);
+
+      if (deleteError) throw deleteError;
+    } else {
+      // Les règles de statut dépendent de chaque élément (date de réalisation déjà connue ou non) :
+      // une requête par jeu de valeurs identique
+      const groups = new Map();
+
+      foundIds.forEach(id => {
+        const updates = action === 'status'
+          ? applyStatusRules({ status, ...(status_note && { status_note: String(status_note).trim() }) }, found.get(id))
+          : { priority };
+        const key = JSON.stringify(updates);
+        if (!groups.has(key)) groups.set(key, { updates, ids: [] });
+        groups.get(key).ids.push(id);
+      });
+
+      for (const { updates, ids } of groups.values()) {
+        const { error: updateError } = await supabase
+          .from('user_bucket_lists')
+          .update({ ...updates, updated_at: new Date().toISOString() })
+          .eq('user_id', userId)
+          .in('id', ids);
+
+        if (updateError) throw updateError;
+      }
+    }
+  }
+
+  return itemIds.map(id => (found.has(id)
+    ? { id, success: true, status: 200 }
+    : { id, success: false, status: 404, error: 'bucketList.itemNotFound' }));
+}
+
+// POST /api/user/bucket-list/import
+// Fichier CSV ou JSON (multipart, champ `file`, 1MB max) : une ligne par activité,
+// rapprochée du catalogue par son titre et son lieu (ou son activity_id).
+// - ?dry_run=true : aperçu du rapprochement, rien n'est écrit
+// - ?unmatched=custom (défaut) : une ligne sans correspondance devient une activité personnelle
+//   ?unmatched=report : elle est seulement signalée (404)
+// Comme pour l'ajout, une activité déjà dans la liste ou répétée dans le fichier est ignorée (409).
+const IMPORT_UNMATCHED_MODES = ['custom', 'report'];
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 1024 * 1024 // 1MB max
+  }
+});
+
+router.post('/user/bucket-list/import', authenticateToken, importUpload.single('file'), async (req, res) => {
+  try {
+    const dryRun = req.query.dry_run === 'true';
+    const unmatchedMode = req.query.unmatched || 'custom';
+
+    if (!IMPORT_UNMATCHED_MODES.includes(unmatchedMode)) {
+      return res.status(400).json({
+        error: req.t('validation.invalidChoice', { name: 'unmatched', values: IMPORT_UNMATCHED_MODES.join(', ') })
+      });
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: req.t('upload.noFile') });
+    }
+
+    const format = detectFormat(req.file, req.query.format);
+    if (!format) {
+      return res.status(400).json({ error: req.t('import.unsupportedFormat', { formats: IMPORT_FORMATS.join(', ') }) });
+    }
+
+    let rows;
+    try {
+      rows = parseImportFile(req.file.buffer, format);
+    } catch (parseError) {
+      return res.status(400).json({ error: req.t('import.unreadable', { format: format.toUpperCase() }) });
+    }
+
+    if (rows.length === 0) {
+      return res.status(400).json({ error: req.t('import.empty') });
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ error: req.t('import.tooManyRows', { max: MAX_IMPORT_ROWS }) });
+    }
+
+    const [index, { data: profile }] = await Promise.all([
+      getActivityMatchIndex(),
+      supabase.from('user_profiles').select('preferred_currency').eq('id', req.userId).maybeSingle()
+    ]);
+
+    const plan = await planImport(req.userId, rows.map(readImportRow), { index, unmatchedMode, t: req.t });
+
+    if (!dryRun) {
+      const currency = normalizeCurrency(profile?.preferred_currency) || 'EUR';
+      await applyImport(req.userId, plan, currency);
+    }
+
+    const count = outcome => plan.filter(result => result.outcome === outcome).length;
+    const created = plan.filter(result => result.id).length;
+
+    res.json({
+      success: true,
+      dry_run: dryRun,
+      message: dryRun
+        ? req.t('import.preview', { ready: count('matched') + count('custom'), total: plan.length })
+        : req.t('import.done', { created, total: plan.length }),
+      results: plan.map(({ row, title, location, outcome, success, match, id, error, details }) => ({
+        row,
+        title: title ?? null,
+        location: location ?? null,
+        outcome,
+        success,
+        status: importStatus(outcome, dryRun),
+        match,
+        ...(id && { id }),
+        ...(error && { error: req.t(error) }),
+        ...(details && { details })
+      })),
+      meta: {
+        format,
+        rows: plan.length,
+        matched: count('matched'),
+        custom: count('custom'),
+        unmatched: count('unmatched'),
+        duplicates: count('duplicate'),
+        invalid: count('invalid'),
+        created
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur import bucket list:', error);
+    res.status(500).json({ error: req.t('import.failed') });
+  }
+});
+
+/**
+ * Statut HTTP équivalent d'une ligne importée (comme l'opération groupée)
+ */
+function importStatus(outcome, dryRun) {
+  switch (outcome) {
+    case 'matched':
+    case 'custom':
+      return dryRun ? 200 : 201;
+    case 'unmatched':
+      return 404;
+    case 'duplicate':
+      return 409;
+    default:
+      return 400;
+  }
+}
+
+/**
+ * Rapprochement et contrôles de chaque ligne, sans écriture :
+ * - matched : activité du catalogue (activity_id connu ou titre suffisamment proche)
+ * - custom : activité personnelle, existante (même titre) ou à créer
+ * - unmatched : aucune correspondance (?unmatched=report)
+ * - duplicate : déjà dans la bucket list, ou répétée dans le fichier
+ * - invalid : titre absent ou champ invalide
+ *
+ * @returns {Promise<Object[]>} Un résultat par ligne, dans l'ordre du fichier
+ */
+async function planImport(userId, rows, { index, unmatchedMode, t }) {
+  const byId = new Map(index.map(candidate => [String(candidate.activity.id), candidate.activity]));
+
+  const plan = rows.map(({ title, location, activityId, fields }, position) => {
+    const result = { row: position + 1, title, location, match: null };
+
+    let values = {};
+    if (Object.keys(fields).length > 0) {
+      const { values: validated, errors } = validatePayload(BUCKET_ITEM_SCHEMA, fields, { partial: true, t });
+      if (errors.length > 0) {
+        return { ...result, outcome: 'invalid', success: false, error: 'errors.invalidData', details: errors };
+      }
+      values = validated;
+    }
+
+    const refused = completionFieldsWithoutCompletion(values, { status: 'planned' });
+    if (refused.length > 0) {
+      return {
+        ...result,
+        outcome: 'invalid',
+        success: false,
+        error: 'errors.invalidData',
+        details: [t('bucketList.completionFieldsRequireCompleted', { fields: refused.join(', ') })]
+      };
+    }
+    values = applyStatusRules(values);
+
+    // Un activity_id inconnu (fichier d'une autre instance) se rabat sur le titre
+    const known = activityId !== undefined ? byId.get(String(activityId)) : null;
+
+    if (!known && !title) {
+      return {
+        ...result,
+        outcome: 'invalid',
+        success: false,
+        error: 'errors.invalidData',
+        details: [t('validation.required', { name: 'title' })]
+      };
+    }
+
+    const best = known
+      ? { activity: known, score: 1, matched: true }
+      : findBestMatch(index, { title, location });
+
+    if (best && best.matched) {
+      return {
+        ...result,
+        outcome: 'matched',
+        success: true,
+        values,
+        match: {
+          activity_id: best.activity.id,
+          title: best.activity.title,
+          location: best.activity.location,
+          score: best.score
+        }
+      };
+    }
+
+    if (unmatchedMode === 'report') {
+      return { ...result, outcome: 'unmatched', success: false, error: 'import.noMatch' };
+    }
+
+    const { values: custom, errors } = validatePayload(CUSTOM_ACTIVITY_SCHEMA, {
+      title,
+      ...(location !== undefined && { location })
+    }, { t });
+    if (errors.length > 0) {
+      return { ...result, outcome: 'invalid', success: false, error: 'errors.invalidData', details: errors };
+    }
+
+    return { ...result, outcome: 'custom', success: true, values, custom };
+  });
+
+  // Activités personnelles existantes, retrouvées par titre
+  const { data: customActivities, error } = await supabase
+    .from('custom_activities')
+    .select('id, title')
+    .eq('user_id', userId);
+
+  if (error) throw error;
+
+  const customByTitle = new Map(customActivities.map(custom => [normalizeText(custom.title), custom.id]));
+  plan.filter(result => result.outcome === 'custom').forEach(result => {
+    result.customActivityId = customByTitle.get(normalizeText(result.custom.title)) ?? null;
+  });
+
+  // Doublons : même contrôle que l'ajout, puis répétitions dans le fichier
+  const [existingActivities, existingCustoms] = await Promise.all([
+    findExistingSources(userId, 'activity_id', plan
+      .filter(result => result.outcome === 'matched')
+      .map(result => result.match.activity_id)),
+    findExistingSources(userId, 'custom_activity_id', plan
+      .filter(result => result.customActivityId)
+      .map(result => result.customActivityId))
+  ]);
+
+  const seen = new Set();
+  plan.forEach(result => {
+    let key;
+    if (result.outcome === 'matched') {
+      key = `activity:${result.match.activity_id}`;
+      if (existingActivities.has(String(result.match.activity_id))) seen.add(key);
+    } else if (result.outcome === 'custom') {
+      key = `custom:${normalizeText(result.custom.title)}`;
+      if (result.customActivityId && existingCustoms.has(String(result.customActivityId))) seen.add(key);
+    } else {
+      return;
+    }
+
+    if (seen.has(key)) {
+      Object.assign(result, { outcome: 'duplicate', success: false, error: 'bucketList.alreadyAdded' });
+    }
+    seen.add(key);
+  });
+
+  return plan;
+}
+
+/**
+ * Écrit les lignes retenues par planImport et renseigne l'id de chaque élément créé.
+ * Les activités personnelles créées sont supprimées si l'ajout à la liste échoue.
+ */
+async function applyImport(userId, plan, currency) {
+  const matched = plan.filter(result => result.outcome === 'matched');
+  const customs = plan.filter(result => result.outcome === 'custom');
+  const toCreate = customs.filter(result => !result.customActivityId);
+  let createdCustomIds = [];
+
+  if (toCreate.length > 0) {
+    const { data: created, error } = await supabase
+      .from('custom_activities')
+      .insert(toCreate.map(result => ({ title: result.custom.title, location: result.custom.location ?? null, user_id: userId })))
+      .select('id, title');
+
+    if (error) throw error;
+
+    // Titres uniques dans le plan (doublons écartés)
+    const createdByTitle = new Map(created.map(custom => [normalizeText(custom.title), custom.id]));
+    toCreate.forEach(result => {
+      result.customActivityId = createdByTitle.get(normalizeText(result.custom.title));
+    });
+    createdCustomIds = created.map(custom => custom.id);
+  }
+
+  const entries = [
+    ...matched.map(result => ({ result, source: { activity_id: result.match.activity_id } })),
+    ...customs.map(result => ({ result, source: { custom_activity_id: result.customActivityId } }))
+  ];
+  if (entries.length === 0) return;
+
+  const { data: items, error } = await supabase
+    .from('user_bucket_lists')
+    .insert(entries.map(({ result, source }) => importedItemRow(userId, source, result.values, currency)))
+    .select('id, activity_id, custom_activity_id');
+
+  if (error) {
+    // Ne pas laisser d'activités personnelles orphelines
+    if (createdCustomIds.length > 0) {
+      await supabase.from('custom_activities').delete().in('id', createdCustomIds);
+    }
+    throw error;
+  }
+
+  const idsBySource = new Map(items.map(item => [
+    item.activity_id ? `activity:${item.activity_id}` : `custom:${item.custom_activity_id}`,
+    item.id
+  ]));
+  entries.forEach(({ result, source }) => {
+    result.id = idsBySource.get(source.activity_id ? `activity:${source.activity_id}` : `custom:${source.custom_activity_id}`);
+  });
+}
+
+// PUT /api/user/bucket-list/order
+// Classement personnel : ids dans le nouvel ordre. Une liste partielle réordonne
+// ces éléments entre eux, sur les positions qu'ils occupaient.
+router.put('/user/bucket-list/order', authenticateToken, async (req, res) => {
+  try {
+    const { ids } = req.body;
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ error: req.t('validation.required', { name: 'ids' }) });
+    }
+
+    const orderedIds = ids.map(String);
+    if (new Set(orderedIds).size !== orderedIds.length) {
+      return res.status(400).json({ error: req.t('validation.duplicates', { name: 'ids' }) });
+    }
+
+    // Un id mal formé ne peut appartenir à l'utilisateur : introuvable, sans requête
+    const wellFormed = orderedIds.filter(isUuid);
+    let items = [];
+
+    if (wellFormed.length > 0) {
+      const { data, error: itemsError } = await supabase
+        .from('user_bucket_lists')
+        .select('id')
+        .eq('user_id', req.userId)
+        .in('id', wellFormed);
+
+      if (itemsError) throw itemsError;
+      items = data;
+    }
+
+    const owned = new Set(items.map(item => String(item.id)));
+    const missing = orderedIds.filter(id => !owned.has(id));
+
+    if (missing.length > 0) {
+      return res.status(404).json({ error: req.t('bucketList.itemNotFound'), missing });
+    }
+
+    const { error } = await supabase.rpc('reorder_bucket_list', {
+      target_user: req.userId,
+      ordered_ids: orderedIds
+    });
+
+    if (error) throw error;
+
+    const { data: positions, error: positionsError } = await supabase
       .from('user_bucket_lists')
-      .update(updateData)
-      .eq('id', id)
+      .select('id, position')
       .eq('user_id', req.userId)
-      .select(`
-        *,
-        activity:activities (
-          id,
-          title,
-          description,
-          location,
-          image_path,
-          difficulty_level,
-          rating,
-          category:categories(name)
-        )
-      `)
-      .single();
+      .in('id', orderedIds)
+      .order('position', { ascending: true });
 
-    if (error) {
-      if (error.code === 'PGRST116') {
-        return res.status(404).json({ error: 'Item de bucket list non trouvé' });
-      }
-      throw error;
+    if (positionsError) throw positionsError;
+
+    res.json({
+      success: true,
+      message: req.t('bucketList.reordered'),
+      data: positions
+    });
+
+  } catch (error) {
+    console.error('Erreur classement bucket list:', error);
+    res.status(500).json({ error: req.t('bucketList.reorderFailed') });
+  }
+});
+
+// PUT /api/user/bucket-list/:id/status
+// Changement de statut (avec note, avis et date de réalisation), mêmes règles que PATCH /:id
+const STATUS_UPDATE_FIELDS = ['status', 'notes', 'completed_date', 'rating', 'review', 'status_note'];
+
+router.put('/user/bucket-list/:id/status', authenticateToken, async (req, res) => {
+  try {
+    if (!BUCKET_LIST_STATUSES.includes(req.body.status)) {
+      return res.status(400).json({ error: req.t('bucketList.invalidStatus') });
     }
 
+    // Champs de cette route uniquement (les autres passent par PATCH /:id)
+    const payload = Object.fromEntries(
+      STATUS_UPDATE_FIELDS
+        .filter(field => req.body[field] !== undefined)
+        .map(field => [field, req.body[field]])
+    );
+
+    const { error, status, bucketItem } = await updateBucketItem(req.userId, req.params.id, payload, req.t);
+    if (error) return res.status(status).json(error);
+
     res.json({
       success: true,
-      message: 'Statut mis à jour avec succès',
-      bucketItem
+      message: req.t('bucketList.statusUpdated'),
+      bucketItem: withResolvedActivity(bucketItem)
     });
 
   } catch (error) {
     console.error('Erreur mise à jour statut:', error);
-    res.status(500).json({ error: 'Erreur lors de la mise à jour du statut' });
+    res.status(500).json({ error: req.t('bucketList.statusUpdateFailed') });
+  }
+});
+
+// PATCH /api/user/bucket-list/:id
+// Modification partielle de l'élément, avec les règles de statut de PUT /:id/status
+router.patch('/user/bucket-list/:id', authenticateToken, async (req, res) => {
+  try {
+    const { error, status, bucketItem } = await updateBucketItem(req.userId, req.params.id, req.body, req.t);
+    if (error) return res.status(status).json(error);
+
+    res.json({
+      success: true,
+      message: req.t('bucketList.updated'),
+      bucketItem: withResolvedActivity(bucketItem)
+    });
+
+  } catch (error) {
+    console.error('Erreur modification bucket list:', error);
+    res.status(500).json({ error: req.t('bucketList.updateFailed') });
   }
 });
 
+/**
+ * Modification d'un élément, commune à PUT /:id/status et PATCH /:id :
+ * - validation selon BUCKET_ITEM_SCHEMA
+ * - note, avis et date de réalisation refusés (400) si l'élément ne sera pas réalisé
+ * - devise préférée pour un premier montant sans devise
+ * - règles de statut appliquées à partir de la ligne actuelle (une date de
+ *   réalisation existante est conservée)
+ *
+ * @param {string} userId
+ * @param {string} id - Élément à modifier
+ * @param {Object} payload - Champs envoyés
+ * @param {Function} t - Fonction de traduction (req.t)
+ * @returns {Promise<{ bucketItem?: Object, error?: Object, status?: number }>}
+ *   Élément mis à jour, ou corps et statut HTTP de l'erreur
+ */
+async function updateBucketItem(userId, id, payload, t) {
+  const { values, errors } = validatePayload(BUCKET_ITEM_SCHEMA, payload, { partial: true, t });
+
+  if (errors.length > 0) {
+    return { status: 400, error: { error: t('errors.invalidData'), details: errors } };
+  }
+
+  if (!isUuid(id)) {
+    return { status: 404, error: { error: t('bucketList.itemNotFound') } };
+  }
+
+  const { data: current, error: currentError } = await supabase
+    .from('user_bucket_lists')
+    .select('id, status, completed_date, personal_budget, actual_cost')
+    .eq('id', id)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (currentError) throw currentError;
+  if (!current) {
+    return { status: 404, error: { error: t('bucketList.itemNotFound') } };
+  }
 
+  // La note de transition accompagne un changement de statut
+  if (values.status_note !== undefined && values.status === undefined) {
+    return { status: 400, error: { error: t('validation.required', { name: 'status' }) } };
+  }
+
+  // Note, avis et date de réalisation : uniquement pour une activité réalisée
+  const refused = completionFieldsWithoutCompletion(values, current);
+  if (refused.length > 0) {
+    return {
+      status: 400,
+      error: { error: t('bucketList.completionFieldsRequireCompleted', { fields: refused.join(', ') }) }
+    };
+  }
+
+  if (values.review !== undefined && values.review !== null) {
+    values.review = values.review || null;
+  }
+  if (values.status_note === '') delete values.status_note;
+
+  // Premier montant sans devise explicite : devise préférée de l'utilisateur
+  // (un montant existant garde sa devise)
+  const needsCurrency = [['personal_budget', 'personal_budget_currency'], ['actual_cost', 'actual_cost_currency']]
+    .filter(([amount, currency]) =>
+      values[amount] !== undefined && values[amount] !== null &&
+      values[currency] === undefined &&
+      (current[amount] === null || current[amount] === undefined)
+    );
+
+  if (needsCurrency.length > 0) {
+    const { data: profile } = await supabase
+      .from('user_profiles')
+      .select('preferred_currency')
+      .eq('id', userId)
+      .maybeSingle();
+    const preferred = normalizeCurrency(profile?.preferred_currency) || 'EUR';
+    needsCurrency.forEach(([, currency]) => { values[currency] = preferred; });
+  }
+
+  const { data: bucketItem, error } = await supabase
+    .from('user_bucket_lists')
+    .update({
+      ...applyStatusRules(values, current),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', id)
+    .eq('user_id', userId)
+    .select(BUCKET_ITEM_SELECT)
+    .single();
+
+  if (error && error.code === 'PGRST116') {
+    return { status: 404, error: { error: t('bucketList.itemNotFound') } };
+  }
+  if (error) throw error;
+
+  return { bucketItem };
+}
+
+// GET /api/user/bucket-list/:id/history
+// Historique des statuts de l'élément, du plus ancien au plus récent
+router.get('/user/bucket-list/:id/history', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isUuid(id)) {
+      return res.status(404).json({ error: req.t('bucketList.itemNotFound') });
+    }
+
+    const { data: item, error: itemError } = await supabase
+      .from('user_bucket_lists')
+      .select('id, status, completed_date, created_at')
+      .eq('id', id)
+      .eq('user_id', req.userId)
+      .maybeSingle();
+
+    if (itemError) throw itemError;
+    if (!item) {
+      return res.status(404).json({ error: req.t('bucketList.itemNotFound') });
+    }
+
+    const { data: history, error } = await supabase
+      .from('bucket_list_status_history')
+      .select('id, from_status, to_status, completed_date, note, changed_at')
+      .eq('bucket_item_id', item.id)
+      .order('changed_at', { ascending: true });
+
+    if (error) throw error;
+
+    const firstAt = status => history.find(entry => entry.to_status === status)?.changed_at || null;
+    const completions = history.filter(entry => entry.to_status === 'completed');
+
+    res.json({
+      success: true,
+      data: {
+        item_id: item.id,
+        status: item.status,
+        added_at: history[0]?.changed_at || item.created_at,
+        started_at: firstAt('in_progress'),
+        completed_at: completions.length > 0 ? completions[completions.length - 1].changed_at : null,
+        timeline: history
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur historique bucket list:', error);
+    res.status(500).json({ error: req.t('bucketList.historyFetchFailed') });
+  }
+});
 
 // DELETE /api/user/bucket-list/:id
 router.delete('/user/bucket-list/:id', authenticateToken, async (req, res) => {
@@ -517,7 +1516,11 @@ router.delete('/user/bucket-list/:id', authenticateToken, async (req, res) => {
     const { id } = req.params;
 
     if (!id) {
-      return res.status(400).json({ error: 'ID de l\'item bucket list requis' });
+      return res.status(400).json({ error: req.t('bucketList.itemIdRequired') });
+    }
+
+    if (!isUuid(id)) {
+      return res.status(404).json({ error: req.t('bucketList.itemNotFound') });
     }
 
     const { data: deletedItem, error } = await supabase
@@ -529,39 +1532,56 @@ router.delete('/user/bucket-list/:id', authenticateToken, async (req, res) => {
         *,
         activity:activities (
           id,
+          slug,
           title,
           location
-        )
+        ),
+        custom_activity:custom_activities (${CUSTOM_ACTIVITY_SELECT})
       `)
       .single();
 
     if (error) {
       if (error.code === 'PGRST116') {
-        return res.status(404).json({ error: 'Item de bucket liste non trouvé' });
+        return res.status(404).json({ error: req.t('bucketList.itemNotFound') });
       }
       throw error;
     }
 
     res.json({
       success: true,
-      message: 'Activité supprimée de votre bucket liste',
-      deletedItem
+      message: req.t('bucketList.removed'),
+      deletedItem: withResolvedActivity(deletedItem)
     });
 
   } catch (error) {
     console.error('Erreur suppression bucket liste:', error);
-    res.status(500).json({ error: 'Erreur lors de la suppression de la bucket liste' });
+    res.status(500).json({ error: req.t('bucketList.removeFailed') });
   }
 });
 
 // GET /api/user/stats
 router.get('/user/stats', authenticateToken, async (req, res) => {
   try {
-    const { data: bucketListStats } = await supabase
+    const { collection } = req.query;
+
+    let query = supabase
       .from('user_bucket_lists')
       .select('status')
       .eq('user_id', req.userId);
 
+    // ?collection= : statistiques d'une seule collection
+    if (collection) {
+      const itemIds = await findCollectionItemIds(String(collection), req.userId);
+
+      if (!itemIds) {
+        return res.status(404).json({ error: req.t('collections.notFound') });
+      }
+
+      query = query.in('id', itemIds);
+    }
+
+    const { data: bucketListStats } = await query;
+
     const stats = {
       totalActivities: bucketListStats?.length || 0,
       plannedActivities: bucketListStats?.filter(item => item.status === 'planned').length || 0,
@@ -575,12 +1595,123 @@ router.get('/user/stats', authenticateToken, async (req, res) => {
 
     res.json({ 
       success: true,
-      stats 
+      stats,
+      ...(collection && { collection })
     });
 
   } catch (error) {
     console.error('Erreur statistiques:', error);
-    res.status(500).json({ error: 'Erreur lors de la récupération des statistiques' });
+    res.status(500).json({ error: req.t('bucketList.statsFailed') });
+  }
+});
+
+// GET /api/user/recommendations
+// Activités du catalogue pas encore dans la bucket list, classées selon les goûts de l'utilisateur
+router.get('/user/recommendations', authenticateToken, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+
+    // 1️⃣ Profil de goûts à partir de la bucket list
+    const { data: bucketItems, error: bucketError } = await supabase
+      .from('user_bucket_lists')
+      .select(`
+        status,
+        personal_budget,
+        personal_budget_currency,
+        activity:activities (
+          id,
+          category_id,
+          continent_id,
+          difficulty_level,
+          estimated_budget_min_eur,
+          estimated_budget_max_eur,
+          categories(name),
+          continents(name)
+        )
+      `)
+      .eq('user_id', req.userId);
+
+    if (bucketError) throw bucketError;
+
+    // Budgets comparés en euros, comme ceux du catalogue (taux inconnu : budget de l'activité)
+    const rates = await getRates();
+
+    // Noms de catégories et continents des explications dans la langue de la réponse
+    const localizedItemActivities = await localizeActivities(
+      supabase,
+      bucketItems.filter(item => item.activity).map(item => item.activity),
+      req.lang
+    );
+    const profile = buildUserProfile(bucketItems.map(item => ({
+      ...item,
+      personal_budget_eur: item.personal_budget === null
+        ? null
+        : convertAmount(item.personal_budget, item.personal_budget_currency || 'EUR', 'EUR', rates),
+      activity: item.activity && localizedItemActivities.find(activity => activity.id === item.activity.id)
+    })));
+    const excludedIds = bucketItems
+      .filter(item => item.activity)
+      .map(item => item.activity.id);
+
+    // 2️⃣ Candidates : activités actives hors bucket list, les plus populaires d'abord
+    let candidatesQuery = supabase
+      .from('activities')
+      .select(`
+        id,
+        title,
+        subtitle,
+        slug,
+        location,
+        image_path,
+        image_alt,
+        rating,
+        rating_count,
+        popularity_score,
+        estimated_budget_min,
+        estimated_budget_max,
+        estimated_budget_min_eur,
+        estimated_budget_max_eur,
+        budget_currency,
+        duration_days,
+        difficulty_level,
+        best_season,
+        is_featured,
+        category_id,
+        continent_id,
+        categories(name, icon),
+        continents(name)
+      `)
+      .not('is_active', 'is', false)
+      .order('popularity_score', { ascending: false, nullsFirst: false })
+      .limit(500);
+
+    if (excludedIds.length > 0) {
+      candidatesQuery = candidatesQuery.not('id', 'in', `(${excludedIds.join(',')})`);
+    }
+
+    const { data: candidates, error: candidatesError } = await candidatesQuery;
+
+    if (candidatesError) throw candidatesError;
+
+    // 3️⃣ Score et explications
+    const recommendations = await localizeActivities(
+      supabase,
+      recommendActivities(candidates, profile, limit, { t: req.t }),
+      req.lang
+    );
+
+    res.json({
+      success: true,
+      recommendations,
+      meta: {
+        count: recommendations.length,
+        based_on_items: profile.itemCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur recommandations:', error);
+    res.status(500).json({ error: req.t('recommendations.failed') });
   }
 });
 
@@ -615,21 +1746,21 @@ router.get('/user/bucket-list/share/preview', async (req, res) => {
     
     return res.json({
       success: true,
-      message: 'Prévisualisation de test générée avec succès',
+      message: req.t('share.previewGenerated'),
       image: imageData,
       stats: {
         totalActivities: 14,
         completedCount: 3,
         completionRate: 21
       },
-      note: 'Ceci est une image de test avec des données fictives pour démonstration'
+      note: req.t('share.previewNote')
     });
     
   } catch (error) {
     console.error('[SHARE PREVIEW] Erreur:', error);
     return res.status(500).json({
       success: false,
-      message: 'Erreur lors de la génération de la prévisualisation',
+      message: req.t('share.previewFailed'),
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
@@ -650,7 +1781,7 @@ router.get('/user/bucket-list/share/:type', authenticateToken, async (req, res)
     if (!validTypes.includes(type)) {
       return res.status(400).json({
         success: false,
-        message: 'Type de partage invalide. Utilisez: instagram, facebook, twitter, stories, ou all'
+        message: req.t('share.invalidType')
       });
     }
     
@@ -670,21 +1801,27 @@ router.get('/user/bucket-list/share/:type', authenticateToken, async (req, res)
           slug,
           title,
           location
-        )
+        ),
+        custom_activity:custom_activities (${CUSTOM_ACTIVITY_SELECT})
       `)
       .eq('user_id', userId)
       .order('created_at', { ascending: false });
 
+    // Activités personnelles présentées comme les activités du catalogue
+    bucketList = (bucketList || []).map(withResolvedActivity).filter(item => item.activity);
+
   // ✅ CORRECTION : Récupérer les cloudinary_public_id comme dans /bucket-list
     let imagesMap = {};
     
-    if (bucketList && bucketList.length > 0) {
-      const activityIds = bucketList.map(item => item.activity.id);
-      
+    const catalogActivityIds = bucketList
+      .filter(item => !item.activity.is_custom)
+      .map(item => item.activity.id);
+
+    if (catalogActivityIds.length > 0) {
       const { data: images, error: imagesError } = await supabase
         .from('activity_images')
         .select('activity_id, cloudinary_public_id, image_type')
-        .in('activity_id', activityIds)
+        .in('activity_id', catalogActivityIds)
         .eq('image_type', 'hero');
 
       if (imagesError) {
@@ -705,7 +1842,9 @@ router.get('/user/bucket-list/share/:type', authenticateToken, async (req, res)
       ...item,
       activity: {
         ...item.activity,
-        cloudinary_public_id: imagesMap[item.activity.id] || null
+        cloudinary_public_id: item.activity.is_custom
+          ? item.activity.cloudinary_public_id || null
+          : imagesMap[item.activity.id] || null
       }
     }));
     
@@ -718,7 +1857,7 @@ router.get('/user/bucket-list/share/:type', authenticateToken, async (req, res)
       console.error('[SHARE] Erreur Supabase bucket list:', bucketError);
       return res.status(500).json({
         success: false,
-        message: 'Erreur lors de la récupération de la bucket list'
+        message: req.t('bucketList.fetchFailed')
       });
     }
     
@@ -726,8 +1865,8 @@ router.get('/user/bucket-list/share/:type', authenticateToken, async (req, res)
     if (!bucketList || bucketList.length === 0) {
       return res.status(400).json({
         success: false,
-        message: 'Votre bucket list est vide. Ajoutez des activités avant de partager !',
-        helpText: 'Commencez par ajouter des activités à votre liste pour créer votre image de partage.'
+        message: req.t('share.emptyBucketList'),
+        helpText: req.t('share.emptyBucketListHelp')
       });
     }
     
@@ -742,6 +1881,7 @@ const selectedActivities = [...completed, ...pending]
   .slice(0, 9)
   .map(item => ({
     cloudinary_public_id: item.activity.cloudinary_public_id, // Maintenant disponible !
+    slug: item.activity.slug,
     title: item.activity.title,
     status: item.status
   }));
@@ -814,7 +1954,7 @@ console.log('');
     console.error('❌ Erreur génération images de partage:', error);
     return res.status(500).json({
       success: false,
-      error: 'Échec de la génération des images de partage',
+      error: req.t('share.imagesFailed'),
       details: error.message
     });
   }
@@ -838,7 +1978,7 @@ console.log('');
           completionRate: Math.round((completed.length / bucketList.length) * 100)
         },
         image: imageData,
-        shareLinks: generateCloudinaryShareLinks(imageData.imageUrl, userFirstName)
+        shareLinks: generateCloudinaryShareLinks(imageData.imageUrl, userFirstName, req.t)
       };
     }
     
@@ -849,7 +1989,7 @@ console.log('');
     console.error('[SHARE] Erreur:', error);
     return res.status(500).json({
       success: false,
-      message: 'Erreur lors de la génération de l\'image de partage',
+      message: req.t('share.imageFailed'),
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
@@ -867,7 +2007,7 @@ router.post('/user/bucket-list/share/download', authenticateToken, async (req, r
     if (!imageUrl) {
       return res.status(400).json({
         success: false,
-        message: 'URL de l\'image manquante'
+        message: req.t('share.imageUrlMissing')
       });
     }
     
@@ -880,14 +2020,14 @@ router.post('/user/bucket-list/share/download', authenticateToken, async (req, r
       success: true,
       downloadUrl: imageUrl,
       filename: `ma-bucket-liste-${format}-${Date.now()}.jpg`,
-      message: 'Téléchargement enregistré avec succès'
+      message: req.t('share.downloadRecorded')
     });
     
   } catch (error) {
     console.error('[DOWNLOAD] Erreur:', error);
     return res.status(500).json({
       success: false,
-      message: 'Erreur lors de l\'enregistrement du téléchargement',
+      message: req.t('share.downloadFailed'),
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
@@ -899,16 +2039,17 @@ router.post('/user/bucket-list/share/download', authenticateToken, async (req, r
 
 /**
  * Génère les liens de partage Cloudinary pour tous les réseaux
+ * (textes dans la langue de la requête, `t` = req.t)
  */
-function generateCloudinaryShareLinks(imageUrl, userName) {
+function generateCloudinaryShareLinks(imageUrl, userName, t) {
   const siteUrl = 'https://mabucketliste.fr';
-  const shareText = `Découvrez la bucket list de ${userName} sur Ma Bucket Liste ! 🌍✨`;
+  const shareText = t('share.shareText', { name: userName });
   const hashtags = 'bucketlist,voyage,aventure,mabucketliste';
   
   return {
     instagram: {
-      note: 'Instagram ne supporte pas le partage direct via URL web',
-      instructions: 'Téléchargez l\'image et partagez-la manuellement sur Instagram',
+      note: t('share.instagramNote'),
+      instructions: t('share.instagramInstructions'),
       imageUrl: imageUrl
     },
     facebook: `https://www.facebook.com/sharer/sharer.php?u=${encodeURIComponent(siteUrl)}&quote=${encodeURIComponent(shareText)}`,
@@ -993,21 +2134,21 @@ router.post('/user/bucket-list/share/create', authenticateToken, async (req, res
     if (!platform || !validPlatforms.includes(platform)) {
       return res.status(400).json({
         success: false,
-        error: 'Platform invalide. Doit être: facebook, twitter, instagram ou linkedin'
+        error: req.t('share.invalidPlatform')
       });
     }
     
     if (!imageUrl || !imageUrl.startsWith('https://res.cloudinary.com/')) {
       return res.status(400).json({
         success: false,
-        error: 'imageUrl invalide. Doit être une URL Cloudinary valide'
+        error: req.t('share.invalidImageUrl')
       });
     }
     
     if (!stats || typeof stats !== 'object') {
       return res.status(400).json({
         success: false,
-        error: 'stats invalide. Doit être un objet avec totalActivities, completedCount, pendingCount, completionRate'
+        error: req.t('share.invalidStats')
       });
     }
     
@@ -1017,7 +2158,7 @@ router.post('/user/bucket-list/share/create', authenticateToken, async (req, res
     if (missingFields.length > 0) {
       return res.status(400).json({
         success: false,
-        error: `Champs manquants dans stats: ${missingFields.join(', ')}`
+        error: req.t('share.missingStatsFields', { fields: missingFields.join(', ') })
       });
     }
     
@@ -1061,14 +2202,14 @@ router.post('/user/bucket-list/share/create', authenticateToken, async (req, res
         expiresAt: insertedLink.expires_at,
         createdAt: insertedLink.created_at
       },
-      message: 'Lien de partage créé avec succès'
+      message: req.t('share.linkCreated')
     });
     
   } catch (error) {
     console.error('❌ Erreur lors de la création du lien de partage:', error);
     res.status(500).json({
       success: false,
-      error: 'Erreur serveur lors de la création du lien de partage',
+      error: req.t('share.linkCreateFailed'),
       details: error.message
     });
   }
@@ -1161,7 +2302,7 @@ router.get('/user/bucket-list/share/analytics', authenticateToken, async (req, r
     console.error('❌ Erreur lors de la récupération des analytics:', error);
     res.status(500).json({
       success: false,
-      error: 'Erreur serveur lors de la récupération des analytics',
+      error: req.t('share.analyticsFailed'),
       details: error.message
     });
   }
@@ -0,0 +1,439 @@
+/**
+ * @fileoverview Collections nommées de la bucket list
+ * @module routes/collections
+ *
+ * Un utilisateur regroupe ses éléments de bucket list dans des collections
+ * ("Europe 2027", "Avec les enfants"...) avec un nom, une description et une
+ * image de couverture. Un élément peut appartenir à plusieurs collections.
+ * La bucket list et les statistiques se filtrent avec ?collection=<id>.
+ */
+
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+
+const { supabaseService: supabase } = require('../config/supabase-service');
+const { authenticateToken } = require('../middleware/auth');
+const { validateAuthenticatedRequest } = require('../middleware/validate-request');
+const { validatePayload } = require('../utils/catalog-validation');
+const { COLLECTION_SELECT, COLLECTION_SCHEMA, findOwnCollection } = require('../utils/collections');
+const { MAX_BULK_ITEMS, isUuid } = require('../utils/bucket-list-items');
+const { uploadImageBuffer, destroyImage, buildResponsiveImage } = require('../utils/cloudinary-images');
+
+const COLLECTIONS_FOLDER = 'ma-bucket-liste/collections';
+
+// Configuration Multer pour upload fichiers (mémoire)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB max
+  },
+  fileFilter: (req, file, cb) => {
+    // Accepter seulement les images
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Seuls les fichiers image sont autorisés'), false);
+    }
+  }
+});
+
+router.use(authenticateToken, validateAuthenticatedRequest);
+
+/**
+ * Nombre d'éléments et URLs responsives de la couverture hébergée sur Cloudinary
+ */
+function formatCollection(row) {
+  const { items, ...collection } = row;
+
+  return {
+    ...collection,
+    item_count: items?.[0]?.count ?? 0,
+    cover: row.cover_cloudinary_public_id
+      ? buildResponsiveImage({
+        id: null,
+        image_type: 'hero',
+        cloudinary_public_id: row.cover_cloudinary_public_id,
+        alt_text: row.name
+      })
+      : null
+  };
+}
+
+/**
+ * Traduit une erreur Postgres d'écriture en réponse HTTP
+ */
+function sendWriteError(req, res, error, messageKey) {
+  if (error.code === '23505') {
+    return res.status(409).json({ success: false, error: req.t('collections.nameTaken') });
+  }
+
+  console.error('❌ [COLLECTIONS] Erreur écriture collection:', error);
+  return res.status(500).json({ success: false, error: req.t(messageKey) });
+}
+
+/**
+ * GET /api/user/collections
+ * Collections de l'utilisateur, par nom
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('bucket_list_collections')
+      .select(COLLECTION_SELECT)
+      .eq('user_id', req.user.userId)
+      .order('name', { ascending: true });
+
+    if (error) throw error;
+
+    res.json({ success: true, data: data.map(formatCollection), meta: { count: data.length } });
+  } catch (error) {
+    console.error('❌ [COLLECTIONS] Erreur liste collections:', error);
+    res.status(500).json({ success: false, error: req.t('collections.fetchFailed') });
+  }
+});
+
+/**
+ * POST /api/user/collections
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { values, errors } = validatePayload(COLLECTION_SCHEMA, req.body, { t: req.t });
+
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: req.t('errors.invalidData'), details: errors });
+    }
+
+    const { data: created, error } = await supabase
+      .from('bucket_list_collections')
+      .insert([{ ...values, user_id: req.user.userId }])
+      .select(COLLECTION_SELECT)
+      .single();
+
+    if (error) return sendWriteError(req, res, error, 'collections.createFailed');
+
+    res.status(201).json({
+      success: true,
+      message: req.t('collections.created'),
+      data: formatCollection(created)
+    });
+  } catch (error) {
+    console.error('❌ [COLLECTIONS] Erreur création collection:', error);
+    res.status(500).json({ success: false, error: req.t('collections.createFailed') });
+  }
+});
+
+/**
+ * GET /api/user/collections/:id
+ * Collection et ids de ses éléments (détail des éléments : GET /api/user/bucket-list?collection=:id)
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const collection = await findOwnCollection(req.params.id, req.user.userId);
+
+    if (!collection) {
+      return res.status(404).json({ success: false, error: req.t('collections.notFound') });
+    }
+
+    const { data: items, error } = await supabase
+      .from('bucket_list_collection_items')
+      .select('bucket_item_id, added_at')
+      .eq('collection_id', collection.id)
+      .order('added_at', { ascending: true });
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data: {
+        ...formatCollection(collection),
+        item_ids: items.map(item => item.bucket_item_id)
+      }
+    });
+  } catch (error) {
+    console.error('❌ [COLLECTIONS] Erreur collection:', error);
+    res.status(500).json({ success: false, error: req.t('collections.fetchFailed') });
+  }
+});
+
+/**
+ * PUT /api/user/collections/:id (remplacement, nom requis)
+ * PATCH /api/user/collections/:id (champs envoyés uniquement)
+ */
+async function updateCollection(req, res, { partial }) {
+  try {
+    const current = await findOwnCollection(req.params.id, req.user.userId);
+
+    if (!current) {
+      return res.status(404).json({ success: false, error: req.t('collections.notFound') });
+    }
+
+    // La couverture se gère via /:id/cover (upload Cloudinary) ou cover_image_url
+    const { values, errors } = validatePayload(COLLECTION_SCHEMA, req.body, {
+      partial,
+      current,
+      t: req.t
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: req.t('errors.invalidData'), details: errors });
+    }
+
+    // Une URL externe remplace la couverture Cloudinary éventuelle
+    const replacesUpload = values.cover_image_url !== undefined && current.cover_cloudinary_public_id;
+    if (replacesUpload) values.cover_cloudinary_public_id = null;
+
+    const { data: updated, error } = await supabase
+      .from('bucket_list_collections')
+      .update({ ...values, updated_at: new Date().toISOString() })
+      .eq('id', current.id)
+      .eq('user_id', req.user.userId)
+      .select(COLLECTION_SELECT)
+      .single();
+
+    if (error) return sendWriteError(req, res, error, 'collections.updateFailed');
+
+    if (replacesUpload) await destroyImage(current.cover_cloudinary_public_id);
+
+    res.json({
+      success: true,
+      message: req.t('collections.updated'),
+      data: formatCollection(updated)
+    });
+  } catch (error) {
+    console.error('❌ [COLLECTIONS] Erreur mise à jour collection:', error);
+    res.status(500).json({ success: false, error: req.t('collections.updateFailed') });
+  }
+}
+
+router.put('/:id', (req, res) => updateCollection(req, res, { partial: false }));
+router.patch('/:id', (req, res) => updateCollection(req, res, { partial: true }));
+
+/**
+ * DELETE /api/user/collections/:id
+ * Supprime la collection ; ses éléments restent dans la bucket list
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const current = await findOwnCollection(req.params.id, req.user.userId);
+
+    if (!current) {
+      return res.status(404).json({ success: false, error: req.t('collections.notFound') });
+    }
+
+    const { error } = await supabase
+      .from('bucket_list_collections')
+      .delete()
+      .eq('id', current.id)
+      .eq('user_id', req.user.userId);
+
+    if (error) throw error;
+
+    if (current.cover_cloudinary_public_id) await destroyImage(current.cover_cloudinary_public_id);
+
+    res.json({ success: true, message: req.t('collections.deleted'), data: { id: current.id } });
+  } catch (error) {
+    console.error('❌ [COLLECTIONS] Erreur suppression collection:', error);
+    res.status(500).json({ success: false, error: req.t('collections.deleteFailed') });
+  }
+});
+
+/**
+ * POST /api/user/collections/:id/items
+ * Ajoute des éléments de la bucket list ({ ids: [...] }) ; ceux déjà présents sont ignorés
+ */
+router.post('/:id/items', async (req, res) => {
+  try {
+    const { ids } = req.body;
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ success: false, error: req.t('validation.required', { name: 'ids' }) });
+    }
+    if (ids.length > MAX_BULK_ITEMS) {
+      return res.status(400).json({
+        success: false,
+        error: req.t('validation.maxItems', { name: 'ids', max: MAX_BULK_ITEMS })
+      });
+    }
+
+    const collection = await findOwnCollection(req.params.id, req.user.userId);
+
+    if (!collection) {
+      return res.status(404).json({ success: false, error: req.t('collections.notFound') });
+    }
+
+    // Uniquement les éléments de la bucket list de l'utilisateur connecté
+    // (un id mal formé est introuvable, sans requête)
+    const itemIds = [...new Set(ids.map(String))];
+    const wellFormed = itemIds.filter(isUuid);
+    let items = [];
+
+    if (wellFormed.length > 0) {
+      const { data, error: itemsError } = await supabase
+        .from('user_bucket_lists')
+        .select('id')
+        .eq('user_id', req.user.userId)
+        .in('id', wellFormed);
+
+      if (itemsError) throw itemsError;
+      items = data;
+    }
+
+    const owned = new Set(items.map(item => String(item.id)));
+    const missing = itemIds.filter(id => !owned.has(id));
+
+    if (missing.length > 0) {
+      return res.status(404).json({ success: false, error: req.t('bucketList.itemNotFound'), missing });
+    }
+
+    const { error } = await supabase
+      .from('bucket_list_collection_items')
+      .upsert(
+        itemIds.map(id => ({ collection_id: collection.id, bucket_item_id: id })),
+        { onConflict: 'collection_id,bucket_item_id', ignoreDuplicates: true }
+      );
+
+    if (error) throw error;
+
+    const updated = await findOwnCollection(collection.id, req.user.userId);
+
+    res.json({
+      success: true,
+      message: req.t('collections.itemsAdded'),
+      data: formatCollection(updated)
+    });
+  } catch (error) {
+    console.error('❌ [COLLECTIONS] Erreur ajout éléments collection:', error);
+    res.status(500).json({ success: false, error: req.t('collections.updateFailed') });
+  }
+});
+
+/**
+ * DELETE /api/user/collections/:id/items/:itemId
+ * Retire l'élément de la collection (il reste dans la bucket list)
+ */
+router.delete('/:id/items/:itemId', async (req, res) => {
+  try {
+    const collection = await findOwnCollection(req.params.id, req.user.userId);
+
+    if (!collection) {
+      return res.status(404).json({ success: false, error: req.t('collections.notFound') });
+    }
+
+    if (!isUuid(req.params.itemId)) {
+      return res.status(404).json({ success: false, error: req.t('bucketList.itemNotFound') });
+    }
+
+    const { data: removed, error } = await supabase
+      .from('bucket_list_collection_items')
+      .delete()
+      .eq('collection_id', collection.id)
+      .eq('bucket_item_id', req.params.itemId)
+      .select('bucket_item_id');
+
+    if (error) throw error;
+
+    if (removed.length === 0) {
+      return res.status(404).json({ success: false, error: req.t('bucketList.itemNotFound') });
+    }
+
+    res.json({
+      success: true,
+      message: req.t('collections.itemRemoved'),
+      data: { id: collection.id, item_id: removed[0].bucket_item_id }
+    });
+  } catch (error) {
+    console.error('❌ [COLLECTIONS] Erreur retrait élément collection:', error);
+    res.status(500).json({ success: false, error: req.t('collections.updateFailed') });
+  }
+});
+
+/**
+ * POST /api/user/collections/:id/cover
+ * Upload multipart (champ `cover`, 5MB max) ; remplace la couverture précédente
+ */
+router.post('/:id/cover', upload.single('cover'), async (req, res) => {
+  try {
+    const current = await findOwnCollection(req.params.id, req.user.userId);
+
+    if (!current) {
+      return res.status(404).json({ success: false, error: req.t('collections.notFound') });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: req.t('upload.noFile') });
+    }
+
+    let uploaded;
+    try {
+      uploaded = await uploadImageBuffer(req.file.buffer, { folder: `${COLLECTIONS_FOLDER}/${req.user.userId}` });
+    } catch (uploadError) {
+      console.error('❌ [COLLECTIONS] Erreur upload Cloudinary:', uploadError);
+      return res.status(502).json({ success: false, error: req.t('collections.coverFailed') });
+    }
+
+    const { data: updated, error } = await supabase
+      .from('bucket_list_collections')
+      .update({
+        cover_image_url: uploaded.secure_url,
+        cover_cloudinary_public_id: uploaded.public_id,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', current.id)
+      .eq('user_id', req.user.userId)
+      .select(COLLECTION_SELECT)
+      .single();
+
+    if (error) {
+      await destroyImage(uploaded.public_id);
+      throw error;
+    }
+
+    if (current.cover_cloudinary_public_id) await destroyImage(current.cover_cloudinary_public_id);
+
+    res.json({
+      success: true,
+      message: req.t('collections.coverUpdated'),
+      data: formatCollection(updated)
+    });
+  } catch (error) {
+    console.error('❌ [COLLECTIONS] Erreur couverture collection:', error);
+    res.status(500).json({ success: false, error: req.t('collections.coverFailed') });
+  }
+});
+
+/**
+ * DELETE /api/user/collections/:id/cover
+ */
+router.delete('/:id/cover', async (req, res) => {
+  try {
+    const current = await findOwnCollection(req.params.id, req.user.userId);
+
+    if (!current) {
+      return res.status(404).json({ success: false, error: req.t('collections.notFound') });
+    }
+
+    const { data: updated, error } = await supabase
+      .from('bucket_list_collections')
+      .update({ cover_image_url: null, cover_cloudinary_public_id: null, updated_at: new Date().toISOString() })
+      .eq('id', current.id)
+      .eq('user_id', req.user.userId)
+      .select(COLLECTION_SELECT)
+      .single();
+
+    if (error) throw error;
+
+    if (current.cover_cloudinary_public_id) await destroyImage(current.cover_cloudinary_public_id);
+
+    res.json({
+      success: true,
+      message: req.t('collections.coverRemoved'),
+      data: formatCollection(updated)
+    });
+  } catch (error) {
+    console.error('❌ [COLLECTIONS] Erreur suppression couverture collection:', error);
+    res.status(500).json({ success: false, error: req.t('collections.updateFailed') });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,338 @@
+/**
+ * @fileoverview Activités personnelles des utilisateurs (hors catalogue)
+ * @module routes/custom-activities
+ *
+ * Chaque utilisateur peut créer ses propres activités (titre, lieu, catégorie,
+ * budget, image) pour les ajouter à sa bucket list. Elles ne sont visibles que
+ * par leur propriétaire : toutes les requêtes filtrent sur user_id. Supprimer
+ * une activité personnelle la retire aussi de la bucket list (on delete cascade).
+ */
+
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+
+const { supabaseService: supabase } = require('../config/supabase-service');
+const { authenticateToken } = require('../middleware/auth');
+const { validateAuthenticatedRequest } = require('../middleware/validate-request');
+const { validatePayload } = require('../utils/catalog-validation');
+const { CUSTOM_ACTIVITY_SELECT, CUSTOM_ACTIVITY_SCHEMA } = require('../utils/custom-activities');
+const { isUuid } = require('../utils/bucket-list-items');
+const { uploadImageBuffer, destroyImage, buildResponsiveImage } = require('../utils/cloudinary-images');
+
+const CUSTOM_FOLDER = 'ma-bucket-liste/custom';
+
+// Configuration Multer pour upload fichiers (mémoire)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB max
+  },
+  fileFilter: (req, file, cb) => {
+    // Accepter seulement les images
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Seuls les fichiers image sont autorisés'), false);
+    }
+  }
+});
+
+router.use(authenticateToken, validateAuthenticatedRequest);
+
+/**
+ * Ajoute les URLs responsives quand l'image est hébergée sur Cloudinary
+ */
+function formatCustomActivity(row) {
+  return {
+    ...row,
+    is_custom: true,
+    image: row.cloudinary_public_id
+      ? buildResponsiveImage({
+        id: null,
+        image_type: 'hero',
+        cloudinary_public_id: row.cloudinary_public_id,
+        alt_text: row.title
+      })
+      : null
+  };
+}
+
+/**
+ * Activité personnelle de l'utilisateur connecté
+ *
+ * @returns {Promise<Object|null>} Ligne, ou null si introuvable ou appartenant à un autre utilisateur
+ */
+async function findOwnCustomActivity(id, userId) {
+  // id mal formé : même réponse qu'une activité inexistante
+  if (!isUuid(id)) return null;
+
+  const { data, error } = await supabase
+    .from('custom_activities')
+    .select(CUSTOM_ACTIVITY_SELECT)
+    .eq('id', id)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Traduit une erreur Postgres d'écriture en réponse HTTP
+ */
+function sendWriteError(req, res, error, messageKey) {
+  if (error.code === '23503') {
+    return res.status(400).json({
+      success: false,
+      error: req.t('admin.invalidReference'),
+      details: error.details
+    });
+  }
+
+  console.error('❌ [CUSTOM] Erreur écriture activité personnelle:', error);
+  return res.status(500).json({ success: false, error: req.t(messageKey) });
+}
+
+/**
+ * GET /api/user/custom-activities
+ * Activités personnelles de l'utilisateur, les plus récentes d'abord
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('custom_activities')
+      .select(CUSTOM_ACTIVITY_SELECT)
+      .eq('user_id', req.user.userId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json({ success: true, data: data.map(formatCustomActivity), meta: { count: data.length } });
+  } catch (error) {
+    console.error('❌ [CUSTOM] Erreur liste activités personnelles:', error);
+    res.status(500).json({ success: false, error: req.t('customActivities.fetchFailed') });
+  }
+});
+
+/**
+ * POST /api/user/custom-activities
+ * Crée une activité personnelle (sans l'ajouter à la bucket list : voir
+ * POST /api/user/bucket-list/add avec customActivityId ou customActivity)
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { values, errors } = validatePayload(CUSTOM_ACTIVITY_SCHEMA, req.body, { t: req.t });
+
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: req.t('errors.invalidData'), details: errors });
+    }
+
+    const { data: created, error } = await supabase
+      .from('custom_activities')
+      .insert([{ ...values, user_id: req.user.userId }])
+      .select(CUSTOM_ACTIVITY_SELECT)
+      .single();
+
+    if (error) return sendWriteError(req, res, error, 'customActivities.createFailed');
+
+    res.status(201).json({
+      success: true,
+      message: req.t('customActivities.created'),
+      data: formatCustomActivity(created)
+    });
+  } catch (error) {
+    console.error('❌ [CUSTOM] Erreur création activité personnelle:', error);
+    res.status(500).json({ success: false, error: req.t('customActivities.createFailed') });
+  }
+});
+
+/**
+ * GET /api/user/custom-activities/:id
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const customActivity = await findOwnCustomActivity(req.params.id, req.user.userId);
+
+    if (!customActivity) {
+      return res.status(404).json({ success: false, error: req.t('customActivities.notFound') });
+    }
+
+    res.json({ success: true, data: formatCustomActivity(customActivity) });
+  } catch (error) {
+    console.error('❌ [CUSTOM] Erreur activité personnelle:', error);
+    res.status(500).json({ success: false, error: req.t('customActivities.fetchFailed') });
+  }
+});
+
+/**
+ * PUT /api/user/custom-activities/:id (remplacement, titre requis)
+ * PATCH /api/user/custom-activities/:id (champs envoyés uniquement)
+ */
+async function updateCustomActivity(req, res, { partial }) {
+  try {
+    const current = await findOwnCustomActivity(req.params.id, req.user.userId);
+
+    if (!current) {
+      return res.status(404).json({ success: false, error: req.t('customActivities.notFound') });
+    }
+
+    // L'image se gère via /:id/image (upload Cloudinary) ou image_url
+    const { values, errors } = validatePayload(CUSTOM_ACTIVITY_SCHEMA, req.body, {
+      partial,
+      current,
+      t: req.t
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: req.t('errors.invalidData'), details: errors });
+    }
+
+    // Une URL externe remplace l'image Cloudinary éventuelle
+    const replacesUpload = values.image_url !== undefined && current.cloudinary_public_id;
+    if (replacesUpload) values.cloudinary_public_id = null;
+
+    const { data: updated, error } = await supabase
+      .from('custom_activities')
+      .update({ ...values, updated_at: new Date().toISOString() })
+      .eq('id', current.id)
+      .eq('user_id', req.user.userId)
+      .select(CUSTOM_ACTIVITY_SELECT)
+      .single();
+
+    if (error) return sendWriteError(req, res, error, 'customActivities.updateFailed');
+
+    if (replacesUpload) await destroyImage(current.cloudinary_public_id);
+
+    res.json({
+      success: true,
+      message: req.t('customActivities.updated'),
+      data: formatCustomActivity(updated)
+    });
+  } catch (error) {
+    console.error('❌ [CUSTOM] Erreur mise à jour activité personnelle:', error);
+    res.status(500).json({ success: false, error: req.t('customActivities.updateFailed') });
+  }
+}
+
+router.put('/:id', (req, res) => updateCustomActivity(req, res, { partial: false }));
+router.patch('/:id', (req, res) => updateCustomActivity(req, res, { partial: true }));
+
+/**
+ * DELETE /api/user/custom-activities/:id
+ * Supprime l'activité et l'élément de bucket list associé
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const current = await findOwnCustomActivity(req.params.id, req.user.userId);
+
+    if (!current) {
+      return res.status(404).json({ success: false, error: req.t('customActivities.notFound') });
+    }
+
+    const { error } = await supabase
+      .from('custom_activities')
+      .delete()
+      .eq('id', current.id)
+      .eq('user_id', req.user.userId);
+
+    if (error) throw error;
+
+    if (current.cloudinary_public_id) await destroyImage(current.cloudinary_public_id);
+
+    res.json({ success: true, message: req.t('customActivities.deleted'), data: { id: current.id } });
+  } catch (error) {
+    console.error('❌ [CUSTOM] Erreur suppression activité personnelle:', error);
+    res.status(500).json({ success: false, error: req.t('customActivities.deleteFailed') });
+  }
+});
+
+/**
+ * POST /api/user/custom-activities/:id/image
+ * Upload multipart (champ `image`, 5MB max) ; remplace l'image précédente
+ */
+router.post('/:id/image', upload.single('image'), async (req, res) => {
+  try {
+    const current = await findOwnCustomActivity(req.params.id, req.user.userId);
+
+    if (!current) {
+      return res.status(404).json({ success: false, error: req.t('customActivities.notFound') });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: req.t('upload.noFile') });
+    }
+
+    let uploaded;
+    try {
+      uploaded = await uploadImageBuffer(req.file.buffer, { folder: `${CUSTOM_FOLDER}/${req.user.userId}` });
+    } catch (uploadError) {
+      console.error('❌ [CUSTOM] Erreur upload Cloudinary:', uploadError);
+      return res.status(502).json({ success: false, error: req.t('customActivities.imageFailed') });
+    }
+
+    const { data: updated, error } = await supabase
+      .from('custom_activities')
+      .update({
+        image_url: uploaded.secure_url,
+        cloudinary_public_id: uploaded.public_id,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', current.id)
+      .eq('user_id', req.user.userId)
+      .select(CUSTOM_ACTIVITY_SELECT)
+      .single();
+
+    if (error) {
+      await destroyImage(uploaded.public_id);
+      throw error;
+    }
+
+    if (current.cloudinary_public_id) await destroyImage(current.cloudinary_public_id);
+
+    res.json({
+      success: true,
+      message: req.t('customActivities.imageUpdated'),
+      data: formatCustomActivity(updated)
+    });
+  } catch (error) {
+    console.error('❌ [CUSTOM] Erreur image activité personnelle:', error);
+    res.status(500).json({ success: false, error: req.t('customActivities.imageFailed') });
+  }
+});
+
+/**
+ * DELETE /api/user/custom-activities/:id/image
+ */
+router.delete('/:id/image', async (req, res) => {
+  try {
+    const current = await findOwnCustomActivity(req.params.id, req.user.userId);
+
+    if (!current) {
+      return res.status(404).json({ success: false, error: req.t('customActivities.notFound') });
+    }
+
+    const { data: updated, error } = await supabase
+      .from('custom_activities')
+      .update({ image_url: null, cloudinary_public_id: null, updated_at: new Date().toISOString() })
+      .eq('id', current.id)
+      .eq('user_id', req.user.userId)
+      .select(CUSTOM_ACTIVITY_SELECT)
+      .single();
+
+    if (error) throw error;
+
+    if (current.cloudinary_public_id) await destroyImage(current.cloudinary_public_id);
+
+    res.json({
+      success: true,
+      message: req.t('customActivities.imageRemoved'),
+      data: formatCustomActivity(updated)
+    });
+  } catch (error) {
+    console.error('❌ [CUSTOM] Erreur suppression image activité personnelle:', error);
+    res.status(500).json({ success: false, error: req.t('customActivities.updateFailed') });
+  }
+});
+
+module.exports = router;
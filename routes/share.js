@@ -30,6 +30,24 @@ function isBot(userAgent) {
   return isDetectedBot;
 }
 
+// Locale Open Graph de chaque langue de l'API
+const OG_LOCALES = {
+  fr: 'fr_FR',
+  en: 'en_US'
+};
+
+/**
+ * Échappe une valeur insérée dans le HTML (nom saisi par l'utilisateur...)
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 /**
  * Génère le HTML de la page de partage avec métadonnées Open Graph
  * 
@@ -37,14 +55,21 @@ function isBot(userAgent) {
  * @param {Object} userProfile - Profil de l'utilisateur
  * @param {string} shareUrl - URL complète du lien de partage
  * @param {boolean} isForBot - true si destiné à un bot (pas de redirect)
+ * @param {Object} req - Requête (req.t, req.lang)
  * @returns {string} HTML complet de la page
  */
-function generateSharePageHTML(shareData, userProfile, shareUrl, isForBot) {
+function generateSharePageHTML(shareData, userProfile, shareUrl, isForBot, req) {
   const { stats, image_url, platform } = shareData;
-  const { first_name, last_name } = userProfile;
+  const first_name = escapeHtml(userProfile.first_name);
+  const last_name = escapeHtml(userProfile.last_name);
   
-  const title = `🎯 Ma Bucket List - ${first_name} ${last_name}`;
-  const description = `Découvrez la Bucket List de ${first_name} : ${stats.totalActivities} activités, ${stats.completedCount} réalisées. Progression : ${stats.completionRate}% 🚀`;
+  const title = req.t('sharePage.title', { name: `${first_name} ${last_name}` });
+  const description = req.t('sharePage.description', {
+    firstName: first_name,
+    total: stats.totalActivities,
+    completed: stats.completedCount,
+    rate: stats.completionRate
+  });
   
   // Dimensions selon la plateforme
   const imageDimensions = {
@@ -71,11 +96,11 @@ function generateSharePageHTML(shareData, userProfile, shareUrl, isForBot) {
     <div style="display: flex; flex-direction: column; align-items: center; justify-content: center; height: 100vh; font-family: Arial, sans-serif;">
       <div style="text-align: center;">
         <div class="spinner"></div>
-        <h1 style="color: #333; margin-top: 20px;">Chargement de votre Bucket Liste...</h1>
-        <p style="color: #666;">Redirection dans 3 secondes</p>
+        <h1 style="color: #333; margin-top: 20px;">${req.t('sharePage.loading')}</h1>
+        <p style="color: #666;">${req.t('sharePage.redirecting', { seconds: 3 })}</p>
         <p style="margin-top: 30px;">
           <a href="${process.env.FRONTEND_URL}" style="color: #007bff; text-decoration: none; font-size: 16px;">
-            Cliquez ici pour accéder immédiatement
+            ${req.t('sharePage.openNow')}
           </a>
         </p>
       </div>
@@ -98,15 +123,15 @@ function generateSharePageHTML(shareData, userProfile, shareUrl, isForBot) {
   ` : `
     <div style="display: flex; align-items: center; justify-content: center; height: 100vh; font-family: Arial, sans-serif; background-color: #f5f5f5;">
       <div style="text-align: center; max-width: 600px; padding: 20px;">
-        <h1 style="color: #333;">🎯 Ma Bucket List</h1>
+        <h1 style="color: #333;">${req.t('sharePage.heading')}</h1>
         <p style="color: #666; font-size: 18px;">${description}</p>
-        <img src="${image_url}" alt="Bucket List de ${first_name}" style="max-width: 100%; margin-top: 20px; border-radius: 8px; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+        <img src="${image_url}" alt="${req.t('sharePage.imageAlt', { firstName: first_name })}" style="max-width: 100%; margin-top: 20px; border-radius: 8px; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
       </div>
     </div>
   `;
   
   return `<!DOCTYPE html>
-<html lang="fr">
+<html lang="${req.lang}">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
@@ -122,7 +147,7 @@ function generateSharePageHTML(shareData, userProfile, shareUrl, isForBot) {
     <meta property="og:image:height" content="${dimensions.height}">
     <meta property="og:image:type" content="image/jpeg">
     <meta property="og:site_name" content="Ma Bucket Liste">
-    <meta property="og:locale" content="fr_FR">
+    <meta property="og:locale" content="${OG_LOCALES[req.lang] || OG_LOCALES.fr}">
     
     <!-- Twitter Card -->
     <meta name="twitter:card" content="summary_large_image">
@@ -147,59 +172,35 @@ function generateSharePageHTML(shareData, userProfile, shareUrl, isForBot) {
 }
 
 /**
- * Génère le HTML de la page 404 (token introuvable)
- */
-function generate404Page() {
-  return `<!DOCTYPE html>
-<html lang="fr">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Lien introuvable - Ma Bucket Liste</title>
-    <meta http-equiv="refresh" content="5;url=${process.env.FRONTEND_URL}">
-</head>
-<body>
-    <div style="display: flex; flex-direction: column; align-items: center; justify-content: center; height: 100vh; font-family: Arial, sans-serif; text-align: center; padding: 20px;">
-      <h1 style="color: #333; font-size: 48px;">🔍</h1>
-      <h2 style="color: #666;">Lien de partage introuvable</h2>
-      <p style="color: #999; max-width: 500px; margin: 20px 0;">
-        Ce lien de partage n'existe pas ou a été supprimé.
-      </p>
-      <p style="color: #999;">
-        Redirection vers la page d'accueil dans 5 secondes...
-      </p>
-      <a href="${process.env.FRONTEND_URL}" style="margin-top: 20px; padding: 12px 24px; background-color: #007bff; color: white; text-decoration: none; border-radius: 6px; font-size: 16px;">
-        Retourner à l'accueil
-      </a>
-    </div>
-</body>
-</html>`;
-}
-
-/**
- * Génère le HTML de la page 410 Gone (token expiré)
+ * Génère une page d'erreur (lien introuvable, expiré, erreur serveur)
+ * avec redirection vers l'accueil après 5 secondes
+ *
+ * @param {Object} req - Requête (req.t, req.lang)
+ * @param {string} kind - notFound | expired | error (clés sharePage.<kind>.*)
+ * @param {string} icon - Emoji affiché au-dessus du titre
+ * @returns {string} HTML complet de la page
  */
-function generate410Page() {
+function generateErrorPage(req, kind, icon) {
   return `<!DOCTYPE html>
-<html lang="fr">
+<html lang="${req.lang}">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Lien expiré - Ma Bucket Liste</title>
+    <title>${req.t(`sharePage.${kind}.title`)} - Ma Bucket Liste</title>
     <meta http-equiv="refresh" content="5;url=${process.env.FRONTEND_URL}">
 </head>
 <body>
     <div style="display: flex; flex-direction: column; align-items: center; justify-content: center; height: 100vh; font-family: Arial, sans-serif; text-align: center; padding: 20px;">
-      <h1 style="color: #333; font-size: 48px;">⏰</h1>
-      <h2 style="color: #666;">Lien de partage expiré</h2>
+      <h1 style="color: #333; font-size: 48px;">${icon}</h1>
+      <h2 style="color: #666;">${req.t(`sharePage.${kind}.heading`)}</h2>
       <p style="color: #999; max-width: 500px; margin: 20px 0;">
-        Ce lien de partage a expiré. Les liens de partage sont valables 30 jours.
+        ${req.t(`sharePage.${kind}.text`)}
       </p>
       <p style="color: #999;">
-        Redirection vers la page d'accueil dans 5 secondes...
+        ${req.t('sharePage.redirectingHome', { seconds: 5 })}
       </p>
       <a href="${process.env.FRONTEND_URL}" style="margin-top: 20px; padding: 12px 24px; background-color: #007bff; color: white; text-decoration: none; border-radius: 6px; font-size: 16px;">
-        Retourner à l'accueil
+        ${req.t('sharePage.backHome')}
       </a>
     </div>
 </body>
@@ -232,22 +233,23 @@ router.get('/:token', async (req, res) => {
     // 2. Vérifier si le lien existe
     if (shareLinkError || !shareLink) {
       console.log(`❌ Token introuvable: ${token}`);
-      return res.status(404).send(generate404Page());
+      return res.status(404).send(generateErrorPage(req, 'notFound', '🔍'));
     }
     
     // 3. Récupérer le profil utilisateur séparément
-    const { data: userProfile, error: profileError } = await supabase
+    const { data: profile, error: profileError } = await supabase
       .from('user_profiles')
       .select('first_name, last_name, email')
       .eq('id', shareLink.user_id)
       .single();
     
+    // Utiliser des valeurs par défaut si le profil n'est pas trouvé
+    let userProfile = profile;
     if (profileError || !userProfile) {
       console.error('❌ Erreur récupération profil:', profileError);
-      // Utiliser des valeurs par défaut si le profil n'est pas trouvé
       userProfile = {
-        first_name: 'Utilisateur',
-        last_name: 'Anonyme',
+        first_name: req.t('sharePage.anonymousFirstName'),
+        last_name: req.t('sharePage.anonymousLastName'),
         email: ''
       };
     }
@@ -260,7 +262,7 @@ router.get('/:token', async (req, res) => {
     
     if (!shareLink.is_active || now > expiresAt) {
       console.log(`⏰ Token expiré: ${token} (expires_at: ${shareLink.expires_at})`);
-      return res.status(410).send(generate410Page());
+      return res.status(410).send(generateErrorPage(req, 'expired', '⏰'));
     }
     
     // 5. Mettre à jour les analytics
@@ -294,7 +296,8 @@ router.get('/:token', async (req, res) => {
       shareLink,
       userProfile,
       shareUrl,
-      isBotRequest
+      isBotRequest,
+      req
     );
     
     res.setHeader('Content-Type', 'text/html; charset=utf-8');
@@ -302,26 +305,7 @@ router.get('/:token', async (req, res) => {
     
   } catch (error) {
     console.error('❌ Erreur serveur lors de la récupération du lien de partage:', error);
-    res.status(500).send(`
-      <!DOCTYPE html>
-      <html lang="fr">
-      <head>
-          <meta charset="UTF-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1.0">
-          <title>Erreur - Ma Bucket Liste</title>
-          <meta http-equiv="refresh" content="5;url=${process.env.FRONTEND_URL}">
-      </head>
-      <body>
-          <div style="display: flex; flex-direction: column; align-items: center; justify-content: center; height: 100vh; font-family: Arial, sans-serif; text-align: center;">
-            <h1 style="color: #dc3545;">Une erreur est survenue</h1>
-            <p style="color: #666;">Redirection vers la page d'accueil...</p>
-            <a href="${process.env.FRONTEND_URL}" style="margin-top: 20px; color: #007bff; text-decoration: none;">
-              Cliquer ici si la redirection ne fonctionne pas
-            </a>
-          </div>
-      </body>
-      </html>
-    `);
+    res.status(500).send(generateErrorPage(req, 'error', '⚠️'));
   }
 });
 
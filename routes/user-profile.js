@@ -3,6 +3,8 @@ const express = require('express');
 const multer = require('multer');
 const { put, del } = require('@vercel/blob');
 const { supabase } = require('../config/supabase');
+const { normalizeCurrency, normalizeLocale } = require('../utils/currency');
+const { validateAuthenticatedRequest } = require('../middleware/validate-request');
 const authenticateToken = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
@@ -11,7 +13,7 @@ const authenticateToken = async (req, res, next) => {
     if (!token) {
       return res.status(401).json({
         success: false,
-        message: 'Token d\'accès requis'
+        message: req.t('auth.tokenRequired')
       });
     }
 
@@ -21,18 +23,19 @@ const authenticateToken = async (req, res, next) => {
     if (error || !user) {
       return res.status(403).json({
         success: false,
-        message: 'Token invalide'
+        message: req.t('auth.tokenInvalid')
       });
     }
 
     req.user = user.user;
     req.userId = user.user.id;
-    next();
+    // Paramètres et corps validés une fois l'utilisateur authentifié
+    validateAuthenticatedRequest(req, res, next);
   } catch (error) {
     console.error('Erreur authentification:', error);
     res.status(403).json({
       success: false,
-      message: 'Token invalide'
+      message: req.t('auth.tokenInvalid')
     });
   }
 };
@@ -66,7 +69,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
     // Récupérer les données profil uniquement
     const { data: profile, error } = await supabase
       .from('user_profiles')
-      .select('id, email, first_name, last_name, avatar_url, created_at')
+      .select('id, email, first_name, last_name, avatar_url, preferred_currency, locale, created_at')
       .eq('id', userId)
       .single();
 
@@ -74,7 +77,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
       if (error.code === 'PGRST116') {
         return res.status(404).json({
           success: false,
-          message: 'Profil utilisateur non trouvé'
+          message: req.t('profile.notFound')
         });
       }
       throw error;
@@ -89,6 +92,8 @@ router.get('/profile', authenticateToken, async (req, res) => {
         firstName: profile.first_name,
         lastName: profile.last_name,
         avatarUrl: profile.avatar_url,
+        preferredCurrency: profile.preferred_currency,
+        locale: profile.locale,
         createdAt: profile.created_at
       }
     });
@@ -97,7 +102,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
     console.error('Erreur récupération profil:', error);
     res.status(500).json({
       success: false,
-      message: 'Erreur serveur lors de la récupération du profil'
+      message: req.t('profile.fetchServerError')
     });
   }
 });
@@ -105,17 +110,18 @@ router.get('/profile', authenticateToken, async (req, res) => {
 /**
  * PUT /api/user/profile
  * Mettre à jour les informations personnelles (nom, prénom, email)
+ * et, optionnellement, les préférences d'affichage (preferredCurrency, locale)
  */
 router.put('/profile', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.id;
-    const { firstName, lastName, email } = req.body;
+    const { firstName, lastName, email, preferredCurrency, locale } = req.body;
 
     // Validation des données
     if (!firstName || !lastName || !email) {
       return res.status(400).json({
         success: false,
-        message: 'Nom, prénom et email sont requis'
+        message: req.t('profile.fieldsRequired')
       });
     }
 
@@ -124,10 +130,31 @@ router.put('/profile', authenticateToken, async (req, res) => {
     if (!emailRegex.test(email)) {
       return res.status(400).json({
         success: false,
-        message: 'Format email invalide'
+        message: req.t('profile.invalidEmail')
       });
     }
 
+    // Préférences d'affichage des montants (facultatives)
+    const preferences = {};
+    if (preferredCurrency !== undefined) {
+      preferences.preferred_currency = normalizeCurrency(preferredCurrency);
+      if (!preferences.preferred_currency) {
+        return res.status(400).json({
+          success: false,
+          message: req.t('currency.invalid', { name: 'preferredCurrency' })
+        });
+      }
+    }
+    if (locale !== undefined) {
+      preferences.locale = locale === null ? null : normalizeLocale(locale);
+      if (locale !== null && !preferences.locale) {
+        return res.status(400).json({
+          success: false,
+          message: req.t('currency.invalidLocale')
+        });
+      }
+    }
+
     // Vérifier si l'email n'est pas déjà utilisé par un autre utilisateur
     if (email !== req.user.email) {
       const { data: existingUser } = await supabase
@@ -140,7 +167,7 @@ router.put('/profile', authenticateToken, async (req, res) => {
       if (existingUser) {
         return res.status(409).json({
           success: false,
-          message: 'Cet email est déjà utilisé'
+          message: req.t('profile.emailTaken')
         });
       }
     }
@@ -152,23 +179,26 @@ router.put('/profile', authenticateToken, async (req, res) => {
         first_name: firstName.trim(),
         last_name: lastName.trim(),
         email: email.toLowerCase().trim(),
+        ...preferences,
         updated_at: new Date().toISOString()
       })
       .eq('id', userId)
-      .select('id, email, first_name, last_name, avatar_url, created_at')
+      .select('id, email, first_name, last_name, avatar_url, preferred_currency, locale, created_at')
       .single();
 
     if (error) throw error;
 
     res.json({
       success: true,
-      message: 'Profil mis à jour avec succès',
+      message: req.t('profile.updated'),
       user: {
         id: updatedProfile.id,
         email: updatedProfile.email,
         firstName: updatedProfile.first_name,
         lastName: updatedProfile.last_name,
         avatarUrl: updatedProfile.avatar_url,
+        preferredCurrency: updatedProfile.preferred_currency,
+        locale: updatedProfile.locale,
         createdAt: updatedProfile.created_at
       }
     });
@@ -177,7 +207,7 @@ router.put('/profile', authenticateToken, async (req, res) => {
     console.error('Erreur mise à jour profil:', error);
     res.status(500).json({
       success: false,
-      message: 'Erreur serveur lors de la mise à jour'
+      message: req.t('profile.updateServerError')
     });
   }
 });
@@ -193,7 +223,7 @@ router.post('/avatar', authenticateToken, upload.single('avatar'), async (req, r
     if (!req.file) {
       return res.status(400).json({
         success: false,
-        message: 'Aucun fichier fourni'
+        message: req.t('upload.noFile')
       });
     }
 
@@ -239,7 +269,7 @@ router.post('/avatar', authenticateToken, upload.single('avatar'), async (req, r
 
     res.json({
       success: true,
-      message: 'Avatar mis à jour avec succès',
+      message: req.t('profile.avatarUpdated'),
       avatarUrl: updatedProfile.avatar_url
     });
 
@@ -247,7 +277,7 @@ router.post('/avatar', authenticateToken, upload.single('avatar'), async (req, r
     console.error('Erreur upload avatar:', error);
     res.status(500).json({
       success: false,
-      message: 'Erreur lors de l\'upload de l\'avatar'
+      message: req.t('profile.avatarUploadFailed')
     });
   }
 });
@@ -270,7 +300,7 @@ router.delete('/avatar', authenticateToken, async (req, res) => {
     if (!currentProfile?.avatar_url) {
       return res.status(404).json({
         success: false,
-        message: 'Aucun avatar à supprimer'
+        message: req.t('profile.noAvatar')
       });
     }
 
@@ -295,14 +325,14 @@ router.delete('/avatar', authenticateToken, async (req, res) => {
 
     res.json({
       success: true,
-      message: 'Avatar supprimé avec succès'
+      message: req.t('profile.avatarDeleted')
     });
 
   } catch (error) {
     console.error('Erreur suppression avatar:', error);
     res.status(500).json({
       success: false,
-      message: 'Erreur lors de la suppression de l\'avatar'
+      message: req.t('profile.avatarDeleteFailed')
     });
   }
 });
@@ -4,6 +4,27 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const { createClient } = require('@supabase/supabase-js');
 require('dotenv').config();
+const {
+  ACTIVITY_SORTS,
+  parseActivityFilters,
+  applyActivityFilters,
+  facetCountParams
+} = require('./utils/activity-filters');
+const { parsePagination, applyCursor, buildPage, readPages } = require('./utils/pagination');
+const { createSnapshotCache } = require('./utils/snapshot-cache');
+const { rankSimilarActivities } = require('./utils/similar-activities');
+const { parseBestSeason, monthsUntilSeason } = require('./utils/seasons');
+const { optionalAuthenticateToken } = require('./middleware/auth');
+const { localize } = require('./middleware/i18n');
+const { publicCache } = require('./middleware/http-cache');
+const { validateRequest } = require('./middleware/validate-request');
+const { openapiDocument, MAX_ACTIVITY_BATCH } = require('./utils/openapi');
+const { listRoutes } = require('./utils/route-table');
+const { localizeActivities, localizeActivity, localizeReferenceRows } = require('./utils/catalog-translations');
+const { supabaseService } = require('./config/supabase-service');
+const { buildGallery, buildResponsiveImage } = require('./utils/cloudinary-images');
+const { registerCatalogCache, getReferenceRows } = require('./utils/catalog-cache');
+const { isUuid } = require('./utils/bucket-list-items');
 
 const app = express();
 
@@ -11,6 +32,8 @@ const app = express();
 // 1. CONFIGURATION (EN PREMIER)
 // ==========================================
 app.set('trust proxy', 1);
+// ETag forts : Express répond 304 quand If-None-Match correspond
+app.set('etag', 'strong');
 const PORT = process.env.PORT || 3000;
 
 // Configuration Supabase
@@ -22,6 +45,10 @@ const supabase = createClient(
 // ==========================================
 // 2. MIDDLEWARES DE PARSING (AVANT LES ROUTES)
 // ==========================================
+// Langue de la réponse (?lang= ou Accept-Language) : req.lang, req.t
+// (en premier : les erreurs de parsing JSON sont aussi traduites)
+app.use(localize);
+
 // Middleware JSON conditionnel - évite les conflits avec les uploads
 app.use((req, res, next) => {
   // Ne pas parser JSON pour les uploads de fichiers
@@ -40,6 +67,7 @@ app.use((req, res, next) => {
   express.urlencoded({ extended: true, limit: '2mb' })(req, res, next);
 });
 
+
 // ==========================================
 // 3. MIDDLEWARES DE SÉCURITÉ
 // ==========================================
@@ -62,7 +90,7 @@ app.use(cors({
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limite de 100 requêtes par fenêtre par IP
-  message: { error: 'Trop de requêtes, réessayez plus tard.' }
+  message: (req) => ({ error: req.t('errors.tooManyRequests') })
 });
 app.use('/api/', limiter);
 
@@ -71,35 +99,82 @@ const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 5, // max 5 tentatives de connexion par IP
   skipSuccessfulRequests: true,
-  message: { error: 'Trop de tentatives de connexion, réessayez dans 15 minutes.' }
+  message: (req) => ({ error: req.t('errors.tooManyLoginAttempts') })
 });
 
+// Validation des paramètres et corps JSON selon le document OpenAPI (utils/openapi).
+// Routes publiques uniquement : les routes authentifiées sont validées après
+// l'authentification (validateAuthenticatedRequest dans les routeurs)
+app.use(validateRequest(openapiDocument));
+
 // ==========================================
 // 5. IMPORTER LES ROUTES
 // ==========================================
 const authBucketRoutes = require('./routes/auth-bucket');
 const userProfileRoutes = require('./routes/user-profile');
 const shareRoutes = require('./routes/share');
+const adminCatalogRoutes = require('./routes/admin-catalog');
+const customActivityRoutes = require('./routes/custom-activities');
+const collectionRoutes = require('./routes/collections');
 
 // ==========================================
 // 6. ROUTES PRINCIPALES (existantes)
 // ==========================================
 
+// Cache HTTP des lectures publiques (navigateur et CDN Vercel)
+const catalogCache = publicCache({ maxAge: 60, staleWhileRevalidate: 300 });
+const referenceCache = publicCache({ maxAge: 300, staleWhileRevalidate: 3600 });
+
 // Route de test
 app.get('/', (req, res) => {
   res.json({ 
-    message: 'API Ma Bucket Liste - Opérationnelle ✅',
+    message: req.t('api.running'),
     version: '2.0.0', // Mise à jour de version
     features: [
-      'Activités et recherche',
-      'Authentification utilisateurs',
-      'Bucket lists personnelles',
-      'Partage sur réseaux sociaux'
+      req.t('api.features.catalog'),
+      req.t('api.features.auth'),
+      req.t('api.features.bucketLists'),
+      req.t('api.features.sharing')
     ],
     timestamp: new Date().toISOString()
   });
 });
 
+// 📘 Documentation de l'API
+app.get('/api/openapi.json', (req, res) => {
+  res.json(openapiDocument);
+});
+
+// Swagger UI chargé depuis jsDelivr : CSP élargie pour cette seule page
+const SWAGGER_UI_CDN = 'https://cdn.jsdelivr.net/npm/swagger-ui-dist@5';
+
+app.get('/api/docs', (req, res) => {
+  res.set('Content-Security-Policy', [
+    "default-src 'self'",
+    "script-src 'self' 'unsafe-inline' https://cdn.jsdelivr.net",
+    "style-src 'self' 'unsafe-inline' https://cdn.jsdelivr.net",
+    "img-src 'self' data: https:",
+    "connect-src 'self'"
+  ].join('; '));
+
+  res.type('html').send(`<!DOCTYPE html>
+<html lang="${req.lang}">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${openapiDocument.info.title}</title>
+  <link rel="stylesheet" href="${SWAGGER_UI_CDN}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${SWAGGER_UI_CDN}/swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: '/api/openapi.json', dom_id: '#swagger-ui' });
+  </script>
+</body>
+</html>`);
+});
+
 // Route de test Supabase
 app.get('/api/test', async (req, res) => {
   try {
@@ -111,22 +186,38 @@ app.get('/api/test', async (req, res) => {
     if (error) throw error;
     
     res.json({ 
-      message: 'Connexion Supabase OK ✅',
+      message: req.t('api.supabaseConnected'),
       supabase_connected: true,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
     res.status(500).json({ 
-      error: 'Erreur connexion Supabase ❌',
+      error: req.t('api.supabaseFailed'),
       details: error.message 
     });
   }
 });
 
-// 🌍 Récupérer toutes les activités avec filtres optionnels
-app.get('/api/activities', async (req, res) => {
+// 🌍 Récupérer toutes les activités avec filtres optionnels et compteurs de facettes
+// (?ids=a,b,c : activités demandées, voir POST /api/activities/batch)
+app.get('/api/activities', catalogCache, async (req, res) => {
+  if (req.query.ids !== undefined) {
+    return sendActivityBatch(req, res, String(req.query.ids).split(','));
+  }
+  
   try {
-    const { continent, category, difficulty, limit = 50, offset = 0 } = req.query;
+    const { filters, errors: filterErrors } = parseActivityFilters(req.query, { t: req.t });
+    const { pagination, errors: paginationErrors } = parsePagination(req.query, {
+      sorts: ACTIVITY_SORTS,
+      defaultSort: 'newest',
+      defaultLimit: 50,
+      t: req.t
+    });
+    const errors = [...filterErrors, ...paginationErrors];
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ error: req.t('errors.invalidParameters'), details: errors });
+    }
     
     let query = supabase
       .from('activities')
@@ -134,39 +225,323 @@ app.get('/api/activities', async (req, res) => {
         *,
         categories(name, icon),
         continents(name)
-      `)
-      .order('created_at', { ascending: false });
+      `);
 
     // Filtres
-    if (continent) query = query.eq('continent_id', continent);
-    if (category) query = query.eq('category_id', category);
-    if (difficulty) query = query.eq('difficulty', difficulty);
+    query = applyActivityFilters(query, filters);
     
-    // Pagination
-    query = query.range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
+    // Tri et pagination par curseur
+    query = applyCursor(query, pagination);
 
-    const { data, error } = await query;
+    // Facettes et total : comptage groupé côté base (voir get_activity_facets)
+    const [
+      { data: rows, error },
+      { data: facetCounts, error: facetsError }
+    ] = await Promise.all([query, supabase.rpc('get_activity_facets', facetCountParams(filters))]);
     
     if (error) throw error;
+    if (facetsError) throw facetsError;
+    
+    const { rows: pageRows, meta } = buildPage(rows, pagination);
+    const [data, categories, continents] = await Promise.all([
+      localizeActivities(supabase, pageRows, req.lang),
+      localizeReferenceRows(supabase, 'categories', facetCounts.categories, req.lang),
+      localizeReferenceRows(supabase, 'continents', facetCounts.continents, req.lang)
+    ]);
     
     res.json({
       success: true,
       data,
       meta: {
+        ...meta,
+        total: facetCounts.total,
+        filters,
+        facets: { categories, continents, difficulties: facetCounts.difficulties }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Activités demandées par id, dans l'ordre de la demande, avec leur image hero.
+ * Les ids introuvables, désactivés ou mal formés (non envoyés à la base) sont
+ * renvoyés dans meta.missing.
+ *
+ * @param {Object} req
+ * @param {Object} res
+ * @param {string[]} requestedIds - Ids dans l'ordre voulu (doublons ignorés)
+ */
+async function sendActivityBatch(req, res, requestedIds) {
+  try {
+    const ids = [...new Set(requestedIds.map(id => String(id).trim()).filter(Boolean))];
+    
+    if (ids.length === 0) {
+      return res.status(400).json({ error: req.t('validation.required', { name: 'ids' }) });
+    }
+    if (ids.length > MAX_ACTIVITY_BATCH) {
+      return res.status(400).json({ error: req.t('activities.tooManyIds', { max: MAX_ACTIVITY_BATCH }) });
+    }
+    
+    // Un id mal formé ferait échouer toute la requête (22P02)
+    const wellFormed = ids.filter(isUuid);
+    if (wellFormed.length === 0) {
+      return res.json({ success: true, data: [], meta: { requested: ids.length, count: 0, missing: ids } });
+    }
+    
+    const [
+      { data: rows, error },
+      { data: heroImages, error: imagesError }
+    ] = await Promise.all([
+      supabase
+        .from('activities')
+        .select(`
+          *,
+          categories(name, icon),
+          continents(name)
+        `)
+        .in('id', wellFormed)
+        .not('is_active', 'is', false),
+      supabase
+        .from('activity_images')
+        .select('id, activity_id, cloudinary_public_id, image_type, position, caption, alt_text, width, height')
+        .in('activity_id', wellFormed)
+        .eq('image_type', 'hero')
+    ]);
+    
+    if (error) throw error;
+    if (imagesError) throw imagesError;
+    
+    const heroById = new Map(heroImages.map(image => [String(image.activity_id), buildResponsiveImage(image)]));
+    const byId = new Map(rows.map(row => [String(row.id), row]));
+    const found = ids.filter(id => byId.has(id));
+    
+    const localized = await localizeActivities(supabase, found.map(id => byId.get(id)), req.lang);
+    const data = localized.map(activity => ({
+      ...activity,
+      hero_image: heroById.get(String(activity.id)) || null
+    }));
+    
+    res.json({
+      success: true,
+      data,
+      meta: {
+        requested: ids.length,
         count: data.length,
-        limit: parseInt(limit),
-        offset: parseInt(offset)
+        missing: ids.filter(id => !byId.has(id))
       }
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
+}
+
+// 📦 Plusieurs activités en une requête (carrousels, comparateur)
+// (un corps urlencoded échappe à la validation OpenAPI : ids peut y être une chaîne)
+app.post('/api/activities/batch', (req, res) => {
+  if (!Array.isArray(req.body?.ids)) {
+    return res.status(400).json({ error: req.t('validation.array', { name: 'ids' }) });
+  }
+  sendActivityBatch(req, res, req.body.ids);
 });
 
-// 🎯 Récupérer une activité par ID
-app.get('/api/activities/:id', async (req, res) => {
+// 📅 Activités de saison : que faire ce mois-ci ?
+// Connecté : signale aussi les projets de l'utilisateur dont la saison est ouverte ou approche
+const SEASON_OPENING_SOON_MONTHS = 2;
+
+app.get('/api/activities/seasonal', optionalAuthenticateToken, async (req, res) => {
   try {
-    const { id } = req.params;
+    const month = req.query.month ? parseInt(req.query.month) : new Date().getMonth() + 1;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+    const { continent, category } = req.query;
+    
+    if (!Number.isInteger(month) || month < 1 || month > 12) {
+      return res.status(400).json({ error: req.t('seasonal.invalidMonth') });
+    }
+    
+    // 1️⃣ Activités du catalogue avec une saison renseignée, les plus populaires d'abord,
+    // lues par pages jusqu'à en avoir `limit` de saison
+    const seasonalQuery = () => {
+      let query = supabase
+        .from('activities')
+        .select(`
+          *,
+          categories(name, icon),
+          continents(name)
+        `)
+        .not('best_season', 'is', null)
+        .not('is_active', 'is', false)
+        .order('popularity_score', { ascending: false, nullsFirst: false })
+        .order('id', { ascending: true });
+
+      if (continent) query = query.eq('continent_id', continent);
+      if (category) query = query.eq('category_id', category);
+      return query;
+    };
+
+    const inSeason = [];
+    for await (const activities of readPages(seasonalQuery)) {
+      inSeason.push(...activities
+        .map(activity => ({ ...activity, season: parseBestSeason(activity.best_season) }))
+        .filter(activity => activity.season?.months.includes(month)));
+      if (inSeason.length >= limit) break;
+    }
+
+    const data = await localizeActivities(supabase, inSeason.slice(0, limit), req.lang);
+    
+    // 2️⃣ Projets de l'utilisateur connecté dont la saison est ouverte ou s'ouvre bientôt
+    let myItems;
+    
+    if (req.user) {
+      const { data: bucketItems, error: bucketError } = await supabaseService
+        .from('user_bucket_lists')
+        .select(`
+          id,
+          status,
+          target_date,
+          activity:activities (
+            id,
+            title,
+            slug,
+            location,
+            best_season
+          )
+        `)
+        .eq('user_id', req.user.userId)
+        .in('status', ['planned', 'in_progress']);
+      
+      if (bucketError) throw bucketError;
+      
+      const localizedActivities = await localizeActivities(
+        supabase,
+        bucketItems.filter(item => item.activity).map(item => item.activity),
+        req.lang
+      );
+      const activitiesById = new Map(localizedActivities.map(activity => [activity.id, activity]));
+      
+      myItems = bucketItems
+        .filter(item => item.activity)
+        .map(item => {
+          const season = parseBestSeason(item.activity.best_season);
+          const opensIn = monthsUntilSeason(season, month);
+          return { item, season, opensIn };
+        })
+        .filter(({ opensIn }) => opensIn !== null && opensIn <= SEASON_OPENING_SOON_MONTHS)
+        .sort((a, b) => a.opensIn - b.opensIn)
+        .map(({ item, season, opensIn }) => ({
+          id: item.id,
+          status: item.status,
+          target_date: item.target_date,
+          activity: activitiesById.get(item.activity.id),
+          season,
+          window: opensIn === 0 ? 'open' : 'opening_soon',
+          opens_in_months: opensIn
+        }));
+    }
+    
+    res.json({
+      success: true,
+      data,
+      ...(myItems && { my_items: myItems }),
+      meta: {
+        month,
+        count: data.length
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 🔥 Activités tendance : ajouts et réalisations récents, comparés à la fenêtre précédente
+// (popularity_score est statique et ne reflète pas la dynamique)
+const TRENDING_WINDOWS = {
+  '7d': 7,
+  '30d': 30
+};
+
+app.get('/api/activities/trending', async (req, res) => {
+  try {
+    const windowKey = req.query.window ? String(req.query.window) : '7d';
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+    const { continent, category } = req.query;
+    
+    if (!TRENDING_WINDOWS[windowKey]) {
+      return res.status(400).json({
+        error: req.t('validation.invalidChoice', { name: 'window', values: Object.keys(TRENDING_WINDOWS).join(', ') })
+      });
+    }
+    
+    // 1️⃣ Classement calculé en base (compteurs uniquement, activités actives)
+    // Marge : une activité désactivée entre les deux lectures ne raccourcit pas la liste
+    const { data: ranking, error: rankingError } = await supabase.rpc('trending_activities', {
+      window_days: TRENDING_WINDOWS[windowKey],
+      target_category: category || null,
+      target_continent: continent || null,
+      max_results: limit * 2
+    });
+    
+    if (rankingError) throw rankingError;
+    
+    // 2️⃣ Activités correspondantes, dans l'ordre du classement
+    let activities = [];
+    
+    if (ranking.length > 0) {
+      const { data, error } = await supabase
+        .from('activities')
+        .select(`
+          *,
+          categories(name, icon),
+          continents(name)
+        `)
+        .in('id', ranking.map(row => row.activity_id))
+        .not('is_active', 'is', false);
+      
+      if (error) throw error;
+      activities = data;
+    }
+    
+    const byId = new Map(activities.map(activity => [String(activity.id), activity]));
+    const ranked = ranking
+      .filter(row => byId.has(String(row.activity_id)))
+      .slice(0, limit)
+      .map(row => ({
+        ...byId.get(String(row.activity_id)),
+        trend: {
+          current_count: Number(row.current_count),
+          previous_count: Number(row.previous_count),
+          score: Number(row.score)
+        }
+      }));
+    const data = await localizeActivities(supabase, ranked, req.lang);
+    
+    res.json({
+      success: true,
+      data,
+      meta: {
+        window: windowKey,
+        count: data.length,
+        ...(continent && { continent }),
+        ...(category && { category })
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 🔗 Récupérer une activité par slug
+// Un ancien slug (titre modifié depuis) répond 301 avec le slug actuel
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+app.get('/api/activities/by-slug/:slug', async (req, res) => {
+  try {
+    const slug = String(req.params.slug).toLowerCase();
+    
+    if (!SLUG_PATTERN.test(slug) || slug.length > 200) {
+      return res.status(400).json({ error: req.t('activities.invalidSlug') });
+    }
     
     const { data, error } = await supabase
       .from('activities')
@@ -175,114 +550,389 @@ app.get('/api/activities/:id', async (req, res) => {
         categories(name, icon),
         continents(name)
       `)
-      .eq('id', id)
-      .single();
+      .eq('slug', slug)
+      .not('is_active', 'is', false)
+      .maybeSingle();
     
     if (error) throw error;
-    if (!data) return res.status(404).json({ error: 'Activité non trouvée' });
+    if (data) {
+      const activity = await localizeActivity(supabase, data, req.lang);
+      activity.gallery = await loadActivityGallery(data.id);
+      return res.json({ success: true, data: activity });
+    }
     
-    res.json({ success: true, data });
+    // Ancien slug ?
+    const { data: previous, error: historyError } = await supabase
+      .from('activity_slug_history')
+      .select('activity:activities(id, slug, is_active)')
+      .eq('slug', slug)
+      .maybeSingle();
+    
+    if (historyError) throw historyError;
+    
+    // Pas de redirection vers une activité désactivée
+    if (!previous?.activity?.slug || previous.activity.is_active === false) {
+      return res.status(404).json({ error: req.t('activities.notFound') });
+    }
+    
+    const location = `/api/activities/by-slug/${previous.activity.slug}`;
+    
+    res.status(301)
+      .set('Location', location)
+      .json({
+        success: false,
+        redirect: true,
+        message: req.t('activities.slugMoved'),
+        data: {
+          id: previous.activity.id,
+          slug: previous.activity.slug,
+          previous_slug: slug,
+          location
+        }
+      });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// 📂 Récupérer toutes les catégories
-app.get('/api/categories', async (req, res) => {
+/**
+ * Galerie d'une activité (hero en premier) avec URLs responsives
+ *
+ * @param {number|string} activityId
+ * @returns {Promise<Object[]>}
+ */
+async function loadActivityGallery(activityId) {
+  const { data, error } = await supabase
+    .from('activity_images')
+    .select('id, cloudinary_public_id, image_type, position, caption, alt_text, width, height')
+    .eq('activity_id', activityId)
+    .order('position', { ascending: true });
+  
+  if (error) throw error;
+  
+  return buildGallery(data);
+}
+
+/**
+ * Trouve les activités les plus proches d'une activité donnée
+ * (catégorie, continent, budget, durée, co-occurrence dans les bucket lists)
+ *
+ * @param {Object} activity - Activité de référence
+ * @param {number} limit - Nombre d'activités similaires
+ * @returns {Promise<Object[]>} Activités triées par similarité
+ */
+async function findSimilarActivities(activity, limit) {
+  // 1️⃣ Activités souvent ajoutées par les mêmes utilisateurs
+  const { data: cooccurrenceRows, error: cooccurrenceError } = await supabase
+    .rpc('activity_cooccurrence', { target_activity: activity.id, max_results: 50 });
+  
+  if (cooccurrenceError) throw cooccurrenceError;
+  
+  const cooccurrences = new Map(cooccurrenceRows.map(row => [row.activity_id, Number(row.shared_users)]));
+  
+  // 2️⃣ Candidates : même catégorie, même continent ou co-occurrentes
+  const conditions = [];
+  if (activity.category_id) conditions.push(`category_id.eq.${activity.category_id}`);
+  if (activity.continent_id) conditions.push(`continent_id.eq.${activity.continent_id}`);
+  if (cooccurrences.size > 0) conditions.push(`id.in.(${[...cooccurrences.keys()].join(',')})`);
+  
+  let query = supabase
+    .from('activities')
+    .select(`
+      *,
+      categories(name, icon),
+      continents(name)
+    `)
+    .neq('id', activity.id)
+    .not('is_active', 'is', false)
+    .order('popularity_score', { ascending: false, nullsFirst: false })
+    .limit(300);
+  
+  if (conditions.length > 0) query = query.or(conditions.join(','));
+  
+  const { data: candidates, error } = await query;
+  
+  if (error) throw error;
+  
+  return rankSimilarActivities(activity, candidates, cooccurrences, limit);
+}
+
+// 🎯 Récupérer une activité par ID (?include=similar pour embarquer les activités similaires)
+app.get('/api/activities/:id', catalogCache, async (req, res) => {
   try {
+    const { id } = req.params;
+    const include = String(req.query.include || '').split(',');
+    
     const { data, error } = await supabase
-      .from('categories')
-      .select('*')
-      .order('name');
+      .from('activities')
+      .select(`
+        *,
+        categories(name, icon),
+        continents(name)
+      `)
+      .eq('id', id)
+      .not('is_active', 'is', false)
+      .single();
     
+    if (error && error.code === 'PGRST116') return res.status(404).json({ error: req.t('activities.notFound') });
     if (error) throw error;
+    if (!data) return res.status(404).json({ error: req.t('activities.notFound') });
+    
+    const activity = await localizeActivity(supabase, data, req.lang);
+    activity.gallery = await loadActivityGallery(data.id);
+    
+    if (include.includes('similar')) {
+      activity.similar = await localizeActivities(supabase, await findSimilarActivities(data, 8), req.lang);
+    }
     
-    res.json({ success: true, data });
+    res.json({ success: true, data: activity });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// 🌍 Récupérer tous les continents
-app.get('/api/continents', async (req, res) => {
+// 🧭 Activités similaires à une activité
+app.get('/api/activities/:id/similar', async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from('continents')
-      .select('*')
-      .order('name');
+    const { id } = req.params;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 8, 1), 10);
     
+    const { data: activity, error } = await supabase
+      .from('activities')
+      .select('id, category_id, continent_id, estimated_budget_min_eur, estimated_budget_max_eur, duration_days')
+      .eq('id', id)
+      .not('is_active', 'is', false)
+      .single();
+    
+    if (error && error.code === 'PGRST116') return res.status(404).json({ error: req.t('activities.notFound') });
     if (error) throw error;
     
-    res.json({ success: true, data });
+    const data = await localizeActivities(supabase, await findSimilarActivities(activity, limit), req.lang);
+    
+    res.json({
+      success: true,
+      data,
+      meta: {
+        activity_id: activity.id,
+        count: data.length
+      }
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// 🔍 Recherche d'activités
-app.get('/api/search', async (req, res) => {
+// ⭐ Avis des utilisateurs ayant réalisé une activité (pseudo et avatar uniquement)
+const REVIEW_SORTS = {
+  recent: { column: 'reviewed_at', ascending: false },
+  rating_high: { column: 'rating', ascending: false },
+  rating_low: { column: 'rating', ascending: true }
+};
+
+app.get('/api/activities/:id/reviews', async (req, res) => {
   try {
-    const { q, limit = 20 } = req.query;
+    const { pagination, errors } = parsePagination(req.query, {
+      sorts: REVIEW_SORTS,
+      defaultSort: 'recent',
+      defaultLimit: 10,
+      maxLimit: 50,
+      t: req.t
+    });
     
-    if (!q) return res.status(400).json({ error: 'Paramètre de recherche manquant' });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: req.t('errors.invalidParameters'), details: errors });
+    }
     
-    const { data, error } = await supabase
+    const { data: activity, error: activityError } = await supabase
       .from('activities')
-      .select(`
-        *,
-        categories(name, icon),
-        continents(name)
-      `)
-      .or(`title.ilike.%${q}%,description.ilike.%${q}%,location.ilike.%${q}%`)
-      .limit(parseInt(limit));
+      .select('id, rating, rating_count, rating_distribution')
+      .eq('id', req.params.id)
+      .not('is_active', 'is', false)
+      .maybeSingle();
+    
+    if (activityError) throw activityError;
+    if (!activity) return res.status(404).json({ error: req.t('activities.notFound') });
+    
+    let query = supabase
+      .from('activity_reviews')
+      .select('*')
+      .eq('activity_id', activity.id);
+    
+    // ?with_text=true : uniquement les avis rédigés (pas les notes seules)
+    if (req.query.with_text === 'true') query = query.not('review', 'is', null);
+    
+    const { data: rows, error } = await applyCursor(query, pagination);
     
     if (error) throw error;
     
+    const { rows: pageRows, meta } = buildPage(rows, pagination);
+    
     res.json({
       success: true,
-      data,
+      data: pageRows.map(row => ({
+        id: row.id,
+        rating: row.rating,
+        review: row.review,
+        completed_date: row.completed_date,
+        reviewed_at: row.reviewed_at,
+        reviewer: {
+          pseudo: row.reviewer_pseudo || req.t('reviews.anonymous'),
+          avatar_url: row.reviewer_avatar_url || null
+        }
+      })),
       meta: {
-        query: q,
-        count: data.length
+        ...meta,
+        activity_id: activity.id,
+        rating: activity.rating,
+        rating_count: activity.rating_count,
+        rating_distribution: activity.rating_distribution
       }
     });
+  } catch (error) {
+    console.error('Erreur avis activité:', error);
+    res.status(500).json({ error: req.t('reviews.fetchFailed') });
+  }
+});
+
+// 📂 Récupérer toutes les catégories
+app.get('/api/categories', referenceCache, async (req, res) => {
+  try {
+    // Snapshot en mémoire par langue, vidé par les écritures de l'administration
+    const { value: data } = await getReferenceRows('categories', req.lang);
+    
+    res.json({
+      success: true,
+      data
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// 📊 Statistiques globales
-app.get('/api/stats', async (req, res) => {
+// 🌍 Récupérer tous les continents
+app.get('/api/continents', referenceCache, async (req, res) => {
   try {
-    // Compter les activités par catégorie
-    const { data: categoriesStats, error: catError } = await supabase
-      .from('activities')
-      .select('category_id, categories(name)')
-      .not('category_id', 'is', null);
+    // Snapshot en mémoire par langue, vidé par les écritures de l'administration
+    const { value: data } = await getReferenceRows('continents', req.lang);
     
-    if (catError) throw catError;
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 🔍 Recherche d'activités (plein texte, insensible aux accents, triée par pertinence)
+app.get('/api/search', async (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
     
-    // Compter les activités par continent
-    const { data: continentsStats, error: contError } = await supabase
-      .from('activities')
-      .select('continent_id, continents(name)')
-      .not('continent_id', 'is', null);
+    if (!q) return res.status(400).json({ error: req.t('search.missingQuery') });
+    if (q.length > 200) return res.status(400).json({ error: req.t('search.queryTooLong', { max: 200 }) });
+    
+    const { pagination, errors } = parsePagination(req.query, {
+      sorts: { relevance: { column: 'rank', ascending: false } },
+      defaultSort: 'relevance',
+      maxLimit: 50,
+      t: req.t
+    });
     
-    if (contError) throw contError;
+    if (errors.length > 0) {
+      return res.status(400).json({ error: req.t('errors.invalidParameters'), details: errors });
+    }
     
-    // Compter total d'activités
-    const { count: totalActivities, error: countError } = await supabase
-      .from('activities')
-      .select('*', { count: 'exact', head: true });
+    // 1️⃣ Classement des activités côté Postgres (voir search_activities)
+    const { data: matches, error: searchError } = await supabase
+      .rpc('search_activities', {
+        search_query: q,
+        match_limit: pagination.limit + 1,
+        cursor_rank: pagination.cursor?.v ?? null,
+        cursor_id: pagination.cursor?.id ?? null,
+        backwards: pagination.cursor?.d === 'prev'
+      });
+    
+    if (searchError) throw searchError;
+    
+    const { rows: pageMatches, meta } = buildPage(matches, pagination, { idColumn: 'activity_id' });
+    
+    // 2️⃣ Récupérer les activités avec leurs relations, dans l'ordre de pertinence
+    let data = [];
     
-    if (countError) throw countError;
+    if (pageMatches.length > 0) {
+      const { data: activities, error } = await supabase
+        .from('activities')
+        .select(`
+          *,
+          categories(name, icon),
+          continents(name)
+        `)
+        .in('id', pageMatches.map(match => match.activity_id));
+      
+      if (error) throw error;
+      
+      const localized = await localizeActivities(supabase, activities, req.lang);
+      const activitiesById = new Map(localized.map(activity => [activity.id, activity]));
+      
+      data = pageMatches
+        .filter(match => activitiesById.has(match.activity_id))
+        .map(match => ({
+          ...activitiesById.get(match.activity_id),
+          relevance: Math.round(match.rank * 10000) / 10000
+        }));
+    }
     
     res.json({
       success: true,
-      data: {
-        total_activities: totalActivities,
-        by_category: categoriesStats,
-        by_continent: continentsStats
+      data,
+      meta: {
+        ...meta,
+        query: q
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 📊 Statistiques globales (agrégées côté Postgres, servies depuis un snapshot en mémoire)
+const STATS_REFRESH_INTERVAL_MS = parseInt(process.env.STATS_REFRESH_INTERVAL_MS) || 5 * 60 * 1000;
+
+// currency_rates : la répartition des budgets est calculée en euros
+const statsCache = registerCatalogCache(['activities', 'categories', 'continents', 'currency_rates'], createSnapshotCache('stats', async () => {
+  const { data, error } = await supabase.rpc('get_catalog_stats', { top_limit: 10 });
+  if (error) throw error;
+  return data;
+}, {
+  ttlMs: STATS_REFRESH_INTERVAL_MS,
+  refreshIntervalMs: STATS_REFRESH_INTERVAL_MS
+}));
+
+/**
+ * Traduit les noms des catégories et continents et les titres des activités
+ * du snapshot (calculé une seule fois, en français)
+ */
+async function localizeStats(stats, lang) {
+  const [byCategory, byContinent, mostAdded] = await Promise.all([
+    localizeReferenceRows(supabase, 'categories', stats.by_category, lang),
+    localizeReferenceRows(supabase, 'continents', stats.by_continent, lang),
+    localizeActivities(supabase, stats.most_added, lang)
+  ]);
+  
+  return { ...stats, by_category: byCategory, by_continent: byContinent, most_added: mostAdded };
+}
+
+app.get('/api/stats', publicCache({ maxAge: 60, staleWhileRevalidate: 600 }), async (req, res) => {
+  try {
+    const { value: stats, refreshedAt } = await statsCache.get();
+    
+    res.json({
+      success: true,
+      data: await localizeStats(stats, req.lang),
+      meta: {
+        cached_at: refreshedAt.toISOString(),
+        refresh_interval_seconds: Math.round(STATS_REFRESH_INTERVAL_MS / 1000)
       }
     });
   } catch (error) {
@@ -302,65 +952,66 @@ app.use('/api/auth/register', authLimiter);
 // Route de partage social (DOIT être AVANT /api pour éviter les conflits)
 app.use('/share', shareRoutes);
 app.use('/api', authBucketRoutes);
+app.use('/api/user/custom-activities', customActivityRoutes);
+app.use('/api/user/collections', collectionRoutes);
 app.use('/api/user', userProfileRoutes);
+app.use('/api/admin', adminCatalogRoutes);
 
 
 // ==========================================
 // 8. GESTION DES ERREURS
 // ==========================================
 
+// Limites d'upload par champ de fichier (galeries admin, activités personnelles, avatar)
+const UPLOAD_LIMITS = {
+  images: { maxSize: '10MB', maxFiles: 10 },
+  image: { maxSize: '5MB', maxFiles: 1 },
+  cover: { maxSize: '5MB', maxFiles: 1 },
+  avatar: { maxSize: '2MB', maxFiles: 1 },
+  file: { maxSize: '1MB', maxFiles: 1 }
+};
+
 // Middleware de gestion d'erreurs Multer (upload fichiers)
 app.use((error, req, res, next) => {
+  const limits = UPLOAD_LIMITS[error.field] || UPLOAD_LIMITS.avatar;
+
   if (error.code === 'LIMIT_FILE_SIZE') {
     return res.status(400).json({
       success: false,
-      message: 'Fichier trop volumineux (max 2MB)'
+      message: req.t('upload.fileTooLarge', { max: limits.maxSize })
+    });
+  }
+  
+  if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+    const expected = UPLOAD_LIMITS[error.field] ? error.field : 'images';
+    return res.status(400).json({
+      success: false,
+      message: req.t('upload.tooManyFiles', { max: UPLOAD_LIMITS[expected].maxFiles, field: expected })
     });
   }
   
   if (error.message === 'Seuls les fichiers image sont autorisés') {
     return res.status(400).json({
       success: false,
-      message: 'Format de fichier non supporté. Utilisez JPG, PNG ou GIF.'
+      message: req.t('upload.unsupportedFormat')
     });
   }
 
-  console.error('Erreur serveur:', error);
-  res.status(500).json({
-    success: false,
-    message: 'Erreur serveur interne'
-  });
+  // Autres erreurs (JSON invalide...) : gestionnaire global
+  next(error);
 });
 
 // Gestion des erreurs 404
+// Liste calculée au premier appel, une fois toutes les routes montées
+let availableEndpoints = null;
+
 app.use('*', (req, res) => {
+  availableEndpoints = availableEndpoints || listRoutes(app);
+
   res.status(404).json({ 
-    error: 'Route non trouvée',
-    available_endpoints: [
-      'GET /',
-      'GET /api/test',
-      'GET /api/activities',
-      'GET /api/activities/:id',
-      'GET /api/categories',
-      'GET /api/continents', 
-      'GET /api/search',
-      'GET /api/stats',
-      'POST /api/auth/register',
-      'POST /api/auth/login',
-      'GET /api/auth/me',
-      'GET /api/user/bucket-list',
-      'POST /api/user/bucket-list/add',
-      'PUT /api/user/bucket-list/:id/status',
-      'GET /api/user/stats',
-      'GET /api/user/profile',
-      'PUT /api/user/profile',
-      'POST /api/user/avatar',
-      'DELETE /api/user/avatar',
-      'GET /api/user/bucket-list/share/:type (summary|stats|instagram|tiktok)',
-      'POST /api/user/bucket-list/share/create - Créer lien de partage',
-      'GET /api/user/bucket-list/share/analytics - Analytics des partages',
-     'GET /share/:token - Accéder à un lien de partage'
-    ]
+    error: req.t('errors.routeNotFound'),
+    available_endpoints: availableEndpoints,
+    documentation: '/api/docs'
   });
 });
 
@@ -371,11 +1022,11 @@ app.use((err, req, res, next) => {
   console.error('Erreur serveur:', err);
   
   if (err instanceof SyntaxError && err.status === 400 && 'body' in err) {
-    return res.status(400).json({ error: 'Format JSON invalide' });
+    return res.status(400).json({ error: req.t('errors.invalidJson') });
   }
 
   res.status(500).json({
-    error: 'Erreur interne du serveur',
+    error: req.t('errors.internal'),
     ...(process.env.NODE_ENV === 'development' && { details: err.message })
   });
 });
@@ -384,7 +1035,8 @@ app.use((err, req, res, next) => {
 // ==========================================
 // 9. DÉMARRAGE DU SERVEUR
 // ==========================================
-app.listen(PORT, () => {
+// Lancé directement (node server.js) ; chargé par Vercel ou les tests, l'app est seulement exportée
+if (require.main === module) app.listen(PORT, () => {
   console.log(`🚀 API Ma Bucket Liste démarrée sur le port ${PORT}`);
   console.log(`📍 http://localhost:${PORT}`);
   console.log(`📋 Nouveaux endpoints disponibles :`);
@@ -405,4 +1057,6 @@ app.listen(PORT, () => {
   console.log(`   • POST /api/user/bucket-list/share/create - Créer lien de partage`);
   console.log(`   • GET  /api/user/bucket-list/share/analytics - Analytics`);
   console.log(`   • GET  /share/:token - Lien de partage public`);
-});
\ No newline at end of file
+});
+
+module.exports = app;
@@ -0,0 +1,84 @@
+-- ==========================================
+-- Recherche plein texte sur les activités
+-- Insensible aux accents, racinisation française,
+-- pondération titre (A) > lieu (B) > description (C)
+-- ==========================================
+
+create extension if not exists unaccent with schema extensions;
+
+-- Configuration "french" qui retire les accents avant la racinisation
+do $$
+begin
+  if not exists (select 1 from pg_ts_config where cfgname = 'french_unaccent') then
+    create text search configuration public.french_unaccent (copy = pg_catalog.french);
+    alter text search configuration public.french_unaccent
+      alter mapping for hword, hword_part, word
+      with unaccent, french_stem;
+  end if;
+end
+$$;
+
+-- Document indexé d'une activité
+create or replace function public.activity_search_document(
+  title text,
+  location text,
+  description text
+)
+returns tsvector
+language sql
+immutable
+parallel safe
+as $$
+  select
+    setweight(to_tsvector('public.french_unaccent', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('public.french_unaccent', coalesce(location, '')), 'B') ||
+    setweight(to_tsvector('public.french_unaccent', coalesce(description, '')), 'C');
+$$;
+
+create index if not exists activities_search_document_idx
+  on public.activities
+  using gin (public.activity_search_document(title, location, description));
+
+-- Transforme une saisie utilisateur libre en tsquery sûre :
+-- seuls les mots alphanumériques sont conservés, chacun en préfixe (surf -> surf:*)
+create or replace function public.activity_search_query(search_query text)
+returns tsquery
+language sql
+stable
+parallel safe
+as $$
+  select to_tsquery(
+    'public.french_unaccent',
+    coalesce(string_agg(quote_literal(word) || ':*', ' & '), '')
+  )
+  from regexp_split_to_table(lower(left(coalesce(search_query, ''), 200)), '[^[:alnum:]]+') as word
+  where word <> '';
+$$;
+
+-- Activités correspondant à la recherche, triées par pertinence
+create or replace function public.search_activities(
+  search_query text,
+  match_limit integer default 20
+)
+returns table (
+  activity_id public.activities.id%type,
+  rank real
+)
+language sql
+stable
+as $$
+  with query as (
+    select public.activity_search_query(search_query) as tsq
+  )
+  select
+    a.id,
+    ts_rank_cd(public.activity_search_document(a.title, a.location, a.description), query.tsq, 32) as rank
+  from public.activities a, query
+  where public.activity_search_document(a.title, a.location, a.description) @@ query.tsq
+    and coalesce(a.is_active, true)
+  order by rank desc, a.id
+  limit least(greatest(coalesce(match_limit, 20), 1), 50);
+$$;
+
+grant execute on function public.activity_search_query(text) to anon, authenticated;
+grant execute on function public.search_activities(text, integer) to anon, authenticated;
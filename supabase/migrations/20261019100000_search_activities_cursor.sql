@@ -0,0 +1,47 @@
+-- ==========================================
+-- Pagination par curseur de la recherche plein texte
+-- Le curseur est le couple (rank, id) de la dernière ligne vue ;
+-- backwards = true parcourt la liste vers les résultats précédents
+-- ==========================================
+
+drop function if exists public.search_activities(text, integer);
+
+create or replace function public.search_activities(
+  search_query text,
+  match_limit integer default 20,
+  cursor_rank real default null,
+  cursor_id public.activities.id%type default null,
+  backwards boolean default false
+)
+returns table (
+  activity_id public.activities.id%type,
+  rank real
+)
+language sql
+stable
+as $$
+  with query as (
+    select public.activity_search_query(search_query) as tsq
+  ),
+  ranked as (
+    select
+      a.id,
+      ts_rank_cd(public.activity_search_document(a.title, a.location, a.description), query.tsq, 32) as rank
+    from public.activities a, query
+    where public.activity_search_document(a.title, a.location, a.description) @@ query.tsq
+      and coalesce(a.is_active, true)
+  )
+  select ranked.id, ranked.rank
+  from ranked
+  where cursor_id is null
+    or (not backwards and (ranked.rank < cursor_rank or (ranked.rank = cursor_rank and ranked.id > cursor_id)))
+    or (backwards and (ranked.rank > cursor_rank or (ranked.rank = cursor_rank and ranked.id < cursor_id)))
+  order by
+    case when backwards then ranked.rank end asc,
+    case when backwards then ranked.id end desc,
+    case when not backwards then ranked.rank end desc,
+    case when not backwards then ranked.id end asc
+  limit least(greatest(coalesce(match_limit, 20), 1), 51);
+$$;
+
+grant execute on function public.search_activities to anon, authenticated;
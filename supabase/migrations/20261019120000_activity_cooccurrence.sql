@@ -0,0 +1,36 @@
+-- ==========================================
+-- Co-occurrence d'activités dans les bucket lists
+-- "Les utilisateurs qui ont ajouté X ont aussi ajouté Y"
+-- security definer : lit user_bucket_lists (RLS) mais n'expose que des compteurs
+-- ==========================================
+
+create index if not exists user_bucket_lists_activity_id_idx
+  on public.user_bucket_lists (activity_id);
+
+create or replace function public.activity_cooccurrence(
+  target_activity public.activities.id%type,
+  max_results integer default 50
+)
+returns table (
+  activity_id public.activities.id%type,
+  shared_users bigint
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select other.activity_id, count(distinct other.user_id) as shared_users
+  from public.user_bucket_lists target
+  join public.user_bucket_lists other
+    on other.user_id = target.user_id
+   and other.activity_id <> target.activity_id
+  where target.activity_id = target_activity
+    and other.activity_id is not null
+  group by other.activity_id
+  order by shared_users desc, other.activity_id
+  limit least(greatest(coalesce(max_results, 50), 1), 200);
+$$;
+
+revoke execute on function public.activity_cooccurrence from public;
+grant execute on function public.activity_cooccurrence to anon, authenticated;
@@ -0,0 +1,105 @@
+-- ==========================================
+-- Slugs d'activités et historique des anciens slugs
+-- Un changement de titre régénère le slug ; l'ancien reste résolu
+-- par GET /api/activities/by-slug/:slug (redirection vers le slug actuel)
+-- ==========================================
+
+create extension if not exists unaccent with schema extensions;
+
+create or replace function public.slugify(value text)
+returns text
+language sql
+stable
+set search_path = public, extensions
+as $$
+  select trim(both '-' from regexp_replace(lower(unaccent(coalesce(value, ''))), '[^a-z0-9]+', '-', 'g'));
+$$;
+
+create table if not exists public.activity_slug_history (
+  slug text primary key,
+  activity_id public.activities.id%type not null references public.activities (id) on delete cascade,
+  replaced_at timestamptz not null default now()
+);
+
+create index if not exists activity_slug_history_activity_id_idx
+  on public.activity_slug_history (activity_id);
+
+alter table public.activity_slug_history enable row level security;
+
+drop policy if exists "Lecture publique de l'historique des slugs" on public.activity_slug_history;
+create policy "Lecture publique de l'historique des slugs"
+  on public.activity_slug_history
+  for select
+  using (true);
+
+grant select on public.activity_slug_history to anon, authenticated;
+
+-- Slug unique dérivé du titre (suffixe -2, -3... en cas de collision)
+create or replace function public.unique_activity_slug(title text, current_id public.activities.id%type)
+returns text
+language plpgsql
+stable
+as $$
+declare
+  base_slug text := public.slugify(title);
+  candidate text := base_slug;
+  suffix integer := 1;
+begin
+  if base_slug = '' then
+    return null;
+  end if;
+
+  while exists (
+    select 1 from public.activities a
+    where a.slug = candidate and a.id is distinct from current_id
+  ) or exists (
+    select 1 from public.activity_slug_history h
+    where h.slug = candidate and h.activity_id is distinct from current_id
+  ) loop
+    suffix := suffix + 1;
+    candidate := base_slug || '-' || suffix;
+  end loop;
+
+  return candidate;
+end;
+$$;
+
+create or replace function public.activities_track_slug()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op = 'INSERT' then
+    if new.slug is null then
+      new.slug := public.unique_activity_slug(new.title, new.id);
+    end if;
+    return new;
+  end if;
+
+  -- Titre modifié sans slug explicite : le slug suit le titre
+  if new.title is distinct from old.title and new.slug is not distinct from old.slug then
+    new.slug := coalesce(public.unique_activity_slug(new.title, new.id), old.slug);
+  end if;
+
+  if new.slug is distinct from old.slug then
+    if old.slug is not null then
+      insert into public.activity_slug_history (slug, activity_id)
+      values (old.slug, old.id)
+      on conflict (slug) do update
+        set activity_id = excluded.activity_id,
+            replaced_at = now();
+    end if;
+
+    -- Un slug redevenu actuel ne doit plus rediriger
+    delete from public.activity_slug_history where slug = new.slug;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists activities_track_slug on public.activities;
+create trigger activities_track_slug
+  before insert or update of title, slug on public.activities
+  for each row
+  execute function public.activities_track_slug();
@@ -0,0 +1,35 @@
+-- ==========================================
+-- Gestion du catalogue par l'équipe éditoriale
+-- Rôles utilisateurs, désactivation douce, journal des modifications
+-- ==========================================
+
+alter table public.user_profiles
+  add column if not exists role text not null default 'user';
+
+alter table public.user_profiles
+  drop constraint if exists user_profiles_role_check;
+alter table public.user_profiles
+  add constraint user_profiles_role_check check (role in ('user', 'editor', 'admin'));
+
+alter table public.categories
+  add column if not exists is_active boolean not null default true;
+
+alter table public.continents
+  add column if not exists is_active boolean not null default true;
+
+-- Qui a modifié quoi : un enregistrement par écriture via /api/admin
+create table if not exists public.catalog_audit_log (
+  id bigint generated always as identity primary key,
+  table_name text not null check (table_name in ('activities', 'categories', 'continents')),
+  record_id text not null,
+  action text not null,
+  changed_by uuid references auth.users (id) on delete set null,
+  changes jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists catalog_audit_log_record_idx
+  on public.catalog_audit_log (table_name, record_id, created_at desc);
+
+-- Accessible uniquement avec la clé de service
+alter table public.catalog_audit_log enable row level security;
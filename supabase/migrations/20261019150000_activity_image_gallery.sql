@@ -0,0 +1,93 @@
+-- ==========================================
+-- Galerie d'images par activité
+-- image_type : 'hero' (une seule par activité) ou 'gallery'
+-- ==========================================
+
+alter table public.activity_images
+  add column if not exists caption text,
+  add column if not exists alt_text text,
+  add column if not exists position integer not null default 0,
+  add column if not exists width integer,
+  add column if not exists height integer,
+  add column if not exists uploaded_by uuid references auth.users (id) on delete set null,
+  add column if not exists created_at timestamptz not null default now();
+
+create unique index if not exists activity_images_one_hero_idx
+  on public.activity_images (activity_id)
+  where image_type = 'hero';
+
+create index if not exists activity_images_gallery_idx
+  on public.activity_images (activity_id, position);
+
+-- Les images du catalogue sont publiques, l'écriture passe par la clé de service
+alter table public.activity_images enable row level security;
+
+drop policy if exists "Lecture publique des images d'activités" on public.activity_images;
+create policy "Lecture publique des images d'activités"
+  on public.activity_images
+  for select
+  using (true);
+
+grant select on public.activity_images to anon, authenticated;
+
+-- Promeut une image en hero ; l'ancienne hero redevient une image de galerie
+create or replace function public.set_activity_hero_image(
+  target_activity public.activities.id%type,
+  target_image public.activity_images.id%type
+)
+returns void
+language plpgsql
+as $$
+begin
+  if not exists (
+    select 1 from public.activity_images
+    where id = target_image and activity_id = target_activity
+  ) then
+    raise exception 'Image % introuvable pour l''activité %', target_image, target_activity
+      using errcode = 'P0002';
+  end if;
+
+  update public.activity_images
+  set image_type = 'gallery'
+  where activity_id = target_activity
+    and image_type = 'hero'
+    and id <> target_image;
+
+  update public.activity_images
+  set image_type = 'hero'
+  where id = target_image;
+end;
+$$;
+
+-- Réordonne la galerie : image_ids contient toutes les images de l'activité dans le nouvel ordre
+create or replace function public.reorder_activity_images(
+  target_activity public.activities.id%type,
+  image_ids public.activity_images.id%type[]
+)
+returns void
+language plpgsql
+as $$
+begin
+  if (select count(*) from public.activity_images where activity_id = target_activity)
+     <> cardinality(image_ids)
+     or cardinality(image_ids) <> (select count(distinct id) from unnest(image_ids) as ordered(id))
+     or exists (
+       select 1 from unnest(image_ids) as ordered(id)
+       where not exists (
+         select 1 from public.activity_images i
+         where i.id = ordered.id and i.activity_id = target_activity
+       )
+     ) then
+    raise exception 'La liste doit contenir toutes les images de l''activité %, une seule fois', target_activity
+      using errcode = '22023';
+  end if;
+
+  update public.activity_images i
+  set position = ordered.ordinality - 1
+  from unnest(image_ids) with ordinality as ordered(id, ordinality)
+  where i.id = ordered.id;
+end;
+$$;
+
+revoke execute on function public.set_activity_hero_image from public, anon, authenticated;
+revoke execute on function public.reorder_activity_images from public, anon, authenticated;
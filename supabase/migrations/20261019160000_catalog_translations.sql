@@ -0,0 +1,55 @@
+-- ==========================================
+-- Traductions du catalogue
+-- Les colonnes des tables activities / categories / continents restent la
+-- version de référence (français) ; une traduction absente ou un champ NULL
+-- retombe sur cette version.
+-- ==========================================
+
+create table if not exists public.activity_translations (
+  activity_id public.activities.id%type not null references public.activities (id) on delete cascade,
+  lang text not null check (lang ~ '^[a-z]{2}$' and lang <> 'fr'),
+  title text,
+  subtitle text,
+  description text,
+  location text,
+  best_season text,
+  image_alt text,
+  updated_at timestamptz not null default now(),
+  primary key (activity_id, lang)
+);
+
+create table if not exists public.category_translations (
+  category_id public.categories.id%type not null references public.categories (id) on delete cascade,
+  lang text not null check (lang ~ '^[a-z]{2}$' and lang <> 'fr'),
+  name text not null,
+  updated_at timestamptz not null default now(),
+  primary key (category_id, lang)
+);
+
+create table if not exists public.continent_translations (
+  continent_id public.continents.id%type not null references public.continents (id) on delete cascade,
+  lang text not null check (lang ~ '^[a-z]{2}$' and lang <> 'fr'),
+  name text not null,
+  updated_at timestamptz not null default now(),
+  primary key (continent_id, lang)
+);
+
+-- Lecture publique, écriture via la clé de service (API d'administration)
+alter table public.activity_translations enable row level security;
+alter table public.category_translations enable row level security;
+alter table public.continent_translations enable row level security;
+
+drop policy if exists "Lecture publique des traductions d'activités" on public.activity_translations;
+create policy "Lecture publique des traductions d'activités"
+  on public.activity_translations for select using (true);
+
+drop policy if exists "Lecture publique des traductions de catégories" on public.category_translations;
+create policy "Lecture publique des traductions de catégories"
+  on public.category_translations for select using (true);
+
+drop policy if exists "Lecture publique des traductions de continents" on public.continent_translations;
+create policy "Lecture publique des traductions de continents"
+  on public.continent_translations for select using (true);
+
+grant select on public.activity_translations, public.category_translations, public.continent_translations
+  to anon, authenticated;
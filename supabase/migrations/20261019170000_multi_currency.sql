@@ -0,0 +1,50 @@
+-- ==========================================
+-- Montants multi-devises
+-- Chaque montant est stocké avec son code ISO 4217 ; la conversion pour
+-- l'affichage utilise currency_rates (taux saisis par un administrateur).
+-- ==========================================
+
+alter table public.activities
+  add column if not exists budget_currency char(3) not null default 'EUR'
+    check (budget_currency ~ '^[A-Z]{3}$');
+
+alter table public.user_bucket_lists
+  add column if not exists personal_budget_currency char(3) not null default 'EUR'
+    check (personal_budget_currency ~ '^[A-Z]{3}$'),
+  add column if not exists actual_cost_currency char(3) not null default 'EUR'
+    check (actual_cost_currency ~ '^[A-Z]{3}$');
+
+-- Préférences d'affichage de l'utilisateur
+alter table public.user_profiles
+  add column if not exists preferred_currency char(3) not null default 'EUR'
+    check (preferred_currency ~ '^[A-Z]{3}$'),
+  add column if not exists locale text
+    check (locale is null or locale ~ '^[a-z]{2}(-[A-Z]{2})?$');
+
+-- Taux de change : 1 unité de `currency` vaut `rate_to_eur` euros
+create table if not exists public.currency_rates (
+  currency char(3) primary key check (currency ~ '^[A-Z]{3}$'),
+  rate_to_eur numeric(18, 8) not null check (rate_to_eur > 0),
+  updated_at timestamptz not null default now(),
+  updated_by uuid references auth.users (id) on delete set null
+);
+
+insert into public.currency_rates (currency, rate_to_eur)
+values ('EUR', 1)
+on conflict (currency) do nothing;
+
+-- Lecture publique (conversion côté API), écriture via la clé de service
+alter table public.currency_rates enable row level security;
+
+drop policy if exists "Lecture publique des taux de change" on public.currency_rates;
+create policy "Lecture publique des taux de change"
+  on public.currency_rates for select using (true);
+
+grant select on public.currency_rates to anon, authenticated;
+
+-- Les mises à jour de taux sont tracées dans le journal d'audit
+alter table public.catalog_audit_log
+  drop constraint if exists catalog_audit_log_table_name_check;
+alter table public.catalog_audit_log
+  add constraint catalog_audit_log_table_name_check
+    check (table_name in ('activities', 'categories', 'continents', 'currency_rates'));
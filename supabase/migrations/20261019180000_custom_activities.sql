@@ -0,0 +1,54 @@
+-- ==========================================
+-- Activités personnelles (hors catalogue)
+-- Créées par un utilisateur pour sa seule bucket list, jamais exposées
+-- par les endpoints publics du catalogue.
+-- ==========================================
+
+create table if not exists public.custom_activities (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  title text not null check (char_length(title) between 3 and 200),
+  description text,
+  location text,
+  category_id public.categories.id%type references public.categories (id) on delete set null,
+  estimated_budget_min numeric check (estimated_budget_min >= 0),
+  estimated_budget_max numeric check (estimated_budget_max >= 0),
+  budget_currency char(3) not null default 'EUR' check (budget_currency ~ '^[A-Z]{3}$'),
+  image_url text,
+  cloudinary_public_id text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check (estimated_budget_min is null or estimated_budget_max is null
+         or estimated_budget_min <= estimated_budget_max)
+);
+
+create index if not exists custom_activities_user_idx
+  on public.custom_activities (user_id, created_at desc);
+
+-- Privées : seul le propriétaire les voit et les modifie
+alter table public.custom_activities enable row level security;
+
+drop policy if exists "Propriétaire des activités personnelles" on public.custom_activities;
+create policy "Propriétaire des activités personnelles"
+  on public.custom_activities
+  for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+-- Un élément de bucket list pointe soit vers le catalogue, soit vers une activité personnelle
+alter table public.user_bucket_lists
+  alter column activity_id drop not null;
+
+alter table public.user_bucket_lists
+  add column if not exists custom_activity_id uuid
+    references public.custom_activities (id) on delete cascade;
+
+alter table public.user_bucket_lists
+  drop constraint if exists user_bucket_lists_activity_source_check;
+alter table public.user_bucket_lists
+  add constraint user_bucket_lists_activity_source_check
+    check ((activity_id is null) <> (custom_activity_id is null));
+
+create unique index if not exists user_bucket_lists_custom_activity_idx
+  on public.user_bucket_lists (user_id, custom_activity_id)
+  where custom_activity_id is not null;
@@ -0,0 +1,119 @@
+-- ==========================================
+-- Notes et avis des utilisateurs agrégés dans le catalogue
+-- La note (1-5) et l'avis d'un élément "completed" de bucket list alimentent
+-- activities.rating, rating_count et rating_distribution via un trigger.
+-- ==========================================
+
+alter table public.user_bucket_lists
+  add column if not exists review text;
+
+alter table public.user_bucket_lists
+  drop constraint if exists user_bucket_lists_review_length_check;
+alter table public.user_bucket_lists
+  add constraint user_bucket_lists_review_length_check
+    check (review is null or char_length(review) <= 2000);
+
+alter table public.user_bucket_lists
+  add column if not exists reviewed_at timestamptz;
+
+-- Histogramme des notes : { "1": n, ..., "5": n }
+alter table public.activities
+  add column if not exists rating_distribution jsonb not null
+    default '{"1": 0, "2": 0, "3": 0, "4": 0, "5": 0}'::jsonb;
+
+create index if not exists user_bucket_lists_activity_reviews_idx
+  on public.user_bucket_lists (activity_id, reviewed_at desc)
+  where status = 'completed' and (rating is not null or review is not null);
+
+-- Recalcule les agrégats d'une activité à partir des notes des éléments réalisés.
+-- Sans aucune note utilisateur, la note éditoriale existante est conservée.
+create or replace function public.refresh_activity_rating(target_activity public.activities.id%type)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+  with ratings as (
+    select rating
+    from public.user_bucket_lists
+    where activity_id = target_activity
+      and status = 'completed'
+      and rating between 1 and 5
+  ),
+  summary as (
+    select
+      count(*) as total,
+      round(avg(rating)::numeric, 2) as average,
+      jsonb_build_object(
+        '1', count(*) filter (where rating = 1),
+        '2', count(*) filter (where rating = 2),
+        '3', count(*) filter (where rating = 3),
+        '4', count(*) filter (where rating = 4),
+        '5', count(*) filter (where rating = 5)
+      ) as distribution
+    from ratings
+  )
+  update public.activities a
+  set rating = case when summary.total > 0 then summary.average else a.rating end,
+      rating_count = summary.total,
+      rating_distribution = summary.distribution
+  from summary
+  where a.id = target_activity;
+$$;
+
+revoke execute on function public.refresh_activity_rating from public, anon, authenticated;
+
+create or replace function public.user_bucket_lists_refresh_rating()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if tg_op in ('UPDATE', 'DELETE') and old.activity_id is not null then
+    perform public.refresh_activity_rating(old.activity_id);
+  end if;
+
+  if tg_op in ('INSERT', 'UPDATE') and new.activity_id is not null
+     and (tg_op = 'INSERT' or new.activity_id is distinct from old.activity_id) then
+    perform public.refresh_activity_rating(new.activity_id);
+  end if;
+
+  return null;
+end;
+$$;
+
+drop trigger if exists user_bucket_lists_rating_trigger on public.user_bucket_lists;
+create trigger user_bucket_lists_rating_trigger
+  after insert or delete or update of rating, status, activity_id
+  on public.user_bucket_lists
+  for each row
+  execute function public.user_bucket_lists_refresh_rating();
+
+-- Rattrapage des notes déjà saisies
+select public.refresh_activity_rating(activity_id)
+from (
+  select distinct activity_id
+  from public.user_bucket_lists
+  where activity_id is not null and rating is not null
+) rated;
+
+-- Avis publics : uniquement les éléments réalisés, avec le pseudo et l'avatar
+-- de l'auteur (jamais son email ni son nom complet)
+create or replace view public.activity_reviews as
+  select
+    b.id,
+    b.activity_id,
+    b.rating,
+    b.review,
+    b.completed_date,
+    coalesce(b.reviewed_at, b.updated_at, b.created_at) as reviewed_at,
+    p.pseudo as reviewer_pseudo,
+    p.avatar_url as reviewer_avatar_url
+  from public.user_bucket_lists b
+  left join public.user_profiles p on p.id = b.user_id
+  where b.status = 'completed'
+    and b.activity_id is not null
+    and (b.rating is not null or b.review is not null);
+
+grant select on public.activity_reviews to anon, authenticated;
@@ -0,0 +1,82 @@
+-- ==========================================
+-- Activités tendance (GET /api/activities/trending)
+-- Compte les utilisateurs ayant ajouté ou réalisé chaque activité sur la
+-- fenêtre courante, pondéré par la fenêtre précédente de même durée pour
+-- faire remonter les activités en progression.
+-- security definer : lit user_bucket_lists (RLS) mais n'expose que des compteurs
+-- ==========================================
+
+create index if not exists user_bucket_lists_created_at_idx
+  on public.user_bucket_lists (created_at desc)
+  where activity_id is not null;
+
+create index if not exists user_bucket_lists_completed_date_idx
+  on public.user_bucket_lists (completed_date desc)
+  where activity_id is not null and status = 'completed';
+
+create or replace function public.trending_activities(
+  window_days integer default 7,
+  target_category public.activities.category_id%type default null,
+  target_continent public.activities.continent_id%type default null,
+  max_results integer default 20
+)
+returns table (
+  activity_id public.activities.id%type,
+  current_count bigint,
+  previous_count bigint,
+  score numeric
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  with bounds as (
+    select
+      now() - make_interval(days => window_days) as current_start,
+      now() - make_interval(days => window_days * 2) as previous_start
+  ),
+  -- Un événement = un ajout ou une réalisation ; on retient la date la plus récente
+  events as (
+    select
+      b.activity_id,
+      b.user_id,
+      greatest(
+        b.created_at,
+        case when b.status = 'completed' then b.completed_date::timestamptz end
+      ) as happened_at
+    from public.user_bucket_lists b
+    join public.activities a on a.id = b.activity_id
+    cross join bounds
+    where b.activity_id is not null
+      and coalesce(a.is_active, true)
+      and (target_category is null or a.category_id = target_category)
+      and (target_continent is null or a.continent_id = target_continent)
+      and (
+        b.created_at >= bounds.previous_start
+        or (b.status = 'completed' and b.completed_date >= bounds.previous_start::date)
+      )
+  ),
+  counts as (
+    select
+      events.activity_id,
+      count(distinct events.user_id) filter (where happened_at >= bounds.current_start) as current_count,
+      count(distinct events.user_id) filter (where happened_at < bounds.current_start) as previous_count
+    from events
+    cross join bounds
+    group by events.activity_id
+  )
+  select
+    counts.activity_id,
+    counts.current_count,
+    counts.previous_count,
+    -- Volume courant multiplié par la croissance (+1 pour éviter la division par zéro)
+    round(counts.current_count * (counts.current_count + 1)::numeric / (counts.previous_count + 1), 3) as score
+  from counts
+  where counts.current_count > 0
+  order by score desc, counts.current_count desc, counts.activity_id
+  limit least(greatest(coalesce(max_results, 20), 1), 100);
+$$;
+
+revoke execute on function public.trending_activities from public;
+grant execute on function public.trending_activities to anon, authenticated;
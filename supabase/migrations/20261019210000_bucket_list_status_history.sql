@@ -0,0 +1,96 @@
+-- ==========================================
+-- Historique des changements de statut des éléments de bucket list
+-- Chaque transition (ajout compris) est enregistrée par trigger, quelle que
+-- soit la route qui l'a faite. La date de réalisation est conservée dans
+-- l'historique même si l'élément repasse en "planned".
+-- ==========================================
+
+create table if not exists public.bucket_list_status_history (
+  id uuid primary key default gen_random_uuid(),
+  -- Vérifiée en fin de transaction : la ligne est écrite par un trigger BEFORE INSERT
+  bucket_item_id public.user_bucket_lists.id%type not null
+    references public.user_bucket_lists (id) on delete cascade
+    deferrable initially deferred,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  from_status text,
+  to_status text not null,
+  -- Date de réalisation à l'arrivée en "completed" (ou au départ de "completed")
+  completed_date date,
+  note text check (note is null or char_length(note) <= 500),
+  changed_at timestamptz not null default now()
+);
+
+create index if not exists bucket_list_status_history_item_idx
+  on public.bucket_list_status_history (bucket_item_id, changed_at);
+
+alter table public.bucket_list_status_history enable row level security;
+
+drop policy if exists "Lecture de son historique de statuts" on public.bucket_list_status_history;
+create policy "Lecture de son historique de statuts"
+  on public.bucket_list_status_history
+  for select
+  using (auth.uid() = user_id);
+
+-- Note de la transition en cours : transmise par l'API avec le nouveau statut,
+-- recopiée dans l'historique puis remise à null (jamais conservée sur l'élément)
+alter table public.user_bucket_lists
+  add column if not exists status_note text;
+
+create or replace function public.user_bucket_lists_record_status()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if tg_op = 'INSERT' or new.status is distinct from old.status then
+    insert into public.bucket_list_status_history
+      (bucket_item_id, user_id, from_status, to_status, completed_date, note)
+    values (
+      new.id,
+      new.user_id,
+      case when tg_op = 'UPDATE' then old.status end,
+      new.status,
+      case
+        when new.status = 'completed' then new.completed_date
+        when tg_op = 'UPDATE' and old.status = 'completed' then old.completed_date
+      end,
+      nullif(btrim(new.status_note), '')
+    );
+  end if;
+
+  new.status_note := null;
+  return new;
+end;
+$$;
+
+drop trigger if exists user_bucket_lists_status_history_trigger on public.user_bucket_lists;
+create trigger user_bucket_lists_status_history_trigger
+  before insert or update of status, status_note
+  on public.user_bucket_lists
+  for each row
+  execute function public.user_bucket_lists_record_status();
+
+-- Rattrapage : ajout de chaque élément existant, puis son statut actuel
+insert into public.bucket_list_status_history
+  (bucket_item_id, user_id, from_status, to_status, changed_at)
+select b.id, b.user_id, null, 'planned', coalesce(b.created_at, now())
+from public.user_bucket_lists b
+where not exists (
+  select 1 from public.bucket_list_status_history h where h.bucket_item_id = b.id
+);
+
+insert into public.bucket_list_status_history
+  (bucket_item_id, user_id, from_status, to_status, completed_date, changed_at)
+select
+  b.id,
+  b.user_id,
+  'planned',
+  b.status,
+  b.completed_date,
+  coalesce(b.completed_date::timestamptz, b.updated_at, b.created_at, now())
+from public.user_bucket_lists b
+where b.status <> 'planned'
+  and (
+    select count(*) from public.bucket_list_status_history h where h.bucket_item_id = b.id
+  ) = 1;
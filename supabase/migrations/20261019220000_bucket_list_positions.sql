@@ -0,0 +1,98 @@
+-- ==========================================
+-- Classement personnel des éléments de bucket list
+-- position : rang choisi par l'utilisateur (1 = en tête), un nouvel élément
+-- est ajouté en fin de liste. priority_rank permet de trier par priorité
+-- (high, medium, low) plutôt que par ordre alphabétique.
+-- ==========================================
+
+alter table public.user_bucket_lists
+  add column if not exists position integer;
+
+alter table public.user_bucket_lists
+  add column if not exists priority_rank smallint
+    generated always as (
+      case priority when 'high' then 1 when 'medium' then 2 when 'low' then 3 end
+    ) stored;
+
+-- Rattrapage : ordre d'ajout
+update public.user_bucket_lists b
+set position = ranked.position
+from (
+  select id, row_number() over (partition by user_id order by created_at, id) as position
+  from public.user_bucket_lists
+) ranked
+where b.id = ranked.id
+  and b.position is null;
+
+alter table public.user_bucket_lists
+  alter column position set not null;
+
+create index if not exists user_bucket_lists_position_idx
+  on public.user_bucket_lists (user_id, position);
+
+create index if not exists user_bucket_lists_priority_rank_idx
+  on public.user_bucket_lists (user_id, priority_rank);
+
+-- Nouvel élément sans position : en fin de liste
+create or replace function public.user_bucket_lists_assign_position()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.position is null then
+    select coalesce(max(position), 0) + 1
+    into new.position
+    from public.user_bucket_lists
+    where user_id = new.user_id;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists user_bucket_lists_position_trigger on public.user_bucket_lists;
+create trigger user_bucket_lists_position_trigger
+  before insert
+  on public.user_bucket_lists
+  for each row
+  execute function public.user_bucket_lists_assign_position();
+
+-- Réordonne des éléments d'un utilisateur (PUT /api/user/bucket-list/order).
+-- Les éléments listés se répartissent, dans l'ordre donné, les positions
+-- qu'ils occupaient : une liste partielle (un filtre, une collection)
+-- ne déplace pas les autres éléments.
+create or replace function public.reorder_bucket_list(
+  target_user uuid,
+  ordered_ids text[]
+)
+returns integer
+language sql
+security definer
+set search_path = public
+as $$
+  with wanted as (
+    select item_id, ordinality as rank
+    from unnest(ordered_ids) with ordinality as u(item_id, ordinality)
+  ),
+  slots as (
+    select position, row_number() over (order by position, id) as rank
+    from public.user_bucket_lists
+    where user_id = target_user
+      and id::text = any(ordered_ids)
+  ),
+  updated as (
+    update public.user_bucket_lists b
+    set position = slots.position,
+        updated_at = now()
+    from wanted
+    join slots using (rank)
+    where b.user_id = target_user
+      and b.id::text = wanted.item_id
+    returning b.id
+  )
+  select count(*)::integer from updated;
+$$;
+
+revoke execute on function public.reorder_bucket_list from public, anon, authenticated;
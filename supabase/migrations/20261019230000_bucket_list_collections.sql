@@ -0,0 +1,65 @@
+-- ==========================================
+-- Collections nommées ("Europe 2027", "Avant 40 ans"...)
+-- Une collection regroupe des éléments de la bucket list de son propriétaire ;
+-- un élément peut appartenir à plusieurs collections. Supprimer une collection
+-- ne retire rien de la bucket list.
+-- ==========================================
+
+create table if not exists public.bucket_list_collections (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  name text not null check (char_length(name) between 1 and 100),
+  description text check (description is null or char_length(description) <= 1000),
+  cover_image_url text,
+  cover_cloudinary_public_id text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- Un nom par utilisateur, sans tenir compte de la casse
+create unique index if not exists bucket_list_collections_user_name_idx
+  on public.bucket_list_collections (user_id, lower(name));
+
+create table if not exists public.bucket_list_collection_items (
+  collection_id uuid not null references public.bucket_list_collections (id) on delete cascade,
+  bucket_item_id public.user_bucket_lists.id%type not null
+    references public.user_bucket_lists (id) on delete cascade,
+  added_at timestamptz not null default now(),
+  primary key (collection_id, bucket_item_id)
+);
+
+create index if not exists bucket_list_collection_items_item_idx
+  on public.bucket_list_collection_items (bucket_item_id);
+
+-- Privées : seul le propriétaire les voit et les modifie
+alter table public.bucket_list_collections enable row level security;
+alter table public.bucket_list_collection_items enable row level security;
+
+drop policy if exists "Propriétaire des collections" on public.bucket_list_collections;
+create policy "Propriétaire des collections"
+  on public.bucket_list_collections
+  for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+-- La collection et l'élément doivent appartenir au même utilisateur
+drop policy if exists "Propriétaire des éléments de collection" on public.bucket_list_collection_items;
+create policy "Propriétaire des éléments de collection"
+  on public.bucket_list_collection_items
+  for all
+  using (
+    exists (
+      select 1 from public.bucket_list_collections c
+      where c.id = collection_id and c.user_id = auth.uid()
+    )
+  )
+  with check (
+    exists (
+      select 1 from public.bucket_list_collections c
+      where c.id = collection_id and c.user_id = auth.uid()
+    )
+    and exists (
+      select 1 from public.user_bucket_lists b
+      where b.id = bucket_item_id and b.user_id = auth.uid()
+    )
+  );
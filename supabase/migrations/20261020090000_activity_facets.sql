@@ -0,0 +1,92 @@
+-- ==========================================
+-- Compteurs de facettes du catalogue (GET /api/activities)
+-- Comptage groupé côté base : la réponse ne dépend pas du nombre d'activités
+-- (PostgREST limite les lignes renvoyées). Chaque facette est comptée avec
+-- tous les filtres sauf le sien ; total applique tous les filtres.
+-- Les niveaux de difficulté sont ceux présents dans le catalogue.
+-- ==========================================
+
+create or replace function public.get_activity_facets(
+  filter_category text default null,
+  filter_continent text default null,
+  filter_difficulty text default null,
+  filter_budget_min numeric default null,
+  filter_budget_max numeric default null,
+  filter_duration_min numeric default null,
+  filter_duration_max numeric default null,
+  filter_min_rating numeric default null,
+  filter_featured boolean default false,
+  season_patterns text[] default null
+)
+returns jsonb
+language sql
+stable
+set search_path = public
+as $$
+  with matches as (
+    select
+      a.category_id,
+      a.continent_id,
+      a.difficulty_level::text as difficulty_level,
+      (filter_category is null or a.category_id::text = filter_category) as in_category,
+      (filter_continent is null or a.continent_id::text = filter_continent) as in_continent,
+      (filter_difficulty is null or a.difficulty_level::text = filter_difficulty) as in_difficulty
+    from public.activities a
+    where coalesce(a.is_active, true)
+      -- Budget : la fourchette de l'activité doit croiser celle demandée
+      and (filter_budget_min is null or a.estimated_budget_max >= filter_budget_min)
+      and (filter_budget_max is null or a.estimated_budget_min <= filter_budget_max)
+      and (filter_duration_min is null or a.duration_days >= filter_duration_min)
+      and (filter_duration_max is null or a.duration_days <= filter_duration_max)
+      and (filter_min_rating is null or a.rating >= filter_min_rating)
+      and (not coalesce(filter_featured, false) or a.is_featured)
+      and (season_patterns is null or a.best_season ilike any (season_patterns))
+  )
+  select jsonb_build_object(
+    'total', (select count(*) from matches where in_category and in_continent and in_difficulty),
+    'categories', coalesce((
+      select jsonb_agg(jsonb_build_object(
+        'id', f.category_id,
+        'name', cat.name,
+        'icon', cat.icon,
+        'count', f.activity_count
+      ) order by f.activity_count desc, cat.name)
+      from (
+        select category_id, count(*) as activity_count
+        from matches
+        where in_continent and in_difficulty and category_id is not null
+        group by category_id
+      ) f
+      left join public.categories cat on cat.id = f.category_id
+    ), '[]'::jsonb),
+    'continents', coalesce((
+      select jsonb_agg(jsonb_build_object(
+        'id', f.continent_id,
+        'name', cont.name,
+        'count', f.activity_count
+      ) order by f.activity_count desc, cont.name)
+      from (
+        select continent_id, count(*) as activity_count
+        from matches
+        where in_category and in_difficulty and continent_id is not null
+        group by continent_id
+      ) f
+      left join public.continents cont on cont.id = f.continent_id
+    ), '[]'::jsonb),
+    'difficulties', coalesce((
+      select jsonb_agg(jsonb_build_object(
+        'value', f.difficulty_level,
+        'count', f.activity_count
+      ) order by f.activity_count desc, f.difficulty_level)
+      from (
+        select difficulty_level, count(*) as activity_count
+        from matches
+        where in_category and in_continent and difficulty_level is not null
+        group by difficulty_level
+      ) f
+    ), '[]'::jsonb)
+  );
+$$;
+
+revoke execute on function public.get_activity_facets(text, text, text, numeric, numeric, numeric, numeric, numeric, boolean, text[]) from public;
+grant execute on function public.get_activity_facets(text, text, text, numeric, numeric, numeric, numeric, numeric, boolean, text[]) to anon, authenticated;
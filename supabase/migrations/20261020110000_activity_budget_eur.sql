@@ -0,0 +1,157 @@
+-- ==========================================
+-- Budgets du catalogue en euros
+-- Les budgets sont saisis dans leur devise (voir multi_currency) : filtres,
+-- tri, facettes et recommandations comparent leur contre-valeur en euros,
+-- tenue à jour par trigger à chaque modification d'une activité ou d'un taux.
+-- Sans taux pour sa devise, une activité n'a pas de budget en euros.
+-- ==========================================
+
+alter table public.activities
+  add column if not exists estimated_budget_min_eur numeric,
+  add column if not exists estimated_budget_max_eur numeric;
+
+create index if not exists activities_budget_min_eur_idx
+  on public.activities (estimated_budget_min_eur);
+create index if not exists activities_budget_max_eur_idx
+  on public.activities (estimated_budget_max_eur);
+
+create or replace function public.amount_in_eur(amount_value numeric, amount_currency text)
+returns numeric
+language sql
+stable
+set search_path = public
+as $$
+  select round(amount_value * r.rate_to_eur, 2)
+  from public.currency_rates r
+  where r.currency = amount_currency
+$$;
+
+create or replace function public.set_activity_budget_eur()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+begin
+  new.estimated_budget_min_eur := public.amount_in_eur(new.estimated_budget_min, new.budget_currency);
+  new.estimated_budget_max_eur := public.amount_in_eur(new.estimated_budget_max, new.budget_currency);
+  return new;
+end;
+$$;
+
+drop trigger if exists activities_budget_eur on public.activities;
+create trigger activities_budget_eur
+  before insert or update of estimated_budget_min, estimated_budget_max, budget_currency
+  on public.activities
+  for each row execute function public.set_activity_budget_eur();
+
+-- Un taux modifié ou supprimé : activités de cette devise recalculées
+create or replace function public.refresh_activity_budget_eur()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  changed_currency text := case when tg_op = 'DELETE' then old.currency else new.currency end;
+begin
+  update public.activities
+  set
+    estimated_budget_min_eur = public.amount_in_eur(estimated_budget_min, budget_currency),
+    estimated_budget_max_eur = public.amount_in_eur(estimated_budget_max, budget_currency)
+  where budget_currency = changed_currency;
+  return null;
+end;
+$$;
+
+drop trigger if exists currency_rates_refresh_activity_budget on public.currency_rates;
+create trigger currency_rates_refresh_activity_budget
+  after insert or update or delete on public.currency_rates
+  for each row execute function public.refresh_activity_budget_eur();
+
+update public.activities
+set
+  estimated_budget_min_eur = public.amount_in_eur(estimated_budget_min, budget_currency),
+  estimated_budget_max_eur = public.amount_in_eur(estimated_budget_max, budget_currency);
+
+-- Facettes : mêmes filtres de budget que GET /api/activities (montants en euros)
+create or replace function public.get_activity_facets(
+  filter_category text default null,
+  filter_continent text default null,
+  filter_difficulty text default null,
+  filter_budget_min numeric default null,
+  filter_budget_max numeric default null,
+  filter_duration_min numeric default null,
+  filter_duration_max numeric default null,
+  filter_min_rating numeric default null,
+  filter_featured boolean default false,
+  season_patterns text[] default null
+)
+returns jsonb
+language sql
+stable
+set search_path = public
+as $$
+  with matches as (
+    select
+      a.category_id,
+      a.continent_id,
+      a.difficulty_level::text as difficulty_level,
+      (filter_category is null or a.category_id::text = filter_category) as in_category,
+      (filter_continent is null or a.continent_id::text = filter_continent) as in_continent,
+      (filter_difficulty is null or a.difficulty_level::text = filter_difficulty) as in_difficulty
+    from public.activities a
+    where coalesce(a.is_active, true)
+      -- Budget : la fourchette de l'activité doit croiser celle demandée
+      and (filter_budget_min is null or a.estimated_budget_max_eur >= filter_budget_min)
+      and (filter_budget_max is null or a.estimated_budget_min_eur <= filter_budget_max)
+      and (filter_duration_min is null or a.duration_days >= filter_duration_min)
+      and (filter_duration_max is null or a.duration_days <= filter_duration_max)
+      and (filter_min_rating is null or a.rating >= filter_min_rating)
+      and (not coalesce(filter_featured, false) or a.is_featured)
+      and (season_patterns is null or a.best_season ilike any (season_patterns))
+  )
+  select jsonb_build_object(
+    'total', (select count(*) from matches where in_category and in_continent and in_difficulty),
+    'categories', coalesce((
+      select jsonb_agg(jsonb_build_object(
+        'id', f.category_id,
+        'name', cat.name,
+        'icon', cat.icon,
+        'count', f.activity_count
+      ) order by f.activity_count desc, cat.name)
+      from (
+        select category_id, count(*) as activity_count
+        from matches
+        where in_continent and in_difficulty and category_id is not null
+        group by category_id
+      ) f
+      left join public.categories cat on cat.id = f.category_id
+    ), '[]'::jsonb),
+    'continents', coalesce((
+      select jsonb_agg(jsonb_build_object(
+        'id', f.continent_id,
+        'name', cont.name,
+        'count', f.activity_count
+      ) order by f.activity_count desc, cont.name)
+      from (
+        select continent_id, count(*) as activity_count
+        from matches
+        where in_category and in_difficulty and continent_id is not null
+        group by continent_id
+      ) f
+      left join public.continents cont on cont.id = f.continent_id
+    ), '[]'::jsonb),
+    'difficulties', coalesce((
+      select jsonb_agg(jsonb_build_object(
+        'value', f.difficulty_level,
+        'count', f.activity_count
+      ) order by f.activity_count desc, f.difficulty_level)
+      from (
+        select difficulty_level, count(*) as activity_count
+        from matches
+        where in_category and in_continent and difficulty_level is not null
+        group by difficulty_level
+      ) f
+    ), '[]'::jsonb)
+  );
+$$;
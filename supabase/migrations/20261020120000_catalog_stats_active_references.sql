@@ -0,0 +1,104 @@
+-- ==========================================
+-- Statistiques du catalogue : référentiels actifs
+-- Une catégorie ou un continent désactivé (voir admin_catalog) n'apparaît
+-- plus dans by_category / by_continent, comme dans GET /api/categories et
+-- GET /api/continents.
+-- ==========================================
+
+create or replace function public.get_catalog_stats(top_limit integer default 10)
+returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  with catalog as (
+    select * from public.activities where coalesce(is_active, true)
+  ),
+  -- Budget minimum converti en euros ; sans taux pour sa devise, il compte comme inconnu
+  budgets as (
+    select a.estimated_budget_min * r.rate_to_eur as budget_eur
+    from catalog a
+    left join public.currency_rates r on r.currency = a.budget_currency
+  ),
+  additions as (
+    select
+      activity_id,
+      count(*) as added_count,
+      count(*) filter (where status = 'completed') as completed_count
+    from public.user_bucket_lists
+    group by activity_id
+  )
+  select jsonb_build_object(
+    'total_activities', (select count(*) from catalog),
+    'average_rating', (select round(avg(rating)::numeric, 2) from catalog where rating is not null),
+    'rated_activities', (select count(*) from catalog where rating is not null),
+    'by_category', coalesce((
+      select jsonb_agg(jsonb_build_object(
+        'id', c.id,
+        'name', c.name,
+        'icon', c.icon,
+        'count', c.activity_count
+      ) order by c.activity_count desc, c.name)
+      from (
+        select cat.id, cat.name, cat.icon, count(a.id) as activity_count
+        from public.categories cat
+        left join catalog a on a.category_id = cat.id
+        where coalesce(cat.is_active, true)
+        group by cat.id, cat.name, cat.icon
+      ) c
+    ), '[]'::jsonb),
+    'by_continent', coalesce((
+      select jsonb_agg(jsonb_build_object(
+        'id', c.id,
+        'name', c.name,
+        'icon', c.icon,
+        'count', c.activity_count
+      ) order by c.activity_count desc, c.name)
+      from (
+        select cont.id, cont.name, to_jsonb(cont) ->> 'icon' as icon, count(a.id) as activity_count
+        from public.continents cont
+        left join catalog a on a.continent_id = cont.id
+        where coalesce(cont.is_active, true)
+        group by cont.id, cont.name, to_jsonb(cont) ->> 'icon'
+      ) c
+    ), '[]'::jsonb),
+    'budget_distribution', jsonb_build_object(
+      'currency', 'EUR',
+      'ranges', (
+        select jsonb_agg(jsonb_build_object(
+          'min', b.min_budget,
+          'max', b.max_budget,
+          'count', (
+            select count(*) from budgets a
+            where a.budget_eur >= b.min_budget
+              and (b.max_budget is null or a.budget_eur < b.max_budget)
+          )
+        ) order by b.min_budget)
+        from (values (0, 100), (100, 500), (500, 1000), (1000, 3000), (3000, null::integer))
+          as b(min_budget, max_budget)
+      ),
+      'unknown', (select count(*) from budgets where budget_eur is null)
+    ),
+    'most_added', coalesce((
+      select jsonb_agg(jsonb_build_object(
+        'id', t.id,
+        'title', t.title,
+        'slug', t.slug,
+        'added_count', t.added_count,
+        'completed_count', t.completed_count
+      ) order by t.added_count desc, t.title)
+      from (
+        select a.id, a.title, a.slug, ad.added_count, ad.completed_count
+        from additions ad
+        join catalog a on a.id = ad.activity_id
+        order by ad.added_count desc, a.title
+        limit least(greatest(coalesce(top_limit, 10), 1), 50)
+      ) t
+    ), '[]'::jsonb),
+    'generated_at', now()
+  );
+$$;
+
+revoke execute on function public.get_catalog_stats(integer) from public;
+grant execute on function public.get_catalog_stats(integer) to anon, authenticated;
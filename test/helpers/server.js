@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Serveurs de test
+ *
+ * startServer reprend ce que server.js place devant les routes (JSON, langue
+ * de la réponse) pour tester un routeur seul ; startApp sert l'application
+ * complète (server.js exporte l'app sans écouter quand il est chargé).
+ */
+
+const express = require('express');
+const { localize } = require('../../middleware/i18n');
+
+/**
+ * Démarre une app Express sur un port libre
+ *
+ * @param {Function} app - Application Express
+ * @returns {Promise<{ url: string, close: Function }>}
+ */
+async function startApp(app) {
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * Démarre un serveur sur un port libre avec le routeur monté sur `path`
+ *
+ * @param {string} path - Préfixe de montage (ex. '/api')
+ * @param {Function} router - Routeur Express
+ * @returns {Promise<{ url: string, close: Function }>}
+ */
+function startServer(path, router) {
+  const app = express();
+  app.use(express.json());
+  app.use(localize);
+  app.use(path, router);
+
+  return startApp(app);
+}
+
+module.exports = { startApp, startServer };
@@ -0,0 +1,176 @@
+/**
+ * @fileoverview Client Supabase en mémoire pour les tests
+ *
+ * À charger avant tout module de l'application : remplace createClient de
+ * @supabase/supabase-js, si bien que config/supabase-service et les routes
+ * lisent et écrivent dans `db` au lieu d'appeler PostgREST.
+ * Couvre les méthodes utilisées par les routes testées (select, insert,
+ * upsert, update, delete, eq, gt, in, not, order, limit, range, maybeSingle...).
+ * Comme PostgREST, une lecture renvoie au plus MAX_ROWS lignes.
+ */
+
+const crypto = require('crypto');
+const supabaseJs = require('@supabase/supabase-js');
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://127.0.0.1:1';
+process.env.SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY || 'test-anon-key';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test-service-key';
+
+// Jeton accepté par auth.getUser et utilisateur correspondant
+const TEST_TOKEN = 'test-token';
+const TEST_USER_ID = '00000000-0000-4000-8000-000000000001';
+
+// Plafond de lignes par réponse (db-max-rows de PostgREST)
+const MAX_ROWS = 1000;
+
+/**
+ * Tables en mémoire, remplacées par resetDb
+ */
+const db = {};
+
+/**
+ * Index uniques : { table: ligne => clé }. Une écriture qui reproduit la clé
+ * d'une autre ligne échoue comme dans Postgres (23505).
+ */
+const uniqueIndexes = {};
+
+/**
+ * Fonctions Postgres simulées : { nom: params => data }. Sans entrée, rpc renvoie null.
+ */
+const rpcHandlers = {};
+
+/**
+ * Requêtes reçues : { table, op, filters: [[méthode, colonne, valeur]], payload }
+ */
+const calls = [];
+
+/**
+ * Remplace le contenu des tables (copie des lignes fournies) et vide le journal
+ *
+ * @param {Object} tables - { nom: lignes[] }
+ */
+function resetDb(tables = {}) {
+  Object.keys(db).forEach(table => delete db[table]);
+  Object.entries(tables).forEach(([table, rows]) => {
+    db[table] = rows.map(row => ({ ...row }));
+  });
+  calls.length = 0;
+}
+
+function matches(row, [method, column, value]) {
+  switch (method) {
+    case 'eq':
+      return String(row[column]) === String(value);
+    case 'gt':
+      return Number(row[column]) > Number(value);
+    case 'in':
+      return value.map(String).includes(String(row[column]));
+    case 'not':
+      // Seule forme utilisée : .not('is_active', 'is', false)
+      return row[column] !== value;
+    default:
+      return true;
+  }
+}
+
+function violatesUnique(table, candidate, ignored) {
+  const key = uniqueIndexes[table];
+  return Boolean(key) && db[table].some(row => row !== ignored && key(row) === key(candidate));
+}
+
+const UNIQUE_VIOLATION = { code: '23505', message: 'duplicate key value violates unique constraint' };
+
+function queryBuilder(table) {
+  const call = { table, op: 'select', filters: [], payload: null };
+  let single = false;
+  let window = null;
+  let count = null;
+  const sorts = [];
+
+  const builder = {
+    select() { return builder; },
+    insert(payload) { Object.assign(call, { op: 'insert', payload }); return builder; },
+    upsert(payload, { onConflict = 'id' } = {}) { Object.assign(call, { op: 'upsert', payload, onConflict }); return builder; },
+    update(payload) { Object.assign(call, { op: 'update', payload }); return builder; },
+    delete() { call.op = 'delete'; return builder; },
+    eq(column, value) { call.filters.push(['eq', column, value]); return builder; },
+    gt(column, value) { call.filters.push(['gt', column, value]); return builder; },
+    in(column, values) { call.filters.push(['in', column, values]); return builder; },
+    not(column, operator, value) { call.filters.push(['not', column, value]); return builder; },
+    order(column, { ascending = true } = {}) { sorts.push([column, ascending]); return builder; },
+    limit(value) { count = value; return builder; },
+    range(from, to) { window = [from, to]; return builder; },
+    maybeSingle() { single = true; return builder; },
+    single() { single = true; return builder; },
+    then(resolve, reject) {
+      calls.push(call);
+      return Promise.resolve(execute(call, { single, window, count, sorts })).then(resolve, reject);
+    }
+  };
+
+  return builder;
+}
+
+// Tri stable : les lignes sans valeur gardent l'ordre d'insertion
+function compare(a, b, sorts) {
+  for (const [column, ascending] of sorts) {
+    if (a[column] === b[column] || a[column] == null || b[column] == null) continue;
+    const order = a[column] < b[column] ? -1 : 1;
+    return ascending ? order : -order;
+  }
+  return 0;
+}
+
+function execute({ table, op, filters, payload, onConflict }, { single, window, count, sorts }) {
+  const rows = db[table] || (db[table] = []);
+  const selected = rows.filter(row => filters.every(filter => matches(row, filter)));
+  let data = op === 'select' ? [...selected].sort((a, b) => compare(a, b, sorts)) : selected;
+  if (window) data = data.slice(window[0], window[1] + 1);
+  if (op === 'select') data = data.slice(0, Math.min(count ?? MAX_ROWS, MAX_ROWS));
+
+  if (op === 'insert') {
+    data = [].concat(payload).map(row => ({ id: crypto.randomUUID(), ...row }));
+    if (data.some(row => violatesUnique(table, row))) return { data: null, error: UNIQUE_VIOLATION };
+    rows.push(...data);
+  } else if (op === 'upsert') {
+    const keys = onConflict.split(',');
+    data = [].concat(payload).map(values => {
+      const existing = rows.find(row => keys.every(key => String(row[key]) === String(values[key])));
+      if (existing) return Object.assign(existing, values);
+      const created = { id: crypto.randomUUID(), ...values };
+      rows.push(created);
+      return created;
+    });
+  } else if (op === 'update') {
+    if (selected.some(row => violatesUnique(table, { ...row, ...payload }, row))) return { data: null, error: UNIQUE_VIOLATION };
+    selected.forEach(row => Object.assign(row, payload));
+  } else if (op === 'delete') {
+    db[table] = rows.filter(row => !selected.includes(row));
+  }
+
+  // Copies, comme des lignes relues depuis PostgREST
+  data = data.map(row => ({ ...row }));
+  return { data: single ? data[0] || null : data, error: null };
+}
+
+const client = {
+  from: queryBuilder,
+  rpc: async (name, params) => ({ data: rpcHandlers[name] ? rpcHandlers[name](params) : null, error: null }),
+  auth: {
+    getUser: async token => (token === TEST_TOKEN
+      ? { data: { user: { id: TEST_USER_ID } }, error: null }
+      : { data: { user: null }, error: { message: 'invalid token' } })
+  }
+};
+
+supabaseJs.createClient = () => client;
+
+module.exports = {
+  TEST_TOKEN,
+  TEST_USER_ID,
+  db,
+  uniqueIndexes,
+  rpcHandlers,
+  calls,
+  resetDb
+};
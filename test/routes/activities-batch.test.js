@@ -0,0 +1,102 @@
+const { calls, resetDb } = require('../helpers/supabase-stub');
+const { startApp } = require('../helpers/server');
+
+const crypto = require('crypto');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const app = require('../../server');
+
+const AURORAS = '11111111-1111-4111-8111-111111111111';
+const SAFARI = '22222222-2222-4222-8222-222222222222';
+const INACTIVE = '33333333-3333-4333-8333-333333333333';
+const UNKNOWN = '44444444-4444-4444-8444-444444444444';
+
+describe('Activités par ids', () => {
+  let server;
+
+  before(async () => {
+    server = await startApp(app);
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    resetDb({
+      activities: [
+        { id: AURORAS, title: 'Voir les aurores boréales' },
+        { id: SAFARI, title: 'Safari dans le Serengeti' },
+        { id: INACTIVE, title: 'Plongée', is_active: false }
+      ],
+      activity_images: []
+    });
+  });
+
+  describe('GET /api/activities?ids=', () => {
+    it('renvoie les activités dans l\'ordre demandé, sans doublon', async () => {
+      const response = await fetch(`${server.url}/api/activities?ids=${SAFARI},${AURORAS},${SAFARI}`);
+      const body = await response.json();
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(body.data.map(activity => activity.id), [SAFARI, AURORAS]);
+      assert.deepEqual(body.meta, { requested: 2, count: 2, missing: [] });
+    });
+
+    it('signale les ids introuvables, désactivés ou mal formés', async () => {
+      const response = await fetch(`${server.url}/api/activities?ids=${AURORAS},${INACTIVE},${UNKNOWN},voir-les-aurores`);
+      const body = await response.json();
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(body.data.map(activity => activity.id), [AURORAS]);
+      assert.deepEqual(body.meta.missing, [INACTIVE, UNKNOWN, 'voir-les-aurores']);
+
+      const activityQuery = calls.find(call => call.table === 'activities');
+      assert.deepEqual(activityQuery.filters.find(([method]) => method === 'in')[2], [AURORAS, INACTIVE, UNKNOWN]);
+    });
+
+    it('n\'interroge pas la base quand aucun id n\'est bien formé', async () => {
+      const response = await fetch(`${server.url}/api/activities?ids=abc`);
+      const body = await response.json();
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(body.meta, { requested: 1, count: 0, missing: ['abc'] });
+      assert.equal(calls.length, 0);
+    });
+  });
+
+  describe('POST /api/activities/batch', () => {
+    it('accepte une liste d\'ids', async () => {
+      const response = await fetch(`${server.url}/api/activities/batch`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ids: [AURORAS, 'abc'] })
+      });
+      const body = await response.json();
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(body.data.map(activity => activity.id), [AURORAS]);
+      assert.deepEqual(body.meta.missing, ['abc']);
+    });
+
+    it('refuse des ids qui ne sont pas une liste', async () => {
+      const response = await fetch(`${server.url}/api/activities/batch`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: `ids=${AURORAS}`
+      });
+
+      assert.equal(response.status, 400);
+    });
+
+    it('refuse une liste trop longue', async () => {
+      const ids = Array.from({ length: 51 }, () => crypto.randomUUID());
+      const response = await fetch(`${server.url}/api/activities/batch`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ids })
+      });
+
+      assert.equal(response.status, 400);
+    });
+  });
+});
@@ -0,0 +1,59 @@
+const { resetDb } = require('../helpers/supabase-stub');
+const { startApp } = require('../helpers/server');
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const app = require('../../server');
+
+const activity = (index, fields) => ({
+  id: `activity-${String(index).padStart(4, '0')}`,
+  title: `Activité ${index}`,
+  popularity_score: 2000 - index,
+  ...fields
+});
+
+describe('GET /api/activities/seasonal', () => {
+  let server;
+
+  const seasonal = async query => {
+    const response = await fetch(`${server.url}/api/activities/seasonal${query}`);
+    return { status: response.status, body: await response.json() };
+  };
+
+  before(async () => {
+    server = await startApp(app);
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    // 1200 activités d'hiver d'abord, puis 30 d'été : au-delà d'une réponse PostgREST
+    resetDb({
+      activities: [
+        ...Array.from({ length: 1200 }, (_, index) => activity(index, { best_season: 'Décembre à février' })),
+        ...Array.from({ length: 30 }, (_, index) => activity(1200 + index, { best_season: 'Juin à août' })),
+        activity(1300, { best_season: 'Juillet', is_active: false })
+      ]
+    });
+  });
+
+  it('trouve les activités de saison au-delà des 1000 premières', async () => {
+    const { status, body } = await seasonal('?month=7&limit=25');
+
+    assert.equal(status, 200);
+    assert.equal(body.data.length, 25);
+    assert.equal(body.data[0].id, 'activity-1200');
+    assert.deepEqual(body.data[0].season.months, [6, 7, 8]);
+  });
+
+  it('renvoie toutes les activités de saison quand il y en a moins que la limite', async () => {
+    const { body } = await seasonal('?month=7&limit=50');
+
+    assert.equal(body.meta.count, 30);
+  });
+
+  it('refuse un mois invalide', async () => {
+    assert.equal((await seasonal('?month=13')).status, 400);
+  });
+});
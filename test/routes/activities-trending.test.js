@@ -0,0 +1,75 @@
+const { db, rpcHandlers, resetDb } = require('../helpers/supabase-stub');
+const { startApp } = require('../helpers/server');
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const app = require('../../server');
+
+const AURORAS = '11111111-1111-4111-8111-111111111111';
+const SAFARI = '22222222-2222-4222-8222-222222222222';
+const DIVING = '33333333-3333-4333-8333-333333333333';
+const VOLCANO = '44444444-4444-4444-8444-444444444444';
+
+describe('GET /api/activities/trending', () => {
+  let server;
+  let requested;
+
+  const trending = async query => {
+    const response = await fetch(`${server.url}/api/activities/trending${query}`);
+    return { status: response.status, body: await response.json() };
+  };
+
+  before(async () => {
+    server = await startApp(app);
+  });
+
+  after(() => {
+    delete rpcHandlers.trending_activities;
+    server.close();
+  });
+
+  beforeEach(() => {
+    resetDb({
+      activities: [
+        { id: AURORAS, title: 'Voir les aurores boréales' },
+        { id: SAFARI, title: 'Safari dans le Serengeti' },
+        { id: DIVING, title: 'Plongée', is_active: false },
+        { id: VOLCANO, title: 'Gravir un volcan' }
+      ]
+    });
+
+    // Classement calculé avant la désactivation de DIVING
+    rpcHandlers.trending_activities = params => {
+      requested = params;
+      return [AURORAS, DIVING, SAFARI, VOLCANO]
+        .map((id, index) => ({ activity_id: id, current_count: 10 - index, previous_count: 1, score: 50 - index }))
+        .slice(0, params.max_results);
+    };
+  });
+
+  it('complète la liste quand une activité classée a été désactivée entre-temps', async () => {
+    const { status, body } = await trending('?limit=2');
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.map(activity => activity.id), [AURORAS, SAFARI]);
+    assert.deepEqual(body.data[0].trend, { current_count: 10, previous_count: 1, score: 50 });
+    assert.equal(body.meta.count, 2);
+    assert.equal(requested.max_results, 4);
+  });
+
+  it('garde l\'ordre du classement sans dépasser la limite', async () => {
+    db.activities.find(activity => activity.id === DIVING).is_active = true;
+
+    const { body } = await trending('?limit=3&window=30d');
+
+    assert.deepEqual(body.data.map(activity => activity.id), [AURORAS, DIVING, SAFARI]);
+    assert.equal(requested.window_days, 30);
+  });
+
+  it('refuse une fenêtre inconnue', async () => {
+    const { status } = await trending('?window=1y');
+
+    assert.equal(status, 400);
+  });
+});
@@ -0,0 +1,85 @@
+const { TEST_TOKEN, TEST_USER_ID, db, resetDb } = require('../helpers/supabase-stub');
+const { startServer } = require('../helpers/server');
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const adminCatalogRoutes = require('../../routes/admin-catalog');
+
+const AURORAS = '11111111-1111-4111-8111-111111111111';
+const NATURE = '22222222-2222-4222-8222-222222222222';
+const UNKNOWN = '33333333-3333-4333-8333-333333333333';
+
+describe('Administration du catalogue', () => {
+  let server;
+
+  const request = async (method, path, body) => {
+    const response = await fetch(`${server.url}/api/admin${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${TEST_TOKEN}` },
+      ...(body && { body: JSON.stringify(body) })
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const activity = () => db.activities.find(row => row.id === AURORAS);
+
+  before(async () => {
+    server = await startServer('/api/admin', adminCatalogRoutes);
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    resetDb({
+      user_profiles: [{ id: TEST_USER_ID, role: 'editor' }],
+      activities: [{ id: AURORAS, title: 'Voir les aurores boréales', category_id: NATURE, is_active: true, is_featured: false }],
+      categories: [{ id: NATURE, name: 'Nature', is_active: true }],
+      catalog_audit_log: []
+    });
+  });
+
+  it('est réservée à l\'équipe éditoriale', async () => {
+    db.user_profiles[0].role = 'user';
+
+    assert.equal((await request('GET', '/activities')).status, 403);
+  });
+
+  it('valide la création et la journalise', async () => {
+    assert.equal((await request('POST', '/activities', { title: 'Safari' })).status, 400);
+
+    const { status, body } = await request('POST', '/activities', {
+      title: 'Safari dans le Serengeti',
+      category_id: NATURE,
+      estimated_budget_min: 2000,
+      budget_currency: 'USD'
+    });
+
+    assert.equal(status, 201);
+    assert.equal(body.data.budget_currency, 'USD');
+    assert.deepEqual(db.catalog_audit_log.map(entry => [entry.record_id, entry.action]), [[body.data.id, 'create']]);
+  });
+
+  it('désactive au lieu de supprimer', async () => {
+    const { status } = await request('DELETE', `/activities/${AURORAS}`);
+
+    assert.equal(status, 200);
+    assert.equal(activity().is_active, false);
+    assert.equal(db.catalog_audit_log[0].action, 'deactivate');
+
+    const again = await request('DELETE', `/activities/${AURORAS}`);
+    assert.equal(again.status, 200);
+    assert.equal(db.catalog_audit_log.length, 1);
+
+    assert.equal((await request('DELETE', `/activities/${UNKNOWN}`)).status, 404);
+  });
+
+  it('inverse la mise en avant sans valeur explicite', async () => {
+    await request('PATCH', `/activities/${AURORAS}/featured`, {});
+    assert.equal(activity().is_featured, true);
+
+    await request('PATCH', `/activities/${AURORAS}/featured`, { is_featured: true });
+    assert.equal(activity().is_featured, true);
+    assert.deepEqual(db.catalog_audit_log.map(entry => entry.action), ['feature', 'feature']);
+  });
+});
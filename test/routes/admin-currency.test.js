@@ -0,0 +1,77 @@
+const { TEST_TOKEN, TEST_USER_ID, db, resetDb } = require('../helpers/supabase-stub');
+const { startServer } = require('../helpers/server');
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const adminCatalogRoutes = require('../../routes/admin-catalog');
+const { getRates } = require('../../utils/currency');
+
+describe('Taux de change (admin)', () => {
+  let server;
+
+  const request = async (method, path, body) => {
+    const response = await fetch(`${server.url}/api/admin${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${TEST_TOKEN}` },
+      ...(body && { body: JSON.stringify(body) })
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const setRole = role => {
+    db.user_profiles = [{ id: TEST_USER_ID, role }];
+  };
+
+  before(async () => {
+    server = await startServer('/api/admin', adminCatalogRoutes);
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    resetDb({
+      user_profiles: [{ id: TEST_USER_ID, role: 'admin' }],
+      currency_rates: [{ currency: 'EUR', rate_to_eur: 1 }, { currency: 'USD', rate_to_eur: 0.92 }],
+      catalog_audit_log: []
+    });
+  });
+
+  it('laisse l\'équipe éditoriale lire mais pas modifier', async () => {
+    setRole('editor');
+
+    assert.equal((await request('GET', '/currency-rates')).status, 200);
+    assert.equal((await request('PUT', '/currency-rates', { rates: { USD: 0.9 } })).status, 403);
+  });
+
+  it('refuse un code mal écrit, un taux négatif ou un euro différent de 1', async () => {
+    const { status, body } = await request('PUT', '/currency-rates', { rates: { usd: 0.9, EUR: 2 } });
+
+    assert.equal(status, 400);
+    assert.equal(body.details.length, 2);
+    assert.equal((await request('PUT', '/currency-rates', { rates: { GBP: -1 } })).status, 400);
+    assert.equal(db.catalog_audit_log.length, 0);
+    assert.equal(db.currency_rates.length, 2);
+  });
+
+  it('enregistre les taux, les journalise et recharge le cache', async () => {
+    await getRates();
+
+    const { status } = await request('PUT', '/currency-rates', { rates: { USD: 0.9, JPY: 0.0062 } });
+
+    assert.equal(status, 200);
+    assert.equal(db.currency_rates.length, 3);
+    assert.deepEqual(db.catalog_audit_log[0].changes, {
+      USD: { from: 0.92, to: 0.9 },
+      JPY: { from: null, to: 0.0062 }
+    });
+    assert.equal((await getRates()).get('USD'), 0.9);
+  });
+
+  it('supprime un taux mais jamais celui de l\'euro', async () => {
+    assert.equal((await request('DELETE', '/currency-rates/EUR')).status, 400);
+    assert.equal((await request('DELETE', '/currency-rates/GBP')).status, 404);
+    assert.equal((await request('DELETE', '/currency-rates/USD')).status, 200);
+    assert.deepEqual(db.currency_rates.map(row => row.currency), ['EUR']);
+  });
+});
@@ -0,0 +1,84 @@
+const { TEST_TOKEN, TEST_USER_ID, db, resetDb } = require('../helpers/supabase-stub');
+const { startServer } = require('../helpers/server');
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const authBucketRoutes = require('../../routes/auth-bucket');
+
+const AURORAS = '11111111-1111-4111-8111-111111111111';
+const SAFARI = '22222222-2222-4222-8222-222222222222';
+const INACTIVE = '33333333-3333-4333-8333-333333333333';
+const UNKNOWN = '44444444-4444-4444-8444-444444444444';
+const OTHER_USER_CUSTOM = '55555555-5555-4555-8555-555555555555';
+
+describe('POST /api/user/bucket-list/add', () => {
+  let server;
+
+  const add = async body => {
+    const response = await fetch(`${server.url}/api/user/bucket-list/add`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${TEST_TOKEN}` },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  before(async () => {
+    server = await startServer('/api', authBucketRoutes);
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    resetDb({
+      activities: [
+        { id: AURORAS, title: 'Voir les aurores boréales' },
+        { id: SAFARI, title: 'Safari dans le Serengeti' },
+        { id: INACTIVE, title: 'Plongée', is_active: false }
+      ],
+      user_profiles: [{ id: TEST_USER_ID, preferred_currency: 'CHF' }],
+      custom_activities: [{ id: OTHER_USER_CUSTOM, user_id: 'another-user', title: 'Apprendre le piano' }],
+      user_bucket_lists: [{ id: 'b1', user_id: TEST_USER_ID, activity_id: SAFARI }]
+    });
+  });
+
+  it('ajoute une activité du catalogue dans la devise de l\'utilisateur', async () => {
+    const { status } = await add({ activityId: AURORAS, priority: 'high', personal_budget: 0 });
+
+    assert.equal(status, 201);
+    const item = db.user_bucket_lists.find(row => row.activity_id === AURORAS);
+    assert.equal(item.user_id, TEST_USER_ID);
+    assert.equal(item.priority, 'high');
+    assert.equal(item.personal_budget, 0);
+    assert.equal(item.personal_budget_currency, 'CHF');
+  });
+
+  it('refuse une activité désactivée ou introuvable', async () => {
+    assert.equal((await add({ activityId: INACTIVE })).status, 404);
+    assert.equal((await add({ activityId: UNKNOWN })).status, 404);
+    assert.equal(db.user_bucket_lists.length, 1);
+  });
+
+  it('refuse une activité déjà dans la liste', async () => {
+    assert.equal((await add({ activityId: SAFARI })).status, 409);
+  });
+
+  it('exige une seule source', async () => {
+    assert.equal((await add({})).status, 400);
+    assert.equal((await add({ activityId: AURORAS, customActivity: { title: 'Piano' } })).status, 400);
+  });
+
+  it('n\'ajoute pas l\'activité personnelle d\'un autre utilisateur', async () => {
+    assert.equal((await add({ customActivityId: OTHER_USER_CUSTOM })).status, 404);
+  });
+
+  it('crée l\'activité personnelle envoyée puis l\'ajoute', async () => {
+    const { status } = await add({ customActivity: { title: 'Apprendre la guitare' } });
+
+    assert.equal(status, 201);
+    const custom = db.custom_activities.find(row => row.title === 'Apprendre la guitare');
+    assert.equal(custom.user_id, TEST_USER_ID);
+    assert.ok(db.user_bucket_lists.some(row => row.custom_activity_id === custom.id));
+  });
+});
@@ -0,0 +1,133 @@
+const { TEST_TOKEN, TEST_USER_ID, db, calls, resetDb } = require('../helpers/supabase-stub');
+const { startServer } = require('../helpers/server');
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const authBucketRoutes = require('../../routes/auth-bucket');
+
+const ACTIVITY_IN_LIST = '11111111-1111-4111-8111-111111111111';
+const ACTIVITY_TO_ADD = '22222222-2222-4222-8222-222222222222';
+const UNKNOWN_ID = '33333333-3333-4333-8333-333333333333';
+const PLANNED_ITEM = 'aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa';
+const COMPLETED_ITEM = 'bbbbbbbb-bbbb-4bbb-8bbb-bbbbbbbbbbbb';
+const OTHER_USER_ITEM = 'cccccccc-cccc-4ccc-8ccc-cccccccccccc';
+const INACTIVE_ACTIVITY = 'dddddddd-dddd-4ddd-8ddd-dddddddddddd';
+const TODAY = new Date().toISOString().split('T')[0];
+
+describe('POST /api/user/bucket-list/bulk', () => {
+  let server;
+
+  const bulk = async (body, { token = TEST_TOKEN } = {}) => {
+    const response = await fetch(`${server.url}/api/user/bucket-list/bulk`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` })
+      },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const item = id => db.user_bucket_lists.find(row => row.id === id);
+
+  before(async () => {
+    server = await startServer('/api', authBucketRoutes);
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    resetDb({
+      activities: [{ id: ACTIVITY_IN_LIST }, { id: ACTIVITY_TO_ADD }, { id: INACTIVE_ACTIVITY, is_active: false }],
+      user_profiles: [{ id: TEST_USER_ID, preferred_currency: 'CHF' }],
+      user_bucket_lists: [
+        { id: PLANNED_ITEM, user_id: TEST_USER_ID, activity_id: ACTIVITY_IN_LIST, status: 'planned', completed_date: null },
+        { id: COMPLETED_ITEM, user_id: TEST_USER_ID, activity_id: null, status: 'completed', completed_date: '2025-05-01' },
+        { id: OTHER_USER_ITEM, user_id: 'another-user', activity_id: ACTIVITY_TO_ADD, status: 'planned', completed_date: null }
+      ]
+    });
+  });
+
+  it('exige une authentification avant de valider le corps', async () => {
+    const { status } = await bulk({ action: 'unknown' }, { token: null });
+
+    assert.equal(status, 401);
+  });
+
+  it('refuse une action inconnue', async () => {
+    const { status } = await bulk({ action: 'archive', ids: [PLANNED_ITEM] });
+
+    assert.equal(status, 400);
+  });
+
+  describe('add', () => {
+    it('donne un résultat par activité, dans l\'ordre demandé', async () => {
+      const { status, body } = await bulk({
+        action: 'add',
+        activityIds: [ACTIVITY_TO_ADD, ACTIVITY_IN_LIST, UNKNOWN_ID, 'not-a-uuid', ACTIVITY_TO_ADD],
+        priority: 'high'
+      });
+
+      assert.equal(status, 200);
+      assert.deepEqual(
+        body.results.map(result => [result.activityId, result.status]),
+        [[ACTIVITY_TO_ADD, 201], [ACTIVITY_IN_LIST, 409], [UNKNOWN_ID, 404], ['not-a-uuid', 400]]
+      );
+      assert.deepEqual(body.meta, { requested: 4, succeeded: 1, failed: 3 });
+
+      const created = item(body.results[0].id);
+      assert.equal(created.user_id, TEST_USER_ID);
+      assert.equal(created.activity_id, ACTIVITY_TO_ADD);
+      assert.equal(created.priority, 'high');
+      assert.equal(created.personal_budget_currency, 'CHF');
+    });
+
+    it('signale une activité désactivée comme introuvable', async () => {
+      const { body } = await bulk({ action: 'add', activityIds: [INACTIVE_ACTIVITY] });
+
+      assert.deepEqual(body.results.map(result => result.status), [404]);
+      assert.equal(db.user_bucket_lists.some(row => row.activity_id === INACTIVE_ACTIVITY), false);
+    });
+
+    it('n\'envoie pas les ids mal formés à la base', async () => {
+      const { body } = await bulk({ action: 'add', activityIds: ['12', 'not-a-uuid'] });
+
+      assert.deepEqual(body.results.map(result => result.status), [400, 400]);
+      assert.equal(calls.length, 0);
+    });
+  });
+
+  describe('status', () => {
+    it('applique les règles de statut à chaque élément', async () => {
+      const { body } = await bulk({
+        action: 'status',
+        ids: [PLANNED_ITEM, COMPLETED_ITEM, OTHER_USER_ITEM, 'not-a-uuid'],
+        status: 'completed'
+      });
+
+      assert.deepEqual(body.results.map(result => result.status), [200, 200, 404, 400]);
+      assert.equal(item(PLANNED_ITEM).completed_date, TODAY);
+      assert.equal(item(COMPLETED_ITEM).completed_date, '2025-05-01');
+      assert.equal(item(OTHER_USER_ITEM).status, 'planned');
+    });
+
+    it('efface la date de réalisation au retour en planned', async () => {
+      await bulk({ action: 'status', ids: [COMPLETED_ITEM], status: 'planned' });
+
+      assert.equal(item(COMPLETED_ITEM).status, 'planned');
+      assert.equal(item(COMPLETED_ITEM).completed_date, null);
+    });
+  });
+
+  describe('delete', () => {
+    it('ne supprime que les éléments de l\'utilisateur', async () => {
+      const { body } = await bulk({ action: 'delete', ids: [PLANNED_ITEM, OTHER_USER_ITEM] });
+
+      assert.deepEqual(body.results.map(result => result.status), [200, 404]);
+      assert.equal(item(PLANNED_ITEM), undefined);
+      assert.ok(item(OTHER_USER_ITEM));
+    });
+  });
+});
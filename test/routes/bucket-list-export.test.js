@@ -0,0 +1,138 @@
+const { TEST_TOKEN, TEST_USER_ID, calls, resetDb } = require('../helpers/supabase-stub');
+const { startServer } = require('../helpers/server');
+
+const http = require('http');
+const { once } = require('events');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const authBucketRoutes = require('../../routes/auth-bucket');
+
+const TODAY = new Date().toISOString().slice(0, 10);
+const OTHER_USER = '00000000-0000-4000-8000-000000000002';
+
+const item = (id, fields = {}) => ({
+  id,
+  user_id: TEST_USER_ID,
+  status: 'planned',
+  priority: 'medium',
+  activity: { id: `activity-${id}`, title: `Activité ${id}`, location: 'Islande', category: { name: 'Nature' } },
+  ...fields
+});
+
+describe('GET /api/user/bucket-list/export', () => {
+  let server;
+  let responses;
+
+  const download = async query => {
+    const response = await fetch(`${server.url}/api/user/bucket-list/export${query}`, {
+      headers: { Authorization: `Bearer ${TEST_TOKEN}` }
+    });
+    return { response, text: await response.text() };
+  };
+
+  const pageLoads = () => calls.filter(call => call.table === 'user_bucket_lists').length;
+
+  before(async () => {
+    // Réponses conservées pour observer la route après une déconnexion
+    const router = express.Router();
+    router.use((req, res, next) => {
+      responses.push(res);
+      next();
+    });
+    router.use(authBucketRoutes);
+    server = await startServer('/api', router);
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    responses = [];
+    resetDb({
+      user_bucket_lists: [
+        item('item-1', { notes: 'Prévoir "gants", bonnet' }),
+        item('item-2', { status: 'completed', completed_date: '2026-02-10' }),
+        item('item-3', { user_id: OTHER_USER })
+      ]
+    });
+  });
+
+  it('refuse un format inconnu', async () => {
+    const { response } = await download('?format=pdf');
+
+    assert.equal(response.status, 400);
+  });
+
+  it('envoie un CSV en pièce jointe', async () => {
+    const { response, text } = await download('');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'text/csv; charset=utf-8');
+    assert.equal(response.headers.get('content-disposition'), `attachment; filename="ma-bucket-liste-${TODAY}.csv"`);
+    assert.equal(response.headers.get('cache-control'), 'no-store');
+    assert.ok(text.includes('"Prévoir ""gants"", bonnet"'));
+    assert.equal(text.includes('item-3'), false);
+  });
+
+  it('envoie un JSON valide limité au statut demandé', async () => {
+    const { response, text } = await download('?format=json&status=completed');
+    const document = JSON.parse(text);
+
+    assert.equal(response.headers.get('content-disposition'), `attachment; filename="ma-bucket-liste-${TODAY}.json"`);
+    assert.deepEqual(document.items.map(row => row.id), ['item-2']);
+    assert.equal(document.items[0].activity_title, 'Activité item-2');
+    assert.equal(document.count, 1);
+  });
+
+  it('envoie un calendrier iCalendar', async () => {
+    const { response, text } = await download('?format=ics');
+
+    assert.equal(response.headers.get('content-type'), 'text/calendar; charset=utf-8');
+    assert.equal(response.headers.get('content-disposition'), `attachment; filename="ma-bucket-liste-${TODAY}.ics"`);
+    assert.ok(text.startsWith('BEGIN:VCALENDAR\r\n'));
+    assert.ok(text.includes('DTSTART;VALUE=DATE:20260210'));
+  });
+
+  it('lit toutes les pages', async () => {
+    resetDb({ user_bucket_lists: Array.from({ length: 1201 }, (_, index) => item(`item-${index}`)) });
+
+    const { text } = await download('?format=json');
+
+    assert.equal(JSON.parse(text).count, 1201);
+    assert.equal(pageLoads(), 3);
+  });
+
+  it('s\'arrête quand le client se déconnecte', async () => {
+    // 3 pages d'environ 10 Mo : plus que ce que les tampons du socket absorbent
+    const notes = 'x'.repeat(20000);
+    resetDb({
+      user_bucket_lists: Array.from({ length: 1500 }, (_, index) => item(`item-${index}`, { notes }))
+    });
+
+    const request = http.get(`${server.url}/api/user/bucket-list/export`, {
+      headers: { Authorization: `Bearer ${TEST_TOKEN}` }
+    });
+    const [response] = await once(request, 'response');
+    response.pause();
+    await new Promise(resolve => setTimeout(resolve, 100));
+    request.destroy();
+
+    const res = responses[0];
+    if (!res.destroyed) await once(res, 'close');
+
+    // Une route encore en attente de 'drain' reprendrait l'écriture
+    let writes = 0;
+    const write = res.write.bind(res);
+    res.write = chunk => {
+      writes += 1;
+      return write(chunk);
+    };
+    res.emit('drain');
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.equal(writes, 0);
+    assert.ok(pageLoads() < 3);
+    assert.equal(res.writableEnded, false);
+  });
+});
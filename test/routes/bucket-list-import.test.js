@@ -0,0 +1,174 @@
+const { TEST_TOKEN, TEST_USER_ID, db, calls, resetDb } = require('../helpers/supabase-stub');
+const { startServer } = require('../helpers/server');
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const authBucketRoutes = require('../../routes/auth-bucket');
+const { invalidateCatalogCaches } = require('../../utils/catalog-cache');
+
+const AURORAS = '11111111-1111-4111-8111-111111111111';
+const MACHU_PICCHU = '22222222-2222-4222-8222-222222222222';
+const SAFARI = '33333333-3333-4333-8333-333333333333';
+const PIANO = '44444444-4444-4444-8444-444444444444';
+
+const CSV = [
+  'titre;lieu;status;rating;priority',
+  'aurores boreales;Laponie;completed;5;high',
+  'Safari;;;;',
+  'machu picchu;Pérou;;;',
+  'Apprendre le piano;;;;',
+  'Apprendre la guitare;;;;',
+  'Aurores boréales;;;;',
+  ';Nulle part;;;',
+  'Plongée;;planned;4;',
+  'randonnee machu picchu;;in_progress;;urgent'
+].join('\n');
+
+describe('POST /api/user/bucket-list/import', () => {
+  let server;
+
+  const importFile = async (content, { query = '', name = 'liste.csv', type = 'text/csv', token = TEST_TOKEN } = {}) => {
+    const form = new FormData();
+    if (content !== undefined) form.append('file', new Blob([content], { type }), name);
+
+    const response = await fetch(`${server.url}/api/user/bucket-list/import${query}`, {
+      method: 'POST',
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+      body: form
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const outcomes = body => body.results.map(result => [result.row, result.outcome, result.status]);
+
+  before(async () => {
+    server = await startServer('/api', authBucketRoutes);
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    resetDb({
+      activities: [
+        { id: AURORAS, title: 'Voir les aurores boréales', location: 'Laponie', popularity_score: 9 },
+        { id: MACHU_PICCHU, title: 'Randonnée au Machu Picchu', location: 'Pérou' },
+        { id: SAFARI, title: 'Safari dans le Serengeti', location: 'Tanzanie' },
+        { id: 'inactive', title: 'Plongée sur la Grande Barrière', is_active: false }
+      ],
+      user_profiles: [{ id: TEST_USER_ID, preferred_currency: 'CHF' }],
+      custom_activities: [{ id: PIANO, user_id: TEST_USER_ID, title: 'Apprendre le piano' }],
+      user_bucket_lists: [{ id: 'b1', user_id: TEST_USER_ID, activity_id: SAFARI, custom_activity_id: null }]
+    });
+    // Index de rapprochement recalculé à partir des activités ci-dessus
+    invalidateCatalogCaches('activities');
+  });
+
+  it('exige une authentification', async () => {
+    const { status } = await importFile(CSV, { token: null });
+
+    assert.equal(status, 401);
+  });
+
+  it('prévisualise le rapprochement sans rien écrire (dry_run)', async () => {
+    const { status, body } = await importFile(CSV, { query: '?dry_run=true' });
+
+    assert.equal(status, 200);
+    assert.equal(body.dry_run, true);
+    assert.deepEqual(outcomes(body), [
+      [1, 'matched', 200],
+      [2, 'duplicate', 409],
+      [3, 'matched', 200],
+      [4, 'custom', 200],
+      [5, 'custom', 200],
+      [6, 'duplicate', 409],
+      [7, 'invalid', 400],
+      [8, 'invalid', 400],
+      [9, 'invalid', 400]
+    ]);
+    assert.equal(body.results[0].match.activity_id, AURORAS);
+    assert.equal(body.results[2].match.activity_id, MACHU_PICCHU);
+    assert.deepEqual(body.meta, {
+      format: 'csv',
+      rows: 9,
+      matched: 2,
+      custom: 2,
+      unmatched: 0,
+      duplicates: 2,
+      invalid: 3,
+      created: 0
+    });
+
+    assert.equal(calls.some(call => call.op !== 'select'), false);
+    assert.equal(db.user_bucket_lists.length, 1);
+  });
+
+  it('ajoute les lignes retenues et crée les activités personnelles manquantes', async () => {
+    const { status, body } = await importFile(CSV);
+
+    assert.equal(status, 200);
+    assert.equal(body.meta.created, 4);
+    body.results
+      .filter(result => result.success)
+      .forEach(result => {
+        assert.equal(result.status, 201);
+        assert.ok(db.user_bucket_lists.some(item => item.id === result.id));
+      });
+
+    const auroras = db.user_bucket_lists.find(item => item.activity_id === AURORAS);
+    assert.equal(auroras.status, 'completed');
+    assert.equal(auroras.rating, 5);
+    assert.equal(auroras.priority, 'high');
+    assert.ok(auroras.completed_date);
+    assert.equal(auroras.personal_budget_currency, 'CHF');
+
+    // Le piano existe déjà : seule la guitare est créée
+    assert.deepEqual(db.custom_activities.map(custom => custom.title), ['Apprendre le piano', 'Apprendre la guitare']);
+    assert.ok(db.user_bucket_lists.some(item => item.custom_activity_id === PIANO));
+  });
+
+  it('signale les lignes sans correspondance avec unmatched=report', async () => {
+    const { body } = await importFile('title\nApprendre la guitare\nPlongée sur la Grande Barrière\n', {
+      query: '?unmatched=report&dry_run=true'
+    });
+
+    assert.deepEqual(outcomes(body), [[1, 'unmatched', 404], [2, 'unmatched', 404]]);
+  });
+
+  it('retrouve une activité par son activity_id (fichier de l\'export)', async () => {
+    const exported = JSON.stringify({ items: [{ activity_id: MACHU_PICCHU, activity_title: 'Titre modifié' }] });
+    const { body } = await importFile(exported, { name: 'export.json', type: 'application/json', query: '?dry_run=true' });
+
+    assert.equal(body.results[0].outcome, 'matched');
+    assert.equal(body.results[0].match.activity_id, MACHU_PICCHU);
+    assert.equal(body.results[0].match.score, 1);
+  });
+
+  it('rapproche les activités au-delà des 1000 premières du catalogue', async () => {
+    db.activities = [
+      ...Array.from({ length: 1500 }, (_, index) => ({ id: `activity-${index}`, title: `Activité numéro ${index}` })),
+      { id: AURORAS, title: 'Voir les aurores boréales' }
+    ];
+    invalidateCatalogCaches('activities');
+
+    const { body } = await importFile('title\nAurores boréales\n', { query: '?dry_run=true' });
+
+    assert.equal(body.results[0].match.activity_id, AURORAS);
+  });
+
+  it('refuse un fichier absent, illisible, vide ou d\'un format inconnu', async () => {
+    const cases = [
+      [undefined, {}],
+      ['title\nSafari', { name: 'liste.txt', type: 'text/plain' }],
+      ['[{"title": ', { name: 'liste.json', type: 'application/json' }],
+      ['title\n', {}],
+      ['title\nSafari', { query: '?unmatched=skip' }]
+    ];
+
+    for (const [content, options] of cases) {
+      const { status } = await importFile(content, options);
+      assert.equal(status, 400, JSON.stringify(options));
+    }
+    assert.equal(db.user_bucket_lists.length, 1);
+  });
+});
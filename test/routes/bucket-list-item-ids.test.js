@@ -0,0 +1,86 @@
+const { TEST_TOKEN, TEST_USER_ID, db, calls, resetDb } = require('../helpers/supabase-stub');
+const { startServer } = require('../helpers/server');
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const authBucketRoutes = require('../../routes/auth-bucket');
+
+const FIRST_ITEM = 'aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa';
+const SECOND_ITEM = 'bbbbbbbb-bbbb-4bbb-8bbb-bbbbbbbbbbbb';
+const OTHER_USER_ITEM = 'cccccccc-cccc-4ccc-8ccc-cccccccccccc';
+
+describe('Ids d\'éléments de bucket list', () => {
+  let server;
+
+  const request = async (method, path, body) => {
+    const response = await fetch(`${server.url}/api/user/bucket-list${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${TEST_TOKEN}` },
+      ...(body && { body: JSON.stringify(body) })
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  before(async () => {
+    server = await startServer('/api', authBucketRoutes);
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    resetDb({
+      user_bucket_lists: [
+        { id: FIRST_ITEM, user_id: TEST_USER_ID, status: 'planned', position: 1 },
+        { id: SECOND_ITEM, user_id: TEST_USER_ID, status: 'planned', position: 2 },
+        { id: OTHER_USER_ITEM, user_id: 'another-user', status: 'planned', position: 1 }
+      ],
+      bucket_list_status_history: []
+    });
+  });
+
+  describe('PUT /order', () => {
+    it('réordonne les éléments de l\'utilisateur', async () => {
+      const { status, body } = await request('PUT', '/order', { ids: [SECOND_ITEM, FIRST_ITEM] });
+
+      assert.equal(status, 200);
+      assert.equal(body.success, true);
+    });
+
+    it('signale les ids introuvables, d\'un autre utilisateur ou mal formés', async () => {
+      const { status, body } = await request('PUT', '/order', { ids: [FIRST_ITEM, OTHER_USER_ITEM, 'not-a-uuid'] });
+
+      assert.equal(status, 404);
+      assert.deepEqual(body.missing, [OTHER_USER_ITEM, 'not-a-uuid']);
+      assert.deepEqual(calls[0].filters.find(([method]) => method === 'in')[2], [FIRST_ITEM, OTHER_USER_ITEM]);
+    });
+
+    it('n\'interroge pas la base quand aucun id n\'est bien formé', async () => {
+      const { status, body } = await request('PUT', '/order', { ids: ['1', '2'] });
+
+      assert.equal(status, 404);
+      assert.deepEqual(body.missing, ['1', '2']);
+      assert.equal(calls.length, 0);
+    });
+
+    it('refuse les doublons', async () => {
+      assert.equal((await request('PUT', '/order', { ids: [FIRST_ITEM, FIRST_ITEM] })).status, 400);
+    });
+  });
+
+  describe('id mal formé', () => {
+    it('répond 404 sans requête, pour chaque route d\'élément', async () => {
+      assert.equal((await request('PATCH', '/not-a-uuid', { priority: 'high' })).status, 404);
+      assert.equal((await request('PUT', '/not-a-uuid/status', { status: 'completed' })).status, 404);
+      assert.equal((await request('GET', '/not-a-uuid/history')).status, 404);
+      assert.equal((await request('DELETE', '/not-a-uuid')).status, 404);
+      assert.equal(calls.length, 0);
+    });
+
+    it('ne touche pas à l\'élément d\'un autre utilisateur', async () => {
+      assert.equal((await request('GET', `/${OTHER_USER_ITEM}/history`)).status, 404);
+      assert.equal((await request('PATCH', `/${OTHER_USER_ITEM}`, { priority: 'high' })).status, 404);
+      assert.equal(db.user_bucket_lists.find(row => row.id === OTHER_USER_ITEM).priority, undefined);
+    });
+  });
+});
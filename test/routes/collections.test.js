@@ -0,0 +1,139 @@
+const { TEST_TOKEN, TEST_USER_ID, db, uniqueIndexes, resetDb } = require('../helpers/supabase-stub');
+const { startApp } = require('../helpers/server');
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const app = require('../../server');
+
+const EUROPE = '11111111-1111-4111-8111-111111111111';
+const OTHER_USER_COLLECTION = '22222222-2222-4222-8222-222222222222';
+const UNKNOWN = '33333333-3333-4333-8333-333333333333';
+const PLANNED_ITEM = 'aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa';
+const COMPLETED_ITEM = 'bbbbbbbb-bbbb-4bbb-8bbb-bbbbbbbbbbbb';
+const OTHER_USER_ITEM = 'cccccccc-cccc-4ccc-8ccc-cccccccccccc';
+
+describe('Collections', () => {
+  let server;
+
+  const request = async (method, path, body) => {
+    const response = await fetch(`${server.url}/api${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${TEST_TOKEN}` },
+      ...(body && { body: JSON.stringify(body) })
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const collectionItems = () => db.bucket_list_collection_items.map(row => row.bucket_item_id).sort();
+
+  before(async () => {
+    // Index bucket_list_collections_user_name_idx
+    uniqueIndexes.bucket_list_collections = row => `${row.user_id}:${row.name.toLowerCase()}`;
+    server = await startApp(app);
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    resetDb({
+      bucket_list_collections: [
+        { id: EUROPE, user_id: TEST_USER_ID, name: 'Europe 2027' },
+        { id: OTHER_USER_COLLECTION, user_id: 'another-user', name: 'Japon' }
+      ],
+      bucket_list_collection_items: [{ collection_id: EUROPE, bucket_item_id: PLANNED_ITEM }],
+      user_bucket_lists: [
+        { id: PLANNED_ITEM, user_id: TEST_USER_ID, status: 'planned', activity: { id: 'a1', title: 'Voir Venise' } },
+        { id: COMPLETED_ITEM, user_id: TEST_USER_ID, status: 'completed', activity: { id: 'a2', title: 'Skier à Zermatt' } },
+        { id: OTHER_USER_ITEM, user_id: 'another-user', status: 'planned', activity: { id: 'a3', title: 'Mont Fuji' } }
+      ],
+      user_profiles: [{ id: TEST_USER_ID }],
+      activity_images: []
+    });
+  });
+
+  describe('propriété', () => {
+    it('ne liste que les collections de l\'utilisateur', async () => {
+      const { body } = await request('GET', '/user/collections');
+
+      assert.deepEqual(body.data.map(collection => collection.id), [EUROPE]);
+    });
+
+    it('traite la collection d\'un autre utilisateur comme introuvable', async () => {
+      assert.equal((await request('GET', `/user/collections/${OTHER_USER_COLLECTION}`)).status, 404);
+      assert.equal((await request('PATCH', `/user/collections/${OTHER_USER_COLLECTION}`, { name: 'À moi' })).status, 404);
+      assert.equal((await request('DELETE', `/user/collections/${OTHER_USER_COLLECTION}`)).status, 404);
+      assert.equal((await request('GET', '/user/collections/pas-un-uuid')).status, 404);
+      assert.equal(db.bucket_list_collections.length, 2);
+    });
+  });
+
+  describe('nom unique', () => {
+    it('refuse un nom déjà utilisé, sans tenir compte de la casse', async () => {
+      assert.equal((await request('POST', '/user/collections', { name: 'europe 2027' })).status, 409);
+      assert.equal((await request('POST', '/user/collections', { name: 'Japon' })).status, 201);
+    });
+
+    it('refuse de renommer une collection avec un nom pris', async () => {
+      const { body } = await request('POST', '/user/collections', { name: 'Islande' });
+
+      assert.equal((await request('PATCH', `/user/collections/${body.data.id}`, { name: 'Europe 2027' })).status, 409);
+    });
+  });
+
+  describe('éléments', () => {
+    it('ajoute les éléments de l\'utilisateur et ignore ceux déjà présents', async () => {
+      const { status } = await request('POST', `/user/collections/${EUROPE}/items`, { ids: [PLANNED_ITEM, COMPLETED_ITEM] });
+
+      assert.equal(status, 200);
+      assert.deepEqual(collectionItems(), [PLANNED_ITEM, COMPLETED_ITEM]);
+    });
+
+    it('refuse les éléments d\'un autre utilisateur ou mal formés', async () => {
+      const { status, body } = await request('POST', `/user/collections/${EUROPE}/items`, {
+        ids: [COMPLETED_ITEM, OTHER_USER_ITEM, 'item-42']
+      });
+
+      assert.equal(status, 404);
+      assert.deepEqual(body.missing, [OTHER_USER_ITEM, 'item-42']);
+      assert.deepEqual(collectionItems(), [PLANNED_ITEM]);
+    });
+
+    it('limite le nombre d\'éléments ajoutés en une fois', async () => {
+      const ids = Array.from({ length: 101 }, (_, index) => `aaaaaaaa-aaaa-4aaa-8aaa-${String(index).padStart(12, '0')}`);
+
+      assert.equal((await request('POST', `/user/collections/${EUROPE}/items`, { ids })).status, 400);
+    });
+
+    it('retire un élément sans le supprimer de la bucket list', async () => {
+      assert.equal((await request('DELETE', `/user/collections/${EUROPE}/items/${PLANNED_ITEM}`)).status, 200);
+      assert.equal((await request('DELETE', `/user/collections/${EUROPE}/items/${PLANNED_ITEM}`)).status, 404);
+      assert.equal((await request('DELETE', `/user/collections/${EUROPE}/items/item-42`)).status, 404);
+      assert.equal(db.bucket_list_collection_items.length, 0);
+      assert.equal(db.user_bucket_lists.length, 3);
+    });
+  });
+
+  describe('?collection=', () => {
+    it('filtre la bucket list', async () => {
+      const { status, body } = await request('GET', `/user/bucket-list?collection=${EUROPE}`);
+
+      assert.equal(status, 200);
+      assert.deepEqual(body.bucketList.map(item => item.id), [PLANNED_ITEM]);
+    });
+
+    it('filtre les statistiques', async () => {
+      const { body } = await request('GET', `/user/stats?collection=${EUROPE}`);
+
+      assert.equal(body.stats.totalActivities, 1);
+      assert.equal(body.stats.plannedActivities, 1);
+      assert.equal(body.collection, EUROPE);
+    });
+
+    it('refuse la collection d\'un autre utilisateur', async () => {
+      assert.equal((await request('GET', `/user/bucket-list?collection=${OTHER_USER_COLLECTION}`)).status, 404);
+      assert.equal((await request('GET', `/user/stats?collection=${OTHER_USER_COLLECTION}`)).status, 404);
+      assert.equal((await request('GET', `/user/stats?collection=${UNKNOWN}`)).status, 404);
+    });
+  });
+});
@@ -0,0 +1,90 @@
+const { TEST_TOKEN, TEST_USER_ID, db, calls, resetDb } = require('../helpers/supabase-stub');
+const { startServer } = require('../helpers/server');
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const customActivityRoutes = require('../../routes/custom-activities');
+
+const PIANO = '11111111-1111-4111-8111-111111111111';
+const OTHER_USER_ACTIVITY = '22222222-2222-4222-8222-222222222222';
+
+describe('Activités personnelles', () => {
+  let server;
+
+  const request = async (method, path, body) => {
+    const response = await fetch(`${server.url}/api/user/custom-activities${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${TEST_TOKEN}` },
+      ...(body && { body: JSON.stringify(body) })
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const piano = () => db.custom_activities.find(row => row.id === PIANO);
+
+  before(async () => {
+    server = await startServer('/api/user/custom-activities', customActivityRoutes);
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    resetDb({
+      custom_activities: [
+        { id: PIANO, user_id: TEST_USER_ID, title: 'Apprendre le piano', estimated_budget_min: 200, estimated_budget_max: 800 },
+        { id: OTHER_USER_ACTIVITY, user_id: 'another-user', title: 'Courir un marathon' }
+      ]
+    });
+  });
+
+  it('exige une authentification', async () => {
+    const response = await fetch(`${server.url}/api/user/custom-activities`);
+
+    assert.equal(response.status, 401);
+  });
+
+  it('ne liste que les activités de l\'utilisateur', async () => {
+    const { body } = await request('GET', '');
+
+    assert.deepEqual(body.data.map(activity => [activity.id, activity.is_custom]), [[PIANO, true]]);
+  });
+
+  it('crée une activité pour l\'utilisateur connecté', async () => {
+    const { status, body } = await request('POST', '', { title: 'Voir une éclipse', budget_currency: 'usd' });
+
+    assert.equal(status, 201);
+    const created = db.custom_activities.find(row => row.id === body.data.id);
+    assert.equal(created.user_id, TEST_USER_ID);
+    assert.equal(created.budget_currency, 'USD');
+  });
+
+  it('vérifie la fourchette de budget avec les valeurs actuelles', async () => {
+    const { status } = await request('PATCH', `/${PIANO}`, { estimated_budget_min: 1000 });
+
+    assert.equal(status, 400);
+    assert.equal(piano().estimated_budget_min, 200);
+    assert.equal((await request('PATCH', `/${PIANO}`, { estimated_budget_min: 500 })).status, 200);
+    assert.equal(piano().estimated_budget_min, 500);
+  });
+
+  it('exige le titre pour un remplacement', async () => {
+    assert.equal((await request('PUT', `/${PIANO}`, { location: 'Paris' })).status, 400);
+  });
+
+  it('traite l\'activité d\'un autre utilisateur ou un id mal formé comme introuvable', async () => {
+    assert.equal((await request('GET', `/${OTHER_USER_ACTIVITY}`)).status, 404);
+    assert.equal((await request('PATCH', `/${OTHER_USER_ACTIVITY}`, { title: 'À moi' })).status, 404);
+    assert.equal((await request('DELETE', `/${OTHER_USER_ACTIVITY}`)).status, 404);
+
+    calls.length = 0;
+    assert.equal((await request('GET', '/42')).status, 404);
+    assert.equal(calls.length, 0);
+    assert.equal(db.custom_activities.length, 2);
+  });
+
+  it('supprime l\'activité de l\'utilisateur', async () => {
+    assert.equal((await request('DELETE', `/${PIANO}`)).status, 200);
+    assert.equal(piano(), undefined);
+  });
+});
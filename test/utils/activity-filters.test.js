@@ -0,0 +1,62 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  ACTIVITY_SORTS,
+  parseActivityFilters,
+  applyActivityFilters,
+  facetCountParams
+} = require('../../utils/activity-filters');
+
+/**
+ * Requête Supabase factice qui enregistre les appels de applyActivityFilters
+ */
+function recordingQuery() {
+  const calls = [];
+  const query = new Proxy({}, {
+    get: (target, method) => (...args) => {
+      calls.push([method, ...args]);
+      return query;
+    }
+  });
+  return { query, calls };
+}
+
+describe('parseActivityFilters', () => {
+  it('normalise les nombres et la saison', () => {
+    const { filters, errors } = parseActivityFilters({ budget_min: '100', budget_max: '500', season: 'été' });
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(filters, { budgetMin: 100, budgetMax: 500, season: 'summer' });
+  });
+
+  it('refuse une fourchette de budget inversée', () => {
+    const { errors } = parseActivityFilters({ budget_min: '500', budget_max: '100' });
+
+    assert.equal(errors.length, 1);
+  });
+});
+
+describe('budget en euros', () => {
+  it('filtre sur les budgets convertis en euros', () => {
+    const { query, calls } = recordingQuery();
+
+    applyActivityFilters(query, { budgetMin: 100, budgetMax: 500 });
+
+    assert.deepEqual(calls.filter(([method]) => method === 'gte' || method === 'lte'), [
+      ['gte', 'estimated_budget_max_eur', 100],
+      ['lte', 'estimated_budget_min_eur', 500]
+    ]);
+  });
+
+  it('trie sur le budget minimum en euros', () => {
+    assert.deepEqual(ACTIVITY_SORTS.budget, { column: 'estimated_budget_min_eur', ascending: true });
+  });
+
+  it('transmet la fourchette en euros aux facettes', () => {
+    const params = facetCountParams({ budgetMin: 0, budgetMax: 500 });
+
+    assert.equal(params.filter_budget_min, 0);
+    assert.equal(params.filter_budget_max, 500);
+  });
+});
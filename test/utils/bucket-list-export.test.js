@@ -0,0 +1,107 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { flattenItem, createExporter } = require('../../utils/bucket-list-export');
+const { getTranslator } = require('../../utils/i18n');
+
+const NOW = new Date('2026-10-19T08:30:00.000Z');
+const t = getTranslator('fr');
+
+const exportRows = (format, rows) => {
+  const exporter = createExporter(format, { t, now: NOW });
+  return exporter.begin(rows[0]) + rows.map(exporter.row).join('') + exporter.end();
+};
+
+const row = fields => flattenItem({
+  id: 'item-1',
+  user_id: 'user-1',
+  status: 'planned',
+  priority: 'medium',
+  status_note: 'interne',
+  activity: { title: 'Voir les aurores boréales', location: 'Tromsø', category: { name: 'Nature' } },
+  ...fields
+});
+
+describe('flattenItem', () => {
+  it('aplatit l\'activité et masque les colonnes internes', () => {
+    const flat = row({ custom_activity: { id: 'x' } });
+
+    assert.equal(flat.activity_title, 'Voir les aurores boréales');
+    assert.equal(flat.activity_category, 'Nature');
+    assert.equal(flat.is_custom, false);
+    assert.equal('user_id' in flat, false);
+    assert.equal('status_note' in flat, false);
+    assert.equal('custom_activity' in flat, false);
+  });
+});
+
+describe('CSV', () => {
+  it('commence par un BOM et une ligne d\'en-tête', () => {
+    const csv = exportRows('csv', [row()]);
+
+    assert.ok(csv.startsWith('\uFEFFid,activity_id,'));
+    assert.ok(csv.endsWith('\r\n'));
+  });
+
+  it('échappe guillemets, virgules et retours à la ligne', () => {
+    const csv = exportRows('csv', [row({ notes: 'Prévoir "gants", bonnet\net thermos' })]);
+
+    assert.ok(csv.includes('"Prévoir ""gants"", bonnet\net thermos"'));
+  });
+
+  it('neutralise les formules de tableur', () => {
+    const csv = exportRows('csv', [row({ notes: '=HYPERLINK("x")', personal_notes: '-5' })]);
+
+    assert.ok(csv.includes(`"'=HYPERLINK(""x"")"`));
+    assert.ok(csv.includes(',\'-5,'));
+  });
+});
+
+describe('JSON', () => {
+  it('produit un document valide avec le nombre d\'éléments', () => {
+    const document = JSON.parse(exportRows('json', [row(), row({ id: 'item-2' })]));
+
+    assert.equal(document.exported_at, NOW.toISOString());
+    assert.equal(document.count, 2);
+    assert.deepEqual(document.items.map(item => item.id), ['item-1', 'item-2']);
+  });
+
+  it('reste valide sans élément', () => {
+    assert.deepEqual(JSON.parse(exportRows('json', [])), { exported_at: NOW.toISOString(), items: [], count: 0 });
+  });
+});
+
+describe('iCalendar', () => {
+  const lines = ics => ics.split('\r\n').filter(Boolean);
+
+  it('replie les lignes à 75 octets, sans couper un caractère', () => {
+    const ics = exportRows('ics', [row({ planned_date: '2027-01-15', notes: 'é'.repeat(100) })]);
+
+    lines(ics).forEach(line => assert.ok(Buffer.byteLength(line) <= 75, line));
+    assert.equal(ics.includes('�'), false);
+
+    const unfolded = ics.replace(/\r\n /g, '');
+    assert.ok(unfolded.includes(`DESCRIPTION:Tromsø\\n${'é'.repeat(100)}`));
+  });
+
+  it('crée un événement pour une date prévue et une tâche pour une date cible', () => {
+    const ics = exportRows('ics', [
+      row({ planned_date: '2027-01-15' }),
+      row({ id: 'item-2', target_date: '2027-06-01', priority: 'high' }),
+      row({ id: 'item-3' })
+    ]);
+
+    assert.ok(ics.includes('DTSTART;VALUE=DATE:20270115\r\nDTEND;VALUE=DATE:20270116'));
+    assert.ok(ics.includes('BEGIN:VTODO'));
+    assert.ok(ics.includes('DUE;VALUE=DATE:20270601\r\n'));
+    assert.ok(ics.includes('PRIORITY:1\r\n'));
+    assert.equal(ics.includes('item-3'), false);
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+  });
+
+  it('échappe les caractères réservés', () => {
+    const ics = exportRows('ics', [row({ planned_date: '2027-01-15', activity: { title: 'Ski; raquettes, luge' } })]);
+
+    assert.ok(ics.includes('SUMMARY:Ski\\; raquettes\\, luge'));
+  });
+});
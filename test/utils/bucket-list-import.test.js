@@ -0,0 +1,134 @@
+const { TEST_USER_ID } = require('../helpers/supabase-stub');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  detectFormat,
+  parseImportFile,
+  readImportRow,
+  importedItemRow
+} = require('../../utils/bucket-list-import');
+
+describe('detectFormat', () => {
+  it('privilégie le paramètre explicite', () => {
+    assert.equal(detectFormat({ originalname: 'liste.csv' }, 'json'), 'json');
+    assert.equal(detectFormat({ originalname: 'liste.csv' }, 'xml'), null);
+  });
+
+  it('déduit le format de l\'extension, puis du type MIME', () => {
+    assert.equal(detectFormat({ originalname: 'Liste.CSV', mimetype: 'application/octet-stream' }), 'csv');
+    assert.equal(detectFormat({ originalname: 'export', mimetype: 'application/json' }), 'json');
+    assert.equal(detectFormat({ originalname: 'export', mimetype: 'text/comma-separated-values' }), 'csv');
+    assert.equal(detectFormat({ originalname: 'liste.xlsx', mimetype: 'application/vnd.ms-excel' }), null);
+  });
+});
+
+describe('parseImportFile', () => {
+  it('lit un CSV séparé par des virgules, en-têtes en minuscules', () => {
+    const rows = parseImportFile(Buffer.from('Title,Location\nVoir les aurores boréales,Laponie\n'), 'csv');
+
+    assert.deepEqual(rows, [{ title: 'Voir les aurores boréales', location: 'Laponie' }]);
+  });
+
+  it('reconnaît le point-virgule d\'Excel et ignore le BOM', () => {
+    const rows = parseImportFile(Buffer.from('\uFEFFtitre;lieu\nSafari;Tanzanie\n'), 'csv');
+
+    assert.deepEqual(rows, [{ titre: 'Safari', lieu: 'Tanzanie' }]);
+  });
+
+  it('gère guillemets, guillemets doublés et retours à la ligne dans une cellule', () => {
+    const csv = 'title,notes\r\n"Safari, Serengeti","Avec ""guide""\nlocal"\r\n';
+    const rows = parseImportFile(Buffer.from(csv), 'csv');
+
+    assert.deepEqual(rows, [{ title: 'Safari, Serengeti', notes: 'Avec "guide"\nlocal' }]);
+  });
+
+  it('ignore les lignes vides et retire l\'apostrophe de protection des formules', () => {
+    const rows = parseImportFile(Buffer.from('title,notes\n\n,\nSafari,\'=1+1\n'), 'csv');
+
+    assert.deepEqual(rows, [{ title: 'Safari', notes: '=1+1' }]);
+  });
+
+  it('refuse un guillemet non fermé', () => {
+    assert.throws(() => parseImportFile(Buffer.from('title\n"Safari\n'), 'csv'), SyntaxError);
+  });
+
+  it('lit un tableau JSON ou le fichier de l\'export', () => {
+    const items = [{ activity_title: 'Safari' }];
+
+    assert.deepEqual(parseImportFile(Buffer.from(JSON.stringify(items)), 'json'), items);
+    assert.deepEqual(
+      parseImportFile(Buffer.from(JSON.stringify({ exported_at: '2026-10-19', items, count: 1 })), 'json'),
+      items
+    );
+  });
+
+  it('remplace les lignes JSON qui ne sont pas des objets', () => {
+    assert.deepEqual(parseImportFile(Buffer.from('[null, "Safari", []]'), 'json'), [{}, {}, {}]);
+  });
+
+  it('refuse un JSON sans tableau de lignes', () => {
+    assert.throws(() => parseImportFile(Buffer.from('{"title": "Safari"}'), 'json'), SyntaxError);
+    assert.throws(() => parseImportFile(Buffer.from('[{'), 'json'), SyntaxError);
+  });
+});
+
+describe('readImportRow', () => {
+  it('reconnaît les colonnes de l\'export et leurs variantes', () => {
+    assert.deepEqual(readImportRow({ activity_title: 'Safari', activity_location: 'Tanzanie', activity_id: 7 }), {
+      title: 'Safari',
+      location: 'Tanzanie',
+      activityId: 7,
+      fields: {}
+    });
+    assert.equal(readImportRow({ nom: 'Safari' }).title, 'Safari');
+    assert.equal(readImportRow({ destination: 'Tanzanie' }).location, 'Tanzanie');
+  });
+
+  it('ne garde que les champs connus et non vides', () => {
+    const row = readImportRow({
+      title: '  Safari ',
+      status: 'completed',
+      rating: 5,
+      notes: '   ',
+      position: '3',
+      id: 'b1'
+    });
+
+    assert.equal(row.title, 'Safari');
+    assert.deepEqual(row.fields, { status: 'completed', rating: 5 });
+  });
+});
+
+describe('importedItemRow', () => {
+  it('donne les mêmes colonnes à toutes les lignes, avec la devise de l\'utilisateur', () => {
+    const row = importedItemRow(TEST_USER_ID, { activity_id: 'a1' }, { status: 'planned' }, 'CHF');
+
+    assert.equal(row.activity_id, 'a1');
+    assert.equal(row.custom_activity_id, null);
+    assert.equal(row.status, 'planned');
+    assert.equal(row.personal_budget_currency, 'CHF');
+    assert.equal(row.actual_cost_currency, 'CHF');
+    assert.equal(row.rating, null);
+    assert.equal(row.review, null);
+  });
+
+  it('reprend les valeurs du fichier', () => {
+    const row = importedItemRow(TEST_USER_ID, { custom_activity_id: 'c1' }, {
+      status: 'completed',
+      completed_date: '2025-05-01',
+      rating: 5,
+      actual_cost: 1200,
+      actual_cost_currency: 'USD'
+    }, 'EUR');
+
+    assert.equal(row.activity_id, null);
+    assert.equal(row.custom_activity_id, 'c1');
+    assert.equal(row.status, 'completed');
+    assert.equal(row.completed_date, '2025-05-01');
+    assert.equal(row.rating, 5);
+    assert.equal(row.actual_cost, 1200);
+    assert.equal(row.actual_cost_currency, 'USD');
+  });
+});
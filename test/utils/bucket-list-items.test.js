@@ -0,0 +1,135 @@
+const { TEST_USER_ID, calls, resetDb } = require('../helpers/supabase-stub');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  applyStatusRules,
+  completionFieldsWithoutCompletion,
+  findExistingSources,
+  newBucketItemRow,
+  isUuid
+} = require('../../utils/bucket-list-items');
+
+const ACTIVITY_ID = '11111111-1111-4111-8111-111111111111';
+const OTHER_ACTIVITY_ID = '22222222-2222-4222-8222-222222222222';
+const TODAY = new Date().toISOString().split('T')[0];
+
+describe('isUuid', () => {
+  it('reconnaît un uuid, quelle que soit la casse', () => {
+    assert.equal(isUuid(ACTIVITY_ID), true);
+    assert.equal(isUuid(ACTIVITY_ID.toUpperCase()), true);
+  });
+
+  it('refuse les ids mal formés', () => {
+    ['', '12', 'not-a-uuid', `${ACTIVITY_ID}x`, null, undefined].forEach(value => {
+      assert.equal(isUuid(value), false, String(value));
+    });
+  });
+});
+
+describe('applyStatusRules', () => {
+  it('date la réalisation du jour lors du passage en completed', () => {
+    assert.deepEqual(applyStatusRules({ status: 'completed' }, { status: 'planned' }), {
+      status: 'completed',
+      completed_date: TODAY
+    });
+  });
+
+  it('garde la date de réalisation déjà connue', () => {
+    const updates = applyStatusRules({ status: 'completed' }, { status: 'completed', completed_date: '2025-05-01' });
+
+    assert.equal(updates.completed_date, undefined);
+  });
+
+  it('garde la date de réalisation envoyée', () => {
+    const updates = applyStatusRules({ status: 'completed', completed_date: '2025-05-01' }, { status: 'planned' });
+
+    assert.equal(updates.completed_date, '2025-05-01');
+  });
+
+  it('efface la date de réalisation au retour en planned', () => {
+    const updates = applyStatusRules({ status: 'planned' }, { status: 'completed', completed_date: '2025-05-01' });
+
+    assert.equal(updates.completed_date, null);
+  });
+
+  it('horodate une note ou un avis', () => {
+    const updates = applyStatusRules({ rating: 4 }, { status: 'completed', completed_date: '2025-05-01' });
+
+    assert.ok(updates.reviewed_at);
+  });
+});
+
+describe('completionFieldsWithoutCompletion', () => {
+  it('refuse note, avis et date de réalisation hors statut completed', () => {
+    const refused = completionFieldsWithoutCompletion(
+      { rating: 5, review: 'Superbe', completed_date: '2025-05-01' },
+      { status: 'planned' }
+    );
+
+    assert.deepEqual(refused, ['completed_date', 'rating', 'review']);
+  });
+
+  it('accepte ces champs avec le passage en completed', () => {
+    assert.deepEqual(completionFieldsWithoutCompletion({ status: 'completed', rating: 5 }, { status: 'planned' }), []);
+  });
+
+  it('permet toujours de les effacer', () => {
+    assert.deepEqual(completionFieldsWithoutCompletion({ rating: null, review: null }, { status: 'planned' }), []);
+  });
+});
+
+describe('newBucketItemRow', () => {
+  it('crée un élément "à faire" avec les valeurs par défaut', () => {
+    const row = newBucketItemRow(TEST_USER_ID, { activity_id: ACTIVITY_ID });
+
+    assert.equal(row.user_id, TEST_USER_ID);
+    assert.equal(row.activity_id, ACTIVITY_ID);
+    assert.equal(row.status, 'planned');
+    assert.equal(row.priority, 'medium');
+    assert.equal(row.notes, null);
+    assert.equal(row.target_date, null);
+    assert.equal(row.personal_budget, null);
+    assert.equal('personal_budget_currency' in row, false);
+  });
+
+  it('reprend les champs fournis, y compris un budget nul', () => {
+    const row = newBucketItemRow(TEST_USER_ID, { custom_activity_id: 'c1' }, {
+      priority: 'high',
+      notes: 'En famille',
+      personal_budget: 0,
+      personal_budget_currency: 'CHF'
+    });
+
+    assert.equal(row.custom_activity_id, 'c1');
+    assert.equal(row.priority, 'high');
+    assert.equal(row.notes, 'En famille');
+    assert.equal(row.personal_budget, 0);
+    assert.equal(row.personal_budget_currency, 'CHF');
+  });
+});
+
+describe('findExistingSources', () => {
+  beforeEach(() => {
+    resetDb({
+      user_bucket_lists: [
+        { id: 'b1', user_id: TEST_USER_ID, activity_id: ACTIVITY_ID },
+        { id: 'b2', user_id: 'another-user', activity_id: OTHER_ACTIVITY_ID }
+      ]
+    });
+  });
+
+  it('ne retient que les sources de l\'utilisateur', async () => {
+    const existing = await findExistingSources(TEST_USER_ID, 'activity_id', [ACTIVITY_ID, OTHER_ACTIVITY_ID]);
+
+    assert.deepEqual([...existing], [ACTIVITY_ID]);
+  });
+
+  it('n\'interroge pas la base sans id', async () => {
+    const existing = await findExistingSources(TEST_USER_ID, 'activity_id', []);
+
+    assert.equal(existing.size, 0);
+    assert.equal(calls.length, 0);
+  });
+});
@@ -0,0 +1,60 @@
+const { db, calls, resetDb } = require('../helpers/supabase-stub');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { mock } = require('node:test');
+
+const { getReferenceRows, invalidateCatalogCaches } = require('../../utils/catalog-cache');
+const { getRates } = require('../../utils/currency');
+
+const names = async table => (await getReferenceRows(table, 'fr')).value.map(row => row.name);
+const reads = table => calls.filter(call => call.table === table).length;
+
+describe('Caches du catalogue entre instances', () => {
+  before(() => {
+    mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-19T12:00:00Z') });
+    resetDb({
+      catalog_audit_log: [{ id: 1, table_name: 'categories' }],
+      categories: [{ id: 1, name: 'Aventure' }],
+      continents: [{ id: 1, name: 'Europe' }],
+      currency_rates: [{ currency: 'EUR', rate_to_eur: 1 }, { currency: 'USD', rate_to_eur: 0.92 }]
+    });
+  });
+
+  after(() => {
+    invalidateCatalogCaches();
+    mock.timers.reset();
+  });
+
+  it('sert le snapshot sans relire la table tant que le journal n\'a pas bougé', async () => {
+    assert.deepEqual(await names('categories'), ['Aventure']);
+    assert.deepEqual(await names('continents'), ['Europe']);
+    assert.equal((await getRates()).get('USD'), 0.92);
+
+    mock.timers.tick(10 * 1000);
+    assert.deepEqual(await names('categories'), ['Aventure']);
+
+    assert.equal(reads('categories'), 1);
+    assert.equal(reads('catalog_audit_log'), 2);
+  });
+
+  it('ne relit que les tables modifiées par une autre instance, au plus tard après 10 secondes', async () => {
+    // Écriture faite ailleurs : ni invalidateCatalogCaches, ni invalidation locale
+    db.categories.push({ id: 2, name: 'Culture' });
+    db.currency_rates[1].rate_to_eur = 0.9;
+    db.catalog_audit_log.push({ id: 2, table_name: 'categories' }, { id: 3, table_name: 'currency_rates' });
+    db.continents.push({ id: 2, name: 'Asie' });
+    calls.length = 0;
+
+    assert.deepEqual(await names('categories'), ['Aventure']);
+    assert.equal(reads('catalog_audit_log'), 0);
+
+    mock.timers.tick(10 * 1000);
+
+    assert.deepEqual(await names('categories'), ['Aventure', 'Culture']);
+    assert.equal((await getRates()).get('USD'), 0.9);
+    // Les continents n'ont pas d'entrée dans le journal : snapshot conservé
+    assert.deepEqual(await names('continents'), ['Europe']);
+    assert.equal(reads('catalog_audit_log'), 1);
+  });
+});
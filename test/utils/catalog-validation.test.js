@@ -0,0 +1,50 @@
+require('../helpers/supabase-stub');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CATALOG_SCHEMAS, validatePayload, validateCatalogPayload } = require('../../utils/catalog-validation');
+const { BUCKET_ITEM_SCHEMA } = require('../../utils/bucket-list-items');
+const { CUSTOM_ACTIVITY_SCHEMA } = require('../../utils/custom-activities');
+const { COLLECTION_SCHEMA } = require('../../utils/collections');
+
+describe('validateCatalogPayload', () => {
+  it('exige les champs requis d\'une table du catalogue', () => {
+    const { errors } = validateCatalogPayload('activities', { title: 'Safari' });
+
+    assert.equal(errors.length, 1);
+  });
+
+  it('ne décrit que les tables du catalogue', () => {
+    assert.deepEqual(Object.keys(CATALOG_SCHEMAS), ['activities', 'categories', 'continents']);
+  });
+});
+
+describe('validatePayload', () => {
+  it('normalise les valeurs et refuse les champs inconnus', () => {
+    const { values, errors } = validatePayload(BUCKET_ITEM_SCHEMA, {
+      status: 'completed',
+      personal_budget: '120',
+      personal_budget_currency: 'chf',
+      user_id: 'someone-else'
+    }, { partial: true });
+
+    assert.deepEqual(values, { status: 'completed', personal_budget: 120, personal_budget_currency: 'CHF' });
+    assert.equal(errors.length, 1);
+  });
+
+  it('contrôle la fourchette de budget des schémas qui en ont une', () => {
+    const { errors } = validatePayload(CUSTOM_ACTIVITY_SCHEMA, { estimated_budget_min: 900 }, {
+      partial: true,
+      current: { estimated_budget_max: 500 }
+    });
+
+    assert.equal(errors.length, 1);
+  });
+
+  it('refuse un champ requis vide', () => {
+    const { errors } = validatePayload(COLLECTION_SCHEMA, { name: null }, { partial: true });
+
+    assert.equal(errors.length, 1);
+  });
+});
@@ -0,0 +1,62 @@
+require('../helpers/supabase-stub');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  normalizeCurrency,
+  convertAmount,
+  createMoneyFormatter,
+  resolveDisplayPreferences
+} = require('../../utils/currency');
+const { getTranslator } = require('../../utils/i18n');
+
+const RATES = new Map([['EUR', 1], ['USD', 0.92], ['JPY', 0.0062]]);
+
+describe('convertAmount', () => {
+  it('passe par l\'euro entre deux devises', () => {
+    assert.equal(convertAmount(100, 'USD', 'EUR', RATES), 92);
+    assert.equal(convertAmount(92, 'EUR', 'USD', RATES), 100);
+    assert.equal(convertAmount(150000, 'JPY', 'USD', RATES), 1010.87);
+  });
+
+  it('renvoie null quand un taux manque', () => {
+    assert.equal(convertAmount(100, 'CHF', 'EUR', RATES), null);
+    assert.equal(convertAmount(100, 'CHF', 'CHF', RATES), 100);
+  });
+});
+
+describe('createMoneyFormatter', () => {
+  const formatter = createMoneyFormatter({ currency: 'USD', locale: 'en-US', rates: RATES, t: getTranslator('en') });
+
+  it('convertit dans la devise d\'affichage', () => {
+    assert.deepEqual(formatter.money(92, 'EUR'), {
+      amount: 100,
+      currency: 'USD',
+      formatted: '$100',
+      converted: true,
+      original: { amount: 92, currency: 'EUR' }
+    });
+  });
+
+  it('garde la devise d\'origine sans taux', () => {
+    const money = formatter.money(100, 'CHF');
+
+    assert.equal(money.currency, 'CHF');
+    assert.equal(money.converted, false);
+  });
+
+  it('affiche une fourchette à partir de zéro', () => {
+    assert.equal(formatter.range(0, 92, 'EUR'), formatter.range(0, 100, 'USD'));
+    assert.match(formatter.range(0, 92, 'EUR'), /\$0/);
+  });
+});
+
+describe('resolveDisplayPreferences', () => {
+  it('préfère la requête au profil', () => {
+    const req = { query: { currency: 'usd' }, lang: 'en' };
+
+    assert.deepEqual(resolveDisplayPreferences(req, { preferred_currency: 'CHF' }), { currency: 'USD', locale: 'en-GB' });
+    assert.equal(normalizeCurrency('XYZ'), null);
+  });
+});
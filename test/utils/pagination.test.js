@@ -0,0 +1,210 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  parsePagination,
+  applyCursor,
+  buildPage,
+  readPages
+} = require('../../utils/pagination');
+
+const SORTS = {
+  newest: { column: 'created_at', ascending: false },
+  budget: { column: 'estimated_budget_min', ascending: true }
+};
+
+/**
+ * Requête Supabase factice qui enregistre les appels de applyCursor
+ */
+function recordingQuery() {
+  const calls = [];
+  const query = new Proxy({}, {
+    get: (target, method) => (...args) => {
+      calls.push([method, ...args]);
+      return query;
+    }
+  });
+  return { query, calls };
+}
+
+describe('parsePagination', () => {
+  it('applique le tri et la taille de page par défaut', () => {
+    const { pagination, errors } = parsePagination({}, { sorts: SORTS, defaultSort: 'newest' });
+
+    assert.deepEqual(errors, []);
+    assert.equal(pagination.sortKey, 'newest');
+    assert.deepEqual(pagination.sort, SORTS.newest);
+    assert.equal(pagination.limit, DEFAULT_PAGE_SIZE);
+    assert.equal(pagination.cursor, null);
+  });
+
+  it('plafonne limit à la taille maximale', () => {
+    const { pagination, errors } = parsePagination({ limit: '1000' }, { sorts: SORTS, defaultSort: 'newest' });
+
+    assert.deepEqual(errors, []);
+    assert.equal(pagination.limit, MAX_PAGE_SIZE);
+  });
+
+  it('refuse un tri inconnu et une taille de page invalide', () => {
+    const { errors } = parsePagination({ sort: 'random', limit: '0' }, { sorts: SORTS, defaultSort: 'newest' });
+
+    assert.equal(errors.length, 2);
+  });
+
+  it('accepte le curseur d\'une page précédente sur le même tri', () => {
+    const cursor = encodeCursor({ s: 'budget', v: 250, id: 'a1', d: 'next' });
+    const { pagination, errors } = parsePagination({ sort: 'budget', cursor }, { sorts: SORTS, defaultSort: 'newest' });
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(pagination.cursor, { s: 'budget', v: 250, id: 'a1', d: 'next' });
+  });
+
+  it('refuse un curseur obtenu avec un autre tri', () => {
+    const cursor = encodeCursor({ s: 'budget', v: 250, id: 'a1', d: 'next' });
+    const { errors } = parsePagination({ cursor }, { sorts: SORTS, defaultSort: 'newest' });
+
+    assert.equal(errors.length, 1);
+  });
+});
+
+describe('decodeCursor', () => {
+  it('rejette un curseur illisible', () => {
+    assert.equal(decodeCursor('pas-un-curseur'), null);
+  });
+
+  it('rejette une valeur qui pourrait modifier le filtre PostgREST', () => {
+    const cursor = encodeCursor({ s: 'newest', v: '2026-01-01,id.gt.0', id: 'a1', d: 'next' });
+
+    assert.equal(decodeCursor(cursor), null);
+  });
+
+  it('rejette une direction inconnue', () => {
+    assert.equal(decodeCursor(encodeCursor({ s: 'newest', v: 1, id: 'a1', d: 'up' })), null);
+  });
+});
+
+describe('applyCursor', () => {
+  it('trie, départage par id et demande une ligne de plus que la page', () => {
+    const { query, calls } = recordingQuery();
+    applyCursor(query, { sort: SORTS.budget, limit: 10, cursor: null });
+
+    assert.deepEqual(calls, [
+      ['order', 'estimated_budget_min', { ascending: true, nullsFirst: false }],
+      ['order', 'id', { ascending: true }],
+      ['limit', 11]
+    ]);
+  });
+
+  it('reprend après le curseur, valeurs nulles en fin de liste', () => {
+    const { query, calls } = recordingQuery();
+    applyCursor(query, { sort: SORTS.budget, limit: 10, cursor: { s: 'budget', v: 250, id: 'a1', d: 'next' } });
+
+    assert.deepEqual(calls[0], [
+      'or',
+      'estimated_budget_min.gt.250,and(estimated_budget_min.eq.250,id.gt."a1"),estimated_budget_min.is.null'
+    ]);
+  });
+
+  it('remonte en ordre inverse pour la page précédente', () => {
+    const { query, calls } = recordingQuery();
+    applyCursor(query, { sort: SORTS.budget, limit: 10, cursor: { s: 'budget', v: 250, id: 'a1', d: 'prev' } });
+
+    assert.deepEqual(calls[0], ['or', 'estimated_budget_min.lt.250,and(estimated_budget_min.eq.250,id.lt."a1")']);
+    assert.deepEqual(calls[1], ['order', 'estimated_budget_min', { ascending: false, nullsFirst: true }]);
+  });
+});
+
+describe('buildPage', () => {
+  const rows = [
+    { id: 'a', estimated_budget_min: 100 },
+    { id: 'b', estimated_budget_min: 200 },
+    { id: 'c', estimated_budget_min: 300 }
+  ];
+
+  it('retire la ligne supplémentaire et fournit le curseur suivant', () => {
+    const { rows: page, meta } = buildPage(rows, { sortKey: 'budget', sort: SORTS.budget, limit: 2, cursor: null });
+
+    assert.deepEqual(page.map(row => row.id), ['a', 'b']);
+    assert.equal(meta.count, 2);
+    assert.equal(meta.prev_cursor, null);
+    assert.deepEqual(decodeCursor(meta.next_cursor), { s: 'budget', v: 200, id: 'b', d: 'next' });
+  });
+
+  it('n\'a pas de page suivante sur la dernière page', () => {
+    const { meta } = buildPage(rows, { sortKey: 'budget', sort: SORTS.budget, limit: 5, cursor: null });
+
+    assert.equal(meta.next_cursor, null);
+  });
+
+  it('remet dans l\'ordre du tri les lignes lues à rebours', () => {
+    const cursor = { s: 'budget', v: 400, id: 'd', d: 'prev' };
+    const reversed = [...rows].reverse();
+    const { rows: page, meta } = buildPage(reversed, { sortKey: 'budget', sort: SORTS.budget, limit: 2, cursor });
+
+    assert.deepEqual(page.map(row => row.id), ['b', 'c']);
+    assert.deepEqual(decodeCursor(meta.prev_cursor), { s: 'budget', v: 200, id: 'b', d: 'prev' });
+    assert.deepEqual(decodeCursor(meta.next_cursor), { s: 'budget', v: 300, id: 'c', d: 'next' });
+  });
+
+  it('encode une valeur de tri absente comme null', () => {
+    const { meta } = buildPage([{ id: 'a' }, { id: 'b' }], { sortKey: 'budget', sort: SORTS.budget, limit: 1, cursor: null });
+
+    assert.equal(decodeCursor(meta.next_cursor).v, null);
+  });
+});
+
+describe('readPages', () => {
+  /**
+   * Table factice : chaque appel de buildQuery renvoie une requête paginable
+   */
+  function pagedTable(size) {
+    const ranges = [];
+    const buildQuery = () => ({
+      range: async (from, to) => {
+        ranges.push([from, to]);
+        const rows = Array.from({ length: Math.max(0, Math.min(size, to + 1) - from) }, (_, index) => ({ id: from + index }));
+        return { data: rows, error: null };
+      }
+    });
+    return { buildQuery, ranges };
+  }
+
+  const readAll = async (buildQuery, options) => {
+    const rows = [];
+    for await (const page of readPages(buildQuery, options)) rows.push(...page);
+    return rows;
+  };
+
+  it('lit au-delà du plafond de 1000 lignes', async () => {
+    const { buildQuery, ranges } = pagedTable(2500);
+
+    assert.equal((await readAll(buildQuery)).length, 2500);
+    assert.deepEqual(ranges, [[0, 999], [1000, 1999], [2000, 2999]]);
+  });
+
+  it('s\'arrête sur une page vide quand le total tombe juste', async () => {
+    const { buildQuery, ranges } = pagedTable(4);
+
+    assert.equal((await readAll(buildQuery, { pageSize: 2 })).length, 4);
+    assert.equal(ranges.length, 3);
+  });
+
+  it('ne lit pas la suite quand l\'appelant s\'arrête', async () => {
+    const { buildQuery, ranges } = pagedTable(5000);
+
+    for await (const rows of readPages(buildQuery)) {
+      if (rows.length > 0) break;
+    }
+    assert.equal(ranges.length, 1);
+  });
+
+  it('propage les erreurs de la base', async () => {
+    const buildQuery = () => ({ range: async () => ({ data: null, error: new Error('timeout') }) });
+
+    await assert.rejects(readAll(buildQuery), /timeout/);
+  });
+});
@@ -0,0 +1,42 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildUserProfile, recommendActivities } = require('../../utils/recommendations');
+
+const item = (activity, fields = {}) => ({ status: 'planned', personal_budget_eur: null, activity, ...fields });
+
+describe('buildUserProfile', () => {
+  it('prend le budget personnel en euros avant celui de l\'activité', () => {
+    const profile = buildUserProfile([
+      item({ id: 'a', estimated_budget_min_eur: 100, estimated_budget_max_eur: 300 }, { personal_budget_eur: 1000 }),
+      item({ id: 'b', estimated_budget_min_eur: 100, estimated_budget_max_eur: 300 }),
+      item({ id: 'c', estimated_budget_min_eur: 50, estimated_budget_max_eur: null })
+    ]);
+
+    assert.equal(profile.typicalBudget, 300);
+  });
+
+  it('ignore les budgets sans contre-valeur en euros', () => {
+    const profile = buildUserProfile([
+      item({ id: 'a', estimated_budget_min: 50000, estimated_budget_max: 90000, estimated_budget_min_eur: null, estimated_budget_max_eur: null })
+    ]);
+
+    assert.equal(profile.typicalBudget, null);
+  });
+});
+
+describe('recommendActivities', () => {
+  it('compare le budget habituel au budget minimum en euros', () => {
+    const profile = buildUserProfile([item({ id: 'a', estimated_budget_max_eur: 1000 })]);
+
+    // 150 000 JPY ≈ 900 € : dans le budget malgré le montant brut
+    const [affordable, expensive] = recommendActivities([
+      { id: 'tokyo', estimated_budget_min: 150000, budget_currency: 'JPY', estimated_budget_min_eur: 900 },
+      { id: 'yacht', estimated_budget_min: 1000, budget_currency: 'EUR', estimated_budget_min_eur: 5000 }
+    ], profile);
+
+    assert.equal(affordable.id, 'tokyo');
+    assert.deepEqual(affordable.recommendation.reasons.map(reason => reason.type), ['budget']);
+    assert.equal(expensive.recommendation.score, 0);
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * @fileoverview Filtres, tris et facettes du catalogue d'activités
+ * @module utils/activity-filters
+ */
+
+const { getTranslator } = require('./i18n');
+
+/**
+ * Facettes exposées au frontend (barre de filtres) : paramètre de requête -> colonne
+ */
+const FACET_COLUMNS = {
+  category: 'category_id',
+  continent: 'continent_id',
+  difficulty: 'difficulty_level'
+};
+
+/**
+ * Tris disponibles sur le catalogue (paramètre `sort`).
+ * Le budget se compare en euros (colonnes *_eur, tenues à jour depuis currency_rates)
+ */
+const ACTIVITY_SORTS = {
+  popularity: { column: 'popularity_score', ascending: false },
+  rating: { column: 'rating', ascending: false },
+  budget: { column: 'estimated_budget_min_eur', ascending: true },
+  duration: { column: 'duration_days', ascending: true },
+  newest: { column: 'created_at', ascending: false }
+};
+
+/**
+ * Saisons acceptées et motifs recherchés dans `best_season`
+ * (nom de la saison, mois correspondants, ou disponibilité toute l'année)
+ */
+const SEASON_PATTERNS = {
+  spring: ['printemps', 'mars', 'avril', 'mai'],
+  summer: ['été', 'ete', 'juin', 'juillet', 'août', 'aout'],
+  autumn: ['automne', 'septembre', 'octobre', 'novembre'],
+  winter: ['hiver', 'décembre', 'decembre', 'janvier', 'février', 'fevrier']
+};
+
+const SEASON_ALIASES = {
+  printemps: 'spring',
+  ete: 'summer',
+  'été': 'summer',
+  automne: 'autumn',
+  fall: 'autumn',
+  hiver: 'winter'
+};
+
+const ALL_YEAR_PATTERNS = ['toute l%année', 'toute l%annee', 'toute saison', 'all year'];
+
+/**
+ * Lit un nombre positif depuis la query string
+ *
+ * @param {Object} query - req.query
+ * @param {string} name - Nom du paramètre
+ * @param {string[]} errors - Liste des erreurs à compléter
+ * @param {Function} t - Fonction de traduction des messages
+ * @returns {number|undefined} Valeur numérique ou undefined si absente
+ */
+function readPositiveNumber(query, name, errors, t) {
+  if (query[name] === undefined || query[name] === '') return undefined;
+
+  const value = Number(query[name]);
+  if (!Number.isFinite(value) || value < 0) {
+    errors.push(t('validation.positiveNumber', { name }));
+    return undefined;
+  }
+  return value;
+}
+
+/**
+ * Valide et normalise les filtres de GET /api/activities
+ *
+ * @param {Object} query - req.query
+ * @param {Object} [options]
+ * @param {Function} [options.t] - Fonction de traduction des messages (req.t), français par défaut
+ * @returns {{ filters: Object, errors: string[] }} Filtres normalisés et erreurs de validation
+ *
+ * @example
+ * const { filters, errors } = parseActivityFilters({ budget_max: '500', season: 'été' });
+ * // filters = { budgetMax: 500, season: 'summer' }
+ */
+function parseActivityFilters(query, { t = getTranslator() } = {}) {
+  const errors = [];
+  const filters = {};
+
+  Object.keys(FACET_COLUMNS).forEach(facet => {
+    if (query[facet]) filters[facet] = String(query[facet]);
+  });
+
+  filters.budgetMin = readPositiveNumber(query, 'budget_min', errors, t);
+  filters.budgetMax = readPositiveNumber(query, 'budget_max', errors, t);
+  filters.durationMin = readPositiveNumber(query, 'duration_min', errors, t);
+  filters.durationMax = readPositiveNumber(query, 'duration_max', errors, t);
+  filters.minRating = readPositiveNumber(query, 'min_rating', errors, t);
+
+  if (filters.budgetMin !== undefined && filters.budgetMax !== undefined && filters.budgetMin > filters.budgetMax) {
+    errors.push(t('validation.lessOrEqual', { name: 'budget_min', other: 'budget_max' }));
+  }
+  if (filters.durationMin !== undefined && filters.durationMax !== undefined && filters.durationMin > filters.durationMax) {
+    errors.push(t('validation.lessOrEqual', { name: 'duration_min', other: 'duration_max' }));
+  }
+  if (filters.minRating !== undefined && filters.minRating > 5) {
+    errors.push(t('validation.between', { name: 'min_rating', min: 0, max: 5 }));
+  }
+
+  if (query.season) {
+    const season = String(query.season).toLowerCase();
+    const normalized = SEASON_ALIASES[season] || season;
+    if (!SEASON_PATTERNS[normalized]) {
+      errors.push(t('validation.invalidChoice', { name: 'season', values: Object.keys(SEASON_PATTERNS).join(', ') }));
+    } else {
+      filters.season = normalized;
+    }
+  }
+
+  if (query.featured !== undefined) {
+    if (!['true', 'false', '1', '0'].includes(String(query.featured))) {
+      errors.push(t('validation.boolean', { name: 'featured' }));
+    } else if (['true', '1'].includes(String(query.featured))) {
+      filters.featured = true;
+    }
+  }
+
+  Object.keys(filters).forEach(key => filters[key] === undefined && delete filters[key]);
+
+  return { filters, errors };
+}
+
+/**
+ * Applique les filtres à une requête Supabase sur `activities`
+ *
+ * @param {Object} query - Requête Supabase en cours de construction
+ * @param {Object} filters - Filtres retournés par parseActivityFilters
+ * @returns {Object} Requête Supabase filtrée
+ */
+function applyActivityFilters(query, filters) {
+  // Les activités désactivées par l'équipe éditoriale restent hors catalogue
+  query = query.not('is_active', 'is', false);
+
+  Object.entries(FACET_COLUMNS).forEach(([facet, column]) => {
+    if (filters[facet]) query = query.eq(column, filters[facet]);
+  });
+
+  // Budget (en euros) : la fourchette de l'activité doit croiser celle demandée
+  if (filters.budgetMin !== undefined) query = query.gte('estimated_budget_max_eur', filters.budgetMin);
+  if (filters.budgetMax !== undefined) query = query.lte('estimated_budget_min_eur', filters.budgetMax);
+
+  if (filters.durationMin !== undefined) query = query.gte('duration_days', filters.durationMin);
+  if (filters.durationMax !== undefined) query = query.lte('duration_days', filters.durationMax);
+
+  if (filters.minRating !== undefined) query = query.gte('rating', filters.minRating);
+  if (filters.featured) query = query.eq('is_featured', true);
+
+  if (filters.season) {
+    const patterns = [...SEASON_PATTERNS[filters.season], ...ALL_YEAR_PATTERNS];
+    query = query.or(patterns.map(pattern => `best_season.ilike."%${pattern}%"`).join(','));
+  }
+
+  return query;
+}
+
+/**
+ * Paramètres de get_activity_facets (comptage des facettes côté base).
+ * Chaque facette y est comptée avec tous les filtres sauf le sien, pour que
+ * le frontend puisse afficher les alternatives d'un filtre déjà sélectionné.
+ *
+ * @param {Object} filters - Filtres retournés par parseActivityFilters
+ * @returns {Object} Arguments de supabase.rpc('get_activity_facets', ...)
+ *
+ * @example
+ * const { data } = await supabase.rpc('get_activity_facets', facetCountParams(filters));
+ * // data = { total: 42, categories: [{ id, name, icon, count }], continents: [...], difficulties: [{ value, count }] }
+ */
+function facetCountParams(filters) {
+  return {
+    filter_category: filters.category ?? null,
+    filter_continent: filters.continent ?? null,
+    filter_difficulty: filters.difficulty ?? null,
+    filter_budget_min: filters.budgetMin ?? null,
+    filter_budget_max: filters.budgetMax ?? null,
+    filter_duration_min: filters.durationMin ?? null,
+    filter_duration_max: filters.durationMax ?? null,
+    filter_min_rating: filters.minRating ?? null,
+    filter_featured: Boolean(filters.featured),
+    season_patterns: filters.season
+      ? [...SEASON_PATTERNS[filters.season], ...ALL_YEAR_PATTERNS].map(pattern => `%${pattern}%`)
+      : null
+  };
+}
+
+module.exports = {
+  ACTIVITY_SORTS,
+  parseActivityFilters,
+  applyActivityFilters,
+  facetCountParams
+};
@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Rapprochement approximatif d'un titre saisi librement avec le catalogue
+ * @module utils/activity-matching
+ *
+ * Utilisé par l'import de bucket list : "aurores boreales" doit retrouver
+ * « Voir les aurores boréales en Laponie ». Le score combine la similarité
+ * par trigrammes (comme pg_trgm) et la part des mots saisis présents dans le
+ * titre du catalogue ; le lieu, s'il est fourni, affine le score.
+ */
+
+/**
+ * Score minimal (0 à 1) pour considérer qu'une ligne correspond à une activité
+ */
+const MATCH_THRESHOLD = 0.6;
+
+/**
+ * Poids du titre et du lieu quand le lieu est fourni
+ */
+const WEIGHTS = {
+  title: 0.75,
+  location: 0.25
+};
+
+// Mots trop fréquents pour distinguer deux activités
+const STOP_WORDS = new Set([
+  'les', 'des', 'une', 'aux', 'dans', 'sur', 'pour', 'avec', 'par', 'entre', 'faire', 'voir',
+  'the', 'and', 'for', 'with', 'from', 'into', 'see', 'visit'
+]);
+
+/**
+ * Minuscules, sans accents ni ponctuation
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeText(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Mots significatifs (3 lettres ou plus, hors mots vides)
+ */
+function significantWords(normalized) {
+  return new Set(normalized.split(' ').filter(word => word.length >= 3 && !STOP_WORDS.has(word)));
+}
+
+/**
+ * Trigrammes d'un texte normalisé, chaque mot étant encadré d'espaces (comme pg_trgm)
+ */
+function trigrams(normalized) {
+  const result = new Set();
+
+  normalized.split(' ').filter(Boolean).forEach(word => {
+    const padded = `  ${word} `;
+    for (let i = 0; i < padded.length - 2; i++) result.add(padded.slice(i, i + 3));
+  });
+
+  return result;
+}
+
+/**
+ * Empreinte d'un texte pour les comparaisons répétées
+ *
+ * @param {string} value
+ * @returns {{ trigrams: Set<string>, words: Set<string> }|null} null pour un texte vide
+ */
+function fingerprint(value) {
+  const normalized = normalizeText(value);
+  if (!normalized) return null;
+  return { trigrams: trigrams(normalized), words: significantWords(normalized) };
+}
+
+/**
+ * Similarité de deux empreintes (0 à 1)
+ */
+function similarity(query, candidate) {
+  if (!query || !candidate) return 0;
+
+  let shared = 0;
+  query.trigrams.forEach(trigram => {
+    if (candidate.trigrams.has(trigram)) shared += 1;
+  });
+  const union = query.trigrams.size + candidate.trigrams.size - shared;
+  const trigramScore = union > 0 ? shared / union : 0;
+
+  // Mots saisis retrouvés dans le candidat (un titre court dans un titre long)
+  let found = 0;
+  query.words.forEach(word => {
+    if (candidate.words.has(word)) found += 1;
+  });
+  const containment = query.words.size > 0 ? found / query.words.size : 0;
+
+  return Math.max(trigramScore, 0.9 * containment);
+}
+
+/**
+ * Prépare les activités du catalogue pour le rapprochement
+ *
+ * @param {Object[]} activities - { id, title, location, popularity_score }
+ * @returns {Object[]} Candidats avec leurs empreintes
+ */
+function buildMatchIndex(activities) {
+  return activities.map(activity => ({
+    activity,
+    title: fingerprint(activity.title),
+    location: fingerprint(activity.location)
+  }));
+}
+
+/**
+ * Activité du catalogue la plus proche d'un titre (et d'un lieu)
+ *
+ * @param {Object[]} index - Retour de buildMatchIndex
+ * @param {Object} query
+ * @param {string} query.title - Titre saisi
+ * @param {string} [query.location] - Lieu saisi
+ * @returns {{ activity: Object, score: number, matched: boolean }|null} Meilleur candidat
+ *   (matched si le score atteint MATCH_THRESHOLD), null si le catalogue est vide
+ *
+ * @example
+ * const index = buildMatchIndex(activities);
+ * findBestMatch(index, { title: 'aurores boreales', location: 'Laponie' });
+ * // => { activity: { id: 12, title: 'Voir les aurores boréales', ... }, score: 0.9, matched: true }
+ */
+function findBestMatch(index, { title, location }) {
+  const titlePrint = fingerprint(title);
+  const locationPrint = fingerprint(location);
+  let best = null;
+
+  index.forEach(candidate => {
+    const titleScore = similarity(titlePrint, candidate.title);
+    const score = locationPrint
+      ? WEIGHTS.title * titleScore + WEIGHTS.location * similarity(locationPrint, candidate.location)
+      : titleScore;
+
+    // À score égal, l'activité la plus populaire
+    if (
+      !best ||
+      score > best.score ||
+      (score === best.score && (candidate.activity.popularity_score || 0) > (best.activity.popularity_score || 0))
+    ) {
+      best = { activity: candidate.activity, score };
+    }
+  });
+
+  if (!best) return null;
+
+  return {
+    ...best,
+    score: Math.round(best.score * 100) / 100,
+    matched: best.score >= MATCH_THRESHOLD
+  };
+}
+
+module.exports = {
+  MATCH_THRESHOLD,
+  normalizeText,
+  buildMatchIndex,
+  findBestMatch
+};
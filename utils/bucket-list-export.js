@@ -0,0 +1,280 @@
+/**
+ * @fileoverview Export de la bucket list (CSV, JSON, iCalendar)
+ * @module utils/bucket-list-export
+ *
+ * Chaque format produit le fichier par morceaux (en-tête, lignes, fin) pour
+ * que GET /api/user/bucket-list/export l'envoie au fil de la lecture des pages,
+ * sans construire tout le fichier en mémoire.
+ */
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  ics: { contentType: 'text/calendar; charset=utf-8', extension: 'ics' }
+};
+
+/**
+ * Colonnes de user_bucket_lists, dans l'ordre du fichier. Une colonne absente
+ * de cette liste (ajoutée depuis) est exportée à la suite.
+ */
+const ITEM_COLUMNS = [
+  'id',
+  'activity_id',
+  'custom_activity_id',
+  'status',
+  'priority',
+  'position',
+  'notes',
+  'personal_notes',
+  'target_date',
+  'planned_date',
+  'completed_date',
+  'personal_budget',
+  'personal_budget_currency',
+  'actual_cost',
+  'actual_cost_currency',
+  'rating',
+  'review',
+  'reviewed_at',
+  'is_shared',
+  'share_token',
+  'date_added',
+  'created_at',
+  'updated_at'
+];
+
+// Colonnes internes jamais exportées (note de transition transitoire, rang calculé)
+const HIDDEN_COLUMNS = ['user_id', 'status_note', 'priority_rank'];
+
+const ACTIVITY_COLUMNS = [
+  'activity_title',
+  'activity_location',
+  'activity_category',
+  'activity_budget_min',
+  'activity_budget_max',
+  'activity_budget_currency',
+  'is_custom'
+];
+
+/**
+ * Aplatit un élément (avec `activity` résolue) en une ligne d'export
+ *
+ * @param {Object} item - Ligne user_bucket_lists, `activity` embarquée (voir withResolvedActivity)
+ * @returns {Object}
+ */
+function flattenItem(item) {
+  const { activity, ...columns } = item;
+  const row = {};
+
+  Object.entries(columns).forEach(([column, value]) => {
+    if (HIDDEN_COLUMNS.includes(column)) return;
+    if (value !== null && typeof value === 'object') return; // autres relations embarquées
+    row[column] = value;
+  });
+
+  return {
+    ...row,
+    activity_title: activity?.title ?? null,
+    activity_location: activity?.location ?? null,
+    activity_category: activity?.category?.name ?? null,
+    activity_budget_min: activity?.estimated_budget_min ?? null,
+    activity_budget_max: activity?.estimated_budget_max ?? null,
+    activity_budget_currency: activity?.budget_currency ?? null,
+    is_custom: Boolean(activity?.is_custom)
+  };
+}
+
+/**
+ * Colonnes du fichier : ordre connu, puis colonnes inattendues de la première ligne
+ */
+function exportColumns(firstRow) {
+  const extra = firstRow
+    ? Object.keys(firstRow).filter(column => !ITEM_COLUMNS.includes(column) && !ACTIVITY_COLUMNS.includes(column))
+    : [];
+  return [...ITEM_COLUMNS, ...extra, ...ACTIVITY_COLUMNS];
+}
+
+// ==========================================
+// CSV
+// ==========================================
+
+/**
+ * Cellule CSV (RFC 4180). Les valeurs commençant par = + - @ sont préfixées
+ * d'une apostrophe pour ne pas être interprétées comme des formules par un tableur.
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+  return `${values.map(csvCell).join(',')}\r\n`;
+}
+
+// ==========================================
+// iCalendar (RFC 5545)
+// ==========================================
+
+function icsText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Replie une ligne à 75 octets (les continuations commencent par une espace)
+ */
+function icsFold(line) {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return `${parts.join('\r\n ')}\r\n`;
+}
+
+function icsDate(date) {
+  return String(date).slice(0, 10).replace(/-/g, '');
+}
+
+function nextDay(date) {
+  const day = new Date(`${String(date).slice(0, 10)}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + 1);
+  return day.toISOString().slice(0, 10);
+}
+
+function icsTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Composant iCalendar d'un élément :
+ * - réalisé : VEVENT à la date de réalisation
+ * - date prévue : VEVENT à cette date
+ * - date cible seule : VTODO à échéance de la date cible
+ * Un élément sans aucune de ces dates n'apparaît pas dans le calendrier.
+ */
+function icsComponent(row, { stamp, t }) {
+  const lines = [];
+  const summary = row.activity_title || t('export.untitled');
+  const description = [
+    row.activity_location,
+    row.target_date && `${t('export.targetDate')}: ${row.target_date}`,
+    row.notes,
+    row.personal_notes
+  ].filter(Boolean).join('\n');
+
+  const common = [
+    `UID:bucket-item-${row.id}@ma-bucket-liste`,
+    `DTSTAMP:${stamp}`,
+    `SUMMARY:${icsText(summary)}`,
+    ...(description ? [`DESCRIPTION:${icsText(description)}`] : []),
+    ...(row.activity_location ? [`LOCATION:${icsText(row.activity_location)}`] : []),
+    ...(row.activity_category ? [`CATEGORIES:${icsText(row.activity_category)}`] : [])
+  ];
+
+  const eventDate = row.status === 'completed' && row.completed_date ? row.completed_date : row.planned_date;
+
+  if (eventDate) {
+    lines.push(
+      'BEGIN:VEVENT',
+      ...common,
+      `DTSTART;VALUE=DATE:${icsDate(eventDate)}`,
+      `DTEND;VALUE=DATE:${icsDate(nextDay(eventDate))}`,
+      `STATUS:${row.status === 'completed' ? 'CONFIRMED' : 'TENTATIVE'}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    );
+  } else if (row.target_date) {
+    lines.push(
+      'BEGIN:VTODO',
+      ...common,
+      `DUE;VALUE=DATE:${icsDate(row.target_date)}`,
+      `STATUS:${row.status === 'in_progress' ? 'IN-PROCESS' : 'NEEDS-ACTION'}`,
+      `PRIORITY:${{ high: 1, medium: 5, low: 9 }[row.priority] || 0}`,
+      'END:VTODO'
+    );
+  }
+
+  return lines.map(icsFold).join('');
+}
+
+// ==========================================
+// Exportateur
+// ==========================================
+
+/**
+ * Crée l'exportateur d'un format
+ *
+ * @param {string} format - csv | json | ics
+ * @param {Object} options
+ * @param {Function} options.t - Fonction de traduction (req.t)
+ * @param {Date} [options.now=new Date()] - Date de l'export
+ * @returns {{ begin: Function, row: Function, end: Function }}
+ *   begin(firstRow) et end() renvoient l'en-tête et la fin du fichier,
+ *   row(item) le morceau d'une ligne (chaîne vide si l'élément n'est pas exporté)
+ *
+ * @example
+ * const exporter = createExporter('csv', { t: req.t });
+ * res.write(exporter.begin(rows[0]));
+ * rows.forEach(row => res.write(exporter.row(row)));
+ * res.end(exporter.end());
+ */
+function createExporter(format, { t, now = new Date() }) {
+  let columns = null;
+  let count = 0;
+
+  switch (format) {
+    case 'csv':
+      return {
+        // BOM : accents corrects à l'ouverture dans Excel
+        begin: firstRow => {
+          columns = exportColumns(firstRow);
+          return `\uFEFF${csvLine(columns)}`;
+        },
+        row: row => csvLine(columns.map(column => row[column])),
+        end: () => ''
+      };
+    case 'json':
+      return {
+        begin: () => `{"exported_at":${JSON.stringify(now.toISOString())},"items":[`,
+        row: row => `${count++ > 0 ? ',' : ''}\n${JSON.stringify(row)}`,
+        end: () => `\n],"count":${count}}\n`
+      };
+    case 'ics': {
+      const stamp = icsTimestamp(now);
+      return {
+        begin: () => [
+          'BEGIN:VCALENDAR',
+          'VERSION:2.0',
+          'PRODID:-//Ma Bucket Liste//Export//FR',
+          'CALSCALE:GREGORIAN',
+          `X-WR-CALNAME:${icsText(t('export.calendarName'))}`
+        ].map(icsFold).join(''),
+        row: row => icsComponent(row, { stamp, t }),
+        end: () => icsFold('END:VCALENDAR')
+      };
+    }
+    default:
+      throw new Error(`Format d'export inconnu: ${format}`);
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  flattenItem,
+  createExporter
+};
@@ -0,0 +1,272 @@
+/**
+ * @fileoverview Import d'une bucket list depuis un fichier CSV ou JSON
+ * @module utils/bucket-list-import
+ *
+ * Lecture du fichier envoyé à POST /api/user/bucket-list/import et
+ * rapprochement de chaque ligne avec le catalogue. Les fichiers produits par
+ * l'export (utils/bucket-list-export) se réimportent tels quels.
+ */
+
+const { supabaseService: supabase } = require('../config/supabase-service');
+const { createSnapshotCache } = require('./snapshot-cache');
+const { readPages } = require('./pagination');
+const { registerCatalogCache } = require('./catalog-cache');
+const { buildMatchIndex } = require('./activity-matching');
+const { newBucketItemRow } = require('./bucket-list-items');
+
+const IMPORT_FORMATS = ['csv', 'json'];
+
+// Nombre maximal de lignes par fichier
+const MAX_IMPORT_ROWS = 500;
+
+/**
+ * Noms de colonnes acceptés pour le titre, le lieu et l'activité du catalogue
+ * (en-têtes de l'export, puis variantes saisies à la main)
+ */
+const COLUMN_ALIASES = {
+  title: ['activity_title', 'title', 'titre', 'activity', 'activite', 'name', 'nom'],
+  location: ['activity_location', 'location', 'lieu', 'destination'],
+  activity_id: ['activity_id']
+};
+
+/**
+ * Champs de l'élément repris du fichier (règles de BUCKET_ITEM_SCHEMA, utils/bucket-list-items)
+ */
+const IMPORTED_ITEM_FIELDS = [
+  'status',
+  'priority',
+  'notes',
+  'personal_notes',
+  'target_date',
+  'planned_date',
+  'completed_date',
+  'personal_budget',
+  'personal_budget_currency',
+  'actual_cost',
+  'actual_cost_currency',
+  'rating',
+  'review'
+];
+
+/**
+ * Format du fichier : paramètre explicite, sinon extension puis type MIME
+ *
+ * @param {Object} file - Fichier multer (originalname, mimetype)
+ * @param {string} [requested] - Paramètre ?format=
+ * @returns {string|null} csv | json, ou null si non reconnu
+ */
+function detectFormat(file, requested) {
+  if (requested) return IMPORT_FORMATS.includes(requested) ? requested : null;
+
+  const extension = String(file.originalname || '').split('.').pop().toLowerCase();
+  if (IMPORT_FORMATS.includes(extension)) return extension;
+
+  if (/json/.test(file.mimetype)) return 'json';
+  if (/csv|comma-separated/.test(file.mimetype)) return 'csv';
+  return null;
+}
+
+// ==========================================
+// Lecture du fichier
+// ==========================================
+
+/**
+ * Lit un CSV (RFC 4180) : guillemets, retours à la ligne dans une cellule.
+ * Le séparateur (virgule ou point-virgule, celui d'Excel en français) est
+ * déduit de la ligne d'en-tête.
+ *
+ * @returns {string[][]} Lignes de cellules, lignes vides ignorées
+ */
+function parseCsv(text) {
+  const headerLine = text.slice(0, text.search(/\r?\n|$/));
+  const delimiter = (headerLine.match(/;/g) || []).length > (headerLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) throw new SyntaxError('Guillemet non fermé');
+
+  row.push(cell);
+  rows.push(row);
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Retire l'apostrophe ajoutée par l'export devant une valeur commençant par = + - @
+ */
+function unescapeFormula(value) {
+  return /^'[=+\-@]/.test(value) ? value.slice(1) : value;
+}
+
+/**
+ * Lignes du fichier sous forme d'objets { colonne: valeur }
+ *
+ * @param {Buffer} buffer - Contenu du fichier
+ * @param {string} format - csv | json
+ * @returns {Object[]}
+ * @throws {SyntaxError} Fichier illisible (JSON invalide, guillemet non fermé...)
+ *
+ * @example
+ * parseImportFile(req.file.buffer, 'csv');
+ * // => [{ title: 'Voir les aurores boréales', location: 'Laponie', priority: 'high' }]
+ */
+function parseImportFile(buffer, format) {
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+
+  if (format === 'json') {
+    const parsed = JSON.parse(text);
+    // Tableau de lignes, ou fichier de l'export ({ exported_at, items, count })
+    const rows = Array.isArray(parsed) ? parsed : parsed?.items;
+    if (!Array.isArray(rows)) throw new SyntaxError('Tableau de lignes attendu');
+    return rows.map(row => (row && typeof row === 'object' && !Array.isArray(row) ? row : {}));
+  }
+
+  const [header = [], ...lines] = parseCsv(text);
+  const columns = header.map(column => column.trim().toLowerCase());
+
+  return lines.map(cells => Object.fromEntries(
+    columns
+      .map((column, index) => [column, unescapeFormula(cells[index] ?? '')])
+      .filter(([column]) => column)
+  ));
+}
+
+/**
+ * Valeur d'une ligne sous l'un de ses noms de colonne
+ */
+function pick(row, names) {
+  for (const name of names) {
+    const value = row[name];
+    if (value === undefined || value === null) continue;
+    const text = typeof value === 'string' ? value.trim() : value;
+    if (text !== '') return text;
+  }
+  return undefined;
+}
+
+/**
+ * Sépare une ligne lue en activité recherchée et champs de l'élément.
+ * Les cellules vides et les colonnes inconnues (id, position... de l'export) sont ignorées.
+ *
+ * @param {Object} row - Ligne de parseImportFile
+ * @returns {{ title: string|undefined, location: string|undefined, activityId: *, fields: Object }}
+ */
+function readImportRow(row) {
+  const fields = {};
+
+  IMPORTED_ITEM_FIELDS.forEach(field => {
+    const value = pick(row, [field]);
+    if (value !== undefined) fields[field] = value;
+  });
+
+  const title = pick(row, COLUMN_ALIASES.title);
+  const location = pick(row, COLUMN_ALIASES.location);
+
+  return {
+    title: title === undefined ? undefined : String(title),
+    location: location === undefined ? undefined : String(location),
+    activityId: pick(row, COLUMN_ALIASES.activity_id),
+    fields
+  };
+}
+
+/**
+ * Ligne user_bucket_lists d'un élément importé. Toutes les lignes d'un insert
+ * groupé ont les mêmes colonnes : un champ absent du fichier vaut null, une
+ * devise absente celle de l'utilisateur.
+ *
+ * @param {string} userId
+ * @param {Object} source - { activity_id } ou { custom_activity_id }
+ * @param {Object} values - Champs validés (applyStatusRules déjà appliquée)
+ * @param {string} currency - Devise préférée de l'utilisateur
+ * @returns {Object}
+ */
+function importedItemRow(userId, source, values, currency) {
+  const row = newBucketItemRow(userId, source, {
+    ...values,
+    personal_budget_currency: values.personal_budget_currency || currency
+  });
+
+  return {
+    ...row,
+    activity_id: source.activity_id ?? null,
+    custom_activity_id: source.custom_activity_id ?? null,
+    status: values.status || row.status,
+    personal_notes: values.personal_notes ?? null,
+    planned_date: values.planned_date ?? null,
+    completed_date: values.completed_date ?? null,
+    actual_cost: values.actual_cost ?? null,
+    actual_cost_currency: values.actual_cost_currency || currency,
+    rating: values.rating ?? null,
+    review: values.review || null,
+    reviewed_at: values.reviewed_at ?? null
+  };
+}
+
+// ==========================================
+// Catalogue de rapprochement
+// ==========================================
+
+/**
+ * Index des activités actives (titres d'origine), vidé à chaque modification du catalogue
+ */
+const matchIndexCache = registerCatalogCache(['activities'], createSnapshotCache('activity-matching', async () => {
+  const activities = [];
+  const pages = readPages(() => supabase
+    .from('activities')
+    .select('id, title, location, popularity_score')
+    .not('is_active', 'is', false)
+    .order('id', { ascending: true }));
+
+  for await (const rows of pages) activities.push(...rows);
+  return buildMatchIndex(activities);
+}, { ttlMs: 10 * 60 * 1000 }));
+
+/**
+ * @returns {Promise<Object[]>} Index pour findBestMatch (utils/activity-matching)
+ */
+async function getActivityMatchIndex() {
+  const { value } = await matchIndexCache.get();
+  return value;
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  MAX_IMPORT_ROWS,
+  detectFormat,
+  parseImportFile,
+  readImportRow,
+  importedItemRow,
+  getActivityMatchIndex
+};
@@ -0,0 +1,186 @@
+/**
+ * @fileoverview Règles communes aux éléments de bucket list
+ * @module utils/bucket-list-items
+ *
+ * Tris de la liste, règles de statut partagées par PUT /api/user/bucket-list/:id/status,
+ * PATCH /api/user/bucket-list/:id et l'opération groupée, et ajout d'éléments
+ * (contrôle des doublons) commun à l'ajout unitaire, groupé et à l'import.
+ */
+
+const { supabaseService: supabase } = require('../config/supabase-service');
+
+// Nombre maximal d'éléments par opération groupée (POST /api/user/bucket-list/bulk)
+const MAX_BULK_ITEMS = 100;
+
+const BUCKET_LIST_STATUSES = ['planned', 'in_progress', 'completed'];
+const BUCKET_LIST_PRIORITIES = ['low', 'medium', 'high'];
+
+// Longueur maximale d'un avis (contrainte user_bucket_lists_review_length_check)
+const MAX_REVIEW_LENGTH = 2000;
+
+/**
+ * Champs modifiables d'un élément (PATCH /api/user/bucket-list/:id, import),
+ * règles de validatePayload (utils/catalog-validation)
+ */
+const BUCKET_ITEM_SCHEMA = {
+  status: { type: 'enum', values: BUCKET_LIST_STATUSES, notNull: true },
+  priority: { type: 'enum', values: BUCKET_LIST_PRIORITIES, notNull: true },
+  notes: { type: 'string', max: 5000 },
+  personal_notes: { type: 'string', max: 5000 },
+  target_date: { type: 'date' },
+  planned_date: { type: 'date' },
+  completed_date: { type: 'date' },
+  personal_budget: { type: 'number', min: 0 },
+  personal_budget_currency: { type: 'currency', notNull: true },
+  actual_cost: { type: 'number', min: 0 },
+  actual_cost_currency: { type: 'currency', notNull: true },
+  rating: { type: 'integer', min: 1, max: 5 },
+  review: { type: 'string', max: MAX_REVIEW_LENGTH },
+  // Note du changement de statut, conservée dans l'historique seulement
+  status_note: { type: 'string', max: 500 }
+};
+
+/**
+ * Tris disponibles sur GET /api/user/bucket-list
+ * - rank : classement personnel (PUT /api/user/bucket-list/order)
+ * - date : date cible la plus proche d'abord (sans date en fin de liste)
+ * - priority : high, medium puis low
+ */
+const BUCKET_LIST_SORTS = {
+  newest: { column: 'created_at', ascending: false },
+  rank: { column: 'position', ascending: true },
+  date: { column: 'target_date', ascending: true },
+  priority: { column: 'priority_rank', ascending: true }
+};
+
+// Format des ids (uuid) des activités et des éléments
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Champs qui n'ont de sens qu'une fois l'activité réalisée
+const COMPLETION_FIELDS = ['completed_date', 'rating', 'review'];
+
+/**
+ * Id au format uuid. Un id mal formé fait échouer toute la requête (22P02) :
+ * les routes l'écartent avant la requête et le traitent comme introuvable.
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isUuid(value) {
+  return UUID_PATTERN.test(String(value));
+}
+
+/**
+ * Date du jour au format YYYY-MM-DD
+ */
+function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+/**
+ * Complète une mise à jour selon le statut résultant :
+ * - completed : completed_date vaut aujourd'hui si l'élément n'en a pas encore
+ * - planned : completed_date est effacée
+ * - rating / review : horodatés dans reviewed_at
+ *
+ * @param {Object} updates - Valeurs validées à écrire (modifiées en place)
+ * @param {Object} [current={}] - Ligne actuelle (status, completed_date)
+ * @returns {Object} updates
+ *
+ * @example
+ * applyStatusRules({ status: 'completed', rating: 5 }, current);
+ * // => { status: 'completed', rating: 5, completed_date: '2026-10-19', reviewed_at: '...' }
+ */
+function applyStatusRules(updates, current = {}) {
+  const status = updates.status ?? current.status;
+
+  if (status === 'completed' && updates.completed_date === undefined && !current.completed_date) {
+    updates.completed_date = today();
+  } else if (status === 'planned') {
+    // Réinitialiser la date si on repasse en "à faire"
+    updates.completed_date = null;
+  }
+
+  if (updates.rating !== undefined || updates.review !== undefined) {
+    updates.reviewed_at = new Date().toISOString();
+  }
+
+  return updates;
+}
+
+/**
+ * Champs de réalisation envoyés alors que l'élément ne sera pas "completed"
+ *
+ * @param {Object} updates - Valeurs validées à écrire
+ * @param {Object} current - Ligne actuelle
+ * @returns {string[]} Noms des champs refusés
+ */
+function completionFieldsWithoutCompletion(updates, current) {
+  const status = updates.status ?? current.status;
+  if (status === 'completed') return [];
+
+  // null (effacement) reste permis quel que soit le statut
+  return COMPLETION_FIELDS.filter(field => updates[field] !== undefined && updates[field] !== null);
+}
+
+/**
+ * Sources déjà présentes dans la bucket list d'un utilisateur (contrôle des doublons)
+ *
+ * @param {string} userId
+ * @param {string} column - activity_id | custom_activity_id
+ * @param {Array<string|number>} ids - Activités du catalogue ou activités personnelles
+ * @returns {Promise<Set<string>>} Ids déjà ajoutés
+ *
+ * @example
+ * const existing = await findExistingSources(req.userId, 'activity_id', activityIds);
+ * if (existing.has(String(activityId))) // 409
+ */
+async function findExistingSources(userId, column, ids) {
+  if (ids.length === 0) return new Set();
+
+  const { data, error } = await supabase
+    .from('user_bucket_lists')
+    .select(column)
+    .eq('user_id', userId)
+    .in(column, ids);
+
+  if (error) throw error;
+  return new Set(data.map(row => String(row[column])));
+}
+
+/**
+ * Ligne user_bucket_lists d'un nouvel élément "à faire"
+ * (la position en fin de classement est attribuée par trigger)
+ *
+ * @param {string} userId
+ * @param {Object} source - { activity_id } ou { custom_activity_id }
+ * @param {Object} [fields] - notes, priority, target_date, personal_budget, personal_budget_currency
+ * @returns {Object}
+ */
+function newBucketItemRow(userId, source, fields = {}) {
+  return {
+    user_id: userId,
+    ...source,
+    status: 'planned',
+    notes: fields.notes || null,
+    priority: fields.priority || 'medium',
+    target_date: fields.target_date || null,
+    personal_budget: fields.personal_budget ?? null,
+    ...(fields.personal_budget_currency && { personal_budget_currency: fields.personal_budget_currency }),
+    created_at: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  MAX_BULK_ITEMS,
+  BUCKET_LIST_STATUSES,
+  BUCKET_LIST_PRIORITIES,
+  MAX_REVIEW_LENGTH,
+  BUCKET_ITEM_SCHEMA,
+  BUCKET_LIST_SORTS,
+  applyStatusRules,
+  completionFieldsWithoutCompletion,
+  findExistingSources,
+  newBucketItemRow,
+  isUuid
+};
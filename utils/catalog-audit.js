@@ -0,0 +1,36 @@
+/**
+ * @fileoverview Journal des modifications du catalogue (table catalog_audit_log)
+ * @module utils/catalog-audit
+ */
+
+const { supabaseService: supabase } = require('../config/supabase-service');
+
+/**
+ * Enregistre une modification dans le journal d'audit.
+ * Un échec est journalisé mais n'annule pas l'écriture déjà faite.
+ *
+ * @param {Object} entry
+ * @param {string} entry.table - activities | categories | continents
+ * @param {string|number} entry.recordId - Id de la ligne
+ * @param {string} entry.action - create | update | deactivate | feature | images.upload...
+ * @param {string} entry.userId - Auteur de la modification
+ * @param {Object} entry.changes - Champs modifiés (voir diffRows) ou détail de l'action
+ * @returns {Promise<void>}
+ */
+async function recordCatalogChange({ table, recordId, action, userId, changes }) {
+  const { error } = await supabase
+    .from('catalog_audit_log')
+    .insert([{
+      table_name: table,
+      record_id: String(recordId),
+      action,
+      changed_by: userId,
+      changes
+    }]);
+
+  if (error) {
+    console.error(`❌ [AUDIT] Échec journalisation ${action} ${table}/${recordId}:`, error);
+  }
+}
+
+module.exports = { recordCatalogChange };
@@ -0,0 +1,167 @@
+/**
+ * @fileoverview Caches en mémoire des lectures publiques du catalogue
+ * @module utils/catalog-cache
+ *
+ * Les référentiels (catégories, continents) sont servis depuis un snapshot par
+ * langue. Les écritures de l'administration (routes/admin-catalog) appellent
+ * invalidateCatalogCaches pour que la modification soit visible immédiatement.
+ *
+ * Cette invalidation ne touche que le process qui a reçu l'écriture : sur
+ * Vercel, chaque instance a ses propres caches. Avant de servir un cache
+ * enregistré, le journal d'audit (catalog_audit_log, alimenté par chaque
+ * écriture d'administration) est relu au plus toutes les VERSION_CHECK_MS :
+ * les tables modifiées depuis le dernier passage sont invalidées, si bien
+ * qu'une instance n'est jamais plus en retard que le CDN (s-maxage).
+ */
+
+const { supabaseService: supabase } = require('../config/supabase-service');
+const { createSnapshotCache } = require('./snapshot-cache');
+const { localizeReferenceRows } = require('./catalog-translations');
+
+const REFERENCE_TABLES = ['categories', 'continents'];
+
+const REFERENCE_TTL_MS = 10 * 60 * 1000;
+
+// Aligné sur MAX_SHARED_AGE (middleware/http-cache)
+const VERSION_CHECK_MS = 10 * 1000;
+
+// Au-delà, des entrées ont pu être manquées : tout est invalidé
+const VERSION_CHECK_LIMIT = 100;
+
+/**
+ * Caches enregistrés : { tables, cache }
+ */
+const registry = [];
+
+/**
+ * Snapshots des référentiels : "table:langue" -> cache
+ */
+const referenceCaches = new Map();
+
+/**
+ * Dernière entrée du journal d'audit vue par ce process (null avant la première lecture)
+ */
+let knownVersion = null;
+let versionCheckedAt = 0;
+let pendingVersionCheck = null;
+
+/**
+ * Enregistre un cache à vider quand l'une des tables change
+ *
+ * @param {string[]} tables - Tables du catalogue dont dépend le cache
+ * @param {{ get: Function, invalidate: Function }} cache - Retour de createSnapshotCache
+ * @returns {{ get: Function, refresh: Function, invalidate: Function }} Le cache,
+ *   dont get() vérifie d'abord les écritures faites par les autres instances
+ *
+ * @example
+ * const statsCache = registerCatalogCache(['activities'], createSnapshotCache('stats', loadStats));
+ */
+function registerCatalogCache(tables, cache) {
+  registry.push({ tables, cache });
+
+  return {
+    ...cache,
+    get: async () => {
+      await checkCatalogVersion();
+      return cache.get();
+    }
+  };
+}
+
+/**
+ * Vide les caches qui dépendent d'une table (tous si aucune table n'est précisée)
+ *
+ * @param {string} [table] - activities | categories | continents | currency_rates
+ */
+function invalidateCatalogCaches(table) {
+  registry
+    .filter(entry => !table || entry.tables.includes(table))
+    .forEach(entry => entry.cache.invalidate());
+}
+
+/**
+ * Invalide les caches des tables modifiées depuis la dernière vérification
+ * (au plus une lecture du journal d'audit toutes les VERSION_CHECK_MS).
+ * Une erreur est journalisée et les caches restent servis tels quels.
+ *
+ * @returns {Promise<void>}
+ */
+function checkCatalogVersion() {
+  if (pendingVersionCheck) return pendingVersionCheck;
+  if (Date.now() - versionCheckedAt < VERSION_CHECK_MS) return Promise.resolve();
+
+  versionCheckedAt = Date.now();
+
+  pendingVersionCheck = (async () => {
+    let query = supabase
+      .from('catalog_audit_log')
+      .select('id, table_name')
+      .order('id', { ascending: false });
+
+    query = knownVersion === null
+      ? query.limit(1)
+      : query.gt('id', knownVersion).limit(VERSION_CHECK_LIMIT);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    // Première lecture : les caches de ce process sont encore vides
+    if (knownVersion !== null && data.length > 0) {
+      if (data.length === VERSION_CHECK_LIMIT) {
+        invalidateCatalogCaches();
+      } else {
+        new Set(data.map(entry => entry.table_name)).forEach(table => invalidateCatalogCaches(table));
+      }
+    }
+
+    knownVersion = data.length > 0 ? Number(data[0].id) : (knownVersion ?? 0);
+  })()
+    .catch(error => {
+      console.error('❌ [CACHE catalog] Erreur de lecture du journal d\'audit:', error.message);
+    })
+    .finally(() => {
+      pendingVersionCheck = null;
+    });
+
+  return pendingVersionCheck;
+}
+
+/**
+ * Catégories ou continents actifs, traduits et triés par nom localisé
+ *
+ * @param {string} table - categories | continents
+ * @param {string} lang - Langue de la réponse (req.lang)
+ * @returns {Promise<{ value: Object[], refreshedAt: Date }>}
+ */
+function getReferenceRows(table, lang) {
+  if (!REFERENCE_TABLES.includes(table)) {
+    throw new Error(`Référentiel inconnu: ${table}`);
+  }
+
+  const key = `${table}:${lang}`;
+
+  if (!referenceCaches.has(key)) {
+    const cache = createSnapshotCache(key, async () => {
+      const { data, error } = await supabase
+        .from(table)
+        .select('*')
+        .not('is_active', 'is', false)
+        .order('name');
+
+      if (error) throw error;
+
+      const localized = await localizeReferenceRows(supabase, table, data, lang);
+      return localized.sort((a, b) => String(a.name).localeCompare(String(b.name), lang));
+    }, { ttlMs: REFERENCE_TTL_MS });
+
+    referenceCaches.set(key, registerCatalogCache([table], cache));
+  }
+
+  return referenceCaches.get(key).get();
+}
+
+module.exports = {
+  registerCatalogCache,
+  invalidateCatalogCaches,
+  getReferenceRows
+};
@@ -0,0 +1,144 @@
+/**
+ * @fileoverview Application des traductions du catalogue aux réponses de l'API
+ * @module utils/catalog-translations
+ *
+ * Les lignes activities / categories / continents sont rédigées en français.
+ * Pour une autre langue, les champs traduits remplacent les champs d'origine ;
+ * un champ non traduit garde sa valeur française.
+ */
+
+const { DEFAULT_LANGUAGE } = require('./i18n');
+
+/**
+ * Tables de traduction : table du catalogue -> table, clé étrangère, champs traduisibles
+ */
+const TRANSLATABLE = {
+  activities: {
+    table: 'activity_translations',
+    foreignKey: 'activity_id',
+    fields: ['title', 'subtitle', 'description', 'location', 'best_season', 'image_alt']
+  },
+  categories: {
+    table: 'category_translations',
+    foreignKey: 'category_id',
+    fields: ['name']
+  },
+  continents: {
+    table: 'continent_translations',
+    foreignKey: 'continent_id',
+    fields: ['name']
+  }
+};
+
+/**
+ * Charge les traductions d'une liste d'ids
+ *
+ * @returns {Promise<Map>} id -> ligne de traduction
+ */
+async function loadTranslations(client, catalogTable, ids, lang) {
+  const { table, foreignKey, fields } = TRANSLATABLE[catalogTable];
+  const uniqueIds = [...new Set(ids.filter(id => id !== null && id !== undefined))];
+
+  if (uniqueIds.length === 0) return new Map();
+
+  const { data, error } = await client
+    .from(table)
+    .select([foreignKey, ...fields].join(', '))
+    .eq('lang', lang)
+    .in(foreignKey, uniqueIds);
+
+  if (error) {
+    // Pas de traduction plutôt qu'une erreur : la version française reste valable
+    console.warn(`⚠️ Erreur récupération traductions ${table}:`, error.message);
+    return new Map();
+  }
+
+  return new Map(data.map(row => [row[foreignKey], row]));
+}
+
+/**
+ * Remplace les champs traduits d'une ligne (les valeurs NULL sont ignorées)
+ */
+function overlay(row, translation, fields) {
+  if (!row || !translation) return row;
+
+  const localized = { ...row };
+  fields.forEach(field => {
+    if (field in localized && translation[field] !== null && translation[field] !== undefined) {
+      localized[field] = translation[field];
+    }
+  });
+  return localized;
+}
+
+/**
+ * Traduit des activités, ainsi que leurs catégories et continents embarqués
+ * (`categories(name, icon)`, `continents(name)`, ou `category:categories(id, ...)`)
+ *
+ * @param {Object} client - Client Supabase
+ * @param {Object[]} activities - Lignes activities
+ * @param {string} lang - Langue de la réponse
+ * @returns {Promise<Object[]>} Activités traduites, dans le même ordre
+ *
+ * @example
+ * const data = await localizeActivities(supabase, rows, req.lang);
+ */
+async function localizeActivities(client, activities, lang) {
+  if (lang === DEFAULT_LANGUAGE || !activities || activities.length === 0) return activities;
+
+  const categoryId = activity => activity.category_id ?? activity.category?.id;
+
+  const [activityTranslations, categoryTranslations, continentTranslations] = await Promise.all([
+    loadTranslations(client, 'activities', activities.map(activity => activity.id), lang),
+    loadTranslations(client, 'categories', activities.map(categoryId), lang),
+    loadTranslations(client, 'continents', activities.map(activity => activity.continent_id), lang)
+  ]);
+
+  return activities.map(activity => {
+    const localized = overlay(activity, activityTranslations.get(activity.id), TRANSLATABLE.activities.fields);
+
+    if (activity.categories) {
+      localized.categories = overlay(activity.categories, categoryTranslations.get(categoryId(activity)), ['name']);
+    }
+    if (activity.category) {
+      localized.category = overlay(activity.category, categoryTranslations.get(categoryId(activity)), ['name']);
+    }
+    if (activity.continents) {
+      localized.continents = overlay(activity.continents, continentTranslations.get(activity.continent_id), ['name']);
+    }
+    return localized;
+  });
+}
+
+/**
+ * Traduit une activité seule
+ *
+ * @returns {Promise<Object>}
+ */
+async function localizeActivity(client, activity, lang) {
+  const [localized] = await localizeActivities(client, [activity], lang);
+  return localized;
+}
+
+/**
+ * Traduit des lignes categories ou continents
+ *
+ * @param {Object} client - Client Supabase
+ * @param {string} catalogTable - categories | continents
+ * @param {Object[]} rows
+ * @param {string} lang
+ * @returns {Promise<Object[]>}
+ */
+async function localizeReferenceRows(client, catalogTable, rows, lang) {
+  if (lang === DEFAULT_LANGUAGE || !rows || rows.length === 0) return rows;
+
+  const translations = await loadTranslations(client, catalogTable, rows.map(row => row.id), lang);
+  return rows.map(row => overlay(row, translations.get(row.id), TRANSLATABLE[catalogTable].fields));
+}
+
+module.exports = {
+  TRANSLATABLE,
+  localizeActivities,
+  localizeActivity,
+  localizeReferenceRows
+};
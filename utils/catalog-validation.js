@@ -0,0 +1,289 @@
+/**
+ * @fileoverview Validation des écritures sur le catalogue (activités, catégories, continents)
+ * @module utils/catalog-validation
+ *
+ * Le moteur (validatePayload) sert aussi aux contenus des utilisateurs, dont
+ * les schémas sont déclarés dans leur propre module : CUSTOM_ACTIVITY_SCHEMA
+ * (utils/custom-activities), BUCKET_ITEM_SCHEMA (utils/bucket-list-items),
+ * COLLECTION_SCHEMA (utils/collections).
+ */
+
+const { parseBestSeason } = require('./seasons');
+const { getTranslator } = require('./i18n');
+const { normalizeCurrency } = require('./currency');
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const COLOR_PATTERN = /^#(?:[0-9a-fA-F]{3}){1,2}$/;
+const ID_PATTERN = /^[\w-]{1,64}$/;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Champs modifiables par table du catalogue et leurs contraintes
+ * - type : string | number | integer | boolean | id | slug | url | color | enum | season | currency | date
+ * - required : obligatoire à la création (et pour PUT)
+ * - notNull : facultatif mais ne peut pas être effacé (colonne NOT NULL avec valeur par défaut)
+ */
+const CATALOG_SCHEMAS = {
+  activities: {
+    title: { type: 'string', required: true, min: 3, max: 200 },
+    subtitle: { type: 'string', max: 300 },
+    description: { type: 'string', max: 5000 },
+    location: { type: 'string', max: 200 },
+    slug: { type: 'slug' },
+    category_id: { type: 'id', required: true },
+    continent_id: { type: 'id' },
+    // Texte libre : les niveaux existants sont ceux du catalogue (facettes de GET /api/activities)
+    difficulty_level: { type: 'string', max: 50 },
+    estimated_budget_min: { type: 'number', min: 0 },
+    estimated_budget_max: { type: 'number', min: 0 },
+    budget_currency: { type: 'currency' },
+    duration_days: { type: 'integer', min: 1, max: 365 },
+    best_season: { type: 'season', max: 100 },
+    image_path: { type: 'string', max: 500 },
+    image_alt: { type: 'string', max: 300 },
+    url: { type: 'url' },
+    rating: { type: 'number', min: 0, max: 5 },
+    popularity_score: { type: 'number', min: 0 },
+    is_featured: { type: 'boolean' },
+    is_active: { type: 'boolean' }
+  },
+  categories: {
+    name: { type: 'string', required: true, min: 2, max: 100 },
+    slug: { type: 'slug' },
+    icon: { type: 'string', max: 20 },
+    color: { type: 'color' },
+    is_active: { type: 'boolean' }
+  },
+  continents: {
+    name: { type: 'string', required: true, min: 2, max: 100 },
+    is_active: { type: 'boolean' }
+  }
+};
+
+/**
+ * Génère un slug à partir d'un libellé ("Équateur & Galápagos" -> "equateur-galapagos")
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function slugify(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Valide une valeur selon sa règle
+ *
+ * @returns {{ value: *, error: string|null }}
+ */
+function validateField(name, rule, raw, t) {
+  // null efface un champ facultatif
+  if (raw === null) {
+    return rule.required || rule.notNull ? { error: t('validation.notEmpty', { name }) } : { value: null, error: null };
+  }
+
+  switch (rule.type) {
+    case 'string':
+    case 'season': {
+      if (typeof raw !== 'string') return { error: t('validation.string', { name }) };
+      const value = raw.trim();
+      if (rule.min && value.length < rule.min) return { error: t('validation.minLength', { name, min: rule.min }) };
+      if (rule.max && value.length > rule.max) return { error: t('validation.maxLength', { name, max: rule.max }) };
+      if (rule.type === 'season' && !parseBestSeason(value)) {
+        return { error: t('validation.season', { name }) };
+      }
+      return { value, error: null };
+    }
+    case 'number':
+    case 'integer': {
+      const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+      if (typeof value !== 'number' || !Number.isFinite(value)) return { error: t('validation.number', { name }) };
+      if (rule.type === 'integer' && !Number.isInteger(value)) return { error: t('validation.integer', { name }) };
+      if (rule.min !== undefined && value < rule.min) return { error: t('validation.min', { name, min: rule.min }) };
+      if (rule.max !== undefined && value > rule.max) return { error: t('validation.max', { name, max: rule.max }) };
+      return { value, error: null };
+    }
+    case 'boolean':
+      if (typeof raw !== 'boolean') return { error: t('validation.boolean', { name }) };
+      return { value: raw, error: null };
+    case 'id':
+      if (!ID_PATTERN.test(String(raw))) return { error: t('validation.invalid', { name }) };
+      return { value: raw, error: null };
+    case 'slug':
+      if (typeof raw !== 'string' || !SLUG_PATTERN.test(raw) || raw.length > 200) {
+        return { error: t('validation.slug', { name }) };
+      }
+      return { value: raw, error: null };
+    case 'url':
+      if (typeof raw !== 'string' || !/^https:\/\/\S+$/.test(raw)) return { error: t('validation.httpsUrl', { name }) };
+      return { value: raw, error: null };
+    case 'color':
+      if (typeof raw !== 'string' || !COLOR_PATTERN.test(raw)) return { error: t('validation.color', { name }) };
+      return { value: raw, error: null };
+    case 'currency': {
+      const value = normalizeCurrency(raw);
+      if (!value) return { error: t('currency.invalid', { name }) };
+      return { value, error: null };
+    }
+    case 'date': {
+      const match = typeof raw === 'string' ? DATE_PATTERN.exec(raw) : null;
+      const date = match && new Date(Date.UTC(match[1], match[2] - 1, match[3]));
+      // Rejette aussi les dates impossibles (2026-02-30)
+      if (!date || date.toISOString().slice(0, 10) !== raw) return { error: t('validation.date', { name }) };
+      return { value: raw, error: null };
+    }
+    case 'enum':
+      if (!rule.values.includes(raw)) return { error: t('validation.invalidChoice', { name, values: rule.values.join(', ') }) };
+      return { value: raw, error: null };
+    default:
+      return { error: t('validation.notEditable', { name }) };
+  }
+}
+
+/**
+ * Valide le corps d'une requête d'écriture selon un schéma de champs
+ *
+ * @param {Object} schema - { champ: règle } (voir CATALOG_SCHEMAS)
+ * @param {Object} body - req.body
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - true pour PATCH (champs requis facultatifs)
+ * @param {Object} [options.current] - Ligne actuelle, pour les contrôles croisés d'un PATCH
+ * @param {Function} [options.t] - Fonction de traduction des messages (req.t), français par défaut
+ * @returns {{ values: Object, errors: string[] }} Valeurs normalisées et erreurs
+ *
+ * @example
+ * const { values, errors } = validatePayload(COLLECTION_SCHEMA, req.body, { t: req.t });
+ */
+function validatePayload(schema, body, { partial = false, current = {}, t = getTranslator() } = {}) {
+  const values = {};
+  const errors = [];
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { values, errors: [t('validation.jsonBody')] };
+  }
+
+  Object.keys(body).forEach(field => {
+    if (!schema[field]) errors.push(t('validation.unknownField', { name: field }));
+  });
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    if (body[field] === undefined) {
+      if (rule.required && !partial) errors.push(t('validation.required', { name: field }));
+      return;
+    }
+
+    const { value, error } = validateField(field, rule, body[field], t);
+    if (error) errors.push(error);
+    else values[field] = value;
+  });
+
+  // Contrôle croisé sur la ligne résultante (valeurs envoyées + valeurs actuelles)
+  if (schema.estimated_budget_min && schema.estimated_budget_max) {
+    const merged = { ...current, ...values };
+    const min = merged.estimated_budget_min;
+    const max = merged.estimated_budget_max;
+    if (min !== null && min !== undefined && max !== null && max !== undefined && Number(min) > Number(max)) {
+      errors.push(t('validation.lessOrEqual', { name: 'estimated_budget_min', other: 'estimated_budget_max' }));
+    }
+  }
+
+  if (Object.keys(values).length === 0 && errors.length === 0) {
+    errors.push(t('validation.nothingToUpdate'));
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Valide le corps d'une requête d'écriture sur le catalogue
+ *
+ * @param {string} table - Clé de CATALOG_SCHEMAS (activities, categories, continents)
+ * @param {Object} body - req.body
+ * @param {Object} [options] - Voir validatePayload
+ * @returns {{ values: Object, errors: string[] }} Valeurs normalisées et erreurs
+ *
+ * @example
+ * const { values, errors } = validateCatalogPayload('activities', req.body, { partial: true, current });
+ */
+function validateCatalogPayload(table, body, options) {
+  return validatePayload(CATALOG_SCHEMAS[table], body, options);
+}
+
+/**
+ * Valide une traduction (PUT /api/admin/:table/:id/translations/:lang)
+ * Mêmes contraintes que les champs d'origine ; les catégories et continents
+ * doivent fournir leur nom traduit.
+ *
+ * @param {string} table - activities | categories | continents
+ * @param {Object} body - req.body
+ * @param {string[]} fields - Champs traduisibles de la table
+ * @param {Object} [options]
+ * @param {Function} [options.t] - Fonction de traduction des messages (req.t)
+ * @returns {{ values: Object, errors: string[] }}
+ */
+function validateTranslationPayload(table, body, fields, { t = getTranslator() } = {}) {
+  const values = {};
+  const errors = [];
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { values, errors: [t('validation.jsonBody')] };
+  }
+
+  Object.keys(body).forEach(field => {
+    if (!fields.includes(field)) errors.push(t('validation.unknownField', { name: field }));
+  });
+
+  fields.forEach(field => {
+    // Le texte traduit n'est pas analysé : seules les longueurs s'appliquent
+    const rule = { ...CATALOG_SCHEMAS[table][field], type: 'string', required: table !== 'activities' };
+
+    if (body[field] === undefined) {
+      if (rule.required) errors.push(t('validation.required', { name: field }));
+      return;
+    }
+
+    const { value, error } = validateField(field, rule, body[field], t);
+    if (error) errors.push(error);
+    else values[field] = value;
+  });
+
+  if (Object.keys(values).length === 0 && errors.length === 0) {
+    errors.push(t('validation.nothingToUpdate'));
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Différences entre deux versions d'une ligne, pour le journal d'audit
+ *
+ * @param {Object|null} before - Ligne avant modification (null à la création)
+ * @param {Object} after - Ligne après modification
+ * @returns {Object} { champ: { from, to } } pour chaque champ modifié
+ */
+function diffRows(before, after) {
+  const changes = {};
+
+  Object.keys(after || {}).forEach(field => {
+    const from = before ? before[field] : null;
+    const to = after[field];
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from: from ?? null, to: to ?? null };
+    }
+  });
+
+  return changes;
+}
+
+module.exports = {
+  CATALOG_SCHEMAS,
+  slugify,
+  validatePayload,
+  validateCatalogPayload,
+  validateTranslationPayload,
+  diffRows
+};
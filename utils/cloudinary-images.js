@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Upload et URLs responsives des images du catalogue (Cloudinary)
+ * @module utils/cloudinary-images
+ */
+
+const cloudinary = require('../config/cloudinary.config');
+
+/**
+ * Largeurs proposées au navigateur via srcset
+ */
+const RESPONSIVE_WIDTHS = [400, 800, 1200, 1600];
+
+const CATALOG_FOLDER = 'ma-bucket-liste/activities';
+
+/**
+ * Upload d'une image en mémoire (multer memoryStorage) vers Cloudinary
+ *
+ * @param {Buffer} buffer - Contenu du fichier
+ * @param {Object} [options]
+ * @param {string} [options.folder] - Dossier Cloudinary
+ * @returns {Promise<Object>} Résultat Cloudinary (public_id, width, height, format...)
+ *
+ * @example
+ * const uploaded = await uploadImageBuffer(req.file.buffer, { folder: 'ma-bucket-liste/activities/42' });
+ * // uploaded.public_id => "ma-bucket-liste/activities/42/abc123"
+ */
+function uploadImageBuffer(buffer, { folder = CATALOG_FOLDER } = {}) {
+  return new Promise((resolve, reject) => {
+    const stream = cloudinary.uploader.upload_stream(
+      {
+        folder,
+        resource_type: 'image',
+        overwrite: false
+      },
+      (error, result) => (error ? reject(error) : resolve(result))
+    );
+
+    stream.end(buffer);
+  });
+}
+
+/**
+ * Supprime une image de Cloudinary (les erreurs sont journalisées, pas propagées)
+ *
+ * @param {string} publicId
+ * @returns {Promise<void>}
+ */
+async function destroyImage(publicId) {
+  try {
+    await cloudinary.uploader.destroy(publicId, { resource_type: 'image' });
+  } catch (error) {
+    console.warn(`⚠️ Suppression Cloudinary impossible pour ${publicId}:`, error.message);
+  }
+}
+
+/**
+ * URL Cloudinary d'une image à une largeur donnée (format et qualité automatiques)
+ *
+ * @param {string} publicId
+ * @param {number} width
+ * @returns {string}
+ */
+function imageUrl(publicId, width) {
+  return cloudinary.url(publicId, {
+    secure: true,
+    transformation: [
+      { width, crop: 'limit' },
+      { fetch_format: 'auto', quality: 'auto' }
+    ]
+  });
+}
+
+/**
+ * Décrit une image avec ses URLs responsives, prête à être servie au frontend
+ *
+ * @param {Object} image - Ligne activity_images
+ * @returns {Object} { id, type, caption, alt, url, srcset, sizes, ... }
+ *
+ * @example
+ * buildResponsiveImage(row).srcset
+ * // => "https://res.cloudinary.com/.../w_400,c_limit/... 400w, ... 1600w"
+ */
+function buildResponsiveImage(image) {
+  const publicId = image.cloudinary_public_id;
+
+  return {
+    id: image.id,
+    type: image.image_type,
+    position: image.position ?? 0,
+    caption: image.caption || null,
+    alt: image.alt_text || image.caption || null,
+    width: image.width || null,
+    height: image.height || null,
+    cloudinary_public_id: publicId,
+    url: imageUrl(publicId, 1200),
+    thumbnail_url: imageUrl(publicId, 400),
+    srcset: RESPONSIVE_WIDTHS.map(width => `${imageUrl(publicId, width)} ${width}w`).join(', '),
+    sizes: '(max-width: 600px) 100vw, (max-width: 1200px) 80vw, 1200px'
+  };
+}
+
+/**
+ * Trie une galerie : hero en premier, puis par position
+ *
+ * @param {Object[]} images - Lignes activity_images
+ * @returns {Object[]} Images responsives ordonnées
+ */
+function buildGallery(images) {
+  return [...images]
+    .sort((a, b) =>
+      (b.image_type === 'hero') - (a.image_type === 'hero') ||
+      (a.position ?? 0) - (b.position ?? 0)
+    )
+    .map(buildResponsiveImage);
+}
+
+module.exports = {
+  CATALOG_FOLDER,
+  uploadImageBuffer,
+  destroyImage,
+  buildResponsiveImage,
+  buildGallery
+};
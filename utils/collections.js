@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Collections nommées de la bucket list
+ * @module utils/collections
+ *
+ * Lectures partagées par routes/collections (CRUD) et routes/auth-bucket
+ * (filtre ?collection= de la bucket list et des statistiques).
+ */
+
+const { supabaseService: supabase } = require('../config/supabase-service');
+const { isUuid } = require('./bucket-list-items');
+
+/**
+ * Colonnes d'une collection, avec le nombre d'éléments (select Supabase)
+ */
+const COLLECTION_SELECT = `
+  id,
+  name,
+  description,
+  cover_image_url,
+  cover_cloudinary_public_id,
+  created_at,
+  updated_at,
+  items:bucket_list_collection_items(count)
+`;
+
+/**
+ * Champs modifiables d'une collection, règles de validatePayload (utils/catalog-validation)
+ */
+const COLLECTION_SCHEMA = {
+  name: { type: 'string', required: true, min: 1, max: 100 },
+  description: { type: 'string', max: 1000 },
+  cover_image_url: { type: 'url' }
+};
+
+/**
+ * Collection de l'utilisateur connecté
+ *
+ * @param {string} id - Id de la collection
+ * @param {string} userId - Utilisateur connecté
+ * @returns {Promise<Object|null>} Ligne, ou null si introuvable ou appartenant à un autre utilisateur
+ */
+async function findOwnCollection(id, userId) {
+  // id mal formé : même réponse qu'une collection inexistante
+  if (!isUuid(id)) return null;
+
+  const { data, error } = await supabase
+    .from('bucket_list_collections')
+    .select(COLLECTION_SELECT)
+    .eq('id', id)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Ids des éléments d'une collection de l'utilisateur
+ *
+ * @param {string} collectionId
+ * @param {string} userId
+ * @returns {Promise<string[]|null>} Ids, ou null si la collection n'appartient pas à l'utilisateur
+ *
+ * @example
+ * const itemIds = await findCollectionItemIds(req.query.collection, req.userId);
+ * if (itemIds) query = query.in('id', itemIds);
+ */
+async function findCollectionItemIds(collectionId, userId) {
+  const collection = await findOwnCollection(collectionId, userId);
+  if (!collection) return null;
+
+  const { data, error } = await supabase
+    .from('bucket_list_collection_items')
+    .select('bucket_item_id')
+    .eq('collection_id', collection.id);
+
+  if (error) throw error;
+  return data.map(row => row.bucket_item_id);
+}
+
+module.exports = {
+  COLLECTION_SELECT,
+  COLLECTION_SCHEMA,
+  findOwnCollection,
+  findCollectionItemIds
+};
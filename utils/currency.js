@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Conversion et formatage des montants multi-devises
+ * @module utils/currency
+ *
+ * Les montants sont stockés avec leur devise (ISO 4217). Pour l'affichage, ils
+ * sont convertis dans la devise préférée de l'utilisateur via la table
+ * currency_rates (1 unité de devise = rate_to_eur euros), puis formatés avec
+ * Intl.NumberFormat selon sa locale.
+ */
+
+const { supabaseService: supabase } = require('../config/supabase-service');
+const { createSnapshotCache } = require('./snapshot-cache');
+const { registerCatalogCache } = require('./catalog-cache');
+
+const BASE_CURRENCY = 'EUR';
+
+/**
+ * Locale utilisée quand l'utilisateur n'en a pas choisi : dérivée de la langue de la réponse
+ */
+const DEFAULT_LOCALES = {
+  fr: 'fr-FR',
+  en: 'en-GB'
+};
+
+const KNOWN_CURRENCIES = new Set(Intl.supportedValuesOf('currency'));
+
+const LOCALE_PATTERN = /^[a-z]{2}(-[A-Z]{2})?$/;
+
+/**
+ * Taux de change en mémoire : la table change rarement (mise à jour manuelle)
+ */
+const ratesCache = registerCatalogCache(['currency_rates'], createSnapshotCache('currency-rates', async () => {
+  const { data, error } = await supabase
+    .from('currency_rates')
+    .select('currency, rate_to_eur, updated_at');
+
+  if (error) throw error;
+
+  return new Map(data.map(row => [row.currency.trim(), Number(row.rate_to_eur)]));
+}, { ttlMs: 10 * 60 * 1000 }));
+
+/**
+ * Normalise un code devise ("usd" -> "USD")
+ *
+ * @param {string} value
+ * @returns {string|null} Code ISO 4217 connu, ou null
+ */
+function normalizeCurrency(value) {
+  const currency = String(value || '').trim().toUpperCase();
+  return KNOWN_CURRENCIES.has(currency) ? currency : null;
+}
+
+/**
+ * Vérifie une locale de formatage ("fr-FR", "en")
+ *
+ * @param {string} value
+ * @returns {string|null}
+ */
+function normalizeLocale(value) {
+  const locale = String(value || '').trim();
+  if (!LOCALE_PATTERN.test(locale)) return null;
+  return Intl.NumberFormat.supportedLocalesOf(locale).length > 0 ? locale : null;
+}
+
+/**
+ * Taux de change courants
+ *
+ * @returns {Promise<Map>} devise -> valeur en euros d'une unité
+ */
+async function getRates() {
+  const { value } = await ratesCache.get();
+  return value;
+}
+
+/**
+ * Convertit un montant d'une devise à une autre
+ *
+ * @param {number} amount
+ * @param {string} from - Devise du montant
+ * @param {string} to - Devise cible
+ * @param {Map} rates - Retour de getRates
+ * @returns {number|null} Montant converti (arrondi au centime), ou null si un taux manque
+ *
+ * @example
+ * convertAmount(100, 'USD', 'EUR', new Map([['EUR', 1], ['USD', 0.92]])); // 92
+ */
+function convertAmount(amount, from, to, rates) {
+  if (from === to) return Number(amount);
+
+  const fromRate = from === BASE_CURRENCY ? 1 : rates.get(from);
+  const toRate = to === BASE_CURRENCY ? 1 : rates.get(to);
+  if (!fromRate || !toRate) return null;
+
+  return Math.round((Number(amount) * fromRate / toRate) * 100) / 100;
+}
+
+/**
+ * Formate un montant ("1 250 €", "$1,250")
+ *
+ * @param {number} amount
+ * @param {string} currency
+ * @param {string} locale
+ * @returns {string}
+ */
+function formatAmount(amount, currency, locale) {
+  const value = Number(amount);
+
+  return new Intl.NumberFormat(locale, {
+    style: 'currency',
+    currency,
+    maximumFractionDigits: Number.isInteger(value) ? 0 : 2
+  }).format(value);
+}
+
+/**
+ * Prépare l'affichage des montants pour un utilisateur
+ *
+ * @param {Object} options
+ * @param {string} options.currency - Devise d'affichage
+ * @param {string} options.locale - Locale de formatage
+ * @param {Map} options.rates - Retour de getRates
+ * @param {Function} options.t - Fonction de traduction (req.t)
+ * @returns {{ currency: string, locale: string, money: Function, range: Function }}
+ *
+ * @example
+ * const formatter = createMoneyFormatter({ currency: 'USD', locale: 'en-US', rates, t: req.t });
+ * formatter.money(100, 'EUR');
+ * // { amount: 108.7, currency: 'USD', formatted: '$108.70', converted: true, original: { amount: 100, currency: 'EUR' } }
+ * formatter.range(100, 200, 'EUR'); // "$109 - $217"
+ */
+function createMoneyFormatter({ currency, locale, rates, t }) {
+  const money = (amount, fromCurrency = BASE_CURRENCY) => {
+    if (amount === null || amount === undefined || amount === '') return null;
+
+    const converted = convertAmount(amount, fromCurrency, currency, rates);
+    // Taux inconnu : le montant reste dans sa devise d'origine
+    const displayCurrency = converted === null ? fromCurrency : currency;
+    const displayAmount = converted === null ? Number(amount) : converted;
+
+    return {
+      amount: displayAmount,
+      currency: displayCurrency,
+      formatted: formatAmount(displayAmount, displayCurrency, locale),
+      converted: displayCurrency !== fromCurrency,
+      original: { amount: Number(amount), currency: fromCurrency }
+    };
+  };
+
+  const range = (min, max, fromCurrency = BASE_CURRENCY) => {
+    const low = money(min ?? null, fromCurrency);
+    const high = money(max ?? null, fromCurrency);
+
+    if (low && high) {
+      // Arrondi à l'unité pour une fourchette
+      const whole = value => formatAmount(Math.round(value.amount), value.currency, locale);
+      return t('budget.range', { min: whole(low), max: whole(high) });
+    }
+    if (low) return t('budget.from', { min: low.formatted });
+    if (high) return t('budget.upTo', { max: high.formatted });
+    return t('budget.onRequest');
+  };
+
+  return { currency, locale, money, range };
+}
+
+/**
+ * Devise et locale d'affichage d'une requête :
+ * ?currency= / ?locale=, puis préférences du profil, puis valeurs par défaut
+ *
+ * @param {Object} req - Requête Express (req.query, req.lang)
+ * @param {Object|null} profile - { preferred_currency, locale } de user_profiles
+ * @returns {{ currency: string, locale: string }}
+ */
+function resolveDisplayPreferences(req, profile) {
+  return {
+    currency: normalizeCurrency(req.query?.currency) ||
+      normalizeCurrency(profile?.preferred_currency) ||
+      BASE_CURRENCY,
+    locale: normalizeLocale(req.query?.locale) ||
+      normalizeLocale(profile?.locale) ||
+      DEFAULT_LOCALES[req.lang] ||
+      DEFAULT_LOCALES.fr
+  };
+}
+
+module.exports = {
+  BASE_CURRENCY,
+  ratesCache,
+  normalizeCurrency,
+  normalizeLocale,
+  getRates,
+  convertAmount,
+  formatAmount,
+  createMoneyFormatter,
+  resolveDisplayPreferences
+};
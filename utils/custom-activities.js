@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Activités personnelles dans la bucket list
+ * @module utils/custom-activities
+ *
+ * Un élément de user_bucket_lists référence soit une activité du catalogue
+ * (`activity_id`), soit une activité personnelle (`custom_activity_id`).
+ * Ces helpers donnent aux deux la même forme pour le formatage, les
+ * statistiques et les images de partage.
+ */
+
+/**
+ * Colonnes embarquées pour une activité personnelle (select Supabase)
+ */
+const CUSTOM_ACTIVITY_SELECT = `
+  id,
+  title,
+  description,
+  location,
+  category_id,
+  estimated_budget_min,
+  estimated_budget_max,
+  budget_currency,
+  image_url,
+  cloudinary_public_id,
+  created_at,
+  updated_at,
+  category:categories (
+    id,
+    name,
+    slug,
+    icon,
+    color
+  )
+`;
+
+/**
+ * Champs modifiables d'une activité personnelle (routes/custom-activities,
+ * ajout et import dans la bucket list), règles de validatePayload (utils/catalog-validation)
+ */
+const CUSTOM_ACTIVITY_SCHEMA = {
+  title: { type: 'string', required: true, min: 3, max: 200 },
+  description: { type: 'string', max: 5000 },
+  location: { type: 'string', max: 200 },
+  category_id: { type: 'id' },
+  estimated_budget_min: { type: 'number', min: 0 },
+  estimated_budget_max: { type: 'number', min: 0 },
+  budget_currency: { type: 'currency' },
+  image_url: { type: 'url' }
+};
+
+/**
+ * Présente une activité personnelle comme une activité du catalogue
+ *
+ * @param {Object} custom - Ligne custom_activities (avec `category` embarquée)
+ * @returns {Object} Activité avec `is_custom: true`
+ */
+function customActivityAsActivity(custom) {
+  return {
+    id: custom.id,
+    slug: null,
+    title: custom.title,
+    subtitle: null,
+    description: custom.description,
+    location: custom.location,
+    image_path: custom.image_url,
+    image_alt: custom.title,
+    url: null,
+    rating: null,
+    rating_count: null,
+    popularity_score: null,
+    estimated_budget_min: custom.estimated_budget_min,
+    estimated_budget_max: custom.estimated_budget_max,
+    budget_currency: custom.budget_currency,
+    duration_days: null,
+    difficulty_level: null,
+    best_season: null,
+    is_active: true,
+    is_featured: false,
+    cloudinary_public_id: custom.cloudinary_public_id,
+    category_id: custom.category_id,
+    category: custom.category,
+    is_custom: true
+  };
+}
+
+/**
+ * Remplace `custom_activity` par `activity` pour les éléments personnels
+ *
+ * @param {Object} item - Ligne user_bucket_lists avec `activity` et/ou `custom_activity`
+ * @returns {Object} Élément dont `activity` est toujours renseignée (si la source existe)
+ *
+ * @example
+ * const items = rows.map(withResolvedActivity);
+ * items.filter(item => item.activity.is_custom);
+ */
+function withResolvedActivity(item) {
+  const { custom_activity: custom, ...rest } = item;
+
+  if (rest.activity || !custom) return rest;
+  return { ...rest, activity: customActivityAsActivity(custom) };
+}
+
+module.exports = {
+  CUSTOM_ACTIVITY_SELECT,
+  CUSTOM_ACTIVITY_SCHEMA,
+  customActivityAsActivity,
+  withResolvedActivity
+};
@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Traduction des messages de l'API (français par défaut, anglais)
+ * @module utils/i18n
+ *
+ * Les messages sont rangés par clé dans locales/<langue>.json. Une clé absente
+ * de la langue demandée retombe sur le français. Un message peut être décliné
+ * au pluriel ({ "one": ..., "other": ... }) : la forme suit alors `params.count`.
+ */
+
+const DEFAULT_LANGUAGE = 'fr';
+
+const DICTIONARIES = {
+  fr: require('../locales/fr.json'),
+  en: require('../locales/en.json')
+};
+
+const SUPPORTED_LANGUAGES = Object.keys(DICTIONARIES);
+
+/**
+ * Normalise un code de langue ("en-GB" -> "en") s'il est supporté
+ *
+ * @param {string} value
+ * @returns {string|null}
+ */
+function normalizeLanguage(value) {
+  const language = String(value || '').trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LANGUAGES.includes(language) ? language : null;
+}
+
+/**
+ * Choisit la langue d'après l'en-tête Accept-Language (poids q respectés)
+ *
+ * @param {string} header - Ex: "en-US,en;q=0.9,fr;q=0.8"
+ * @returns {string|null} Langue supportée la mieux classée
+ */
+function parseAcceptLanguage(header) {
+  if (!header) return null;
+
+  const candidates = String(header)
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const quality = params
+        .map(param => param.trim())
+        .find(param => param.startsWith('q='));
+      return { tag, index, q: quality ? Number(quality.slice(2)) : 1 };
+    })
+    .filter(candidate => candidate.tag && Number.isFinite(candidate.q) && candidate.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+
+  for (const candidate of candidates) {
+    const language = normalizeLanguage(candidate.tag);
+    if (language) return language;
+  }
+  return null;
+}
+
+/**
+ * Langue d'une requête : ?lang= puis Accept-Language, sinon français
+ *
+ * @param {Object} req - Requête Express
+ * @returns {string}
+ */
+function resolveLanguage(req) {
+  return normalizeLanguage(req.query?.lang) ||
+    parseAcceptLanguage(req.headers?.['accept-language']) ||
+    DEFAULT_LANGUAGE;
+}
+
+/**
+ * Traduit une clé ("activities.notFound") en remplaçant les {{paramètres}}
+ *
+ * @param {string} language
+ * @param {string} key
+ * @param {Object} [params]
+ * @returns {string} Message traduit, ou la clé si elle n'existe dans aucune langue
+ *
+ * @example
+ * translate('en', 'validation.positiveNumber', { name: 'budget_min' });
+ * // => "budget_min must be a positive number"
+ */
+function translate(language, key, params = {}) {
+  const lookup = dictionary => key.split('.').reduce((node, part) => node?.[part], dictionary);
+
+  let message = lookup(DICTIONARIES[language] || {}) ?? lookup(DICTIONARIES[DEFAULT_LANGUAGE]);
+
+  if (message && typeof message === 'object' && typeof params.count === 'number') {
+    const form = new Intl.PluralRules(language in DICTIONARIES ? language : DEFAULT_LANGUAGE).select(params.count);
+    message = message[form] ?? message.other;
+  }
+  if (typeof message !== 'string') return key;
+
+  return message.replace(/\{\{(\w+)\}\}/g, (match, name) =>
+    params[name] === undefined ? match : String(params[name])
+  );
+}
+
+/**
+ * Fonction de traduction liée à une langue
+ *
+ * @param {string} [language=fr]
+ * @returns {Function} (key, params) => string
+ */
+function getTranslator(language = DEFAULT_LANGUAGE) {
+  return (key, params) => translate(language, key, params);
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  SUPPORTED_LANGUAGES,
+  normalizeLanguage,
+  resolveLanguage,
+  translate,
+  getTranslator
+};
@@ -0,0 +1,1076 @@
+/**
+ * @fileoverview Description OpenAPI 3.1 de l'API
+ * @module utils/openapi
+ *
+ * Source unique des contrats d'entrée : servie sur /api/openapi.json et /api/docs,
+ * et utilisée par middleware/validate-request pour valider paramètres et corps
+ * JSON avant les routes. Les schémas d'écriture sont dérivés des règles de
+ * validatePayload (CATALOG_SCHEMAS et schémas des contenus utilisateurs) pour ne pas diverger.
+ */
+
+const { CATALOG_SCHEMAS } = require('./catalog-validation');
+const { ACTIVITY_SORTS } = require('./activity-filters');
+const {
+  BUCKET_LIST_SORTS,
+  MAX_BULK_ITEMS,
+  BUCKET_LIST_STATUSES,
+  BUCKET_LIST_PRIORITIES,
+  MAX_REVIEW_LENGTH,
+  BUCKET_ITEM_SCHEMA
+} = require('./bucket-list-items');
+const { CUSTOM_ACTIVITY_SCHEMA } = require('./custom-activities');
+const { COLLECTION_SCHEMA } = require('./collections');
+const { SUPPORTED_LANGUAGES } = require('./i18n');
+const { TRANSLATABLE } = require('./catalog-translations');
+
+const SHARE_TYPES = ['instagram', 'facebook', 'twitter', 'stories', 'all'];
+const SHARE_PLATFORMS = ['facebook', 'twitter', 'instagram', 'linkedin'];
+// Nombre maximal d'activités par recherche groupée (?ids=, POST /api/activities/batch)
+const MAX_ACTIVITY_BATCH = 50;
+
+const ID_SCHEMA = { type: 'string', pattern: '^[\\w-]{1,64}$' };
+const DATE_SCHEMA = { type: 'string', format: 'date' };
+const CURRENCY_SCHEMA = { type: 'string', pattern: '^[A-Za-z]{3}$' };
+
+// ==========================================
+// Helpers de description
+// ==========================================
+
+function pathParam(name, schema = ID_SCHEMA, description) {
+  return { name, in: 'path', required: true, schema, ...(description && { description }) };
+}
+
+function queryParam(name, schema, description) {
+  return { name, in: 'query', required: false, schema, ...(description && { description }) };
+}
+
+function jsonBody(schema, { required = true } = {}) {
+  return { required, content: { 'application/json': { schema } } };
+}
+
+function multipartBody(field, { multiple = false } = {}) {
+  const file = { type: 'string', format: 'binary' };
+  return {
+    required: true,
+    content: {
+      'multipart/form-data': {
+        schema: {
+          type: 'object',
+          required: [field],
+          properties: { [field]: multiple ? { type: 'array', items: file } : file }
+        }
+      }
+    }
+  };
+}
+
+const nullable = schema => ({ ...schema, type: [].concat(schema.type, 'null') });
+
+/**
+ * Réponses standard d'une opération
+ *
+ * @param {string} description - Description de la réponse de succès
+ * @param {number[]} [codes] - Codes d'erreur possibles (voir ERROR_RESPONSES)
+ * @param {number} [status=200] - Code de succès
+ */
+function responses(description, codes = [], status = 200) {
+  const result = { [status]: { description } };
+  codes.forEach(code => {
+    result[code] = { $ref: `#/components/responses/${ERROR_RESPONSES[code]}` };
+  });
+  return result;
+}
+
+const ERROR_RESPONSES = {
+  400: 'BadRequest',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'NotFound',
+  409: 'Conflict'
+};
+
+const AUTH = [{ bearerAuth: [] }];
+
+const PAGINATION_PARAMS = [
+  queryParam('limit', { type: 'integer', minimum: 1 }, 'Taille de page'),
+  queryParam('cursor', { type: 'string', maxLength: 500 }, 'Curseur opaque (meta.next_cursor / meta.prev_cursor)')
+];
+
+const DISPLAY_PARAMS = [
+  queryParam('currency', CURRENCY_SCHEMA, 'Devise d\'affichage des montants (ISO 4217)'),
+  queryParam('locale', { type: 'string', maxLength: 10 }, 'Locale de formatage (ex: fr-FR)')
+];
+
+// ==========================================
+// Schémas dérivés des règles de validatePayload
+// ==========================================
+
+/**
+ * Convertit une règle de validatePayload en schéma JSON
+ * (mêmes types acceptés : nombres en chaîne compris)
+ */
+function catalogRuleToSchema(rule) {
+  let schema;
+
+  switch (rule.type) {
+    case 'string':
+    case 'season':
+      schema = {
+        type: 'string',
+        ...(rule.min && { minLength: rule.min }),
+        ...(rule.max && { maxLength: rule.max })
+      };
+      break;
+    case 'number':
+    case 'integer':
+      schema = {
+        type: [rule.type, 'string'],
+        ...(rule.min !== undefined && { minimum: rule.min }),
+        ...(rule.max !== undefined && { maximum: rule.max })
+      };
+      break;
+    case 'boolean':
+      schema = { type: 'boolean' };
+      break;
+    case 'id':
+      schema = { type: ['string', 'integer'], pattern: '^[\\w-]{1,64}$' };
+      break;
+    case 'slug':
+      schema = { type: 'string', pattern: '^[a-z0-9]+(?:-[a-z0-9]+)*$', maxLength: 200 };
+      break;
+    case 'url':
+      schema = { type: 'string', pattern: '^https://\\S+$' };
+      break;
+    case 'color':
+      schema = { type: 'string', pattern: '^#(?:[0-9a-fA-F]{3}){1,2}$' };
+      break;
+    case 'currency':
+      schema = CURRENCY_SCHEMA;
+      break;
+    case 'date':
+      schema = DATE_SCHEMA;
+      break;
+    case 'enum':
+      schema = { enum: rule.values };
+      break;
+    default:
+      schema = {};
+  }
+
+  // null efface un champ facultatif
+  if (rule.required || rule.notNull) return schema;
+  if (schema.enum) return { enum: [...schema.enum, null] };
+  return nullable(schema);
+}
+
+/**
+ * Schéma d'écriture d'une ressource
+ *
+ * @param {Object} rules - Schéma de validatePayload (CATALOG_SCHEMAS[table], COLLECTION_SCHEMA...)
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - true pour PATCH (aucun champ requis)
+ * @returns {Object} Schéma JSON
+ */
+function writeSchema(rules, { partial = false } = {}) {
+  const required = partial
+    ? []
+    : Object.keys(rules).filter(field => rules[field].required);
+
+  return {
+    type: 'object',
+    additionalProperties: false,
+    minProperties: 1,
+    ...(required.length > 0 && { required }),
+    properties: Object.fromEntries(
+      Object.entries(rules).map(([field, rule]) => [field, catalogRuleToSchema(rule)])
+    )
+  };
+}
+
+function translationSchema(table) {
+  return {
+    type: 'object',
+    additionalProperties: false,
+    minProperties: 1,
+    properties: Object.fromEntries(
+      TRANSLATABLE[table].fields.map(field => [
+        field,
+        nullable({ type: 'string', maxLength: CATALOG_SCHEMAS[table][field]?.max || 5000 })
+      ])
+    )
+  };
+}
+
+// ==========================================
+// Corps des routes utilisateur
+// ==========================================
+
+const BUCKET_ITEM_FIELDS = {
+  notes: nullable({ type: 'string', maxLength: 5000 }),
+  priority: { enum: BUCKET_LIST_PRIORITIES },
+  target_date: nullable(DATE_SCHEMA),
+  personal_budget: nullable({ type: ['number', 'string'], minimum: 0 }),
+  personal_budget_currency: nullable(CURRENCY_SCHEMA)
+};
+
+const REVIEW_FIELDS = {
+  rating: nullable({ type: 'integer', minimum: 1, maximum: 5 }),
+  review: nullable({ type: 'string', maxLength: MAX_REVIEW_LENGTH })
+};
+
+const components = {
+  securitySchemes: {
+    bearerAuth: { type: 'http', scheme: 'bearer', description: 'access_token Supabase (POST /api/auth/login)' }
+  },
+  schemas: {
+    Error: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        error: { type: 'string' },
+        details: { type: 'array', items: { type: 'string' } }
+      }
+    }
+  },
+  responses: {
+    BadRequest: { description: 'Paramètres ou corps invalides', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } },
+    Unauthorized: { description: 'Token manquant', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } },
+    Forbidden: { description: 'Token invalide ou droits insuffisants', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } },
+    NotFound: { description: 'Ressource introuvable', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } },
+    Conflict: { description: 'Conflit (doublon)', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } }
+  }
+};
+
+// ==========================================
+// Routes
+// ==========================================
+
+const paths = {
+  '/': {
+    get: { tags: ['Système'], summary: 'Informations sur l\'API', responses: responses('Version et statut') }
+  },
+  '/api/test': {
+    get: { tags: ['Système'], summary: 'Test de connexion à Supabase', responses: responses('Connexion OK') }
+  },
+  '/api/openapi.json': {
+    get: { tags: ['Système'], summary: 'Ce document', responses: responses('Document OpenAPI') }
+  },
+  '/api/docs': {
+    get: { tags: ['Système'], summary: 'Documentation interactive (Swagger UI)', responses: responses('Page HTML') }
+  },
+
+  // --- Catalogue public ---
+  '/api/activities': {
+    get: {
+      tags: ['Catalogue'],
+      summary: 'Activités filtrées, paginées, avec compteurs de facettes',
+      parameters: [
+        queryParam('category', ID_SCHEMA),
+        queryParam('continent', ID_SCHEMA),
+        queryParam('difficulty', { type: 'string', maxLength: 50 }, 'Niveau tel qu\'enregistré dans le catalogue (voir meta.facets.difficulties)'),
+        queryParam('budget_min', { type: 'number', minimum: 0 }, 'En euros, quelle que soit la devise de l\'activité'),
+        queryParam('budget_max', { type: 'number', minimum: 0 }, 'En euros, quelle que soit la devise de l\'activité'),
+        queryParam('duration_min', { type: 'number', minimum: 0 }),
+        queryParam('duration_max', { type: 'number', minimum: 0 }),
+        queryParam('min_rating', { type: 'number', minimum: 0, maximum: 5 }),
+        queryParam('season', { type: 'string', maxLength: 20 }, 'spring | summer | autumn | winter (ou équivalent français)'),
+        queryParam('featured', { enum: ['true', 'false', '1', '0'] }),
+        queryParam('sort', { enum: Object.keys(ACTIVITY_SORTS) }),
+        ...PAGINATION_PARAMS,
+        queryParam(
+          'ids',
+          { type: 'string', pattern: '^[\\w-]{1,64}(,[\\w-]{1,64})*$' },
+          `Activités demandées, dans l'ordre (${MAX_ACTIVITY_BATCH} au plus). Les autres paramètres sont alors ignorés`
+        )
+      ],
+      responses: responses('Page d\'activités (ou activités demandées et meta.missing avec ?ids=)', [400])
+    }
+  },
+  '/api/activities/batch': {
+    post: {
+      tags: ['Catalogue'],
+      summary: 'Activités demandées, dans l\'ordre, avec les ids introuvables ou mal formés dans meta.missing',
+      requestBody: jsonBody({
+        type: 'object',
+        additionalProperties: false,
+        required: ['ids'],
+        properties: {
+          ids: { type: 'array', minItems: 1, maxItems: MAX_ACTIVITY_BATCH, items: ID_SCHEMA }
+        }
+      }),
+      responses: responses('Activités demandées', [400])
+    }
+  },
+  '/api/activities/seasonal': {
+    get: {
+      tags: ['Catalogue'],
+      summary: 'Activités de saison pour un mois (et projets de l\'utilisateur connecté)',
+      security: [{}, ...AUTH],
+      parameters: [
+        queryParam('month', { type: 'integer', minimum: 1, maximum: 12 }),
+        queryParam('limit', { type: 'integer', minimum: 1 }),
+        queryParam('category', ID_SCHEMA),
+        queryParam('continent', ID_SCHEMA)
+      ],
+      responses: responses('Activités de saison', [400])
+    }
+  },
+  '/api/activities/trending': {
+    get: {
+      tags: ['Catalogue'],
+      summary: 'Activités tendance (ajouts et réalisations récents)',
+      parameters: [
+        queryParam('window', { enum: ['7d', '30d'] }),
+        queryParam('limit', { type: 'integer', minimum: 1 }),
+        queryParam('category', ID_SCHEMA),
+        queryParam('continent', ID_SCHEMA)
+      ],
+      responses: responses('Activités classées par dynamique', [400])
+    }
+  },
+  '/api/activities/by-slug/{slug}': {
+    get: {
+      tags: ['Catalogue'],
+      summary: 'Activité par slug (301 depuis un ancien slug)',
+      parameters: [pathParam('slug', { type: 'string', maxLength: 200 })],
+      responses: { ...responses('Activité', [400, 404]), 301: { description: 'Slug renommé' } }
+    }
+  },
+  '/api/activities/{id}': {
+    get: {
+      tags: ['Catalogue'],
+      summary: 'Activité par id',
+      parameters: [
+        pathParam('id'),
+        queryParam('include', { type: 'string', maxLength: 100 }, 'similar pour embarquer les activités similaires')
+      ],
+      responses: responses('Activité avec galerie', [404])
+    }
+  },
+  '/api/activities/{id}/similar': {
+    get: {
+      tags: ['Catalogue'],
+      summary: 'Activités similaires',
+      parameters: [pathParam('id'), queryParam('limit', { type: 'integer', minimum: 1 })],
+      responses: responses('Activités similaires', [404])
+    }
+  },
+  '/api/activities/{id}/reviews': {
+    get: {
+      tags: ['Catalogue'],
+      summary: 'Avis publics sur une activité',
+      parameters: [
+        pathParam('id'),
+        queryParam('sort', { enum: ['recent', 'rating_high', 'rating_low'] }),
+        queryParam('with_text', { enum: ['true', 'false'] }),
+        ...PAGINATION_PARAMS
+      ],
+      responses: responses('Avis paginés et distribution des notes', [400, 404])
+    }
+  },
+  '/api/categories': {
+    get: { tags: ['Catalogue'], summary: 'Catégories actives', responses: responses('Catégories') }
+  },
+  '/api/continents': {
+    get: { tags: ['Catalogue'], summary: 'Continents actifs', responses: responses('Continents') }
+  },
+  '/api/search': {
+    get: {
+      tags: ['Catalogue'],
+      summary: 'Recherche plein texte',
+      parameters: [
+        { name: 'q', in: 'query', required: true, schema: { type: 'string', minLength: 1, maxLength: 200 } },
+        queryParam('sort', { enum: ['relevance'] }),
+        ...PAGINATION_PARAMS
+      ],
+      responses: responses('Résultats classés par pertinence', [400])
+    }
+  },
+  '/api/stats': {
+    get: { tags: ['Catalogue'], summary: 'Statistiques globales du catalogue', responses: responses('Statistiques') }
+  },
+
+  // --- Authentification ---
+  '/api/auth/register': {
+    post: {
+      tags: ['Authentification'],
+      summary: 'Inscription',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['email', 'password', 'firstName', 'lastName'],
+        properties: {
+          email: { type: 'string', format: 'email', maxLength: 254 },
+          password: { type: 'string', minLength: 6, maxLength: 200 },
+          firstName: { type: 'string', minLength: 1, maxLength: 100 },
+          lastName: { type: 'string', minLength: 1, maxLength: 100 },
+          pseudo: { type: 'string', minLength: 1, maxLength: 50 }
+        }
+      }),
+      responses: responses('Compte créé', [400], 201)
+    }
+  },
+  '/api/auth/login': {
+    post: {
+      tags: ['Authentification'],
+      summary: 'Connexion',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['email', 'password'],
+        properties: {
+          email: { type: 'string', minLength: 1, maxLength: 254 },
+          password: { type: 'string', minLength: 1, maxLength: 200 }
+        }
+      }),
+      responses: responses('Session', [400, 401])
+    }
+  },
+  '/api/auth/me': {
+    get: { tags: ['Authentification'], summary: 'Utilisateur connecté', security: AUTH, responses: responses('Utilisateur', [401, 403]) }
+  },
+
+  // --- Bucket list ---
+  '/api/user/bucket-list': {
+    get: {
+      tags: ['Bucket list'],
+      summary: 'Bucket list de l\'utilisateur',
+      security: AUTH,
+      parameters: [
+        queryParam('status', { enum: BUCKET_LIST_STATUSES }),
+        queryParam('collection', ID_SCHEMA, 'Limite aux éléments d\'une collection'),
+        queryParam('sort', { enum: Object.keys(BUCKET_LIST_SORTS) }, 'newest (défaut) | rank : classement personnel | date : date cible | priority'),
+        ...PAGINATION_PARAMS,
+        ...DISPLAY_PARAMS
+      ],
+      responses: responses('Éléments de la bucket list', [400, 401, 403, 404])
+    }
+  },
+  '/api/user/bucket-list/export': {
+    get: {
+      tags: ['Bucket list'],
+      summary: 'Exporte la bucket list (fichier CSV, JSON ou iCalendar)',
+      description: 'iCalendar : un événement par élément réalisé ou à date prévue, une tâche par élément à date cible.',
+      security: AUTH,
+      parameters: [
+        queryParam('format', { enum: ['csv', 'json', 'ics'] }, 'csv par défaut'),
+        queryParam('status', { enum: BUCKET_LIST_STATUSES }),
+        queryParam('collection', ID_SCHEMA, 'Limite aux éléments d\'une collection')
+      ],
+      responses: responses('Fichier en pièce jointe', [400, 401, 403, 404])
+    }
+  },
+  '/api/user/bucket-list/add': {
+    post: {
+      tags: ['Bucket list'],
+      summary: 'Ajoute une activité du catalogue ou une activité personnelle',
+      description: 'Une seule source : activityId, customActivityId ou customActivity. Le nouvel élément prend la dernière position du classement.',
+      security: AUTH,
+      requestBody: jsonBody({
+        type: 'object',
+        properties: {
+          activityId: { type: ['string', 'integer'], pattern: '^[\\w-]{1,64}$' },
+          customActivityId: ID_SCHEMA,
+          customActivity: writeSchema(CUSTOM_ACTIVITY_SCHEMA),
+          ...BUCKET_ITEM_FIELDS
+        }
+      }),
+      responses: responses('Élément ajouté', [400, 401, 403, 404, 409], 201)
+    }
+  },
+  '/api/user/bucket-list/bulk': {
+    post: {
+      tags: ['Bucket list'],
+      summary: 'Action groupée : ajout, statut, priorité ou suppression de plusieurs éléments',
+      description: 'add : activityIds (+ priority, notes, target_date). status : ids, status (+ status_note). '
+        + 'priority : ids, priority. delete : ids. Chaque élément a son résultat (200/201, 400 si id mal formé, 404, 409).',
+      security: AUTH,
+      requestBody: jsonBody({
+        type: 'object',
+        additionalProperties: false,
+        required: ['action'],
+        properties: {
+          action: { enum: ['add', 'status', 'priority', 'delete'] },
+          ids: { type: 'array', minItems: 1, maxItems: MAX_BULK_ITEMS, items: ID_SCHEMA },
+          activityIds: {
+            type: 'array',
+            minItems: 1,
+            maxItems: MAX_BULK_ITEMS,
+            items: { type: ['string', 'integer'], pattern: '^[\\w-]{1,64}$' }
+          },
+          status: { enum: BUCKET_LIST_STATUSES },
+          status_note: nullable({ type: 'string', maxLength: 500 }),
+          priority: { enum: BUCKET_LIST_PRIORITIES },
+          notes: nullable({ type: 'string', maxLength: 5000 }),
+          target_date: nullable(DATE_SCHEMA)
+        }
+      }),
+      responses: responses('Résultat par élément', [400, 401, 403])
+    }
+  },
+  '/api/user/bucket-list/import': {
+    post: {
+      tags: ['Bucket list'],
+      summary: 'Importe des éléments depuis un fichier CSV ou JSON (1MB, 500 lignes max)',
+      description: 'Chaque ligne (title/titre, location/lieu, activity_id, status, priority, notes, target_date...) est rapprochée '
+        + 'du catalogue par son titre et son lieu. Sans correspondance : activité personnelle (unmatched=custom) '
+        + 'ou ligne signalée (unmatched=report). Les fichiers de l\'export se réimportent tels quels. '
+        + 'Chaque ligne a son résultat (200/201, 400, 404, 409).',
+      security: AUTH,
+      parameters: [
+        queryParam('format', { enum: ['csv', 'json'] }, 'Déduit de l\'extension ou du type du fichier par défaut'),
+        queryParam('dry_run', { enum: ['true', 'false'] }, 'true : aperçu du rapprochement, rien n\'est enregistré'),
+        queryParam('unmatched', { enum: ['custom', 'report'] }, 'custom par défaut')
+      ],
+      requestBody: multipartBody('file'),
+      responses: responses('Résultat par ligne', [400, 401, 403])
+    }
+  },
+  '/api/user/bucket-list/order': {
+    put: {
+      tags: ['Bucket list'],
+      summary: 'Classement personnel des éléments',
+      description: 'Ids dans le nouvel ordre. Une liste partielle réordonne ces éléments sur les positions qu\'ils occupaient.',
+      security: AUTH,
+      requestBody: jsonBody({
+        type: 'object',
+        additionalProperties: false,
+        required: ['ids'],
+        properties: {
+          ids: { type: 'array', minItems: 1, maxItems: 1000, uniqueItems: true, items: ID_SCHEMA }
+        }
+      }),
+      responses: responses('Nouvelles positions', [400, 401, 403, 404])
+    }
+  },
+  '/api/user/bucket-list/{id}/status': {
+    put: {
+      tags: ['Bucket list'],
+      summary: 'Change le statut (note et avis à la réalisation)',
+      description: 'Mêmes règles que PATCH /{id} : note, avis et date de réalisation exigent le statut completed (400) ; '
+        + 'une date de réalisation existante est conservée.',
+      security: AUTH,
+      parameters: [pathParam('id')],
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['status'],
+        properties: {
+          status: { enum: BUCKET_LIST_STATUSES },
+          notes: nullable({ type: 'string', maxLength: 5000 }),
+          completed_date: nullable(DATE_SCHEMA),
+          status_note: nullable({ type: 'string', maxLength: 500 }),
+          ...REVIEW_FIELDS
+        }
+      }),
+      responses: responses('Élément mis à jour', [400, 401, 403, 404])
+    }
+  },
+  '/api/user/bucket-list/{id}': {
+    patch: {
+      tags: ['Bucket list'],
+      summary: 'Modifie un élément (notes, priorité, dates, budget, coût réel, statut, note et avis)',
+      description: 'Mêmes règles de statut que PUT /status ; la note et l\'avis exigent le statut completed.',
+      security: AUTH,
+      parameters: [pathParam('id')],
+      requestBody: jsonBody(writeSchema(BUCKET_ITEM_SCHEMA, { partial: true })),
+      responses: responses('Élément mis à jour', [400, 401, 403, 404])
+    },
+    delete: {
+      tags: ['Bucket list'],
+      summary: 'Retire un élément',
+      security: AUTH,
+      parameters: [pathParam('id')],
+      responses: responses('Élément supprimé', [401, 403, 404])
+    }
+  },
+  '/api/user/bucket-list/{id}/history': {
+    get: {
+      tags: ['Bucket list'],
+      summary: 'Historique des changements de statut (avec leur note)',
+      security: AUTH,
+      parameters: [pathParam('id')],
+      responses: responses('Chronologie de l\'élément', [401, 403, 404])
+    }
+  },
+  '/api/user/stats': {
+    get: {
+      tags: ['Bucket list'],
+      summary: 'Statistiques de la bucket list',
+      security: AUTH,
+      parameters: [queryParam('collection', ID_SCHEMA, 'Limite aux éléments d\'une collection')],
+      responses: responses('Statistiques', [401, 403, 404])
+    }
+  },
+  '/api/user/recommendations': {
+    get: {
+      tags: ['Bucket list'],
+      summary: 'Recommandations personnalisées',
+      security: AUTH,
+      parameters: [queryParam('limit', { type: 'integer', minimum: 1 })],
+      responses: responses('Activités recommandées', [401, 403])
+    }
+  },
+
+  // --- Partage ---
+  '/api/user/bucket-list/share/preview': {
+    get: { tags: ['Partage'], summary: 'Prévisualisation d\'image de partage (données de test)', responses: responses('Image de test') }
+  },
+  '/api/user/bucket-list/share/{type}': {
+    get: {
+      tags: ['Partage'],
+      summary: 'Image de partage de la bucket list',
+      security: AUTH,
+      parameters: [pathParam('type', { enum: SHARE_TYPES })],
+      responses: responses('URL(s) d\'image', [400, 401, 403])
+    }
+  },
+  '/api/user/bucket-list/share/download': {
+    post: {
+      tags: ['Partage'],
+      summary: 'Téléchargement d\'une image de partage',
+      security: AUTH,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['imageUrl'],
+        properties: {
+          imageUrl: { type: 'string', minLength: 1, maxLength: 2000 },
+          format: { type: 'string', maxLength: 20 }
+        }
+      }),
+      responses: responses('URL de téléchargement', [400, 401, 403])
+    }
+  },
+  '/api/user/bucket-list/share/create': {
+    post: {
+      tags: ['Partage'],
+      summary: 'Crée un lien de partage public',
+      security: AUTH,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['platform', 'imageUrl', 'stats'],
+        properties: {
+          platform: { enum: SHARE_PLATFORMS },
+          imageUrl: { type: 'string', pattern: '^https://res\\.cloudinary\\.com/', maxLength: 2000 },
+          stats: { type: 'object' }
+        }
+      }),
+      responses: responses('Lien créé', [400, 401, 403], 201)
+    }
+  },
+  '/api/user/bucket-list/share/analytics': {
+    get: { tags: ['Partage'], summary: 'Statistiques des liens de partage', security: AUTH, responses: responses('Statistiques', [401, 403]) }
+  },
+  '/share/{token}': {
+    get: {
+      tags: ['Partage'],
+      summary: 'Page publique d\'un lien de partage (Open Graph)',
+      parameters: [pathParam('token', { type: 'string', pattern: '^[A-Za-z0-9]{1,64}$' })],
+      responses: { 200: { description: 'Page HTML' }, 404: { description: 'Lien inconnu ou expiré' } }
+    }
+  },
+
+  // --- Profil ---
+  '/api/user/profile': {
+    get: { tags: ['Profil'], summary: 'Profil de l\'utilisateur', security: AUTH, responses: responses('Profil', [401, 403]) },
+    put: {
+      tags: ['Profil'],
+      summary: 'Met à jour le profil',
+      security: AUTH,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['firstName', 'lastName', 'email'],
+        properties: {
+          firstName: { type: 'string', minLength: 1, maxLength: 100 },
+          lastName: { type: 'string', minLength: 1, maxLength: 100 },
+          email: { type: 'string', format: 'email', maxLength: 254 },
+          preferredCurrency: CURRENCY_SCHEMA,
+          locale: nullable({ type: 'string', maxLength: 10 })
+        }
+      }),
+      responses: responses('Profil mis à jour', [400, 401, 403, 409])
+    }
+  },
+  '/api/user/avatar': {
+    post: {
+      tags: ['Profil'],
+      summary: 'Envoie un avatar (2MB max)',
+      security: AUTH,
+      requestBody: multipartBody('avatar'),
+      responses: responses('Avatar mis à jour', [400, 401, 403])
+    },
+    delete: { tags: ['Profil'], summary: 'Supprime l\'avatar', security: AUTH, responses: responses('Avatar supprimé', [401, 403]) }
+  },
+
+  // --- Activités personnelles ---
+  '/api/user/custom-activities': {
+    get: { tags: ['Activités personnelles'], summary: 'Activités personnelles', security: AUTH, responses: responses('Activités', [401, 403]) },
+    post: {
+      tags: ['Activités personnelles'],
+      summary: 'Crée une activité personnelle',
+      security: AUTH,
+      requestBody: jsonBody(writeSchema(CUSTOM_ACTIVITY_SCHEMA)),
+      responses: responses('Activité créée', [400, 401, 403], 201)
+    }
+  },
+  '/api/user/custom-activities/{id}': {
+    get: {
+      tags: ['Activités personnelles'],
+      summary: 'Activité personnelle',
+      security: AUTH,
+      parameters: [pathParam('id')],
+      responses: responses('Activité', [401, 403, 404])
+    },
+    put: {
+      tags: ['Activités personnelles'],
+      summary: 'Remplace une activité personnelle',
+      security: AUTH,
+      parameters: [pathParam('id')],
+      requestBody: jsonBody(writeSchema(CUSTOM_ACTIVITY_SCHEMA)),
+      responses: responses('Activité mise à jour', [400, 401, 403, 404])
+    },
+    patch: {
+      tags: ['Activités personnelles'],
+      summary: 'Modifie une activité personnelle',
+      security: AUTH,
+      parameters: [pathParam('id')],
+      requestBody: jsonBody(writeSchema(CUSTOM_ACTIVITY_SCHEMA, { partial: true })),
+      responses: responses('Activité mise à jour', [400, 401, 403, 404])
+    },
+    delete: {
+      tags: ['Activités personnelles'],
+      summary: 'Supprime une activité personnelle (et l\'élément de bucket list)',
+      security: AUTH,
+      parameters: [pathParam('id')],
+      responses: responses('Activité supprimée', [401, 403, 404])
+    }
+  },
+  '/api/user/custom-activities/{id}/image': {
+    post: {
+      tags: ['Activités personnelles'],
+      summary: 'Envoie l\'image (5MB max)',
+      security: AUTH,
+      parameters: [pathParam('id')],
+      requestBody: multipartBody('image'),
+      responses: responses('Image mise à jour', [400, 401, 403, 404])
+    },
+    delete: {
+      tags: ['Activités personnelles'],
+      summary: 'Supprime l\'image',
+      security: AUTH,
+      parameters: [pathParam('id')],
+      responses: responses('Image supprimée', [401, 403, 404])
+    }
+  },
+
+  // --- Collections ---
+  '/api/user/collections': {
+    get: { tags: ['Collections'], summary: 'Collections de l\'utilisateur', security: AUTH, responses: responses('Collections', [401, 403]) },
+    post: {
+      tags: ['Collections'],
+      summary: 'Crée une collection',
+      security: AUTH,
+      requestBody: jsonBody(writeSchema(COLLECTION_SCHEMA)),
+      responses: responses('Collection créée', [400, 401, 403, 409], 201)
+    }
+  },
+  '/api/user/collections/{id}': {
+    get: {
+      tags: ['Collections'],
+      summary: 'Collection et ids de ses éléments',
+      security: AUTH,
+      parameters: [pathParam('id')],
+      responses: responses('Collection', [401, 403, 404])
+    },
+    put: {
+      tags: ['Collections'],
+      summary: 'Remplace une collection',
+      security: AUTH,
+      parameters: [pathParam('id')],
+      requestBody: jsonBody(writeSchema(COLLECTION_SCHEMA)),
+      responses: responses('Collection mise à jour', [400, 401, 403, 404, 409])
+    },
+    patch: {
+      tags: ['Collections'],
+      summary: 'Modifie une collection',
+      security: AUTH,
+      parameters: [pathParam('id')],
+      requestBody: jsonBody(writeSchema(COLLECTION_SCHEMA, { partial: true })),
+      responses: responses('Collection mise à jour', [400, 401, 403, 404, 409])
+    },
+    delete: {
+      tags: ['Collections'],
+      summary: 'Supprime une collection (ses éléments restent dans la bucket list)',
+      security: AUTH,
+      parameters: [pathParam('id')],
+      responses: responses('Collection supprimée', [401, 403, 404])
+    }
+  },
+  '/api/user/collections/{id}/items': {
+    post: {
+      tags: ['Collections'],
+      summary: 'Ajoute des éléments de la bucket list à la collection',
+      security: AUTH,
+      parameters: [pathParam('id')],
+      requestBody: jsonBody({
+        type: 'object',
+        additionalProperties: false,
+        required: ['ids'],
+        properties: {
+          ids: { type: 'array', minItems: 1, maxItems: MAX_BULK_ITEMS, items: ID_SCHEMA }
+        }
+      }),
+      responses: responses('Collection mise à jour', [400, 401, 403, 404])
+    }
+  },
+  '/api/user/collections/{id}/items/{itemId}': {
+    delete: {
+      tags: ['Collections'],
+      summary: 'Retire un élément de la collection',
+      security: AUTH,
+      parameters: [pathParam('id'), pathParam('itemId')],
+      responses: responses('Élément retiré', [401, 403, 404])
+    }
+  },
+  '/api/user/collections/{id}/cover': {
+    post: {
+      tags: ['Collections'],
+      summary: 'Envoie l\'image de couverture (5MB max)',
+      security: AUTH,
+      parameters: [pathParam('id')],
+      requestBody: multipartBody('cover'),
+      responses: responses('Couverture mise à jour', [400, 401, 403, 404])
+    },
+    delete: {
+      tags: ['Collections'],
+      summary: 'Supprime l\'image de couverture',
+      security: AUTH,
+      parameters: [pathParam('id')],
+      responses: responses('Couverture supprimée', [401, 403, 404])
+    }
+  }
+};
+
+// --- Administration du catalogue (éditeurs) ---
+['activities', 'categories', 'continents'].forEach(table => {
+  const tags = ['Administration'];
+  const languageParam = pathParam('lang', { enum: SUPPORTED_LANGUAGES.filter(lang => lang !== 'fr') });
+
+  paths[`/api/admin/${table}`] = {
+    get: {
+      tags,
+      summary: `Liste complète (${table})`,
+      security: AUTH,
+      parameters: [queryParam('is_active', { enum: ['true', 'false'] })],
+      responses: responses('Lignes', [401, 403])
+    },
+    post: {
+      tags,
+      summary: `Création (${table})`,
+      security: AUTH,
+      requestBody: jsonBody(writeSchema(CATALOG_SCHEMAS[table])),
+      responses: responses('Ligne créée', [400, 401, 403, 409], 201)
+    }
+  };
+
+  paths[`/api/admin/${table}/{id}`] = {
+    put: {
+      tags,
+      summary: `Remplacement (${table})`,
+      security: AUTH,
+      parameters: [pathParam('id')],
+      requestBody: jsonBody(writeSchema(CATALOG_SCHEMAS[table])),
+      responses: responses('Ligne mise à jour', [400, 401, 403, 404, 409])
+    },
+    patch: {
+      tags,
+      summary: `Mise à jour partielle (${table})`,
+      security: AUTH,
+      parameters: [pathParam('id')],
+      requestBody: jsonBody(writeSchema(CATALOG_SCHEMAS[table], { partial: true })),
+      responses: responses('Ligne mise à jour', [400, 401, 403, 404, 409])
+    },
+    delete: {
+      tags,
+      summary: `Désactivation (${table})`,
+      security: AUTH,
+      parameters: [pathParam('id')],
+      responses: responses('Ligne désactivée', [401, 403, 404])
+    }
+  };
+
+  paths[`/api/admin/${table}/{id}/translations`] = {
+    get: {
+      tags,
+      summary: `Traductions (${table})`,
+      security: AUTH,
+      parameters: [pathParam('id')],
+      responses: responses('Traductions', [401, 403, 404])
+    }
+  };
+
+  paths[`/api/admin/${table}/{id}/translations/{lang}`] = {
+    put: {
+      tags,
+      summary: `Crée ou remplace une traduction (${table})`,
+      security: AUTH,
+      parameters: [pathParam('id'), languageParam],
+      requestBody: jsonBody(translationSchema(table)),
+      responses: responses('Traduction enregistrée', [400, 401, 403, 404])
+    },
+    delete: {
+      tags,
+      summary: `Supprime une traduction (${table})`,
+      security: AUTH,
+      parameters: [pathParam('id'), languageParam],
+      responses: responses('Traduction supprimée', [401, 403, 404])
+    }
+  };
+});
+
+Object.assign(paths, {
+  '/api/admin/activities/{id}/featured': {
+    patch: {
+      tags: ['Administration'],
+      summary: 'Mise en avant (inverse l\'état sans is_featured)',
+      security: AUTH,
+      parameters: [pathParam('id')],
+      requestBody: jsonBody({
+        type: 'object',
+        additionalProperties: false,
+        properties: { is_featured: { type: 'boolean' } }
+      }, { required: false }),
+      responses: responses('Activité mise à jour', [400, 401, 403, 404])
+    }
+  },
+  '/api/admin/activities/{id}/images': {
+    get: {
+      tags: ['Administration'],
+      summary: 'Galerie d\'images',
+      security: AUTH,
+      parameters: [pathParam('id')],
+      responses: responses('Galerie', [401, 403, 404])
+    },
+    post: {
+      tags: ['Administration'],
+      summary: 'Envoie des images (10 fichiers, 10MB chacun)',
+      security: AUTH,
+      parameters: [pathParam('id')],
+      requestBody: multipartBody('images', { multiple: true }),
+      responses: responses('Images ajoutées', [400, 401, 403, 404], 201)
+    }
+  },
+  '/api/admin/activities/{id}/images/order': {
+    put: {
+      tags: ['Administration'],
+      summary: 'Ordre de la galerie',
+      security: AUTH,
+      parameters: [pathParam('id')],
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['ids'],
+        properties: { ids: { type: 'array', minItems: 1, items: { type: ['string', 'integer'] } } }
+      }),
+      responses: responses('Galerie réordonnée', [400, 401, 403, 404])
+    }
+  },
+  '/api/admin/images/{imageId}': {
+    patch: {
+      tags: ['Administration'],
+      summary: 'Légende et texte alternatif',
+      security: AUTH,
+      parameters: [pathParam('imageId')],
+      requestBody: jsonBody({
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          caption: nullable({ type: 'string', maxLength: 300 }),
+          alt_text: nullable({ type: 'string', maxLength: 300 })
+        }
+      }),
+      responses: responses('Image mise à jour', [400, 401, 403, 404])
+    },
+    delete: {
+      tags: ['Administration'],
+      summary: 'Supprime une image',
+      security: AUTH,
+      parameters: [pathParam('imageId')],
+      responses: responses('Galerie restante', [401, 403, 404])
+    }
+  },
+  '/api/admin/images/{imageId}/hero': {
+    post: {
+      tags: ['Administration'],
+      summary: 'Image principale',
+      security: AUTH,
+      parameters: [pathParam('imageId')],
+      responses: responses('Galerie', [401, 403, 404])
+    }
+  },
+  '/api/admin/currency-rates': {
+    get: { tags: ['Administration'], summary: 'Taux de change', security: AUTH, responses: responses('Taux', [401, 403]) },
+    put: {
+      tags: ['Administration'],
+      summary: 'Met à jour des taux (administrateurs)',
+      security: AUTH,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['rates'],
+        properties: {
+          rates: {
+            type: 'object',
+            minProperties: 1,
+            additionalProperties: { type: 'number', exclusiveMinimum: 0 }
+          }
+        }
+      }),
+      responses: responses('Taux enregistrés', [400, 401, 403])
+    }
+  },
+  '/api/admin/currency-rates/{currency}': {
+    delete: {
+      tags: ['Administration'],
+      summary: 'Supprime un taux (administrateurs)',
+      security: AUTH,
+      parameters: [pathParam('currency', CURRENCY_SCHEMA)],
+      responses: responses('Taux supprimé', [400, 401, 403, 404])
+    }
+  },
+  '/api/admin/audit-log': {
+    get: {
+      tags: ['Administration'],
+      summary: 'Journal des modifications',
+      security: AUTH,
+      parameters: [
+        queryParam('table', { enum: ['activities', 'categories', 'continents', 'currency_rates'] }),
+        queryParam('record_id', { type: 'string', maxLength: 64 }),
+        queryParam('changed_by', { type: 'string', maxLength: 64 }),
+        queryParam('limit', { type: 'integer', minimum: 1 })
+      ],
+      responses: responses('Entrées du journal', [400, 401, 403])
+    }
+  }
+});
+
+// Paramètres communs à toutes les opérations : langue de la réponse
+const LANGUAGE_PARAM = queryParam('lang', { type: 'string', maxLength: 10 }, `Langue de la réponse (${SUPPORTED_LANGUAGES.join(', ')})`);
+
+Object.values(paths).forEach(operations => {
+  Object.values(operations).forEach(operation => {
+    operation.parameters = [...(operation.parameters || []), LANGUAGE_PARAM];
+  });
+});
+
+const openapiDocument = {
+  openapi: '3.1.0',
+  info: {
+    title: 'Ma Bucket Liste API',
+    version: require('../package.json').version,
+    description: 'Catalogue d\'activités, bucket lists, partage social et administration du catalogue.'
+  },
+  servers: [{ url: '/' }],
+  components,
+  paths
+};
+
+module.exports = {
+  openapiDocument,
+  MAX_ACTIVITY_BATCH
+};
@@ -0,0 +1,243 @@
+/**
+ * @fileoverview Pagination par curseur (keyset) pour les listes de l'API
+ * @module utils/pagination
+ *
+ * Les curseurs sont opaques pour le client : ils encodent en base64url la
+ * valeur de la colonne de tri et l'id de la dernière (ou première) ligne vue.
+ * Contrairement à offset/limit, une page ne se décale pas quand des lignes
+ * sont insérées entre deux appels.
+ *
+ * readPages sert aux lectures internes qui ont besoin de toutes les lignes :
+ * PostgREST plafonne chaque réponse (1000 lignes par défaut).
+ */
+
+const { getTranslator } = require('./i18n');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Taille des pages de readPages : le plafond par défaut de PostgREST (db-max-rows)
+const READ_PAGE_SIZE = 1000;
+
+/**
+ * Valeurs autorisées dans un curseur : elles sont réinjectées dans un filtre
+ * PostgREST, on refuse donc tout caractère de structure (virgule, parenthèse, guillemet)
+ */
+const SAFE_CURSOR_VALUE = /^[\w:.+\- ]{1,64}$/;
+
+/**
+ * Encode un curseur opaque
+ *
+ * @param {Object} payload - { s: clé de tri, v: valeur de tri, id, d: 'next' | 'prev' }
+ * @returns {string} Curseur base64url
+ */
+function encodeCursor(payload) {
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Décode et valide un curseur reçu du client
+ *
+ * @param {string} cursor - Curseur base64url
+ * @returns {Object|null} Payload du curseur, ou null s'il est invalide
+ */
+function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+
+    if (!payload || typeof payload !== 'object') return null;
+    if (!['next', 'prev'].includes(payload.d)) return null;
+    if (!SAFE_CURSOR_VALUE.test(String(payload.id))) return null;
+    if (payload.v !== null && !['number', 'string'].includes(typeof payload.v)) return null;
+    if (typeof payload.v === 'string' && !SAFE_CURSOR_VALUE.test(payload.v)) return null;
+
+    return payload;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Lit les paramètres de pagination (sort, limit, cursor) depuis la query string
+ *
+ * @param {Object} query - req.query
+ * @param {Object} options
+ * @param {Object} options.sorts - Tris disponibles : clé -> { column, ascending }
+ * @param {string} options.defaultSort - Clé de tri par défaut
+ * @param {number} [options.defaultLimit=20] - Taille de page par défaut
+ * @param {number} [options.maxLimit=100] - Taille de page maximale
+ * @param {Function} [options.t] - Fonction de traduction des messages (req.t), français par défaut
+ * @returns {{ pagination: Object, errors: string[] }}
+ *
+ * @example
+ * const { pagination, errors } = parsePagination(req.query, {
+ *   sorts: ACTIVITY_SORTS,
+ *   defaultSort: 'newest'
+ * });
+ */
+function parsePagination(query, {
+  sorts,
+  defaultSort,
+  defaultLimit = DEFAULT_PAGE_SIZE,
+  maxLimit = MAX_PAGE_SIZE,
+  t = getTranslator()
+}) {
+  const errors = [];
+  const sortKey = query.sort ? String(query.sort) : defaultSort;
+
+  if (!sorts[sortKey]) {
+    errors.push(t('validation.invalidChoice', { name: 'sort', values: Object.keys(sorts).join(', ') }));
+  }
+
+  let limit = defaultLimit;
+  if (query.limit !== undefined && query.limit !== '') {
+    limit = parseInt(query.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1) {
+      errors.push(t('validation.positiveInteger', { name: 'limit' }));
+    }
+    limit = Math.min(limit, maxLimit);
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      errors.push(t('validation.invalid', { name: 'cursor' }));
+    } else if (cursor.s !== sortKey) {
+      errors.push(t('validation.cursorSortMismatch'));
+    }
+  }
+
+  return {
+    pagination: {
+      sortKey,
+      sort: sorts[sortKey],
+      limit,
+      cursor
+    },
+    errors
+  };
+}
+
+/**
+ * Formate une valeur pour un filtre PostgREST `.or()`
+ */
+function filterValue(value) {
+  return typeof value === 'number' ? String(value) : `"${value}"`;
+}
+
+/**
+ * Applique le tri et la condition de curseur à une requête Supabase.
+ * Une ligne de plus que la taille de page est demandée pour savoir s'il reste
+ * des résultats. Les valeurs nulles sont toujours placées en fin de liste.
+ *
+ * @param {Object} query - Requête Supabase en cours de construction
+ * @param {Object} pagination - Retour de parsePagination
+ * @param {Object} [options]
+ * @param {string} [options.idColumn='id'] - Colonne servant à départager les égalités
+ * @returns {Object} Requête Supabase triée et limitée
+ */
+function applyCursor(query, { sort, limit, cursor }, { idColumn = 'id' } = {}) {
+  const { column, ascending } = sort;
+  const backwards = cursor?.d === 'prev';
+  const orderAscending = backwards ? !ascending : ascending;
+
+  if (cursor) {
+    const op = orderAscending ? 'gt' : 'lt';
+    const id = filterValue(cursor.id);
+
+    if (cursor.v === null) {
+      const nullTail = `and(${column}.is.null,${idColumn}.${op}.${id})`;
+      query = query.or(backwards ? `${column}.not.is.null,${nullTail}` : nullTail);
+    } else {
+      const value = filterValue(cursor.v);
+      const conditions = [
+        `${column}.${op}.${value}`,
+        `and(${column}.eq.${value},${idColumn}.${op}.${id})`
+      ];
+      if (!backwards) conditions.push(`${column}.is.null`);
+      query = query.or(conditions.join(','));
+    }
+  }
+
+  return query
+    .order(column, { ascending: orderAscending, nullsFirst: backwards })
+    .order(idColumn, { ascending: orderAscending })
+    .limit(limit + 1);
+}
+
+/**
+ * Construit la page finale et les curseurs next/prev à partir des lignes récupérées
+ *
+ * @param {Object[]} rows - Lignes retournées par la requête (limit + 1 au plus)
+ * @param {Object} pagination - Retour de parsePagination
+ * @param {Object} [options]
+ * @param {string} [options.idColumn='id'] - Colonne d'identifiant des lignes
+ * @returns {{ rows: Object[], meta: Object }} Lignes de la page (dans l'ordre du tri) et métadonnées
+ */
+function buildPage(rows, { sortKey, sort, limit, cursor }, { idColumn = 'id' } = {}) {
+  const backwards = cursor?.d === 'prev';
+  const hasMore = rows.length > limit;
+
+  let pageRows = rows.slice(0, limit);
+  if (backwards) pageRows = pageRows.reverse();
+
+  const cursorFor = (row, direction) => encodeCursor({
+    s: sortKey,
+    v: row[sort.column] ?? null,
+    id: row[idColumn],
+    d: direction
+  });
+
+  const first = pageRows[0];
+  const last = pageRows[pageRows.length - 1];
+
+  const hasNext = backwards ? true : hasMore;
+  const hasPrev = backwards ? hasMore : !!cursor;
+
+  return {
+    rows: pageRows,
+    meta: {
+      count: pageRows.length,
+      limit,
+      sort: sortKey,
+      next_cursor: hasNext && last ? cursorFor(last, 'next') : null,
+      prev_cursor: hasPrev && first ? cursorFor(first, 'prev') : null
+    }
+  };
+}
+
+/**
+ * Lit une requête Supabase page par page, jusqu'à une page incomplète
+ *
+ * @param {Function} buildQuery - Construit la requête, triée sur une colonne unique en dernier
+ *   (appelée pour chaque page : un builder Supabase ne se relance pas)
+ * @param {Object} [options]
+ * @param {number} [options.pageSize=1000]
+ * @yields {Object[]} Lignes de chaque page
+ *
+ * @example
+ * for await (const rows of readPages(() => supabase.from('activities').select('id').order('id'))) {
+ *   index.push(...rows);
+ * }
+ */
+async function* readPages(buildQuery, { pageSize = READ_PAGE_SIZE } = {}) {
+  for (let from = 0; ; from += pageSize) {
+    const { data, error } = await buildQuery().range(from, from + pageSize - 1);
+
+    if (error) throw error;
+    if (data.length > 0) yield data;
+    if (data.length < pageSize) return;
+  }
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  parsePagination,
+  applyCursor,
+  buildPage,
+  readPages
+};
@@ -0,0 +1,232 @@
+/**
+ * @fileoverview Recommandations d'activités personnalisées
+ * @module utils/recommendations
+ *
+ * Le score d'une activité candidate combine :
+ * - l'affinité avec les catégories et continents déjà présents dans la bucket list
+ * - les niveaux de difficulté que l'utilisateur a déjà réalisés
+ * - l'adéquation avec son budget habituel (montants comparés en euros)
+ * - la popularité de l'activité (popularity_score)
+ */
+
+const { getTranslator } = require('./i18n');
+
+/**
+ * Poids maximum de chaque critère (total = 100)
+ */
+const WEIGHTS = {
+  category: 35,
+  continent: 20,
+  difficulty: 15,
+  budget: 15,
+  popularity: 15
+};
+
+/**
+ * Médiane d'une liste de nombres
+ *
+ * @param {number[]} values
+ * @returns {number|null} Médiane, ou null si la liste est vide
+ */
+function median(values) {
+  if (values.length === 0) return null;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Incrémente un compteur { key -> { name, total, completed } }
+ */
+function countInto(counters, key, name, isCompleted) {
+  if (key === null || key === undefined) return;
+
+  if (!counters.has(key)) counters.set(key, { name, total: 0, completed: 0 });
+  const counter = counters.get(key);
+  counter.total += 1;
+  if (isCompleted) counter.completed += 1;
+}
+
+/**
+ * Construit le profil de goûts d'un utilisateur à partir de sa bucket list
+ *
+ * @param {Object[]} items - Lignes user_bucket_lists avec `status`, `personal_budget_eur`
+ *   (budget personnel converti en euros) et `activity` (category_id, continent_id,
+ *   difficulty_level, estimated_budget_min_eur/max_eur, categories, continents)
+ * @returns {Object} Profil : compteurs par catégorie/continent, difficultés réalisées, budget habituel
+ */
+function buildUserProfile(items) {
+  const categories = new Map();
+  const continents = new Map();
+  const completedDifficulties = new Map();
+  const budgets = [];
+
+  items.forEach(item => {
+    const activity = item.activity;
+    if (!activity) return;
+
+    const isCompleted = item.status === 'completed';
+
+    countInto(categories, activity.category_id, activity.categories?.name, isCompleted);
+    countInto(continents, activity.continent_id, activity.continents?.name, isCompleted);
+
+    if (isCompleted && activity.difficulty_level) {
+      completedDifficulties.set(
+        activity.difficulty_level,
+        (completedDifficulties.get(activity.difficulty_level) || 0) + 1
+      );
+    }
+
+    const budget = item.personal_budget_eur ?? activity.estimated_budget_max_eur ?? activity.estimated_budget_min_eur;
+    if (budget !== null && budget !== undefined) budgets.push(Number(budget));
+  });
+
+  return {
+    itemCount: items.length,
+    categories,
+    continents,
+    completedDifficulties,
+    typicalBudget: median(budgets)
+  };
+}
+
+/**
+ * Explication lisible d'une affinité catégorie / continent
+ *
+ * @param {Object} counter - Compteur { total, completed }
+ * @param {string} type - category | continent
+ * @param {string} name - Nom de la catégorie ou du continent
+ * @param {Function} t - Fonction de traduction
+ */
+function affinityReason(counter, type, name, t) {
+  if (counter.completed > 0) {
+    return t(`recommendations.${type}Completed`, { count: counter.completed, name });
+  }
+  return t(`recommendations.${type}Planned`, { count: counter.total, name });
+}
+
+/**
+ * Calcule le score et les explications d'une activité candidate
+ *
+ * @param {Object} activity - Activité du catalogue (avec categories et continents embarqués)
+ * @param {Object} profile - Retour de buildUserProfile
+ * @param {number} maxPopularity - popularity_score maximum parmi les candidates
+ * @param {Function} t - Fonction de traduction des explications
+ * @returns {{ score: number, reasons: Object[] }}
+ */
+function scoreActivity(activity, profile, maxPopularity, t) {
+  const reasons = [];
+  let score = 0;
+
+  const category = profile.categories.get(activity.category_id);
+  if (category) {
+    // Une activité réalisée compte double dans l'affinité
+    const points = WEIGHTS.category * Math.min(1, (category.total + category.completed) / profile.itemCount);
+    score += points;
+    reasons.push({
+      type: 'category',
+      weight: points,
+      message: affinityReason(category, 'category', category.name || activity.categories?.name, t)
+    });
+  }
+
+  const continent = profile.continents.get(activity.continent_id);
+  if (continent) {
+    const points = WEIGHTS.continent * Math.min(1, (continent.total + continent.completed) / profile.itemCount);
+    score += points;
+    reasons.push({
+      type: 'continent',
+      weight: points,
+      message: affinityReason(continent, 'continent', continent.name || activity.continents?.name, t)
+    });
+  }
+
+  const completedAtLevel = profile.completedDifficulties.get(activity.difficulty_level);
+  if (completedAtLevel) {
+    score += WEIGHTS.difficulty;
+    reasons.push({
+      type: 'difficulty',
+      weight: WEIGHTS.difficulty,
+      message: t('recommendations.difficulty', { level: activity.difficulty_level, count: completedAtLevel })
+    });
+  }
+
+  if (profile.typicalBudget !== null && activity.estimated_budget_min_eur !== null && activity.estimated_budget_min_eur !== undefined) {
+    const minBudget = Number(activity.estimated_budget_min_eur);
+    if (minBudget <= profile.typicalBudget) {
+      score += WEIGHTS.budget;
+      reasons.push({
+        type: 'budget',
+        weight: WEIGHTS.budget,
+        message: t('recommendations.budget', { amount: Math.round(profile.typicalBudget) })
+      });
+    } else if (minBudget <= profile.typicalBudget * 1.5) {
+      score += WEIGHTS.budget / 2;
+    }
+  }
+
+  if (maxPopularity > 0 && activity.popularity_score) {
+    const points = WEIGHTS.popularity * (Number(activity.popularity_score) / maxPopularity);
+    score += points;
+    if (points >= WEIGHTS.popularity * 0.8) {
+      reasons.push({
+        type: 'popularity',
+        weight: points,
+        message: t('recommendations.veryPopular')
+      });
+    }
+  }
+
+  return {
+    score: Math.round(score * 10) / 10,
+    reasons: reasons
+      .sort((a, b) => b.weight - a.weight)
+      .map(({ type, message }) => ({ type, message }))
+  };
+}
+
+/**
+ * Classe les activités candidates pour un utilisateur
+ *
+ * @param {Object[]} candidates - Activités du catalogue absentes de la bucket list
+ * @param {Object} profile - Retour de buildUserProfile
+ * @param {number} [limit=10] - Nombre de recommandations
+ * @param {Object} [options]
+ * @param {Function} [options.t] - Fonction de traduction des explications (req.t), français par défaut
+ * @returns {Object[]} Activités triées avec `recommendation: { score, reasons }`
+ *
+ * @example
+ * const profile = buildUserProfile(bucketItems);
+ * const suggestions = recommendActivities(candidates, profile, 10);
+ * // suggestions[0].recommendation.reasons[0].message
+ * // => "Parce que vous avez réalisé 3 activités « Sports nautiques »"
+ */
+function recommendActivities(candidates, profile, limit = 10, { t = getTranslator() } = {}) {
+  const maxPopularity = Math.max(0, ...candidates.map(activity => Number(activity.popularity_score) || 0));
+
+  return candidates
+    .map(activity => ({
+      ...activity,
+      recommendation: scoreActivity(activity, profile, maxPopularity, t)
+    }))
+    .sort((a, b) =>
+      b.recommendation.score - a.recommendation.score ||
+      (Number(b.popularity_score) || 0) - (Number(a.popularity_score) || 0)
+    )
+    .slice(0, limit)
+    .map(activity => {
+      if (activity.recommendation.reasons.length === 0) {
+        activity.recommendation.reasons.push({
+          type: 'popularity',
+          message: t('recommendations.popular')
+        });
+      }
+      return activity;
+    });
+}
+
+module.exports = {
+  buildUserProfile,
+  recommendActivities
+};
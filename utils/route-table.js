@@ -0,0 +1,68 @@
+/**
+ * @fileoverview Table des routes réellement montées dans l'application Express
+ * @module utils/route-table
+ *
+ * Parcourt la pile du routeur (routeurs montés compris) pour lister les
+ * endpoints, par exemple dans la réponse 404.
+ */
+
+/**
+ * Chemin de montage d'un routeur à partir de l'expression régulière d'Express 4
+ * (ex: /^\/api\/admin\/?(?=\/|$)/i -> "/api/admin")
+ *
+ * @param {Object} layer - Couche de la pile du routeur
+ * @returns {string}
+ */
+function mountPath(layer) {
+  if (layer.regexp.fast_slash) return '';
+
+  const source = layer.regexp.source
+    .replace('\\/?(?=\\/|$)', '')
+    .replace(/^\^/, '')
+    .replace(/\\\//g, '/');
+
+  // Paramètres de montage éventuels (:name)
+  let index = 0;
+  return source.replace(/\(\?:\(\[\^\\\/]\+\?\)\)/g, () => `:${layer.keys[index++]?.name || 'param'}`);
+}
+
+/**
+ * Liste les routes d'une pile de routeur
+ *
+ * @param {Object[]} stack - app._router.stack ou router.stack
+ * @param {string} [prefix=''] - Chemin de montage courant
+ * @returns {string[]} "GET /api/activities", ...
+ */
+function collectRoutes(stack, prefix = '') {
+  return stack.flatMap(layer => {
+    if (layer.route) {
+      const methods = Object.keys(layer.route.methods)
+        .filter(method => method !== '_all')
+        .map(method => method.toUpperCase());
+      const paths = [].concat(layer.route.path);
+
+      return paths.flatMap(path => methods.map(method => `${method} ${prefix}${path === '/' && prefix ? '' : path}`));
+    }
+
+    if (layer.name === 'router' && layer.handle?.stack) {
+      return collectRoutes(layer.handle.stack, `${prefix}${mountPath(layer)}`);
+    }
+
+    return [];
+  });
+}
+
+/**
+ * Endpoints de l'application, sans doublon, dans l'ordre de déclaration
+ *
+ * @param {Object} app - Application Express
+ * @returns {string[]}
+ *
+ * @example
+ * listRoutes(app); // ['GET /', 'GET /api/activities', ..., 'GET /share/:token']
+ */
+function listRoutes(app) {
+  return [...new Set(collectRoutes(app._router?.stack || []))];
+}
+
+module.exports = { listRoutes };
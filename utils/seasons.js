@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Interprétation du champ texte `best_season` des activités
+ * @module utils/seasons
+ *
+ * `best_season` est saisi librement dans le catalogue ("Été", "Avril à octobre",
+ * "Décembre - mars", "Toute l'année"...). Ce module le convertit en liste de
+ * mois (1 = janvier) et en plages de mois contiguës.
+ */
+
+const MONTHS = {
+  janvier: 1, janv: 1, jan: 1, january: 1,
+  fevrier: 2, fevr: 2, fev: 2, february: 2, feb: 2,
+  mars: 3, march: 3, mar: 3,
+  avril: 4, avr: 4, april: 4, apr: 4,
+  mai: 5, may: 5,
+  juin: 6, june: 6, jun: 6,
+  juillet: 7, juil: 7, july: 7, jul: 7,
+  aout: 8, august: 8, aug: 8,
+  septembre: 9, sept: 9, sep: 9, september: 9,
+  octobre: 10, oct: 10, october: 10,
+  novembre: 11, nov: 11, november: 11,
+  decembre: 12, dec: 12, december: 12
+};
+
+/**
+ * Saisons météorologiques (hémisphère nord) : [premier mois, dernier mois]
+ */
+const SEASONS = {
+  printemps: [3, 5], spring: [3, 5],
+  ete: [6, 8], summer: [6, 8],
+  automne: [9, 11], autumn: [9, 11], fall: [9, 11],
+  hiver: [12, 2], winter: [12, 2]
+};
+
+const RANGE_CONNECTORS = ['a', 'au', 'to', 'jusqu', 'jusqua', '-', 'until'];
+
+const ALL_YEAR_PATTERN = /toute l ?annee|toute saison|toutes saisons|all year|year round|toute annee/;
+
+/**
+ * Mois compris entre deux mois inclus, en passant par décembre si besoin
+ *
+ * @param {number} start - Mois de début (1-12)
+ * @param {number} end - Mois de fin (1-12)
+ * @returns {number[]}
+ *
+ * @example
+ * monthRange(11, 2); // [11, 12, 1, 2]
+ */
+function monthRange(start, end) {
+  const months = [start];
+  let month = start;
+  while (month !== end) {
+    month = (month % 12) + 1;
+    months.push(month);
+  }
+  return months;
+}
+
+/**
+ * Regroupe une liste de mois en plages contiguës (décembre -> janvier inclus)
+ *
+ * @param {number[]} months - Mois triés et uniques
+ * @returns {{ start_month: number, end_month: number }[]}
+ */
+function toRanges(months) {
+  if (months.length === 0) return [];
+  if (months.length === 12) return [{ start_month: 1, end_month: 12 }];
+
+  const set = new Set(months);
+  // Début de plage = mois présent dont le mois précédent est absent
+  return months
+    .filter(month => !set.has(month === 1 ? 12 : month - 1))
+    .map(start => {
+      let end = start;
+      while (set.has((end % 12) + 1)) end = (end % 12) + 1;
+      return { start_month: start, end_month: end };
+    });
+}
+
+/**
+ * Découpe le texte en jetons : mois, saison, connecteur de plage
+ */
+function tokenize(text) {
+  return text
+    .replace(/[–—]/g, ' - ')
+    .replace(/-/g, ' - ')
+    .split(/[^a-z0-9-]+/)
+    .filter(Boolean)
+    .map(word => {
+      if (MONTHS[word]) return { type: 'month', start: MONTHS[word], end: MONTHS[word] };
+      if (SEASONS[word]) return { type: 'season', start: SEASONS[word][0], end: SEASONS[word][1] };
+      if (RANGE_CONNECTORS.includes(word)) return { type: 'connector' };
+      return null;
+    })
+    .filter(Boolean)
+    // "jusqu'à" donne deux connecteurs consécutifs
+    .filter((token, index, tokens) => token.type !== 'connector' || tokens[index - 1]?.type !== 'connector');
+}
+
+/**
+ * Convertit `best_season` en mois
+ *
+ * @param {string|null} bestSeason - Valeur brute du champ
+ * @returns {{ months: number[], ranges: Object[], all_year: boolean }|null}
+ *   null si le texte ne contient aucune période reconnaissable
+ *
+ * @example
+ * parseBestSeason('Avril à octobre');
+ * // { months: [4, 5, 6, 7, 8, 9, 10], ranges: [{ start_month: 4, end_month: 10 }], all_year: false }
+ */
+function parseBestSeason(bestSeason) {
+  if (!bestSeason) return null;
+
+  const text = String(bestSeason)
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[’']/g, ' ');
+
+  if (ALL_YEAR_PATTERN.test(text)) {
+    return { months: monthRange(1, 12), ranges: [{ start_month: 1, end_month: 12 }], all_year: true };
+  }
+
+  const tokens = tokenize(text);
+  const months = new Set();
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type === 'connector') continue;
+
+    // "avril à octobre", "printemps - automne"
+    const next = tokens[i + 1];
+    const after = tokens[i + 2];
+    if (next?.type === 'connector' && after && after.type !== 'connector') {
+      monthRange(token.start, after.end).forEach(month => months.add(month));
+      i += 2;
+      continue;
+    }
+
+    monthRange(token.start, token.end).forEach(month => months.add(month));
+  }
+
+  if (months.size === 0) return null;
+
+  const sorted = [...months].sort((a, b) => a - b);
+  return {
+    months: sorted,
+    ranges: toRanges(sorted),
+    all_year: sorted.length === 12
+  };
+}
+
+/**
+ * Nombre de mois avant l'ouverture de la saison (0 si elle est ouverte)
+ *
+ * @param {Object|null} season - Retour de parseBestSeason
+ * @param {number} month - Mois courant (1-12)
+ * @returns {number|null} null si la saison est inconnue
+ */
+function monthsUntilSeason(season, month) {
+  if (!season) return null;
+
+  for (let offset = 0; offset < 12; offset++) {
+    if (season.months.includes(((month - 1 + offset) % 12) + 1)) return offset;
+  }
+  return null;
+}
+
+module.exports = {
+  parseBestSeason,
+  monthsUntilSeason,
+  monthRange
+};
@@ -0,0 +1,122 @@
+/**
+ * @fileoverview Activités similaires ("Vous aimerez aussi")
+ * @module utils/similar-activities
+ *
+ * La similarité entre deux activités combine la catégorie, le continent,
+ * la proximité de budget et de durée, et la co-occurrence dans les bucket
+ * lists des autres utilisateurs.
+ */
+
+/**
+ * Poids maximum de chaque critère (total = 100)
+ */
+const WEIGHTS = {
+  category: 35,
+  continent: 20,
+  budget: 15,
+  duration: 10,
+  cooccurrence: 20
+};
+
+/**
+ * Milieu de la fourchette de budget d'une activité, en euros
+ * (les budgets sont saisis dans des devises différentes)
+ *
+ * @param {Object} activity - Avec estimated_budget_min_eur / estimated_budget_max_eur
+ * @returns {number|null}
+ */
+function budgetMidpoint(activity) {
+  const min = activity.estimated_budget_min_eur;
+  const max = activity.estimated_budget_max_eur;
+
+  if (min !== null && min !== undefined && max !== null && max !== undefined) {
+    return (Number(min) + Number(max)) / 2;
+  }
+  if (min !== null && min !== undefined) return Number(min);
+  if (max !== null && max !== undefined) return Number(max);
+  return null;
+}
+
+/**
+ * Proximité de deux valeurs positives : 1 si égales, tend vers 0 quand elles s'éloignent
+ *
+ * @param {number|null} a
+ * @param {number|null} b
+ * @returns {number} Valeur entre 0 et 1 (0 si une valeur manque)
+ */
+function closeness(a, b) {
+  if (a === null || b === null || a === undefined || b === undefined) return 0;
+  if (a === b) return 1;
+
+  const largest = Math.max(Math.abs(a), Math.abs(b));
+  return largest === 0 ? 1 : Math.max(0, 1 - Math.abs(a - b) / largest);
+}
+
+/**
+ * Classe des activités candidates par similarité avec une activité de référence
+ *
+ * @param {Object} target - Activité de référence
+ * @param {Object[]} candidates - Activités candidates (la référence est ignorée si présente)
+ * @param {Map} cooccurrences - activity_id -> nombre d'utilisateurs ayant les deux activités
+ * @param {number} [limit=8] - Nombre d'activités à retourner
+ * @returns {Object[]} Activités triées avec `similarity: { score, shared }`
+ *
+ * @example
+ * const similar = rankSimilarActivities(activity, candidates, new Map([[42, 7]]), 8);
+ * // similar[0].similarity => { score: 81.5, shared: ['category', 'continent', 'cooccurrence'] }
+ */
+function rankSimilarActivities(target, candidates, cooccurrences, limit = 8) {
+  const maxShared = Math.max(0, ...cooccurrences.values());
+  const targetBudget = budgetMidpoint(target);
+  const targetDuration = target.duration_days ?? null;
+
+  return candidates
+    .filter(candidate => String(candidate.id) !== String(target.id))
+    .map(candidate => {
+      const shared = [];
+      let score = 0;
+
+      if (target.category_id && candidate.category_id === target.category_id) {
+        score += WEIGHTS.category;
+        shared.push('category');
+      }
+
+      if (target.continent_id && candidate.continent_id === target.continent_id) {
+        score += WEIGHTS.continent;
+        shared.push('continent');
+      }
+
+      const budgetCloseness = closeness(targetBudget, budgetMidpoint(candidate));
+      score += WEIGHTS.budget * budgetCloseness;
+      if (budgetCloseness >= 0.75) shared.push('budget');
+
+      const durationCloseness = closeness(targetDuration, candidate.duration_days ?? null);
+      score += WEIGHTS.duration * durationCloseness;
+      if (durationCloseness >= 0.75) shared.push('duration');
+
+      const sharedUsers = cooccurrences.get(candidate.id) || 0;
+      if (sharedUsers > 0 && maxShared > 0) {
+        score += WEIGHTS.cooccurrence * (sharedUsers / maxShared);
+        shared.push('cooccurrence');
+      }
+
+      return {
+        ...candidate,
+        similarity: {
+          score: Math.round(score * 10) / 10,
+          shared,
+          shared_users: sharedUsers
+        }
+      };
+    })
+    .sort((a, b) =>
+      b.similarity.score - a.similarity.score ||
+      (Number(b.popularity_score) || 0) - (Number(a.popularity_score) || 0)
+    )
+    .slice(0, limit);
+}
+
+module.exports = {
+  budgetMidpoint,
+  rankSimilarActivities
+};
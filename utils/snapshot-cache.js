@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Cache en mémoire de "snapshots" rafraîchis périodiquement
+ * @module utils/snapshot-cache
+ *
+ * Sert les données coûteuses à calculer (statistiques, référentiels) depuis la
+ * mémoire du process. Une fois la durée de vie dépassée, la dernière valeur
+ * continue d'être servie pendant qu'un rafraîchissement tourne en arrière-plan.
+ */
+
+/**
+ * Crée un cache de snapshot
+ *
+ * @param {string} name - Nom du cache (pour les logs)
+ * @param {Function} loader - Fonction async qui calcule la valeur
+ * @param {Object} [options]
+ * @param {number} [options.ttlMs=300000] - Durée de vie d'un snapshot (5 minutes par défaut)
+ * @param {number} [options.refreshIntervalMs] - Rafraîchissement automatique (désactivé si absent)
+ * @returns {{ get: Function, refresh: Function, invalidate: Function }}
+ *
+ * @example
+ * const statsCache = createSnapshotCache('stats', loadStats, { ttlMs: 60000 });
+ * const { value, refreshedAt } = await statsCache.get();
+ */
+function createSnapshotCache(name, loader, { ttlMs = 5 * 60 * 1000, refreshIntervalMs } = {}) {
+  let snapshot = null;
+  let pending = null;
+  let timer = null;
+  let generation = 0;
+
+  const refresh = () => {
+    if (pending) return pending;
+
+    // Un rafraîchissement lancé avant invalidate() ne doit pas écraser le cache
+    const startedGeneration = generation;
+
+    const current = Promise.resolve()
+      .then(loader)
+      .then(value => {
+        const result = { value, refreshedAt: new Date() };
+        if (startedGeneration === generation) snapshot = result;
+        return result;
+      })
+      .finally(() => {
+        if (pending === current) pending = null;
+      });
+
+    pending = current;
+    return current;
+  };
+
+  const startTimer = () => {
+    if (timer || !refreshIntervalMs) return;
+
+    timer = setInterval(() => {
+      refresh().catch(error => {
+        console.error(`❌ [CACHE ${name}] Erreur de rafraîchissement:`, error.message);
+      });
+    }, refreshIntervalMs);
+
+    // Ne pas empêcher le process de s'arrêter
+    timer.unref();
+  };
+
+  const get = async () => {
+    startTimer();
+
+    if (!snapshot) return refresh();
+
+    const age = Date.now() - snapshot.refreshedAt.getTime();
+    if (age > ttlMs) {
+      refresh().catch(error => {
+        console.error(`❌ [CACHE ${name}] Erreur de rafraîchissement:`, error.message);
+      });
+    }
+
+    return snapshot;
+  };
+
+  const invalidate = () => {
+    generation += 1;
+    snapshot = null;
+    pending = null;
+  };
+
+  return { get, refresh, invalidate };
+}
+
+module.exports = { createSnapshotCache };